@@ -1,122 +1,256 @@
 const { v4: uuidv4 } = require('uuid');
-const ToolGateway = require('../tool_gateway/ToolGateway');
+const { evaluateCondition, FORBIDDEN_REF_KEYS } = require('./conditionExpr');
 
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+/**
+ * nodeHandler 回傳此物件表示節點尚未完成（例如 LLM 子票據等待 worker 回填）。
+ * 該節點與其後繼暫停；run() 以 status=waiting 結束，之後帶著已完成的 results 再呼叫 run() 續跑。
+ */
+class NodeWaiting {
+  constructor(details = {}) {
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * DAGExecutor
+ *
+ * 排程規則：
+ * - 節點在所有前驅都「已解決」（完成或略過）後才判斷是否執行
+ * - 至少一條 active 入邊（來自 start，或來自已完成且 edge.condition 成立的前驅）才執行，否則略過
+ * - 節點自身的 `conditions` 任一不成立 → 略過
+ * - 同時 ready 的獨立節點並行執行（上限 maxConcurrency）
+ * - 略過的節點寫入 audit（logTask status=skipped）
+ * - 節點執行順序：nodeHandler（有處理就用其結果）→ stub 工具（useStubs）→ ToolGateway.executeTool
+ * - ToolGateway 回 skipped（fallback_behavior=skip_node）→ 節點略過（reason=tool_skipped:<reason>）
+ */
 class DAGExecutor {
-  constructor(auditLogger) {
+  /**
+   * @param {Object} auditLogger - logExecution / logTask
+   * @param {Object} [options]
+   * @param {Object} [options.toolGateway] - 共用的 ToolGateway（不在這裡另建）
+   * @param {number} [options.maxConcurrency=4]
+   * @param {boolean} [options.useStubs=true] - isStubTool() 命中的工具走 executeStubTool（NO_MCP / 測試）
+   * @param {Function} [options.nodeHandler] - async (node, inputs, context) => result | NodeWaiting | undefined（undefined = 不處理）
+   */
+  constructor(auditLogger, options = {}) {
     this.auditLogger = auditLogger;
-    this.toolGateway = new ToolGateway();
+    this.toolGateway = options.toolGateway || null;
+    this.maxConcurrency = options.maxConcurrency || DEFAULT_MAX_CONCURRENCY;
+    this.useStubs = options.useStubs !== false;
+    this.nodeHandler = options.nodeHandler || null;
   }
   
   async execute(flowSpec, ticket) {
+    const outcome = await this.run(flowSpec, ticket);
+    if (outcome.status === 'failed') throw outcome.error;
+    if (outcome.status === 'waiting') {
+      throw new Error(`DAG suspended: waiting on ${outcome.waiting.map(w => w.node_id).join(', ')}`);
+    }
+    return outcome.results;
+  }
+  
+  /**
+   * 可續跑的執行入口
+   * @param {Object} flowSpec
+   * @param {Object} ticket
+   * @param {Object} [state]
+   * @param {Object} [state.results] - 已完成節點的輸出（續跑時不重跑）
+   * @param {Object} [state.skipped] - 已略過節點 { nodeId: reason }
+   * @param {Function} [state.onNodeSettled] - (nodeId, record) => void；record.status = ok|failed|skipped|waiting
+   * @returns {Promise<{status: 'completed'|'waiting'|'failed', results: Object, skipped: Object, waiting: Array, error: Error|null, failed_node_id: string|null}>}
+   */
+  async run(flowSpec, ticket, state = {}) {
     const executionId = uuidv4();
     const context = {
       execution_id: executionId,
       ticket_id: ticket.id,
       flow_id: flowSpec.id,
       event: ticket.event,
-      variables: {}
+      variables: {},
+      onNodeSettled: state.onNodeSettled || null
     };
     
     this.auditLogger.logExecution(executionId, 'start', {
       flow_id: flowSpec.id,
-      ticket_id: ticket.id
+      ticket_id: ticket.id,
+      resumed_nodes: Object.keys(state.results || {}).length
     });
     
-    try {
-      const result = await this.executeDAG(flowSpec.dag, context);
-      
-      this.auditLogger.logExecution(executionId, 'success', {
-        result_summary: this.summarizeResult(result)
-      });
-      
-      return result;
-    } catch (error) {
+    const outcome = await this.runDAG(flowSpec.dag, context, state);
+    
+    if (outcome.status === 'failed') {
       this.auditLogger.logExecution(executionId, 'error', {
-        error: error.message
+        error: outcome.error.message
+      });
+    } else {
+      this.auditLogger.logExecution(executionId, outcome.status === 'waiting' ? 'waiting' : 'success', {
+        result_summary: this.summarizeResult(outcome.results),
+        waiting: outcome.waiting.map(w => w.node_id)
       });
-      throw error;
     }
+    
+    return outcome;
   }
   
   async executeDAG(dag, context) {
-    const nodeStates = new Map();
-    const completed = new Set();
-    const results = {};
+    const outcome = await this.runDAG(dag, context);
+    if (outcome.status === 'failed') throw outcome.error;
+    if (outcome.status === 'waiting') {
+      throw new Error(`DAG suspended: waiting on ${outcome.waiting.map(w => w.node_id).join(', ')}`);
+    }
+    return outcome.results;
+  }
+  
+  async runDAG(dag, context, state = {}) {
+    const results = { ...(state.results || {}) };
+    const completed = new Set(Object.keys(results));
+    const skipped = new Map(Object.entries(state.skipped || {})); // nodeId -> reason
+    const waiting = new Map(); // nodeId -> NodeWaiting
+    const running = new Map(); // nodeId -> promise
     
     // 建立節點映射
     const nodeMap = new Map();
     dag.nodes.forEach(node => nodeMap.set(node.id, node));
     
-    // 建立邊映射
+    // 建立入邊映射（start 邊保留，用來判斷 active 入邊）
     const incomingEdges = new Map();
-    const outgoingEdges = new Map();
-    
-    dag.nodes.forEach(node => {
-      incomingEdges.set(node.id, []);
-      outgoingEdges.set(node.id, []);
-    });
-    
-    dag.edges.forEach(edge => {
-      if (edge.from !== 'start') {
-        outgoingEdges.get(edge.from).push(edge);
-      }
+    dag.nodes.forEach(node => incomingEdges.set(node.id, []));
+    (dag.edges || []).forEach(edge => {
       if (edge.to !== 'end') {
         incomingEdges.get(edge.to).push(edge);
       }
     });
     
-    // 找到起始節點（沒有前驅的節點）
-    const startNodes = dag.edges
-      .filter(edge => edge.from === 'start')
-      .map(edge => edge.to);
+    // 只排程可由 start 到達的節點
+    const reachable = this.collectReachable(dag);
+    const isResolved = (nodeId) => completed.has(nodeId) || skipped.has(nodeId);
     
-    // 執行拓撲排序和節點執行
-    const queue = [...startNodes];
+    let failure = null;
+    let failedNodeId = null;
     
-    while (queue.length > 0) {
-      const nodeId = queue.shift();
-      
-      if (completed.has(nodeId)) {
-        continue;
+    while (!failure) {
+      // 1) 找出所有前驅已解決、尚未開始的節點
+      for (const nodeId of reachable) {
+        if (isResolved(nodeId) || running.has(nodeId) || waiting.has(nodeId)) continue;
+        
+        const incoming = incomingEdges.get(nodeId);
+        if (!incoming.every(edge => edge.from === 'start' || isResolved(edge.from))) continue;
+        
+        const node = nodeMap.get(nodeId);
+        const hasActiveEdge = incoming.some(edge =>
+          (edge.from === 'start' || completed.has(edge.from)) &&
+          this.evaluateCondition(edge, context, results)
+        );
+        if (!hasActiveEdge) {
+          this.skipNode(node, context, skipped, 'no_active_incoming_edge');
+          continue;
+        }
+        
+        const failedCondition = this.findFailedNodeCondition(node, incoming, context, results);
+        if (failedCondition) {
+          this.skipNode(node, context, skipped, `condition_failed:${failedCondition}`);
+          continue;
+        }
+        
+        if (running.size >= this.maxConcurrency) continue;
+        
+        const promise = this.executeNode(node, context, results).then(
+          (nodeResult) => {
+            if (nodeResult instanceof NodeWaiting) {
+              waiting.set(nodeId, nodeResult);
+            } else if (nodeResult && nodeResult.skipped === true) {
+              this.skipNode(node, context, skipped, `tool_skipped:${nodeResult.reason}`);
+            } else {
+              results[nodeId] = nodeResult;
+              completed.add(nodeId);
+            }
+          },
+          (error) => {
+            if (!failure) {
+              failure = new Error(`Node ${nodeId} failed: ${error.message}`);
+              failure.cause = error;
+              failedNodeId = nodeId;
+            }
+          }
+        ).finally(() => running.delete(nodeId));
+        running.set(nodeId, promise);
       }
       
-      // 檢查前驅節點是否都已完成
-      const incoming = incomingEdges.get(nodeId) || [];
-      const prereqsMet = incoming
-        .filter(edge => edge.from !== 'start')
-        .every(edge => completed.has(edge.from));
-      
-      if (!prereqsMet) {
-        queue.push(nodeId); // 重新排隊
-        continue;
+      // 略過節點會讓後繼立即可判斷：沒有在跑的節點但仍有未解決者時再掃一次
+      const pending = Array.from(reachable).filter(id => !isResolved(id) && !running.has(id) && !waiting.has(id));
+      if (running.size === 0) {
+        if (pending.length === 0) break;
+        if (pending.some(id => incomingEdges.get(id).every(edge => edge.from === 'start' || isResolved(edge.from)))) continue;
+        // 剩下的節點都卡在等待中的節點之後 → 暫停，不算 stall
+        if (waiting.size > 0) break;
+        throw new Error(`DAG stalled: unresolved nodes ${pending.join(', ')}`);
       }
       
-      // 執行節點
-      const node = nodeMap.get(nodeId);
-      try {
-        const nodeResult = await this.executeNode(node, context, results);
-        results[nodeId] = nodeResult;
-        completed.add(nodeId);
-        
-        // 將後繼節點加入佇列
-        const outgoing = outgoingEdges.get(nodeId) || [];
-        outgoing.forEach(edge => {
-          if (edge.to !== 'end' && this.evaluateCondition(edge, context, results)) {
-            queue.push(edge.to);
-          }
-        });
-        
-      } catch (error) {
-        throw new Error(`Node ${nodeId} failed: ${error.message}`);
-      }
+      await Promise.race(running.values());
     }
     
-    return results;
+    const outcome = (status, error = null) => ({
+      status,
+      results,
+      skipped: Object.fromEntries(skipped),
+      waiting: Array.from(waiting, ([node_id, details]) => ({ ...details, node_id })),
+      error,
+      failed_node_id: failedNodeId
+    });
+    
+    if (failure) {
+      // 等待其他並行節點結束，避免在背景繼續呼叫工具
+      await Promise.allSettled(running.values());
+      return outcome('failed', failure);
+    }
+    
+    return outcome(waiting.size > 0 ? 'waiting' : 'completed');
+  }
+  
+  collectReachable(dag) {
+    const adjacency = new Map();
+    (dag.edges || []).forEach(edge => {
+      if (!adjacency.has(edge.from)) adjacency.set(edge.from, []);
+      adjacency.get(edge.from).push(edge.to);
+    });
+    
+    const reachable = new Set();
+    const stack = [...(adjacency.get('start') || [])];
+    while (stack.length > 0) {
+      const nodeId = stack.pop();
+      if (nodeId === 'end' || reachable.has(nodeId)) continue;
+      reachable.add(nodeId);
+      stack.push(...(adjacency.get(nodeId) || []));
+    }
+    return reachable;
+  }
+  
+  skipNode(node, context, skipped, reason) {
+    skipped.set(node.id, reason);
+    this.auditLogger.logTask(uuidv4(), context.flow_id, node.tool, {
+      status: 'skipped',
+      node_id: node.id,
+      reason
+    });
+    this.notifyNodeSettled(context, node, { status: 'skipped', reason });
+  }
+  
+  notifyNodeSettled(context, node, record) {
+    if (!context.onNodeSettled) return;
+    try {
+      context.onNodeSettled(node.id, { tool: node.tool, ...record });
+    } catch (e) {
+      // Best-effort: 持久化失敗不影響 DAG 排程
+    }
   }
   
   async executeNode(node, context, previousResults) {
     const taskId = uuidv4();
     const startTime = Date.now();
+    const startedAt = new Date(startTime).toISOString();
+    const attemptEvents = [];
     
     // 處理輸入參數
     const inputs = this.resolveInputs(node.inputs || {}, context, previousResults);
@@ -126,23 +260,53 @@ class DAGExecutor {
       node_id: node.id
     });
     
+    const settle = (record) => this.notifyNodeSettled(context, node, {
+      started_at: startedAt,
+      ended_at: new Date().toISOString(),
+      duration_ms: Date.now() - startTime,
+      attempt_events: attemptEvents,
+      ...record
+    });
+    
     try {
       let result;
       
-      // 檢查是否為 stub 工具
-      if (this.isStubTool(node.tool)) {
-        result = await this.executeStubTool(node.tool, inputs);
-      } else {
-        result = await this.toolGateway.invoke(node.tool, inputs);
+      if (this.nodeHandler) {
+        result = await this.nodeHandler(node, inputs, context);
+      }
+      if (result === undefined) {
+        // 檢查是否為 stub 工具
+        if (this.useStubs && this.isStubTool(node.tool)) {
+          result = await this.executeStubTool(node.tool, inputs);
+        } else if (this.toolGateway) {
+          result = await this.toolGateway.executeTool(null, node.tool, inputs, { attemptEvents });
+        } else {
+          throw new Error(`No toolGateway configured for tool ${node.tool}`);
+        }
       }
       
       const duration = Date.now() - startTime;
       
+      if (result instanceof NodeWaiting) {
+        this.auditLogger.logTask(taskId, context.flow_id, node.tool, {
+          status: 'waiting',
+          duration_ms: duration,
+          node_id: node.id
+        });
+        settle({ status: 'waiting', waiting: { ...result } });
+        return result;
+      }
+      if (result && result.skipped === true) {
+        // skipNode 會寫 audit + settle(skipped)
+        return result;
+      }
+      
       this.auditLogger.logTask(taskId, context.flow_id, node.tool, {
         status: 'success',
         duration_ms: duration,
         output_summary: this.summarizeOutput(result)
       });
+      settle({ status: 'ok', result });
       
       return result;
       
@@ -154,6 +318,7 @@ class DAGExecutor {
         duration_ms: duration,
         error: error.message
       });
+      settle({ status: 'failed', error });
       
       throw error;
     }
@@ -175,26 +340,29 @@ class DAGExecutor {
     return resolved;
   }
   
+  /**
+   * `event.*` 或 `<node_id>.*`；每一段只讀 own property（不走原型鏈），找不到為 undefined
+   */
   resolveVariable(varPath, context, previousResults) {
     const parts = varPath.split('.');
+    if (parts.some(part => FORBIDDEN_REF_KEYS.includes(part))) return undefined;
     
+    let result;
     if (parts[0] === 'event') {
-      let result = context.event;
-      for (let i = 1; i < parts.length; i++) {
-        result = result?.[parts[i]];
-      }
-      return result;
+      result = context.event;
+    } else if (previousResults && Object.prototype.hasOwnProperty.call(previousResults, parts[0])) {
+      result = previousResults[parts[0]];
+    } else {
+      return undefined;
     }
     
-    if (previousResults[parts[0]]) {
-      let result = previousResults[parts[0]];
-      for (let i = 1; i < parts.length; i++) {
-        result = result?.[parts[i]];
+    for (let i = 1; i < parts.length; i++) {
+      if (result === null || result === undefined || !Object.prototype.hasOwnProperty.call(result, parts[i])) {
+        return undefined;
       }
-      return result;
+      result = result[parts[i]];
     }
-    
-    return undefined;
+    return result;
   }
   
   evaluateCondition(edge, context, results) {
@@ -202,8 +370,33 @@ class DAGExecutor {
       return true;
     }
     
-    // 簡單的條件評估（可以擴展）
-    return true;
+    return evaluateCondition(edge.condition, (varPath) => this.resolveVariable(varPath, context, results));
+  }
+  
+  /**
+   * 檢查節點 `conditions`（規則見 conditionExpr.validateNodeConditions）
+   * @returns {string|null} 第一個不成立的 condition 名稱
+   */
+  findFailedNodeCondition(node, incoming, context, results) {
+    const resolve = (varPath) => this.resolveVariable(varPath, context, results);
+    
+    for (const [name, spec] of Object.entries(node.conditions || {})) {
+      let ok;
+      if (typeof spec === 'string') {
+        ok = evaluateCondition(spec, resolve);
+      } else if (typeof spec === 'number') {
+        // <field>_threshold：取第一個有該欄位的已完成「直接」前驅輸出（更上游的節點不看；需要時用字串運算式）
+        const field = name.slice(0, -'_threshold'.length);
+        const source = incoming
+          .map(edge => results[edge.from])
+          .find(output => output && typeof output[field] === 'number');
+        ok = Boolean(source) && source[field] >= spec;
+      } else {
+        ok = spec === true;
+      }
+      if (!ok) return name;
+    }
+    return null;
   }
   
   isStubTool(toolName) {
@@ -279,4 +472,5 @@ class DAGExecutor {
   }
 }
 
-module.exports = DAGExecutor;
\ No newline at end of file
+module.exports = DAGExecutor;
+module.exports.NodeWaiting = NodeWaiting;
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * conditionExpr - safe expression language for DAG edge / node conditions
+ *
+ * 不使用 eval / Function：字串先 tokenize，再以遞迴下降解析成 AST，最後對 AST 求值。
+ *
+ * Grammar:
+ *   expr    := or
+ *   or      := and ( '||' and )*
+ *   and     := unary ( '&&' unary )*
+ *   unary   := '!' unary | compare
+ *   compare := primary ( ( '==' | '!=' | '>=' | '<=' | '>' | '<' ) primary )?
+ *   primary := NUMBER | STRING | true | false | null | REF | '(' expr ')'
+ *   REF     := '${' path '}'      e.g. ${event.thread_id} / ${guard_check.approved} / ${mem_search.memories.0}
+ *
+ * Semantics:
+ *   - '==' / '!=' 為嚴格相等（不做型別轉換）
+ *   - 大小比較只在兩邊同為 number 或同為 string 時成立，否則為 false
+ *   - 找不到的 reference 為 undefined
+ *   - reference 不可含 __proto__ / prototype / constructor 段（只讀 own property）
+ *   - 整體結果取 truthiness
+ */
+
+const REF_PATH_RE = /^[A-Za-z_][\w-]*(\.[\w-]+)*$/;
+const FORBIDDEN_REF_KEYS = Object.freeze(['__proto__', 'prototype', 'constructor']);
+const COMPARE_OPS = new Set(['==', '!=', '>=', '<=', '>', '<']);
+
+class ConditionSyntaxError extends Error {
+  constructor(message, source) {
+    super(`Invalid condition "${source}": ${message}`);
+    this.name = 'ConditionSyntaxError';
+    this.code = 'invalid_condition';
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (source.startsWith('${', i)) {
+      const end = source.indexOf('}', i + 2);
+      if (end === -1) throw new ConditionSyntaxError('unterminated ${...} reference', source);
+      const path = source.slice(i + 2, end).trim();
+      if (!REF_PATH_RE.test(path) || path.split('.').some((part) => FORBIDDEN_REF_KEYS.includes(part))) {
+        throw new ConditionSyntaxError(`invalid reference path "${path}"`, source);
+      }
+      tokens.push({ type: 'ref', value: path });
+      i = end + 1;
+      continue;
+    }
+
+    const two = source.slice(i, i + 2);
+    if (two === '&&' || two === '||' || COMPARE_OPS.has(two)) {
+      tokens.push({ type: 'op', value: two });
+      i += 2;
+      continue;
+    }
+    if (ch === '>' || ch === '<' || ch === '!' || ch === '(' || ch === ')') {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw new ConditionSyntaxError('unterminated string literal', source);
+      tokens.push({ type: 'literal', value });
+      i = j + 1;
+      continue;
+    }
+
+    const num = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (num) {
+      tokens.push({ type: 'literal', value: Number(num[0]) });
+      i += num[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_]\w*/.exec(source.slice(i));
+    if (word) {
+      if (word[0] === 'true') tokens.push({ type: 'literal', value: true });
+      else if (word[0] === 'false') tokens.push({ type: 'literal', value: false });
+      else if (word[0] === 'null') tokens.push({ type: 'literal', value: null });
+      else throw new ConditionSyntaxError(`unexpected identifier "${word[0]}" (use \${...} for references)`, source);
+      i += word[0].length;
+      continue;
+    }
+
+    throw new ConditionSyntaxError(`unexpected character "${ch}"`, source);
+  }
+
+  return tokens;
+}
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('||')) {
+      pos++;
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (isOp('&&')) {
+      pos++;
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('!')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseCompare();
+  }
+
+  function parseCompare() {
+    const left = parsePrimary();
+    const next = peek();
+    if (next && next.type === 'op' && COMPARE_OPS.has(next.value)) {
+      pos++;
+      return { type: 'compare', op: next.value, left, right: parsePrimary() };
+    }
+    return left;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new ConditionSyntaxError('unexpected end of expression', source);
+    pos++;
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'ref') return { type: 'ref', path: token.value };
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseOr();
+      if (!isOp(')')) throw new ConditionSyntaxError('missing ")"', source);
+      pos++;
+      return inner;
+    }
+    throw new ConditionSyntaxError(`unexpected "${token.value}"`, source);
+  }
+
+  if (tokens.length === 0) throw new ConditionSyntaxError('empty expression', source);
+  const ast = parseOr();
+  if (pos < tokens.length) throw new ConditionSyntaxError(`unexpected "${peek().value}"`, source);
+  return ast;
+}
+
+function compare(op, a, b) {
+  if (op === '==') return a === b;
+  if (op === '!=') return a !== b;
+  const comparable = (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+  if (!comparable) return false;
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  if (op === '<') return a < b;
+  return a <= b;
+}
+
+function evaluateAst(ast, resolve) {
+  switch (ast.type) {
+    case 'literal': return ast.value;
+    case 'ref': return resolve(ast.path);
+    case 'not': return !evaluateAst(ast.operand, resolve);
+    case 'and': return Boolean(evaluateAst(ast.left, resolve)) && Boolean(evaluateAst(ast.right, resolve));
+    case 'or': return Boolean(evaluateAst(ast.left, resolve)) || Boolean(evaluateAst(ast.right, resolve));
+    case 'compare': return compare(ast.op, evaluateAst(ast.left, resolve), evaluateAst(ast.right, resolve));
+    default: throw new Error(`Unknown condition node: ${ast.type}`);
+  }
+}
+
+const compiledCache = new Map();
+
+/**
+ * Parse once, cache the AST.
+ * @throws {ConditionSyntaxError}
+ */
+function compileCondition(source) {
+  if (typeof source !== 'string') throw new ConditionSyntaxError('condition must be a string', String(source));
+  if (!compiledCache.has(source)) compiledCache.set(source, parse(source));
+  return compiledCache.get(source);
+}
+
+/**
+ * @param {string} source - condition expression
+ * @param {Function} resolve - (path) => value
+ * @returns {boolean}
+ */
+function evaluateCondition(source, resolve) {
+  return Boolean(evaluateAst(compileCondition(source), resolve));
+}
+
+/**
+ * Node-level `conditions` map: { name: spec }
+ *   - string:  condition expression（結果須為 truthy）
+ *   - boolean: 固定值
+ *   - number + key `<field>_threshold`: 直接前驅節點輸出的 `<field>` 須 >= 該值
+ *     e.g. confidence_threshold: 0.7 → ${<predecessor>.confidence} >= 0.7
+ *     只看直接前驅（edge.from）；要比較更上游節點的欄位請改用字串運算式 `${<node_id>.<field>} >= 0.7`
+ * @throws {ConditionSyntaxError}
+ */
+function validateNodeConditions(conditions) {
+  if (conditions === undefined || conditions === null) return;
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    throw new ConditionSyntaxError('node conditions must be an object', JSON.stringify(conditions));
+  }
+  for (const [name, spec] of Object.entries(conditions)) {
+    if (typeof spec === 'string') {
+      compileCondition(spec);
+    } else if (typeof spec === 'number') {
+      if (!name.endsWith('_threshold')) {
+        throw new ConditionSyntaxError(`numeric condition "${name}" must be named <field>_threshold`, String(spec));
+      }
+    } else if (typeof spec !== 'boolean') {
+      throw new ConditionSyntaxError(`unsupported condition "${name}"`, JSON.stringify(spec));
+    }
+  }
+}
+
+module.exports = {
+  ConditionSyntaxError,
+  FORBIDDEN_REF_KEYS,
+  compileCondition,
+  evaluateCondition,
+  validateNodeConditions
+};
@@ -1,156 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const { compileCondition, validateNodeConditions } = require('../dag_executor/conditionExpr');
+
+const DEFAULT_FLOWS_DIR = __dirname;
+const FLOWSPEC_SCHEMA_PATH = path.resolve(__dirname, '../../schemas/flowspec.json');
+const FLOW_FILE_RE = /\.(ya?ml|json)$/i;
+const RELOAD_DEBOUNCE_MS = 200;
+
+class FlowValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'FlowValidationError';
+    this.code = 'invalid_flow';
+    this.details = details;
+  }
+}
+
+let flowSpecValidator = null;
+
+function getFlowSpecValidator() {
+  if (!flowSpecValidator) {
+    const schema = JSON.parse(fs.readFileSync(FLOWSPEC_SCHEMA_PATH, 'utf8'));
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    flowSpecValidator = ajv.compile(schema);
+  }
+  return flowSpecValidator;
+}
+
+function flowKey(flowSpec) {
+  return `${flowSpec.id}@${flowSpec.version}`;
+}
+
+// 1.10.0 > 1.9.0；非數字段落退回字串比較
+function compareVersions(a, b) {
+  const pa = String(a).split('.');
+  const pb = String(b).split('.');
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const x = pa[i] ?? '0';
+    const y = pb[i] ?? '0';
+    const nx = Number(x);
+    const ny = Number(y);
+    const diff = Number.isNaN(nx) || Number.isNaN(ny) ? x.localeCompare(y) : nx - ny;
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * FlowRegistry
+ *
+ * Flow 定義放在 flows/ 目錄（*.yaml / *.yml / *.json，一檔一個 flow），可用 FLOWS_DIR 覆寫。
+ * - 每個 flow 以 `id@version` 註冊；getFlow('id') 取最高版本，getFlow('id@1.0.0') 取指定版本
+ * - 載入時驗證：schemas/flowspec.json（Ajv）→ 節點 id → edge 端點 → 條件語法 → 環 → 不可達節點
+ * - reload() 重新讀取目錄；單一檔案驗證失敗時保留該檔上一次成功載入的版本，錯誤記在 getLoadErrors()
+ * - watch() 監看目錄變更，debounce 後自動 reload
+ */
 class FlowRegistry {
-  constructor() {
-    this.flows = new Map();
+  constructor(options = {}) {
+    this.flowsDir = options.flowsDir || process.env.FLOWS_DIR || DEFAULT_FLOWS_DIR;
+    this.logger = options.logger || console;
+    this.flows = new Map();          // 'id@version' -> flowSpec
+    this.latest = new Map();         // id -> 'id@version'
+    this.fileFlows = new Map();      // file name -> flowSpec（最後一次成功載入）
+    this.registeredFlows = new Map(); // registerFlow() 註冊的 flow
+    this.loadErrors = new Map();     // file name -> error message
+    this.watcher = null;
+    this.reloadTimer = null;
     this.initializeFlows();
   }
-  
+
   initializeFlows() {
-    // 基本回覆流程
-    const replyBasicTw = {
-      id: 'reply_basic_tw',
-      name: '基本回覆流程 (繁體中文)',
-      version: '1.0.0',
-      description: '處理一般社群媒體回覆的基本流程',
-      trigger_conditions: {
-        event_types: ['thread_reply', 'mention'],
-        filters: {
-          language: 'zh-tw'
+    this.reload();
+  }
+
+  reload() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.flowsDir).filter((f) => FLOW_FILE_RE.test(f)).sort();
+    } catch (e) {
+      this.logger.warn(`[FlowRegistry] Cannot read flows directory ${this.flowsDir}: ${e.message}`);
+    }
+
+    for (const file of this.fileFlows.keys()) {
+      if (!files.includes(file)) this.fileFlows.delete(file);
+    }
+    this.loadErrors.clear();
+
+    const seen = new Map(); // 'id@version' -> file（偵測跨檔重複）
+    for (const file of files) {
+      try {
+        const flowSpec = this.loadFlowFile(path.join(this.flowsDir, file));
+        const key = flowKey(flowSpec);
+        if (seen.has(key)) {
+          throw new FlowValidationError(`Duplicate flow ${key} (already defined in ${seen.get(key)})`);
         }
-      },
-      dag: {
-        nodes: [
-          {
-            id: 'fetch_thread',
-            tool: 'threads.fetch_thread',
-            inputs: {
-              thread_id: '${event.thread_id}'
-            }
-          },
-          {
-            id: 'mem_search',
-            tool: 'mem.search',
-            inputs: {
-              query: '${fetch_thread.content}',
-              limit: 5
-            }
-          },
-          {
-            id: 'llm_generate',
-            tool: 'llm.generate',
-            inputs: {
-              context: '${fetch_thread}',
-              memories: '${mem_search}',
-              persona: 'helpful_assistant'
-            }
-          },
-          {
-            id: 'guard_check',
-            tool: 'guard.check_content',
-            inputs: {
-              content: '${llm_generate.draft}',
-              policies: ['safety', 'brand_guidelines']
-            }
-          },
-          {
-            id: 'reply_send',
-            tool: 'reply.send',
-            inputs: {
-              thread_id: '${event.thread_id}',
-              content: '${llm_generate.draft}',
-              dry_run: true
-            },
-            conditions: {
-              guard_approved: '${guard_check.approved}',
-              confidence_threshold: 0.7
-            }
-          }
-        ],
-        edges: [
-          { from: 'start', to: 'fetch_thread' },
-          { from: 'fetch_thread', to: 'mem_search' },
-          { from: 'mem_search', to: 'llm_generate' },
-          { from: 'llm_generate', to: 'guard_check' },
-          { from: 'guard_check', to: 'reply_send' },
-          { from: 'reply_send', to: 'end' }
-        ]
-      },
-      guardrails: {
-        auto_send_threshold: 0.8,
-        sensitive_topics: ['政治', '醫療建議', '法律諮詢'],
-        rate_limits: {
-          per_thread: 3,
-          per_actor: 10,
-          global_daily: 1000
+        seen.set(key, file);
+        this.fileFlows.set(file, flowSpec);
+      } catch (e) {
+        this.loadErrors.set(file, e.message);
+        const previous = this.fileFlows.get(file);
+        if (previous && !seen.has(flowKey(previous))) {
+          seen.set(flowKey(previous), file);
+        } else {
+          this.fileFlows.delete(file);
         }
+        this.logger.warn(`[FlowRegistry] ${file} rejected: ${e.message}${previous ? ' (keeping previous version)' : ''}`);
       }
+    }
+
+    this.rebuildIndex();
+    return {
+      loaded: Array.from(this.flows.keys()),
+      errors: this.getLoadErrors()
     };
-    
-    this.flows.set(replyBasicTw.id, replyBasicTw);
-    
-    // Q&A 診斷流程
-    const diagnosticQaTw = {
-      id: 'diagnostic_qa_tw',
-      name: 'Q&A 診斷流程 (繁體中文)',
-      version: '1.0.0',
-      description: '專門用於測試 LLM 運作狀態的簡單計算診斷流程',
-      trigger_conditions: {
-        event_types: ['diagnostic_qa'],
-        filters: {
-          language: 'zh-tw'
-        }
-      },
-      dag: {
-        nodes: [],
-        edges: []
-      },
-      constraints: {
-        max_chars: 16,
-        format: 'numeric_only',
-        expected_answer: '579'
-      },
-      guardrails: {
-        auto_send_threshold: 1.0, // 診斷測試自動通過
-        rate_limits: {
-          per_thread: 100,
-          per_actor: 100,
-          global_daily: 10000
-        }
+  }
+
+  loadFlowFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const flowSpec = /\.json$/i.test(filePath) ? JSON.parse(raw) : yaml.load(raw);
+    this.validateFlowSpec(flowSpec);
+    return flowSpec;
+  }
+
+  rebuildIndex() {
+    this.flows.clear();
+    this.latest.clear();
+    // registerFlow() 的 flow 覆蓋同 id@version 的檔案定義
+    for (const flowSpec of [...this.fileFlows.values(), ...this.registeredFlows.values()]) {
+      const key = flowKey(flowSpec);
+      this.flows.set(key, flowSpec);
+      const current = this.flows.get(this.latest.get(flowSpec.id));
+      if (!current || compareVersions(flowSpec.version, current.version) >= 0) {
+        this.latest.set(flowSpec.id, key);
       }
-    };
-    
-    this.flows.set(diagnosticQaTw.id, diagnosticQaTw);
+    }
   }
-  
-  getFlow(flowId) {
-    return this.flows.get(flowId);
+
+  watch() {
+    if (this.watcher) return true;
+    try {
+      this.watcher = fs.watch(this.flowsDir, (eventType, filename) => {
+        if (filename && !FLOW_FILE_RE.test(String(filename))) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          const { loaded, errors } = this.reload();
+          this.logger.info(`[FlowRegistry] Reloaded ${loaded.length} flow(s)`, errors.length ? { errors } : undefined);
+        }, RELOAD_DEBOUNCE_MS);
+        if (this.reloadTimer.unref) this.reloadTimer.unref();
+      });
+      if (this.watcher.unref) this.watcher.unref();
+      return true;
+    } catch (e) {
+      this.logger.warn(`[FlowRegistry] Hot reload disabled: ${e.message}`);
+      return false;
+    }
   }
-  
-  listFlows() {
-    return Array.from(this.flows.values());
+
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
   }
-  
+
+  /**
+   * @param {string} flowRef - 'id'（最高版本）或 'id@version'
+   */
+  getFlow(flowRef) {
+    if (typeof flowRef !== 'string') return undefined;
+    if (flowRef.includes('@')) return this.flows.get(flowRef);
+    return this.flows.get(this.latest.get(flowRef));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.allVersions=false] - 列出每個 id 的所有版本
+   */
+  listFlows(options = {}) {
+    if (options.allVersions) return Array.from(this.flows.values());
+    return Array.from(this.latest.values()).map((key) => this.flows.get(key));
+  }
+
+  getLoadErrors() {
+    return Array.from(this.loadErrors.entries()).map(([file, error]) => ({ file, error }));
+  }
+
   registerFlow(flowSpec) {
     this.validateFlowSpec(flowSpec);
-    this.flows.set(flowSpec.id, flowSpec);
+    this.registeredFlows.set(flowKey(flowSpec), flowSpec);
+    this.rebuildIndex();
   }
-  
+
   validateFlowSpec(flowSpec) {
-    if (!flowSpec.id || !flowSpec.dag || !flowSpec.dag.nodes) {
-      throw new Error('Invalid flow specification');
+    const validate = getFlowSpecValidator();
+    if (!validate(flowSpec)) {
+      const details = validate.errors.map((e) => `${e.instancePath || '/'} ${e.message}`);
+      throw new FlowValidationError(`Invalid flow specification: ${details.join('; ')}`, details);
     }
-    
+
     // 驗證 DAG 結構
-    const nodeIds = new Set(flowSpec.dag.nodes.map(node => node.id));
-    
-    for (const edge of flowSpec.dag.edges || []) {
+    const nodeIds = new Set();
+    for (const node of flowSpec.dag.nodes) {
+      if (node.id === 'start' || node.id === 'end') {
+        throw new FlowValidationError(`Invalid node id: ${node.id} is reserved`);
+      }
+      if (nodeIds.has(node.id)) {
+        throw new FlowValidationError(`Invalid node id: duplicate ${node.id}`);
+      }
+      nodeIds.add(node.id);
+    }
+
+    for (const edge of flowSpec.dag.edges) {
       if (edge.from !== 'start' && !nodeIds.has(edge.from)) {
-        throw new Error(`Invalid edge: unknown source node ${edge.from}`);
+        throw new FlowValidationError(`Invalid edge: unknown source node ${edge.from}`);
       }
       if (edge.to !== 'end' && !nodeIds.has(edge.to)) {
-        throw new Error(`Invalid edge: unknown target node ${edge.to}`);
+        throw new FlowValidationError(`Invalid edge: unknown target node ${edge.to}`);
+      }
+      // 條件運算式在註冊時就解析，避免執行到一半才發現語法錯誤
+      if (edge.condition !== undefined) {
+        compileCondition(edge.condition);
+      }
+    }
+
+    for (const node of flowSpec.dag.nodes) {
+      validateNodeConditions(node.conditions);
+    }
+
+    const cycle = findCycle(nodeIds, flowSpec.dag.edges);
+    if (cycle) {
+      throw new FlowValidationError(`Invalid DAG: cycle ${cycle.join(' → ')}`);
+    }
+
+    const unreachable = findUnreachable(nodeIds, flowSpec.dag.edges);
+    if (unreachable.length > 0) {
+      throw new FlowValidationError(`Invalid DAG: unreachable from start: ${unreachable.join(', ')}`);
+    }
+  }
+}
+
+function successorsOf(edges) {
+  const next = new Map();
+  for (const edge of edges) {
+    if (!next.has(edge.from)) next.set(edge.from, []);
+    next.get(edge.from).push(edge.to);
+  }
+  return next;
+}
+
+// DFS 三色標記；回傳環上的節點路徑（首尾相同），無環回傳 null
+function findCycle(nodeIds, edges) {
+  const next = successorsOf(edges);
+  const state = new Map(); // nodeId -> 'visiting' | 'done'
+  const stack = [];
+
+  function visit(nodeId) {
+    state.set(nodeId, 'visiting');
+    stack.push(nodeId);
+    for (const to of next.get(nodeId) || []) {
+      if (!nodeIds.has(to)) continue;
+      if (state.get(to) === 'visiting') return [...stack.slice(stack.indexOf(to)), to];
+      if (!state.has(to)) {
+        const found = visit(to);
+        if (found) return found;
+      }
+    }
+    stack.pop();
+    state.set(nodeId, 'done');
+    return null;
+  }
+
+  for (const nodeId of nodeIds) {
+    if (!state.has(nodeId)) {
+      const found = visit(nodeId);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function findUnreachable(nodeIds, edges) {
+  const next = successorsOf(edges);
+  const reached = new Set();
+  const queue = ['start'];
+  while (queue.length > 0) {
+    for (const to of next.get(queue.shift()) || []) {
+      if (!reached.has(to)) {
+        reached.add(to);
+        queue.push(to);
       }
     }
   }
+  return Array.from(nodeIds).filter((id) => !reached.has(id));
 }
 
-module.exports = FlowRegistry;
\ No newline at end of file
+module.exports = FlowRegistry;
+module.exports.FlowValidationError = FlowValidationError;
+module.exports.compareVersions = compareVersions;
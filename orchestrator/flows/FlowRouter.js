@@ -0,0 +1,132 @@
+/**
+ * FlowRouter - 依 flow 的 trigger_conditions 為 ingest 事件挑選 flow
+ *
+ * 比對規則（全部須成立；未宣告的條件不檢查）：
+ *   - event_types: event.type 必須在清單內（未宣告 event_types 的 flow 不參與路由）
+ *   - filters.language: event.language / event.lang / event.features.lang（zh-Hant 視為 zh-tw，不分大小寫）
+ *   - filters.platform: event.platform / event.source.platform
+ *   - filters.min_likes / min_comments: event.features.engagement.likes / comments
+ *
+ * 多個 flow 命中時：trigger_conditions.priority 高者優先 → 命中條件較多者 → flow id 字母序。
+ * 都不命中時回到 fallback（triage flow）。
+ */
+
+const DEFAULT_FALLBACK_FLOW_ID = 'triage_zh_hant_v1';
+
+const LANGUAGE_ALIASES = {
+  'zh-hant': 'zh-tw',
+  'zh-hant-tw': 'zh-tw'
+};
+
+function normalizeLanguage(lang) {
+  if (typeof lang !== 'string' || lang.trim() === '') return null;
+  const lower = lang.trim().toLowerCase();
+  return LANGUAGE_ALIASES[lower] || lower;
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function eventLanguage(event) {
+  return normalizeLanguage(event.language || event.lang || event.features?.lang || event.features?.language);
+}
+
+function eventPlatform(event) {
+  const platform = event.platform || event.source?.platform;
+  return typeof platform === 'string' ? platform.toLowerCase() : null;
+}
+
+/**
+ * @returns {string[]|null} 命中的條件說明；任一條件不成立回傳 null
+ */
+function matchTriggerConditions(trigger, event) {
+  if (!trigger || !Array.isArray(trigger.event_types)) return null;
+
+  const reasons = [];
+  if (!trigger.event_types.includes(event.type)) return null;
+  reasons.push(`event_type=${event.type}`);
+
+  const filters = trigger.filters || {};
+
+  if (filters.language !== undefined) {
+    const lang = eventLanguage(event);
+    if (!lang || !asList(filters.language).map(normalizeLanguage).includes(lang)) return null;
+    reasons.push(`language=${lang}`);
+  }
+
+  if (filters.platform !== undefined) {
+    const platform = eventPlatform(event);
+    if (!platform || !asList(filters.platform).map((p) => String(p).toLowerCase()).includes(platform)) return null;
+    reasons.push(`platform=${platform}`);
+  }
+
+  const engagement = event.features?.engagement || {};
+  for (const [filterKey, field] of [['min_likes', 'likes'], ['min_comments', 'comments']]) {
+    if (filters[filterKey] === undefined) continue;
+    const value = Number(engagement[field] || 0);
+    if (value < filters[filterKey]) return null;
+    reasons.push(`${field}=${value}>=${filters[filterKey]}`);
+  }
+
+  return reasons;
+}
+
+class FlowRouter {
+  /**
+   * @param {Object} options
+   * @param {FlowRegistry} options.flowRegistry
+   * @param {string} [options.fallbackFlowId='triage_zh_hant_v1']
+   */
+  constructor({ flowRegistry, fallbackFlowId = DEFAULT_FALLBACK_FLOW_ID }) {
+    this.flowRegistry = flowRegistry;
+    this.fallbackFlowId = fallbackFlowId;
+  }
+
+  /**
+   * @param {Object} event - ingest event
+   * @returns {{flow_id: string, flow_ref: string|null, matched: boolean, reasons: string[], priority: number|null, candidates: string[]}}
+   */
+  route(event) {
+    const matches = [];
+    for (const flow of this.flowRegistry.listFlows()) {
+      const reasons = matchTriggerConditions(flow.trigger_conditions, event || {});
+      if (reasons) {
+        matches.push({ flow, reasons, priority: Number(flow.trigger_conditions.priority) || 0 });
+      }
+    }
+
+    if (matches.length === 0) {
+      return {
+        flow_id: this.fallbackFlowId,
+        flow_ref: null,
+        matched: false,
+        reasons: ['no_matching_flow'],
+        priority: null,
+        candidates: []
+      };
+    }
+
+    matches.sort((a, b) =>
+      (b.priority - a.priority) ||
+      (b.reasons.length - a.reasons.length) ||
+      a.flow.id.localeCompare(b.flow.id)
+    );
+    const best = matches[0];
+    return {
+      flow_id: best.flow.id,
+      flow_ref: `${best.flow.id}@${best.flow.version}`,
+      matched: true,
+      reasons: best.reasons,
+      priority: best.priority,
+      candidates: matches.map((m) => `${m.flow.id}@${m.flow.version}`)
+    };
+  }
+}
+
+module.exports = {
+  FlowRouter,
+  DEFAULT_FALLBACK_FLOW_ID,
+  matchTriggerConditions,
+  normalizeLanguage
+};
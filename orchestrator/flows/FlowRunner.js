@@ -0,0 +1,438 @@
+/**
+ * FlowRunner - 伺服器端執行 flow DAG（FLOW_EXECUTION_MODE=server）
+ *
+ * 生命週期：
+ *   - ingest 命中有節點的 flow → 建立 kind=FLOW 票據，由 FlowRunner 以 leaseById 自己領取
+ *   - DAGExecutor 逐節點執行（共用 orchestrator 的 ToolGateway），每個節點結果即時寫入 metadata.flow_run.nodes
+ *   - LLM 節點（llm.*）不在伺服器端生成：建立 kind=REPLY 子票據給 VS Code worker，flow 暫停（pending + flow_run.status=waiting）
+ *   - 子票據回填後重新執行：已完成 / 已略過的節點直接沿用 flow_run 內的結果，不重跑
+ *   - 結束（completed / failed）時以 RunReportV1 摘要，寫入 flow_run.run_report_v1（有 LOGS_DIR 時另寫 run_report_v1.json）
+ *
+ * 重啟安全：所有狀態都在票據上；resumePending() 會把 pending 的 FLOW 票據重新排入執行。
+ * 子票據失敗（/fail、LeaseReaper 的 lease_reclaim_exhausted）或 dead-letter：訂閱 ticketStore 事件推進父 flow（→ failed）。
+ *
+ * Env:
+ *   - FLOW_EXECUTION_MODE (off | server; default off)
+ *   - FLOW_LEASE_SEC      (default 300；單次推進的租約，過期由 LeaseReaper 收回後再排入)
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DAGExecutor = require('../dag_executor/DAGExecutor');
+const { NodeWaiting } = DAGExecutor;
+const { createRunReportV1, appendAttemptEvent, ATTEMPT_EVENT_TYPES_V1 } = require('../lib/run_report/createRunReportV1');
+const { createStepReportV1 } = require('../lib/run_report/createStepReportV1');
+const { writeRunReportV1 } = require('../lib/run_report/writeRunReportV1');
+const { mapToStableCode } = require('../lib/run_report/stable_codes');
+const { appendGatewayAttemptEvents } = require('../lib/tool_runner/RunnerCore');
+const { RUN_STATUS, RUN_CODES } = require('../lib/tool_runner/ssot');
+
+const { TICKET_EVENT_TYPES } = require('../lib/ticket_events/TicketEventLog');
+
+const FLOW_TICKET_KIND = 'FLOW';
+const FLOW_RUNNER_OWNER = 'orchestrator:flow_runner';
+const DEFAULT_LEASE_SEC = 300;
+
+const FLOW_RUN_STATUS = Object.freeze({
+  RUNNING: 'running',
+  WAITING: 'waiting',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+});
+
+function isLlmTool(toolName) {
+  return typeof toolName === 'string' && toolName.startsWith('llm.');
+}
+
+function summarizeResult(result) {
+  if (result && typeof result === 'object') return Object.keys(result).join(', ');
+  return String(result === undefined ? '' : result).slice(0, 100);
+}
+
+/**
+ * LLM 節點輸入 → REPLY worker 看得懂的 reply_input
+ */
+function buildReplyInput(inputs) {
+  const { persona, strategy, ...rest } = inputs || {};
+  return {
+    strategy: strategy || persona || null,
+    context_notes: Object.keys(rest).length > 0 ? JSON.stringify(rest, null, 2) : ''
+  };
+}
+
+/**
+ * REPLY 回填 → LLM 節點輸出（下游以 ${<node>.draft} 取用）
+ */
+function toLlmNodeResult(outputs = {}) {
+  return {
+    ...outputs,
+    draft: outputs.draft !== undefined ? outputs.draft : (outputs.reply !== undefined ? outputs.reply : null),
+    confidence: typeof outputs.confidence === 'number' ? outputs.confidence : null
+  };
+}
+
+class FlowRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ticketStore
+   * @param {Object} options.flowRegistry
+   * @param {Object} options.toolGateway - orchestrator 共用的 ToolGateway
+   * @param {boolean} [options.useStubs=false] - NO_MCP：stub 工具不經 gateway
+   * @param {Function} [options.audit] - (entry) => void（flow_runs.jsonl）
+   * @param {Object} [options.logger]
+   * @param {Object} [options.env=process.env]
+   */
+  constructor({ ticketStore, flowRegistry, toolGateway, useStubs = false, audit, logger = console, env = process.env } = {}) {
+    if (!ticketStore) throw new Error('FlowRunner requires ticketStore');
+    if (!flowRegistry) throw new Error('FlowRunner requires flowRegistry');
+    this.ticketStore = ticketStore;
+    this.flowRegistry = flowRegistry;
+    this.logger = logger;
+    this.audit = audit || (() => {});
+    this.enabled = env.FLOW_EXECUTION_MODE === 'server';
+    this.leaseSec = Number(env.FLOW_LEASE_SEC) > 0 ? Number(env.FLOW_LEASE_SEC) : DEFAULT_LEASE_SEC;
+    this.logsDir = env.LOGS_DIR ? String(env.LOGS_DIR) : null;
+
+    this.executor = new DAGExecutor({
+      logExecution: (execution_id, status, details = {}) => this.audit({ type: 'execution', execution_id, status, ...details }),
+      logTask: (task_id, flow_id, tool, details = {}) => this.audit({ type: 'task', task_id, flow_id, tool, ...details })
+    }, {
+      toolGateway,
+      useStubs,
+      nodeHandler: (node, inputs, context) => this.handleNode(node, inputs, context)
+    });
+
+    // 子票據的失敗不一定經過 HTTP 路由（LeaseReaper / dead-letter），以 store 事件為準
+    if (ticketStore.events && typeof ticketStore.events.subscribe === 'function') {
+      this.unsubscribe = ticketStore.events.subscribe((event) => this.onTicketEvent(event));
+    }
+
+    this.active = new Map(); // ticketId -> promise
+    this.rerun = new Set();
+    this.counters = {
+      started_total: 0,
+      completed_total: 0,
+      failed_total: 0,
+      waiting_total: 0,
+      sub_tickets_total: 0
+    };
+  }
+
+  /**
+   * ingest 用：route 命中且 flow 有節點才走伺服器端執行
+   * @returns {Object|null} flowSpec
+   */
+  resolveExecutableFlow(route) {
+    if (!this.enabled || !route || !route.matched) return null;
+    const flow = this.flowRegistry.getFlow(route.flow_ref || route.flow_id);
+    return flow && flow.dag && Array.isArray(flow.dag.nodes) && flow.dag.nodes.length > 0 ? flow : null;
+  }
+
+  /**
+   * 非同步推進（不等待）；同一張票據執行中再次觸發 → 結束後再跑一次
+   */
+  schedule(ticketId) {
+    this.advance(ticketId).catch((err) => {
+      this.logger.error(`[FlowRunner] Ticket ${ticketId} advance failed: ${err.message}`);
+    });
+  }
+
+  /**
+   * 重新排入所有 pending 的 FLOW 票據（啟動時 / LeaseReaper 收回後）
+   * @returns {Promise<string[]>} scheduled ticket ids
+   */
+  async resumePending(ticketIds = null) {
+    const pending = await this.ticketStore.list({ status: 'pending', kind: FLOW_TICKET_KIND });
+    const ids = pending
+      .map((t) => t.id)
+      .filter((id) => !ticketIds || ticketIds.includes(id));
+    ids.forEach((id) => this.schedule(id));
+    return ids;
+  }
+
+  async advance(ticketId) {
+    if (this.active.has(ticketId)) {
+      this.rerun.add(ticketId);
+      return this.active.get(ticketId);
+    }
+
+    const promise = this._advanceOnce(ticketId).finally(() => {
+      this.active.delete(ticketId);
+      if (this.rerun.delete(ticketId)) this.schedule(ticketId);
+    });
+    this.active.set(ticketId, promise);
+    return promise;
+  }
+
+  async _advanceOnce(ticketId) {
+    const ticket = await this.ticketStore.get(ticketId);
+    if (!ticket || ticket.metadata?.kind !== FLOW_TICKET_KIND || ticket.status !== 'pending') return null;
+
+    const leased = await this.ticketStore.leaseById(ticketId, this.leaseSec, FLOW_RUNNER_OWNER);
+    if (!leased.ok) return null;
+    const proof = { lease_owner: leased.ticket.metadata.lease_owner, lease_token: leased.ticket.metadata.lease_token };
+
+    const flowRef = ticket.metadata.flow_routing?.flow_ref || ticket.flow_id;
+    const flowRun = ticket.metadata.flow_run || {
+      flow_ref: flowRef,
+      status: FLOW_RUN_STATUS.RUNNING,
+      started_at: new Date().toISOString(),
+      passes: 0,
+      order: [],
+      nodes: {}
+    };
+    flowRun.status = FLOW_RUN_STATUS.RUNNING;
+    flowRun.passes += 1;
+    if (flowRun.passes === 1) this.counters.started_total += 1;
+
+    const flow = this.flowRegistry.getFlow(flowRef);
+    if (!flow) {
+      flowRun.error = `flow_not_found:${flowRef}`;
+      return this.finish(ticket, flowRun, proof, { status: 'failed', error: new Error(flowRun.error), failed_node_id: null });
+    }
+
+    // 續跑：沿用已完成 / 已略過的節點
+    const results = {};
+    const skipped = {};
+    for (const [nodeId, record] of Object.entries(flowRun.nodes)) {
+      if (record.status === 'ok') results[nodeId] = record.result;
+      if (record.status === 'skipped') skipped[nodeId] = record.reason;
+    }
+
+    await this.ticketStore.recordFlowRun(ticketId, flowRun);
+
+    let outcome;
+    try {
+      outcome = await this.executor.run(flow, ticket, {
+        results,
+        skipped,
+        onNodeSettled: (nodeId, record) => this.recordNode(ticketId, flowRun, nodeId, record)
+      });
+    } catch (e) {
+      outcome = { status: 'failed', error: e, failed_node_id: null };
+    }
+
+    if (outcome.status === 'waiting') {
+      flowRun.status = FLOW_RUN_STATUS.WAITING;
+      flowRun.waiting = outcome.waiting.map((w) => ({ node_id: w.node_id, sub_ticket_id: w.sub_ticket_id || null }));
+      await this.ticketStore.recordFlowRun(ticketId, flowRun);
+      await this.ticketStore.release(ticketId, proof);
+      this.counters.waiting_total += 1;
+      this.logger.info(`[FlowRunner] Ticket ${ticketId} waiting on ${flowRun.waiting.map((w) => w.node_id).join(', ')}`);
+      return flowRun;
+    }
+
+    return this.finish(ticket, flowRun, proof, outcome);
+  }
+
+  recordNode(ticketId, flowRun, nodeId, record) {
+    const previous = flowRun.nodes[nodeId] || {};
+    if (!flowRun.order.includes(nodeId)) flowRun.order.push(nodeId);
+
+    const entry = {
+      status: record.status,
+      tool: record.tool,
+      // 等待後續跑：保留第一次開始的時間
+      started_at: previous.started_at || record.started_at || new Date().toISOString(),
+      ended_at: record.ended_at || new Date().toISOString()
+    };
+    entry.duration_ms = Math.max(0, Date.parse(entry.ended_at) - Date.parse(entry.started_at)) || 0;
+
+    const subTicketId = (record.waiting && record.waiting.sub_ticket_id) || previous.sub_ticket_id;
+    if (subTicketId) entry.sub_ticket_id = subTicketId;
+    if (record.status === 'ok') entry.result = record.result;
+    if (record.status === 'skipped') entry.reason = record.reason;
+    if (record.status === 'failed') {
+      const err = record.error || {};
+      entry.error = err.message || String(err);
+      entry.code = mapToStableCode(err.gateway_code || err);
+    }
+    if (Array.isArray(record.attempt_events) && record.attempt_events.length > 0) {
+      entry.attempt_events = record.attempt_events;
+    }
+
+    flowRun.nodes[nodeId] = entry;
+    this.ticketStore.recordFlowRun(ticketId, flowRun).catch((e) => {
+      this.logger.warn(`[FlowRunner] Persist node ${nodeId} of ${ticketId} failed: ${e.message}`);
+    });
+  }
+
+  /**
+   * DAGExecutor nodeHandler：只接手 LLM 節點，其餘回 undefined 交給 stub / ToolGateway
+   */
+  async handleNode(node, inputs, context) {
+    if (!isLlmTool(node.tool)) return undefined;
+
+    const parent = await this.ticketStore.get(context.ticket_id);
+    const existingId = parent?.metadata?.flow_run?.nodes?.[node.id]?.sub_ticket_id;
+
+    if (existingId) {
+      const sub = await this.ticketStore.get(existingId);
+      if (sub && sub.status === 'done') return toLlmNodeResult(sub.metadata.final_outputs || {});
+      if (sub && (sub.status === 'failed' || sub.status === 'dead_letter')) {
+        const err = new Error(`LLM sub-ticket ${existingId} ${sub.status}: ${sub.metadata.error || 'unknown'}`);
+        err.code = RUN_CODES.TOOL_EXEC_FAILED;
+        throw err;
+      }
+      if (sub) return new NodeWaiting({ sub_ticket_id: existingId });
+    }
+
+    const subTicketId = uuidv4();
+    await this.ticketStore.create({
+      id: subTicketId,
+      ticket_id: subTicketId,
+      type: 'DraftTicket',
+      status: 'pending',
+      flow_id: parent.flow_id,
+      event: parent.event,
+      metadata: {
+        created_at: new Date().toISOString(),
+        candidate_id: parent.metadata.candidate_id,
+        prompt_id: inputs.prompt_id || 'reply.standard',
+        // VS Code worker 以 REPLY 處理；回填後回到 flow，不進審核佇列
+        kind: 'REPLY',
+        reply_input: buildReplyInput(inputs),
+        flow_parent: {
+          ticket_id: parent.id,
+          node_id: node.id,
+          flow_ref: parent.metadata.flow_run?.flow_ref || parent.flow_id
+        }
+      }
+    });
+    this.counters.sub_tickets_total += 1;
+    this.logger.info(`[FlowRunner] Node ${node.id} of ${parent.id} → LLM sub-ticket ${subTicketId}`);
+    return new NodeWaiting({ sub_ticket_id: subTicketId });
+  }
+
+  /**
+   * 子票據結束（done / failed）→ 推進父 flow
+   */
+  onSubTicketSettled(subTicket) {
+    const parentId = subTicket?.metadata?.flow_parent?.ticket_id;
+    if (parentId) this.schedule(parentId);
+  }
+
+  /**
+   * ticketStore 事件：failed / dead_lettered 的 flow 子票據 → 推進父 flow
+   */
+  onTicketEvent(event) {
+    if (event.type !== TICKET_EVENT_TYPES.FAILED && event.type !== TICKET_EVENT_TYPES.DEAD_LETTERED) return;
+    this.ticketStore.get(event.ticket_id).then((ticket) => {
+      if (ticket?.metadata?.flow_parent) this.onSubTicketSettled(ticket);
+    }).catch((err) => {
+      this.logger.warn(`[FlowRunner] Ticket event ${event.type} for ${event.ticket_id} not handled: ${err.message}`);
+    });
+  }
+
+  async finish(ticket, flowRun, proof, outcome) {
+    const ok = outcome.status === 'completed';
+    flowRun.status = ok ? FLOW_RUN_STATUS.COMPLETED : FLOW_RUN_STATUS.FAILED;
+    flowRun.ended_at = new Date().toISOString();
+    delete flowRun.waiting;
+    if (!ok) {
+      flowRun.failed_node_id = outcome.failed_node_id || null;
+      flowRun.error = flowRun.error || outcome.error?.message || 'flow_failed';
+    }
+
+    const report = this.buildRunReport(ticket.id, flowRun);
+    flowRun.run_report_v1 = report;
+    flowRun.evidence_run_id = this.writeRunReport(ticket.id, report);
+    await this.ticketStore.recordFlowRun(ticket.id, flowRun);
+
+    if (ok) {
+      await this.ticketStore.complete(ticket.id, {
+        flow_ref: flowRun.flow_ref,
+        results: outcome.results,
+        skipped: outcome.skipped
+      }, FLOW_RUNNER_OWNER, proof);
+      this.counters.completed_total += 1;
+      this.logger.info(`[FlowRunner] Ticket ${ticket.id} flow ${flowRun.flow_ref} completed`);
+    } else {
+      await this.ticketStore.fail(ticket.id, flowRun.failed_node_id ? `flow_node_failed:${flowRun.failed_node_id}` : flowRun.error, FLOW_RUNNER_OWNER, proof);
+      this.counters.failed_total += 1;
+      this.logger.warn(`[FlowRunner] Ticket ${ticket.id} flow ${flowRun.flow_ref} failed: ${flowRun.error}`);
+    }
+    return flowRun;
+  }
+
+  /**
+   * flow_run.nodes（依開始順序）→ RunReportV1；略過的節點記為 ok + result_summary "skipped:<reason>"
+   */
+  buildRunReport(ticketId, flowRun) {
+    const bag = { attempt_events: [] };
+    appendAttemptEvent(bag, { type: ATTEMPT_EVENT_TYPES_V1.RUN_START, message: `flow:${flowRun.flow_ref}` });
+
+    const stepReports = flowRun.order.map((nodeId, i) => {
+      const node = flowRun.nodes[nodeId];
+      const stepIndex = i + 1;
+      const status = node.status === 'failed' ? RUN_STATUS.FAILED : RUN_STATUS.OK;
+      const code = node.status === 'failed' ? node.code : null;
+      const summary = node.status === 'skipped' ? `skipped:${node.reason}` : node.status === 'failed' ? node.error : summarizeResult(node.result);
+
+      appendAttemptEvent(bag, { type: ATTEMPT_EVENT_TYPES_V1.STEP_START, step_index: stepIndex, tool_name: node.tool, message: `node:${nodeId}` });
+      appendGatewayAttemptEvents(bag, node.attempt_events, { stepIndex, toolName: node.tool });
+      appendAttemptEvent(bag, { type: ATTEMPT_EVENT_TYPES_V1.STEP_END, step_index: stepIndex, tool_name: node.tool, status, code, message: summary });
+
+      return createStepReportV1({
+        step_index: stepIndex,
+        tool_name: node.tool,
+        status,
+        code,
+        started_at: node.started_at,
+        ended_at: node.ended_at,
+        duration_ms: node.duration_ms,
+        result_summary: summary
+      });
+    });
+
+    const failedStep = stepReports.find((s) => s.status === RUN_STATUS.FAILED);
+    const terminalStatus = flowRun.status === FLOW_RUN_STATUS.COMPLETED ? RUN_STATUS.OK : RUN_STATUS.FAILED;
+    const primaryCode = terminalStatus === RUN_STATUS.OK ? null : (failedStep ? failedStep.code : RUN_CODES.TOOL_EXEC_FAILED);
+    appendAttemptEvent(bag, { type: ATTEMPT_EVENT_TYPES_V1.RUN_END, status: terminalStatus, code: primaryCode, message: flowRun.status });
+
+    return createRunReportV1({
+      ticket_id: ticketId,
+      terminal_status: terminalStatus,
+      primary_failure_code: primaryCode,
+      started_at: flowRun.started_at,
+      ended_at: flowRun.ended_at,
+      duration_ms: Math.max(0, Date.parse(flowRun.ended_at) - Date.parse(flowRun.started_at)) || 0,
+      step_reports: stepReports,
+      attempt_events: bag.attempt_events
+    });
+  }
+
+  /**
+   * @returns {string|null} evidence_run_id（沒有 LOGS_DIR 或寫入失敗 → null）
+   */
+  writeRunReport(ticketId, report) {
+    if (!this.logsDir) return null;
+    const evidenceRunId = `fr_${String(ticketId).slice(0, 8)}_${Date.now().toString(36)}`;
+    try {
+      writeRunReportV1({
+        filePath: path.resolve(this.logsDir, evidenceRunId, 'run_report_v1.json'),
+        reportV1: report
+      });
+      return evidenceRunId;
+    } catch (e) {
+      this.logger.warn(`[FlowRunner] run_report_v1 write failed for ${ticketId}: ${e.message}`);
+      return null;
+    }
+  }
+
+  getMetrics() {
+    return {
+      enabled: this.enabled,
+      active: this.active.size,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  FlowRunner,
+  FLOW_TICKET_KIND,
+  FLOW_RUNNER_OWNER,
+  FLOW_RUN_STATUS
+};
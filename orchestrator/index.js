@@ -3,19 +3,20 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const { v4: uuidv4 } = require('uuid');
 
 const TicketStore = require('./store/TicketStore');
 const ToolGateway = require('./tool_gateway/ToolGateway');
+const { RATE_LIMITED } = require('./tool_gateway/RateLimiter');
 const { resolveRuntimeEnv } = require('./shared/constants');
 const deriveToolTicketFromTriage = require('./lib/deriveToolTicketFromTriage');
 const { maybeDeriveReplyFromToolOnFill } = require('./lib/maybeDeriveReplyFromToolOnFill');
+const { POST_FILL_PIPELINES, resolvePostFillPipeline } = require('./lib/postFillPipeline');
 const schemaGate = require('./lib/schemaGate');
 const { emitGuardRejectionEvidenceV1 } = require('./lib/evidence/emitGuardRejectionEvidenceV1');
 const { emitReadinessBlockedEvidenceV1 } = require('./lib/evidence/emitReadinessBlockedEvidenceV1');
 const { emitToolFailEvidenceV1 } = require('./lib/evidence/emitToolFailEvidenceV1');
-const { TOOL_ARGS_ALLOWLIST } = require('./lib/tool_runner/ssot');
+const { TOOL_ARGS_ALLOWLIST, RUN_CODES } = require('./lib/tool_runner/ssot');
 
 // --- M2-C.1 Cutover observability ---
 const { createCutoverPolicy } = require('./lib/compat/CutoverPolicy');
@@ -25,6 +26,25 @@ const { cutoverMetrics } = require('./lib/compat/cutoverMetrics');
 const { evaluateReadiness } = require('./lib/readiness/evaluateReadiness');
 const { requireDeps } = require('./lib/readiness/requireDeps');
 const { readinessMetrics } = require('./lib/readiness/readinessMetrics');
+const { LeaseReaper } = require('./lib/lease_reaper/LeaseReaper');
+const { RetryScheduler } = require('./lib/retry_policy/RetryScheduler');
+const { LeasePolicy } = require('./lib/lease_policy/LeasePolicy');
+const FlowRegistry = require('./flows/FlowRegistry');
+const { FlowRouter } = require('./flows/FlowRouter');
+const { FlowRunner, FLOW_TICKET_KIND } = require('./flows/FlowRunner');
+const { ApiAuth } = require('./lib/auth/ApiAuth');
+const { loadIdentities } = require('./lib/auth/loadIdentities');
+const { AUTH_CODES } = require('./lib/auth/ssot');
+const { ReplyPublisher } = require('./lib/approval/ReplyPublisher');
+const { TRIAGE_BATCH_MODES, resolveBatchOptions, waitForTriageDecisions } = require('./lib/triage_batch/syncTriageBatch');
+const { IngestDedup } = require('./lib/ingest_dedup/IngestDedup');
+const { TriageFilter } = require('./lib/triage_rules/TriageFilter');
+const { CandidateClusterer, CLUSTER_ROLES, CLUSTER_REPLY_MODES, CLUSTER_MEMBER_BLOCK_CODE } = require('./lib/clustering/CandidateClusterer');
+const { IdempotencyStore } = require('./lib/idempotency/IdempotencyStore');
+const { metricsRegistry, METRIC_TYPES, OPENMETRICS_CONTENT_TYPE } = require('./lib/metrics/MetricsRegistry');
+
+// 401 rejection evidence 最多每秒一份（未認證請求不可無限放大磁碟寫入）
+const AUTH_EVIDENCE_MIN_INTERVAL_MS = 1000;
 const { formatStrictInitFailOutput, depsForToolName } = require('./lib/readiness/ssot');
 
 // --- [CONFIG] NO_MCP Boot Mode ---
@@ -56,6 +76,20 @@ const mcpConfig = NO_MCP
 // --- [CONFIG] 日誌開關 ---
 const ENABLE_AUDIT_LOGS = process.env.ENABLE_AUDIT_LOGS !== 'false';
 
+// --- [CONFIG] REPLY 人工審核 ---
+// 預設 REPLY fill 後停在 awaiting_approval；false 則維持舊行為（直接 done）
+const REPLY_APPROVAL_REQUIRED = process.env.REPLY_APPROVAL_REQUIRED !== 'false';
+
+// --- [CONFIG] TRIAGE 核准後的管線 ---
+// tool：TRIAGE → TOOL（RunnerCore 執行 notebooklm 等 tool_steps）→ REPLY；legacy：handlePostFillAutomation（待移除）
+const POST_FILL_PIPELINE = resolvePostFillPipeline();
+
+// --- [CONFIG] 票據事件串流 (SSE) ---
+// 沒有事件時定期送出註解行，避免 proxy / client 判定連線閒置
+const TICKET_EVENTS_HEARTBEAT_MS = Number(process.env.TICKET_EVENTS_HEARTBEAT_MS) > 0
+  ? Number(process.env.TICKET_EVENTS_HEARTBEAT_MS)
+  : 15000;
+
 // --- [CONFIG] MCP Path Resolution Helper ---
 /**
  * Resolve MCP server entrypoint paths relative to repo root.
@@ -108,60 +142,7 @@ const logger = {
   warn: (msg, meta) => console.warn(`[WARN] ${msg}`, meta ? JSON.stringify(meta) : '')
 };
 
-// --- 2. 流量過濾器 (TriageFilter) ---
-class TriageFilter {
-  constructor() {
-    this.rules = this.loadRules();
-  }
-
-  loadRules() {
-    try {
-      const p = path.resolve(process.cwd(), 'rules/triage.yaml');
-      if (fs.existsSync(p)) {
-        const doc = yaml.load(fs.readFileSync(p, 'utf8'));
-        logger.info(`Loaded triage rules from ${p}`);
-        return doc || {};
-      }
-    } catch (e) {
-      logger.warn('Failed to load triage rules, using defaults', e.message);
-    }
-    return {
-      gate0: { enabled: true, min_len: 10 },
-      gate0b: { enabled: true, min_likes: 10, min_comments: 5 }
-    };
-  }
-
-  check(event) {
-    const content = event.content || (event.context_digest?.target_snippet) || '';
-    const features = event.features || {};
-    const engagement = features.engagement || {};
-
-    const g0 = this.rules.gate0;
-    if (g0 && g0.enabled) {
-      const minLen = g0.min_len || 0;
-      if (content.length < minLen) {
-        return { pass: false, reason: `Too short (${content.length} < ${minLen})` };
-      }
-    }
-
-    const g0b = this.rules.gate0b;
-    if (g0b && g0b.enabled) {
-      const likes = Number(engagement.likes || 0);
-      const comments = Number(engagement.comments || 0);
-      
-      if (likes < (g0b.min_likes || 0)) {
-        return { pass: false, reason: `Low likes (${likes} < ${g0b.min_likes})` };
-      }
-      if (comments < (g0b.min_comments || 0)) {
-        return { pass: false, reason: `Low comments (${comments} < ${g0b.min_comments})` };
-      }
-    }
-
-    return { pass: true };
-  }
-}
-
-// --- 3. Orchestrator 主程式 ---
+// --- 2. Orchestrator 主程式 ---
 class Orchestrator {
   constructor() {
     this.app = express();
@@ -169,7 +150,9 @@ class Orchestrator {
     
     // Support custom TicketStore path for testing
     const storePath = process.env.TICKETSTORE_PATH || null;
-    this.ticketStore = new TicketStore(storePath);
+    // Lease ordering: priority class × kind weight + engagement + aging (LEASE_POLICY=fifo to disable)
+    this.leasePolicy = new LeasePolicy();
+    this.ticketStore = new TicketStore(storePath, { leasePolicy: this.leasePolicy });
 
     // Setup TicketStore audit logger (guardrail rejects)
     if (typeof TicketStore.setAuditLogger === 'function') {
@@ -177,10 +160,65 @@ class Orchestrator {
         this.writeAuditLog('ticket_store.jsonl', entry);
       });
     }
+    // Lease reaper: recover tickets whose worker died while holding the lease
+    this.leaseReaper = new LeaseReaper({
+      ticketStore: this.ticketStore,
+      logger,
+      // 收回的 FLOW 票據由 FlowRunner 重新推進（沒有 worker 會領 FLOW）
+      onReclaimed: (ids) => this.flowRunner && this.flowRunner.enabled && this.flowRunner.resumePending(ids)
+    });
+    // Retry policy: failed → pending（backoff）或重試用盡 → dead_letter（/v1/dead-letters 人工處理）
+    this.retryScheduler = new RetryScheduler({ ticketStore: this.ticketStore, logger });
     // Resolve MCP paths before initializing ToolGateway
     const resolvedConfig = resolveMCPPaths(mcpConfig);
     this.toolGateway = new ToolGateway(logger, resolvedConfig);
-    this.filter = new TriageFilter();
+    // 核准後的 REPLY 經 ToolGateway 發送（reply.send / threads.post_reply）
+    this.replyPublisher = new ReplyPublisher({ toolGateway: this.toolGateway, logger });
+    this.approvalsInFlight = new Set();
+    // Ingest 規則（rules/triage.yaml，可熱更新）
+    this.filter = new TriageFilter({ logger });
+    // 同一貼文（candidate_id / seed.value）在時間窗內只建一張票；重啟後由既有票據回填
+    this.ingestDedup = new IngestDedup();
+    this.ingestDedup.seed(this.ticketStore.tickets.values());
+    // 近似重複 / copypasta 分群：只 triage 代表票，成員繼承決策（INGEST_CLUSTERING=on）
+    this.clusterer = new CandidateClusterer({
+      ticketStore: this.ticketStore,
+      awaitReplyApproval: REPLY_APPROVAL_REQUIRED,
+      onMemberTriaged: async (member, outputs) => {
+        if (POST_FILL_PIPELINE === POST_FILL_PIPELINES.TOOL) {
+          await this.deriveToolTicket(member, outputs);
+        } else {
+          await this.handlePostFillAutomation(member, outputs);
+        }
+      },
+      logger
+    });
+    this.clusterer.seed(this.ticketStore.tickets.values());
+    // Idempotency-Key：ingest 重送時重播第一次的回應
+    this.idempotency = new IdempotencyStore();
+    // Declarative flows (flows/*.yaml), validated against schemas/flowspec.json
+    this.flowRegistry = new FlowRegistry({ logger });
+    // Ingest 時依 trigger_conditions 選 flow，沒有命中則走 triage
+    this.flowRouter = new FlowRouter({ flowRegistry: this.flowRegistry });
+    // FLOW_EXECUTION_MODE=server：命中的 flow DAG 在伺服器端逐節點執行（LLM 節點 → REPLY 子票據）
+    this.flowRunner = new FlowRunner({
+      ticketStore: this.ticketStore,
+      flowRegistry: this.flowRegistry,
+      toolGateway: this.toolGateway,
+      useStubs: NO_MCP,
+      audit: (entry) => this.writeAuditLog('flow_runs.jsonl', entry),
+      logger
+    });
+    // API auth: bearer / HMAC identities (disabled when none configured)
+    this.apiAuth = new ApiAuth({
+      identities: loadIdentities(),
+      resolveTicketKind: async (id) => {
+        const ticket = await this.ticketStore.get(id);
+        return ticket ? (ticket.metadata?.kind || null) : undefined;
+      },
+      onReject: (req, rejection) => this.onAuthRejected(req, rejection)
+    });
+    this.authEvidenceLastAt = 0;
     
     if (ENABLE_AUDIT_LOGS) {
       const logDir = path.resolve(process.cwd(), 'logs');
@@ -243,9 +281,27 @@ class Orchestrator {
     }
 
     this.app.use(cors());
-    this.app.use(bodyParser.json({ limit: '10mb' }));
+    // rawBody is kept for HMAC request signatures
+    this.app.use(bodyParser.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
+    this.app.use(this.apiAuth.middleware());
+    if (!this.apiAuth.enabled) {
+      logger.warn('[Auth] No API identities configured (ORCH_AUTH_CONFIG / ORCH_AUTH_TOKEN) - HTTP API is unauthenticated');
+    }
 
     this.setupRoutes();
+    this.leaseReaper.start();
+    this.retryScheduler.start();
+    this.clusterer.start();
+    if (this.flowRunner.enabled) {
+      const resumed = await this.flowRunner.resumePending();
+      if (resumed.length > 0) logger.info(`[FlowRunner] Resumed ${resumed.length} pending flow tickets`);
+    }
+    if (process.env.FLOWS_WATCH !== 'false') {
+      this.flowRegistry.watch();
+    }
+    if (process.env.TRIAGE_RULES_WATCH !== 'false') {
+      this.filter.watch();
+    }
 
     this.app.listen(this.port, () => {
       logger.info(`Orchestrator running at http://localhost:${this.port}`);
@@ -264,6 +320,57 @@ class Orchestrator {
     });
   }
 
+  /**
+   * ApiAuth rejection hook: audit every rejection, emit guard rejection evidence when enabled.
+   * Returns { evidence_run_id } when evidence was written.
+   */
+  onAuthRejected(req, rejection) {
+    const ticketId = (req.params && req.params.id) || (/\/tickets\/([^/]+)\//.exec(req.path) || [])[1] || null;
+    this.writeAuditLog('auth.jsonl', {
+      action: 'auth_rejected',
+      code: rejection.code,
+      reason: rejection.reason,
+      method: req.method,
+      path: req.path,
+      auth_method: rejection.method,
+      identity: rejection.identity_name,
+      required_scope: rejection.required_scope || null,
+      ticket_id: ticketId,
+      ip: req.ip
+    });
+
+    if (process.env.ENABLE_GUARD_REJECTION_EVIDENCE !== '1') return null;
+    if (rejection.code === AUTH_CODES.UNAUTHENTICATED) {
+      const now = Date.now();
+      if (now - this.authEvidenceLastAt < AUTH_EVIDENCE_MIN_INTERVAL_MS) return null;
+      this.authEvidenceLastAt = now;
+    }
+
+    try {
+      return emitGuardRejectionEvidenceV1({
+        ticket_id: ticketId,
+        stable_code: rejection.code,
+        http: {
+          method: req.method,
+          path: req.originalUrl || req.path,
+          status: rejection.status,
+          request_id: req.headers['x-request-id'] || null
+        },
+        auth: {
+          reason: rejection.reason,
+          method: rejection.method,
+          identity: rejection.identity_name,
+          required_scope: rejection.required_scope,
+          credential_hash: rejection.credential_hash,
+          lease_owner_provided: rejection.lease_owner_provided
+        }
+      });
+    } catch (e) {
+      logger.error('emitGuardRejectionEvidenceV1 (auth) failed', e);
+      return null;
+    }
+  }
+
   writeAuditLog(filename, data) {
     if (!ENABLE_AUDIT_LOGS) return;
     const filepath = path.resolve(process.cwd(), 'logs', filename);
@@ -276,6 +383,130 @@ class Orchestrator {
     });
   }
 
+  /**
+   * Instance-level families for /metrics/prom (module counters register themselves on load).
+   * Collectors are read at scrape time, so the JSON /metrics and the text exposition agree.
+   */
+  registerMetricsCollectors() {
+    metricsRegistry.collector({
+      name: 'orchestrator_tickets',
+      help: 'Tickets currently in each status',
+      type: METRIC_TYPES.GAUGE,
+      collect: () => {
+        const counts = this.ticketStore.index.countByStatus();
+        return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+      }
+    });
+    metricsRegistry.collector({
+      name: 'orchestrator_readiness_dep_ready',
+      help: 'Dependency readiness (1 = ready) by dep / required',
+      type: METRIC_TYPES.GAUGE,
+      collect: () => {
+        const snapshot = readinessMetrics.getMetricsSnapshot(evaluateReadiness(this.toolGateway.getDepStates(), new Date()));
+        return [
+          ...Object.entries(snapshot.required_ready).map(([dep, value]) => ({ labels: { dep, required: 'true' }, value })),
+          ...Object.entries(snapshot.optional_ready).map(([dep, value]) => ({ labels: { dep, required: 'false' }, value }))
+        ];
+      }
+    });
+    metricsRegistry.collector({
+      name: 'orchestrator_triage_skipped',
+      help: 'Ingest events skipped by the triage filter, by rule id',
+      type: METRIC_TYPES.COUNTER,
+      collect: () => Object.entries(this.filter.getMetrics().skipped_by_rule).map(([rule, value]) => ({ labels: { rule }, value }))
+    });
+    metricsRegistry.collector({
+      name: 'orchestrator_lease_reclaimed',
+      help: 'Expired leases reclaimed by the lease reaper (outcome = pending | exhausted)',
+      type: METRIC_TYPES.COUNTER,
+      collect: () => {
+        const { reclaimed_total, exhausted_total } = this.leaseReaper.getMetrics();
+        return [
+          { labels: { outcome: 'pending' }, value: reclaimed_total },
+          { labels: { outcome: 'exhausted' }, value: exhausted_total }
+        ];
+      }
+    });
+    metricsRegistry.collector({
+      name: 'orchestrator_retry_policy',
+      help: 'Failed tickets handled by the retry policy (outcome = retried | dead_lettered)',
+      type: METRIC_TYPES.COUNTER,
+      collect: () => {
+        const { retried_total, dead_lettered_total } = this.retryScheduler.getMetrics();
+        return [
+          { labels: { outcome: 'retried' }, value: retried_total },
+          { labels: { outcome: 'dead_lettered' }, value: dead_lettered_total }
+        ];
+      }
+    });
+  }
+
+  /**
+   * 409 response for lease proof failures (shared by /fill, /heartbeat, /nack, /fail).
+   * On lease_owner_mismatch, emits guard rejection evidence when ENABLE_GUARD_REJECTION_EVIDENCE=1.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} params
+   * @param {Object} params.ticket - Ticket as seen before the rejected operation
+   * @param {string} params.code - Store result code (lease_owner_mismatch | lease_conflict | ...)
+   * @param {Object} [params.expected] - { lease_owner, lease_token } held by the ticket
+   * @param {Object} [params.provided] - { lease_owner, lease_token } presented by the caller
+   * @param {Object} [params.details] - Optional low-cardinality details (lease_conflict)
+   */
+  respondLeaseRejection(req, res, { ticket, code, expected = {}, provided = {}, details }) {
+    let evidence_run_id = null;
+    let evidence_error = null;
+    try {
+      const enableGuardEvidence = process.env.ENABLE_GUARD_REJECTION_EVIDENCE === '1';
+      if (enableGuardEvidence && code === 'lease_owner_mismatch') {
+        const ev = emitGuardRejectionEvidenceV1({
+          ticket_id: ticket.id,
+          ticket_kind: ticket?.metadata?.kind || null,
+          stable_code: 'lease_owner_mismatch',
+          http: {
+            method: req.method,
+            path: req.originalUrl || req.path,
+            status: 409,
+            request_id: req.headers['x-request-id'] || null
+          },
+          lease_expected: {
+            lease_owner: expected.lease_owner,
+            lease_token: expected.lease_token
+          },
+          lease_provided: {
+            lease_owner: provided.lease_owner,
+            lease_token: provided.lease_token
+          }
+        });
+        evidence_run_id = ev.evidence_run_id;
+      }
+    } catch (e) {
+      // Best-effort: never block the rejection response.
+      logger.error('emitGuardRejectionEvidenceV1 failed', e);
+
+      // Do not fully swallow regressions in tests/debug.
+      const debugEvidence = process.env.NODE_ENV === 'test' || process.env.DEBUG_EVIDENCE === '1';
+      if (debugEvidence) {
+        const msg = (e && e.message) ? String(e.message) : '';
+        if (msg.includes('unsupported_stable_code')) evidence_error = 'unsupported_stable_code';
+        else if (msg.includes('LOGS_DIR required')) evidence_error = 'missing_logs_dir';
+        else if (msg.includes('lease_debug_v1_schema_invalid')) evidence_error = 'lease_debug_schema_invalid';
+        else if (msg.includes('missing_required_artifacts')) evidence_error = 'missing_required_artifacts';
+        else evidence_error = 'emit_failed';
+      }
+    }
+
+    return res.status(409).json({
+      status: 'rejected',
+      error_code: code,
+      ...(code === 'lease_conflict' ? { stable_code: 'lease_conflict' } : {}),
+      ...(details ? { details } : {}),
+      ...(evidence_run_id ? { evidence_run_id } : {}),
+      ...(evidence_error ? { evidence_error } : {})
+    });
+  }
+
   /**
    * Phase D: Run startup probes (defense-in-depth)
    * 
@@ -402,33 +633,56 @@ class Orchestrator {
     // 資料攝入 (Ingest) - 確保 kind: 'TRIAGE'
     // ---------------------------------------------------------
     const ingestEvent = async (eventData) => {
+      const duplicate = this.ingestDedup.find(eventData);
+      if (duplicate) {
+        const existing = await this.ticketStore.get(duplicate.ticket_id);
+        logger.info(`[Ingest] Duplicate of ${duplicate.ticket_id} (${duplicate.key})`);
+        return {
+          status: 'duplicate',
+          duplicate_of: duplicate.ticket_id,
+          dedup_key: duplicate.key,
+          ticket_status: existing ? existing.status : null,
+          flow_id: existing ? existing.flow_id : null
+        };
+      }
+
       const check = this.filter.check(eventData);
       if (!check.pass) {
-        logger.info(`[Filter] Skipped: ${check.reason}`);
-        return { status: 'skipped', reason: check.reason };
+        logger.info(`[Filter] Skipped by ${check.rule_id}: ${check.reason}`);
+        return { status: 'skipped', reason: check.reason, rule_id: check.rule_id };
       }
 
+      const route = this.flowRouter.route(eventData);
+      // 伺服器端執行模式：flow 有 DAG 節點 → FLOW 票據（不交給 worker triage）
+      const executableFlow = this.flowRunner.resolveExecutableFlow(route);
       const ticketId = uuidv4();
       const ticket = {
         id: ticketId,
         ticket_id: ticketId,
         type: 'DraftTicket',
         status: 'pending',
-        flow_id: 'triage_zh_hant_v1',
+        flow_id: route.flow_id,
         event: eventData,
         metadata: {
           created_at: new Date().toISOString(),
           mode: 'auto-ingest',
           candidate_id: eventData.event_id || eventData.candidate_id,
           // [關鍵交互點 1] 必須標記為 TRIAGE，Worker 才領得到
-          kind: 'TRIAGE'
+          kind: executableFlow ? FLOW_TICKET_KIND : 'TRIAGE',
+          flow_routing: {
+            flow_ref: route.flow_ref,
+            matched: route.matched,
+            reasons: route.reasons,
+            priority: route.priority,
+            candidates: route.candidates
+          }
         }
       };
 
       // --- SchemaGate: validate before create (boundary: ticket_create, direction: ingress) ---
       const gateResult = schemaGate.gateIngress(ticket, {
         boundary: schemaGate.BOUNDARY.TICKET_CREATE,
-        kind: schemaGate.KIND.TRIAGE,
+        kind: executableFlow ? schemaGate.KIND.FLOW : schemaGate.KIND.TRIAGE,
         ticketId: ticketId
       });
       
@@ -441,12 +695,49 @@ class Orchestrator {
         };
       }
       
+      this.ingestDedup.record(eventData, ticketId);
+      // FLOW 票據由伺服器端執行，不分群
+      const cluster = executableFlow ? null : this.clusterer.assign(eventData, ticketId);
+      if (cluster) ticket.metadata.cluster = cluster;
+
+      if (cluster && cluster.role === CLUSTER_ROLES.MEMBER) {
+        // 成員不進 worker 佇列，等代表票的 triage 決策
+        ticket.status = TicketStore.TICKET_STATUS.BLOCKED;
+        ticket.metadata.blocked_at = ticket.metadata.created_at;
+        ticket.metadata.block = {
+          code: CLUSTER_MEMBER_BLOCK_CODE,
+          reason: `near-duplicate of ${cluster.representative_ticket_id}`,
+          source: 'clustering'
+        };
+        await this.ticketStore.create(ticket);
+        logger.info(`[Ingest] Ticket ${ticketId} clustered with ${cluster.representative_ticket_id} (distance ${cluster.distance})`);
+        await this.clusterer.onMemberCreated(ticketId);
+        return {
+          status: 'clustered',
+          ticket_id: ticketId,
+          cluster_id: cluster.cluster_id,
+          representative_ticket_id: cluster.representative_ticket_id,
+          flow_id: route.flow_id
+        };
+      }
+
       await this.ticketStore.create(ticket);
-      logger.info(`[Ingest] Ticket created: ${ticketId}`);
-      return { status: 'queued', ticket_id: ticketId };
+      logger.info(`[Ingest] Ticket created: ${ticketId} (flow: ${route.flow_ref || route.flow_id})`);
+      if (executableFlow) this.flowRunner.schedule(ticketId);
+      return { status: 'queued', ticket_id: ticketId, flow_id: route.flow_id };
     };
 
-    this.app.post('/events', async (req, res) => {
+    const candidateToEvent = (c) => ({
+      type: 'triage_candidate',
+      event_id: `batch-${c.candidate_id || uuidv4()}`,
+      content: c.snippet || c.context_digest?.target_snippet || '',
+      features: c.features,
+      ...c
+    });
+
+    const idempotent = this.idempotency.middleware();
+
+    this.app.post('/events', idempotent, async (req, res) => {
       try {
         const result = await ingestEvent(req.body);
         // Set schema warn header if enabled (never modifies body)
@@ -463,37 +754,62 @@ class Orchestrator {
       }
     });
 
-    this.app.post('/v1/triage/batch', async (req, res) => {
+    // mode=async（預設）立即回 queued；mode=sync 等 worker 回填最多 wait_ms，逾時者標記 pending
+    this.app.post('/v1/triage/batch', idempotent, async (req, res) => {
       try {
+        const options = resolveBatchOptions(req.query, req.body || {});
+        if (!options.ok) return res.status(400).json({ error: options.code, details: options.details });
+
         const { candidates } = req.body;
         const results = [];
         if (Array.isArray(candidates)) {
           for (const c of candidates) {
-            const eventData = {
-              type: 'triage_candidate',
-              event_id: `batch-${c.candidate_id || uuidv4()}`,
-              content: c.snippet || c.context_digest?.target_snippet || '',
-              features: c.features,
-              ...c
-            };
-            results.push(await ingestEvent(eventData));
+            const result = await ingestEvent(candidateToEvent(c));
+            results.push({ candidate_id: c.candidate_id || null, ...result });
           }
         }
-        res.json({ results });
+
+        if (options.mode === TRIAGE_BATCH_MODES.ASYNC) {
+          return res.json({ mode: options.mode, results });
+        }
+
+        const settled = await waitForTriageDecisions(this.ticketStore, results, options.waitMs);
+        res.json({ mode: options.mode, wait_ms: options.waitMs, ...settled });
       } catch (e) {
         logger.error('Batch ingestion failed', e);
         res.status(500).json({ error: e.message });
       }
     });
 
+    // Triage 規則：目前載入的規則 + dry-run（不建票、不計數，逐條解釋）
+    this.app.get('/v1/triage/rules', (req, res) => {
+      res.json(this.filter.describe());
+    });
+
+    this.app.post('/v1/triage/rules/dry-run', (req, res) => {
+      const body = req.body || {};
+      if (body.candidate && typeof body.candidate === 'object') {
+        return res.json(this.filter.dryRun(candidateToEvent(body.candidate)));
+      }
+      const event = body.event && typeof body.event === 'object' ? body.event : null;
+      if (!event) return res.status(400).json({ error: 'event_required', details: 'body.event or body.candidate is required' });
+      res.json(this.filter.dryRun(event));
+    });
+
     // ---------------------------------------------------------
     // 票據流轉 (Ticket Lifecycle) - 支援 V1
     // ---------------------------------------------------------
     this.app.post('/v1/tickets/lease', async (req, res) => {
       try {
         const { kind, limit, lease_sec } = req.body;
-        // 延長租約至 300s 以容納 MCP
-        const tickets = await this.ticketStore.lease(kind, limit || 1, lease_sec || 300);
+        // 預設 300s 以容納 MCP；上限同 heartbeat（LEASE_MAX_SEC）
+        const requested = this.leasePolicy.resolveLeaseSec(lease_sec);
+        if (!requested.ok) {
+          return res.status(400).json({ error: requested.error, details: `lease_sec must be a positive finite number (max ${this.leasePolicy.maxLeaseSec})` });
+        }
+        // With auth enabled the lease_owner is the authenticated identity
+        const owner = req.auth ? req.auth.identity : null;
+        const tickets = await this.ticketStore.lease(kind, limit || 1, requested.lease_sec, owner);
         res.json({ tickets });
       } catch (e) {
         res.status(500).json({ error: e.message });
@@ -507,7 +823,11 @@ class Orchestrator {
       const { id } = req.params;
       try {
         const { lease_sec, lease_owner } = req.body || {};
-        const result = await this.ticketStore.leaseById(id, lease_sec || 300, lease_owner || null);
+        const requested = this.leasePolicy.resolveLeaseSec(lease_sec);
+        if (!requested.ok) {
+          return res.status(400).json({ error: requested.error, details: `lease_sec must be a positive finite number (max ${this.leasePolicy.maxLeaseSec})` });
+        }
+        const result = await this.ticketStore.leaseById(id, requested.lease_sec, lease_owner || null);
 
         if (!result || result.ok === false) {
           if (result.code === 'not_found') {
@@ -537,6 +857,247 @@ class Orchestrator {
       }
     });
 
+    // ---------------------------------------------------------
+    // Lease 維護 (heartbeat / nack / fail)
+    // 與 /fill 相同的 lease proof 契約：lease_owner + lease_token（lease_id 為 token 別名）
+    // ---------------------------------------------------------
+    const readLeaseProof = (body = {}) => ({
+      lease_owner: body.lease_owner,
+      lease_token: body.lease_token || body.lease_id
+    });
+
+    // Resolve a running ticket or answer 404 / 409 lease_conflict.
+    const requireRunningTicket = async (req, res) => {
+      const ticket = await this.ticketStore.get(req.params.id);
+      if (!ticket) {
+        res.status(404).json({ error: 'Ticket not found' });
+        return null;
+      }
+      if (ticket.status !== 'running' && ticket.status !== 'leased') {
+        this.respondLeaseRejection(req, res, {
+          ticket,
+          code: 'lease_conflict',
+          details: {
+            current_status: ticket.status,
+            lease_owner: ticket?.metadata?.lease_owner || null,
+            lease_token_present: Boolean(ticket?.metadata?.lease_token)
+          }
+        });
+        return null;
+      }
+      return ticket;
+    };
+
+    const snapshotLease = (ticket) => ({
+      lease_owner: ticket?.metadata?.lease_owner,
+      lease_token: ticket?.metadata?.lease_token
+    });
+
+    // Heartbeat: extend lease so long-running LLM reviews keep ownership
+    this.app.post('/v1/tickets/:id/heartbeat', async (req, res) => {
+      try {
+        const ticket = await this.ticketStore.get(req.params.id);
+        if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+
+        const expected = snapshotLease(ticket);
+        const provided = readLeaseProof(req.body);
+        // lease_sec 上限 LEASE_MAX_SEC（LeasePolicy）；非數字 / ≤0 / Infinity → 400
+        const requested = this.leasePolicy.resolveLeaseSec(req.body?.lease_sec);
+        if (!requested.ok) {
+          return res.status(400).json({ error: requested.error, details: `lease_sec must be a positive finite number (max ${this.leasePolicy.maxLeaseSec})` });
+        }
+        const leaseSec = requested.lease_sec;
+        const result = await this.ticketStore.extendLease(req.params.id, leaseSec, provided);
+
+        if (!result.ok) {
+          if (result.code === 'not_found') return res.status(404).json({ error: 'Ticket not found' });
+          return this.respondLeaseRejection(req, res, {
+            ticket,
+            code: result.code,
+            expected,
+            provided,
+            details: result.details
+          });
+        }
+
+        return res.json({
+          status: 'ok',
+          ticket_id: result.ticket.id,
+          lease_sec: leaseSec,
+          lease_expires: result.ticket.metadata.lease_expires
+        });
+      } catch (e) {
+        logger.error('Heartbeat failed', e);
+        return res.status(500).json({ error: e.message });
+      }
+    });
+
+    // NACK: running → pending (give the ticket back to the queue)
+    const nackHandler = async (req, res) => {
+      try {
+        const ticket = await requireRunningTicket(req, res);
+        if (!ticket) return;
+
+        const expected = snapshotLease(ticket);
+        const provided = readLeaseProof(req.body);
+        const result = await this.ticketStore.release(ticket.id, provided);
+        if (result && result.ok === false) {
+          return this.respondLeaseRejection(req, res, { ticket, code: result.code, expected, provided });
+        }
+
+        this.writeAuditLog('ticket_store.jsonl', {
+          action: 'ticket_nack',
+          ticket_id: ticket.id,
+          kind: ticket?.metadata?.kind,
+          reason: req.body?.reason || null
+        });
+        return res.json({ status: 'released', ticket_id: ticket.id });
+      } catch (e) {
+        logger.error('Nack failed', e);
+        return res.status(500).json({ error: e.message });
+      }
+    };
+    this.app.post('/v1/tickets/:id/nack', nackHandler);
+    this.app.post('/tickets/:id/nack', nackHandler);
+
+    // FAIL: running → failed (explicit, stops silent bounce-back via lease expiry)
+    const failHandler = async (req, res) => {
+      try {
+        const ticket = await requireRunningTicket(req, res);
+        if (!ticket) return;
+
+        const expected = snapshotLease(ticket);
+        const provided = readLeaseProof(req.body);
+        const reason = req.body?.reason || req.body?.error || 'UNKNOWN_ERROR';
+        const by = req.body?.by || provided.lease_owner || 'worker';
+        const result = await this.ticketStore.fail(ticket.id, reason, by, provided);
+        if (result && result.ok === false) {
+          return this.respondLeaseRejection(req, res, { ticket, code: result.code, expected, provided });
+        }
+        // flow 子票據：FlowRunner 訂閱 failed 事件推進父 flow（/fail、LeaseReaper 共用）
+
+        return res.json({ status: 'failed', ticket_id: ticket.id });
+      } catch (e) {
+        logger.error('Explicit fail failed', e);
+        return res.status(500).json({ error: e.message });
+      }
+    };
+    this.app.post('/v1/tickets/:id/fail', failHandler);
+    this.app.post('/tickets/:id/fail', failHandler);
+
+    // ---------------------------------------------------------
+    // 人工審核 (REPLY approval queue)
+    // awaiting_approval → approve（可帶編輯後的 reply）→ ReplyPublisher → done
+    //                   → reject（必須附 reason）→ failed（error = reply_rejected）
+    // ---------------------------------------------------------
+    const requireAwaitingApproval = async (req, res) => {
+      const ticket = await this.ticketStore.get(req.params.id);
+      if (!ticket) {
+        res.status(404).json({ error: 'Ticket not found' });
+        return null;
+      }
+      if (ticket.status !== TicketStore.TICKET_STATUS.AWAITING_APPROVAL) {
+        res.status(409).json({
+          status: 'rejected',
+          error_code: 'not_awaiting_approval',
+          details: { current_status: ticket.status }
+        });
+        return null;
+      }
+      return ticket;
+    };
+
+    const reviewerOf = (req) => (req.auth ? req.auth.identity : (req.body?.by || 'manual'));
+
+    const rejectHandler = async (req, res) => {
+      try {
+        const ticket = await requireAwaitingApproval(req, res);
+        if (!ticket) return;
+
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) return res.status(400).json({ status: 'rejected', error_code: 'missing_reason' });
+
+        const by = reviewerOf(req);
+        const result = await this.ticketStore.reject(ticket.id, { by, reason });
+        if (!result.ok) return res.status(409).json({ status: 'rejected', error_code: result.code, details: result.details });
+
+        this.writeAuditLog('approvals.jsonl', {
+          action: 'reply_rejected',
+          ticket_id: ticket.id,
+          candidate_id: ticket.metadata?.candidate_id,
+          by,
+          reason
+        });
+        return res.json({ status: 'rejected_by_reviewer', ticket_id: ticket.id, decision: 'rejected' });
+      } catch (e) {
+        logger.error('Reject failed', e);
+        return res.status(500).json({ error: e.message });
+      }
+    };
+
+    const approveHandler = async (req, res) => {
+      // Legacy client contract: { approved: false } on /approve means reject
+      if (req.body?.approved === false) return rejectHandler(req, res);
+
+      const { id } = req.params;
+      if (this.approvalsInFlight.has(id)) {
+        return res.status(409).json({ status: 'rejected', error_code: 'approval_in_progress' });
+      }
+      this.approvalsInFlight.add(id);
+      try {
+        const ticket = await requireAwaitingApproval(req, res);
+        if (!ticket) return;
+
+        const body = req.body || {};
+        const reply = body.reply !== undefined ? body.reply : ticket.metadata?.final_outputs?.reply;
+        if (typeof reply !== 'string' || reply.trim() === '') {
+          return res.status(400).json({ status: 'rejected', error_code: 'missing_reply' });
+        }
+
+        const by = reviewerOf(req);
+        let publish;
+        try {
+          publish = await this.replyPublisher.publish({ ticket, reply, dryRun: body.dry_run });
+        } catch (e) {
+          this.writeAuditLog('approvals.jsonl', {
+            action: 'reply_publish_failed',
+            ticket_id: id,
+            by,
+            tool: e.tool || null,
+            error_code: e.code || 'publish_failed',
+            error: e.message
+          });
+          // 發送失敗：票據維持 awaiting_approval，可再次核准重試
+          return res.status(502).json({ status: 'rejected', error_code: 'publish_failed', message: e.message });
+        }
+
+        const result = await this.ticketStore.approve(id, { by, reply, publish });
+        if (!result.ok) return res.status(409).json({ status: 'rejected', error_code: result.code, details: result.details });
+
+        const approval = result.ticket.metadata.approval;
+        this.writeAuditLog('approvals.jsonl', {
+          action: 'reply_approved',
+          ticket_id: id,
+          candidate_id: ticket.metadata?.candidate_id,
+          by,
+          decision: approval.decision,
+          reply,
+          ...(approval.decision === 'edited' ? { original_reply: approval.original_reply } : {}),
+          publish
+        });
+        return res.json({ status: 'approved', ticket_id: id, decision: approval.decision, publish });
+      } catch (e) {
+        logger.error('Approve failed', e);
+        return res.status(500).json({ error: e.message });
+      } finally {
+        this.approvalsInFlight.delete(id);
+      }
+    };
+    this.app.post('/v1/tickets/:id/approve', approveHandler);
+    this.app.post('/tickets/:id/approve', approveHandler);
+    this.app.post('/v1/tickets/:id/reject', rejectHandler);
+    this.app.post('/tickets/:id/reject', rejectHandler);
+
     this.app.get('/v1/tickets/:id', async (req, res) => {
       const { id } = req.params;
       try {
@@ -573,16 +1134,22 @@ class Orchestrator {
         const ticket = await this.ticketStore.get(id);
         if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
 
-        // --- TRIAGE→TOOL Derivation (Block A) ---
-        await deriveToolTicketFromTriage(ticket, outputs, this.ticketStore);
+        // --- TRIAGE→TOOL Derivation (Block A; POST_FILL_PIPELINE=tool) ---
+        if (POST_FILL_PIPELINE === POST_FILL_PIPELINES.TOOL) {
+          await this.deriveToolTicket(ticket, outputs);
+        }
 
         // --- TOOL→REPLY Derivation (Block B) ---
         await maybeDeriveReplyFromToolOnFill(ticket, outputs, this.ticketStore, logger);
 
+        // REPLY drafts wait for a reviewer instead of finishing as done
+        // (flow LLM sub-tickets go back to their flow; the DAG's own guard / send nodes decide)
+        const awaitApproval = REPLY_APPROVAL_REQUIRED && ticket.metadata?.kind === 'REPLY' && !ticket.metadata?.flow_parent;
+
         // --- SchemaGate: validate completed ticket before persist (boundary: ticket_complete) ---
         const completedTicketPreview = {
           ...ticket,
-          status: 'done',
+          status: awaitApproval ? TicketStore.TICKET_STATUS.AWAITING_APPROVAL : 'done',
           metadata: { ...ticket.metadata, final_outputs: outputs }
         };
         const gateResult = schemaGate.gateIngress(completedTicketPreview, {
@@ -658,57 +1225,14 @@ class Orchestrator {
         const expectedLeaseOwner = ticket?.metadata?.lease_owner;
         const expectedLeaseToken = ticket?.metadata?.lease_token;
 
-        const completeResult = await this.ticketStore.complete(id, outputs, by, { lease_owner, lease_token });
+        const completeResult = await this.ticketStore.complete(id, outputs, by, { lease_owner, lease_token }, { awaitApproval });
         if (completeResult && completeResult.ok === false) {
           schemaGate.setWarnHeader(res, schemaWarnCount);
-
-          let evidence_run_id = null;
-          let evidence_error = null;
-          try {
-            const enableGuardEvidence = process.env.ENABLE_GUARD_REJECTION_EVIDENCE === '1';
-            if (enableGuardEvidence && completeResult.code === 'lease_owner_mismatch') {
-              const ev = emitGuardRejectionEvidenceV1({
-                ticket_id: id,
-                ticket_kind: ticket?.metadata?.kind || null,
-                stable_code: 'lease_owner_mismatch',
-                http: {
-                  method: req.method,
-                  path: req.originalUrl || req.path,
-                  status: 409,
-                  request_id: req.headers['x-request-id'] || null
-                },
-                lease_expected: {
-                  lease_owner: expectedLeaseOwner,
-                  lease_token: expectedLeaseToken
-                },
-                lease_provided: {
-                  lease_owner,
-                  lease_token
-                }
-              });
-              evidence_run_id = ev.evidence_run_id;
-            }
-          } catch (e) {
-            // Best-effort: never block the rejection response.
-            logger.error('emitGuardRejectionEvidenceV1 failed', e);
-
-            // Do not fully swallow regressions in tests/debug.
-            const debugEvidence = process.env.NODE_ENV === 'test' || process.env.DEBUG_EVIDENCE === '1';
-            if (debugEvidence) {
-              const msg = (e && e.message) ? String(e.message) : '';
-              if (msg.includes('unsupported_stable_code')) evidence_error = 'unsupported_stable_code';
-              else if (msg.includes('LOGS_DIR required')) evidence_error = 'missing_logs_dir';
-              else if (msg.includes('lease_debug_v1_schema_invalid')) evidence_error = 'lease_debug_schema_invalid';
-              else if (msg.includes('missing_required_artifacts')) evidence_error = 'missing_required_artifacts';
-              else evidence_error = 'emit_failed';
-            }
-          }
-
-          return res.status(409).json({
-            status: 'rejected',
-            error_code: completeResult.code,
-            ...(evidence_run_id ? { evidence_run_id } : {}),
-            ...(evidence_error ? { evidence_error } : {})
+          return this.respondLeaseRejection(req, res, {
+            ticket,
+            code: completeResult.code,
+            expected: { lease_owner: expectedLeaseOwner, lease_token: expectedLeaseToken },
+            provided: { lease_owner, lease_token }
           });
         }
 
@@ -783,7 +1307,7 @@ class Orchestrator {
         res.json({ status: 'ok' });
 
         // Audit Logging
-        if (ticket.flow_id.includes('triage')) {
+        if (ticket.flow_id.includes('triage') || ticket.metadata?.kind === 'TRIAGE') {
             this.writeAuditLog('triage_decisions.jsonl', {
                 ticket_id: id,
                 candidate_id: ticket.metadata.candidate_id,
@@ -805,10 +1329,15 @@ class Orchestrator {
             });
         }
 
-        // Trigger Automation Logic
-        this.handlePostFillAutomation(ticket, outputs).catch(err => {
-          logger.error(`Automation error for ticket ${id}`, err);
-        });
+        // Flow LLM sub-ticket → resume the parent flow
+        if (ticket.metadata?.flow_parent) this.flowRunner.onSubTicketSettled(ticket);
+
+        // Legacy automation (POST_FILL_PIPELINE=legacy); the tool pipeline derived its TOOL ticket in Block A
+        if (POST_FILL_PIPELINE === POST_FILL_PIPELINES.LEGACY) {
+          this.handlePostFillAutomation(ticket, outputs).catch(err => {
+            logger.error(`Automation error for ticket ${id}`, err);
+          });
+        }
 
       } catch (e) {
         logger.error(`Fill failed`, e);
@@ -831,23 +1360,26 @@ class Orchestrator {
         const done = counts.done || 0;
         const failed = counts.failed || 0;
         const blocked = counts.blocked || 0;
+        const awaiting_approval = counts.awaiting_approval || 0;
+        const dead_letter = counts.dead_letter || 0;
+        const discarded = counts.discarded || 0;
 
         // Success rate aligned to Stage 2 terminal outcomes
         const terminal = done + failed + blocked;
         const success_rate = terminal > 0 ? (done / terminal) : 0;
 
-        // Reply 專項統計 (識別 Reply 票)
-        const allTickets = await this.ticketStore.list({ limit: 10000 });
-        const replyTickets = allTickets.filter(t =>
-          (t.flow_id && t.flow_id.includes('reply')) ||
-          (t.metadata && t.metadata.kind === 'REPLY')
+        // Reply 專項統計 (識別 Reply 票；TicketStore 的 facet 計數，不掃描票據)
+        const replyCounts = await this.ticketStore.countByStatus((facet) =>
+          (typeof facet.flow_id === 'string' && facet.flow_id.includes('reply')) ||
+          facet.kind === 'REPLY'
         );
-        const replies_indexed = replyTickets.length;
-        const replies_pending = replyTickets.filter(t => t.status === 'pending').length;
-        const replies_running = replyTickets.filter(t => t.status === 'running').length;
-        const replies_done = replyTickets.filter(t => t.status === 'done' || t.status === 'completed').length;
-        const replies_failed = replyTickets.filter(t => t.status === 'failed').length;
-        const replies_blocked = replyTickets.filter(t => t.status === 'blocked').length;
+        const replies_indexed = Object.values(replyCounts).reduce((acc, v) => acc + v, 0);
+        const replies_pending = replyCounts.pending;
+        const replies_running = replyCounts.running;
+        const replies_done = replyCounts.done + replyCounts.completed;
+        const replies_failed = replyCounts.failed;
+        const replies_blocked = replyCounts.blocked;
+        const replies_awaiting_approval = replyCounts.awaiting_approval;
 
         // --- M2-A.1 Readiness Metrics ---
         const depStates = this.toolGateway.getDepStates();
@@ -871,6 +1403,9 @@ class Orchestrator {
                 done,
                     failed,
                 blocked,
+                awaiting_approval,
+                dead_letter,
+                discarded,
                     success_rate: Number(success_rate.toFixed(2))
                 },
                 replies: {
@@ -879,12 +1414,26 @@ class Orchestrator {
                 running: replies_running,
                 done: replies_done,
                 failed: replies_failed,
-                blocked: replies_blocked
+                blocked: replies_blocked,
+                awaiting_approval: replies_awaiting_approval
                 },
+                approval: this.replyPublisher.getMetrics(),
+                flow_runner: this.flowRunner.getMetrics(),
                 schema_gate: schemaGate.getMetrics(),
                 ticket_store: this.ticketStore.getGuardMetrics(),
                 readiness: readiness,  // M2-A.1: Add readiness block
                 cutover,
+                lease_reaper: this.leaseReaper.getMetrics(),
+                retry_policy: this.retryScheduler.getMetrics(),
+                ticket_events: this.ticketStore.events.getMetrics(),
+                tool_gateway: { rate_limits: this.toolGateway.getRateLimitMetrics() },
+                auth: this.apiAuth.getMetrics(),
+                ingest: {
+                  filter: this.filter.getMetrics(),
+                  dedup: this.ingestDedup.getMetrics(),
+                  idempotency: this.idempotency.getMetrics(),
+                  clustering: this.clusterer.getMetrics()
+                },
                 timestamp: new Date().toISOString()
             });
         } catch (e) {
@@ -892,6 +1441,13 @@ class Orchestrator {
         }
     });
 
+    // Prometheus / OpenMetrics text exposition (JSON /metrics above stays as-is)
+    this.registerMetricsCollectors();
+    this.app.get('/metrics/prom', (req, res) => {
+      res.set('Content-Type', OPENMETRICS_CONTENT_TYPE);
+      res.send(metricsRegistry.render());
+    });
+
     // --- M2-A.1: Apply requireDeps middleware to /v1/tools/execute ---
     // 必修保護：gating deps 透過 depsForToolName(toolName) 插槽，避免未來 filesystem 工具需求漂移。
     const getDepStatesFn = () => this.toolGateway.getDepStates();
@@ -913,41 +1469,257 @@ class Orchestrator {
       async (req, res) => {
         try {
           const { server, tool, arguments: args } = req.body;
+          const argsCheck = this.toolGateway.validateToolArgs(server, tool, args || {});
+          if (!argsCheck.valid) {
+            return res.status(400).json({
+              error: argsCheck.message,
+              error_code: RUN_CODES.INVALID_TOOL_ARGS,
+              violations: argsCheck.violations
+            });
+          }
           const result = await this.toolGateway.executeTool(server, tool, args || {});
           res.json(result);
         } catch (e) {
+          if (e.code === RATE_LIMITED) {
+            return res.status(429).json({
+              error: e.message,
+              error_code: RATE_LIMITED,
+              retry_after_ms: e.retry_after_ms
+            });
+          }
           res.status(500).json({ error: e.message });
         }
       }
     );
 
+    // Tool catalog: per-tool inputSchema captured from listTools() at connect (plus config-only tools)
+    this.app.get('/v1/tools', (req, res) => {
+      res.json({
+        as_of: new Date().toISOString(),
+        servers: this.toolGateway.toolCatalog.list(this.toolGateway.config)
+      });
+    });
+
     // --- M2-A.1: Replace /health with readiness snapshot ---
     this.app.get('/health', (req, res) => {
       try {
         const depStates = this.toolGateway.getDepStates();
         const snapshot = evaluateReadiness(depStates, new Date());
-        res.status(200).json(snapshot);
+        // stdio MCP 連線監控（state / restarts / recent_events）；readiness 欄位不變
+        res.status(200).json({ ...snapshot, mcp_supervision: this.toolGateway.getSupervisionStatus() });
       } catch (e) {
         res.status(500).json({ error: e.message });
       }
     });
     
+    // Registered flows (latest version per id) + files rejected on the last reload
+    this.app.get('/v1/flows', (req, res) => {
+      const allVersions = req.query.all_versions === 'true';
+      res.json({
+        flows: this.flowRegistry.listFlows({ allVersions }).map((f) => ({
+          id: f.id,
+          version: f.version,
+          ref: `${f.id}@${f.version}`,
+          name: f.name,
+          trigger_conditions: f.trigger_conditions || null,
+          nodes: f.dag.nodes.length
+        })),
+        errors: this.flowRegistry.getLoadErrors()
+      });
+    });
+
+    // Listing: body stays a plain array; the next page is signalled by X-Next-Cursor (?cursor=...)
+    const listTickets = async (req, res) => {
+      const { status, limit, cursor } = req.query;
+      const filters = {};
+      for (const key of ['kind', 'flow_id', 'parent_ticket_id']) {
+        if (typeof req.query[key] === 'string' && req.query[key]) filters[key] = req.query[key];
+      }
+      try {
+        const page = await this.ticketStore.page({ status, limit: Number(limit) || 20, cursor, ...filters });
+        if (page.next_cursor) res.set('X-Next-Cursor', page.next_cursor);
+        res.json(page.tickets);
+      } catch (err) {
+        if (err.code === TicketStore.INVALID_CURSOR) return res.status(400).json({ error: TicketStore.INVALID_CURSOR });
+        res.status(500).json({ error: err.message });
+      }
+    };
     // Alias for legacy listing
-    this.app.get('/tickets', async (req, res) => {
-      const { status, limit } = req.query;
-      const tickets = await this.ticketStore.list({ status, limit: Number(limit) || 20 });
-      res.json(tickets);
+    this.app.get('/tickets', listTickets);
+    this.app.get('/v1/tickets', listTickets);
+
+    // Lease queue: pending tickets in the order lease() hands them out, with the computed score
+    this.app.get('/v1/queue', async (req, res) => {
+      try {
+        const kind = req.query.kind || null;
+        const limit = Number(req.query.limit) > 0 ? Number(req.query.limit) : 50;
+        const { total, entries } = await this.ticketStore.queue(kind, limit);
+        res.json({
+          as_of: new Date().toISOString(),
+          kind,
+          policy: this.leasePolicy.describe(),
+          total,
+          tickets: entries.map(({ ticket, breakdown }, i) => ({
+            position: i + 1,
+            ticket_id: ticket.id,
+            kind: ticket.metadata?.kind || null,
+            flow_id: ticket.flow_id,
+            created_at: ticket.metadata?.created_at || null,
+            ...breakdown
+          }))
+        });
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    // Dead-letter queue: 重試用盡的票據（failure_history 保留），人工 requeue / discard
+    const deadLetterSummary = (ticket) => ({
+      ticket_id: ticket.id,
+      kind: ticket.metadata?.kind || null,
+      flow_id: ticket.flow_id,
+      created_at: ticket.metadata?.created_at || null,
+      dead_letter: ticket.metadata?.dead_letter || null,
+      last_error: ticket.metadata?.failure_history?.slice(-1)[0]?.error || null,
+      failures: ticket.metadata?.failure_history?.length || 0
+    });
+
+    this.app.get('/v1/dead-letters', async (req, res) => {
+      const { limit, cursor } = req.query;
+      const filters = {};
+      if (typeof req.query.kind === 'string' && req.query.kind) filters.kind = req.query.kind;
+      try {
+        const status = TicketStore.TICKET_STATUS.DEAD_LETTER;
+        const page = await this.ticketStore.page({ status, limit: Number(limit) || 50, cursor, ...filters });
+        if (page.next_cursor) res.set('X-Next-Cursor', page.next_cursor);
+        res.json({
+          total: await this.ticketStore.count({ status }),
+          tickets: page.tickets.map(deadLetterSummary)
+        });
+      } catch (err) {
+        if (err.code === TicketStore.INVALID_CURSOR) return res.status(400).json({ error: TicketStore.INVALID_CURSOR });
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    this.app.get('/v1/dead-letters/:id', async (req, res) => {
+      const ticket = await this.ticketStore.get(req.params.id);
+      if (!ticket) return res.status(404).json({ error: 'Ticket not found' });
+      const { DEAD_LETTER, DISCARDED } = TicketStore.TICKET_STATUS;
+      if (ticket.status !== DEAD_LETTER && ticket.status !== DISCARDED) {
+        return res.status(409).json({ error_code: 'not_dead_lettered', details: { current_status: ticket.status } });
+      }
+      res.json({
+        ...deadLetterSummary(ticket),
+        status: ticket.status,
+        failure_history: ticket.metadata.failure_history || [],
+        discarded: ticket.metadata.discarded || null,
+        ticket
+      });
     });
-    this.app.get('/v1/tickets', async (req, res) => {
-      const { status, limit } = req.query;
-      const tickets = await this.ticketStore.list({ status, limit: Number(limit) || 20 });
-      res.json(tickets);
+
+    const deadLetterAction = (action) => async (req, res) => {
+      const { id } = req.params;
+      try {
+        if (!(await this.ticketStore.get(id))) return res.status(404).json({ error: 'Ticket not found' });
+        const by = reviewerOf(req);
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : null;
+        const result = action === 'requeue'
+          ? await this.ticketStore.requeue(id, by)
+          : await this.ticketStore.discard(id, { by, reason });
+        if (!result.ok) return res.status(409).json({ status: 'rejected', error_code: result.code, details: result.details });
+
+        this.writeAuditLog('dead_letters.jsonl', { action, ticket_id: id, by, ...(reason ? { reason } : {}) });
+        return res.json({ status: action === 'requeue' ? 'requeued' : 'discarded', ticket_id: id, ticket_status: result.ticket.status });
+      } catch (e) {
+        logger.error(`Dead-letter ${action} failed`, e);
+        return res.status(500).json({ error: e.message });
+      }
+    };
+    this.app.post('/v1/dead-letters/:id/requeue', deadLetterAction('requeue'));
+    this.app.post('/v1/dead-letters/:id/discard', deadLetterAction('discard'));
+
+    // Ticket lifecycle stream (SSE): Last-Event-ID 續傳；id 無法續傳時送出 `reset`，客戶端需全量重抓
+    this.app.get('/v1/ticket-events', (req, res) => {
+      const kinds = typeof req.query.kind === 'string' && req.query.kind
+        ? new Set(req.query.kind.split(',').map((k) => k.trim()).filter(Boolean))
+        : null;
+      const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id || null;
+      const events = this.ticketStore.events;
+
+      res.status(200);
+      res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      // 第一個 frame 告知 heartbeat 間隔（註解行，標準 EventSource 會忽略），客戶端據此判斷連線閒置
+      res.write(`retry: 3000\n: heartbeat_ms=${TICKET_EVENTS_HEARTBEAT_MS}\n\n`);
+
+      const send = (event) => {
+        if (kinds && !kinds.has(event.kind)) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      };
+
+      if (lastEventId) {
+        const replay = events.since(lastEventId);
+        if (replay.reset) {
+          res.write(`id: ${events.lastEventId}\nevent: reset\ndata: ${JSON.stringify({ last_event_id: events.lastEventId })}\n\n`);
+        } else {
+          replay.events.forEach(send);
+        }
+      }
+
+      const unsubscribe = events.subscribe(send);
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), TICKET_EVENTS_HEARTBEAT_MS);
+      heartbeat.unref();
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
     });
   }
 
   // --- 自動化中樞 (Automation Hub) ---
+  /**
+   * POST_FILL_PIPELINE=tool：TRIAGE → TOOL。NotebookLM 查詢是 TOOL 票據上的 notebooklm steps，
+   * 由 RunnerCore 經 ToolExecutionService 執行；REPLY 在 TOOL 回填時派生（maybeDeriveReplyFromToolOnFill）。
+   */
+  async deriveToolTicket(triageTicket, outputs) {
+    const variation = this.clusterVariation(triageTicket);
+    return deriveToolTicketFromTriage(triageTicket, outputs, this.ticketStore, {
+      enabled: true,
+      ...(variation ? { replyInput: { variation_note: variation.variation_note } } : {})
+    });
+  }
+
+  /**
+   * Cluster 成員（vary 模式）：同一波 copypasta 的回覆不要用同一套措辭
+   * @returns {{cluster: Object, variation_note: string}|null}
+   */
+  clusterVariation(triageTicket) {
+    const cluster = triageTicket.metadata?.cluster;
+    if (!cluster || cluster.role !== CLUSTER_ROLES.MEMBER || this.clusterer.replyMode !== CLUSTER_REPLY_MODES.VARY) {
+      return null;
+    }
+    const size = (this.clusterer.getCluster(cluster.cluster_id)?.members.size || 0) + 1;
+    return {
+      cluster,
+      variation_note: `This post is one of ${size} near-identical posts (cluster ${cluster.cluster_id}). ` +
+        'Word the reply differently from the other replies in this cluster; do not reuse their phrasing.'
+    };
+  }
+
+  /**
+   * @deprecated POST_FILL_PIPELINE=legacy only: calls NotebookLM directly (no readiness gating, allowlist,
+   * budget, RunReport or evidence). Remove once every deployment runs the tool pipeline.
+   */
   async handlePostFillAutomation(triageTicket, outputs) {
-    const isTriage = triageTicket.flow_id.includes('triage') || triageTicket.event.type === 'triage_candidate';
+    const isTriage = triageTicket.flow_id.includes('triage') ||
+      triageTicket.metadata?.kind === 'TRIAGE' ||
+      triageTicket.event.type === 'triage_candidate';
     const isApproved = outputs.decision === 'APPROVE';
 
     if (!isTriage || !isApproved) return;
@@ -967,6 +1739,9 @@ class Orchestrator {
           });
           
           let text = '';
+          if (result?.skipped) {
+             return `【問：${item.question}】\n(查詢略過：${result.error?.message || result.reason})`;
+          }
           if (result?.content && Array.isArray(result.content)) {
              text = result.content.map(c => c.text).join('\n');
           } else if (typeof result === 'string') {
@@ -1005,6 +1780,11 @@ class Orchestrator {
         }
       }
     };
+    const variation = this.clusterVariation(triageTicket);
+    if (variation) {
+      replyTicket.metadata.cluster = variation.cluster;
+      replyTicket.metadata.reply_input.variation_note = variation.variation_note;
+    }
 
     await this.ticketStore.create(replyTicket);
     logger.info(`[Auto] Created Reply Ticket ${replyTicketId} [${replyTicket.metadata.prompt_id}]`);
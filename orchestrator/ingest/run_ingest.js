@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const axios = require('axios');
 const Joi = require('joi');
@@ -107,16 +108,19 @@ function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
 async function postBatch(baseURL, payload, headers, mode, waitMs, retries = 2) {
   const url = `${baseURL}/v1/triage/batch?mode=${encodeURIComponent(mode||'sync')}&wait_ms=${waitMs||0}`;
+  // 重試（含逾時後重送）共用同一個 key：伺服器重播第一次的結果而不是重新建票
+  const idempotencyKey = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
   let lastErr;
   for (let i = 0; i <= retries; i++) {
     try {
-      const res = await axios.post(url, payload, { headers, timeout: 20000 });
+      const res = await axios.post(url, payload, { headers: { ...headers, 'Idempotency-Key': idempotencyKey }, timeout: 20000 });
       writeAudit({ phase: 'triage_batch', status: res.status, count: payload.candidates?.length || 0 });
       return res.data;
     } catch (e) {
       lastErr = e;
       const status = e.response?.status;
-      if (status === 429 || (status >= 500 && status < 600)) {
+      // 409 = 同一 Idempotency-Key 的前一次請求仍在處理（如 sync 等待中）
+      if (status === 409 || status === 429 || (status >= 500 && status < 600)) {
         await new Promise(r => setTimeout(r, 500 * (i + 1)));
         continue;
       }
@@ -158,6 +162,13 @@ async function main() {
   const result = await postBatch(baseURL, payload, headers, mode, waitMs);
   console.log(JSON.stringify(result, null, 2));
 
+  // sync 模式：回應已帶逐筆決策與摘要（逾時者為 pending）
+  if (result.mode === 'sync' && result.summary) {
+    writeAudit({ phase: 'results_summary', counts: result.summary, timed_out: result.timed_out, ids_count: (result.results || []).length });
+    console.error('SUMMARY', result.summary);
+    return;
+  }
+
   // 導入後查詢回顧摘要
   try {
     const ids = (result.results || []).map(r => r.candidate_id).filter(Boolean);
@@ -0,0 +1,115 @@
+/**
+ * ReplyPublisher - 已核准的 REPLY 交給發送工具（reply.send / threads.post_reply）
+ *
+ * 乾跑判定（兩者都允許才真的發送）：
+ *   - 伺服器端 DRY_RUN !== 'false'（預設乾跑，見 runbook）
+ *   - 請求端 dry_run !== false（VS Code 擴充功能的 send.dryRun）
+ * 乾跑時不呼叫工具，只回傳將要送出的內容摘要。
+ *
+ * Env:
+ *   - REPLY_PUBLISH_TOOL (default reply.send; 必須是 mcp_config.json 內的 <server>.<tool>)
+ *   - DRY_RUN            (default true)
+ */
+
+const PUBLISH_TOOLS = Object.freeze(['reply.send', 'threads.post_reply']);
+const DEFAULT_PUBLISH_TOOL = 'reply.send';
+
+class PublishError extends Error {
+  constructor(message, { code = 'publish_failed', tool = null } = {}) {
+    super(message);
+    this.name = 'PublishError';
+    this.code = code;
+    this.tool = tool;
+  }
+}
+
+function buildPublishArgs(tool, { ticket, reply }) {
+  const event = ticket.event || {};
+  const common = {
+    thread_id: event.thread_id || ticket.metadata?.thread_id || null,
+    in_reply_to: event.event_id || null,
+    // 讓發送端可去重（同一張票重試核准不會發兩次）
+    idempotency_key: ticket.id
+  };
+  if (tool === 'threads.post_reply') return { ...common, text: reply };
+  return { ...common, content: reply };
+}
+
+class ReplyPublisher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.toolGateway - ToolGateway（executeTool(server, tool, args)）
+   * @param {string} [options.tool] - Default: REPLY_PUBLISH_TOOL env or reply.send
+   * @param {Object} [options.logger]
+   * @param {Object} [options.env=process.env]
+   */
+  constructor({ toolGateway, tool, logger = console, env = process.env } = {}) {
+    if (!toolGateway) throw new Error('ReplyPublisher requires toolGateway');
+    this.toolGateway = toolGateway;
+    this.tool = tool || env.REPLY_PUBLISH_TOOL || DEFAULT_PUBLISH_TOOL;
+    if (!PUBLISH_TOOLS.includes(this.tool)) {
+      throw new Error(`REPLY_PUBLISH_TOOL must be one of ${PUBLISH_TOOLS.join(', ')} (got "${this.tool}")`);
+    }
+    this.serverDryRun = env.DRY_RUN !== 'false';
+    this.logger = logger;
+
+    this.counters = { published_total: 0, dry_run_total: 0, failed_total: 0 };
+  }
+
+  isDryRun(requestDryRun) {
+    return this.serverDryRun || requestDryRun !== false;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {Object} params.ticket - awaiting_approval REPLY ticket
+   * @param {string} params.reply - 最終回覆文字（可能經人工編輯）
+   * @param {boolean} [params.dryRun] - 請求端 dry_run
+   * @returns {Promise<{tool: string, dry_run: boolean, status: string, message_id: string|null, published_at: string}>}
+   * @throws {PublishError}
+   */
+  async publish({ ticket, reply, dryRun }) {
+    const tool = this.tool;
+    const args = buildPublishArgs(tool, { ticket, reply });
+    const published_at = new Date().toISOString();
+
+    if (this.isDryRun(dryRun)) {
+      this.counters.dry_run_total += 1;
+      this.logger.info(`[ReplyPublisher] DRY RUN ${tool} for ticket ${ticket.id} (${reply.length} chars)`);
+      return { tool, dry_run: true, status: 'dry_run', message_id: null, published_at };
+    }
+
+    const [server, toolName] = tool.split('.');
+    let result;
+    try {
+      result = await this.toolGateway.executeTool(server, tool, args);
+    } catch (e) {
+      this.counters.failed_total += 1;
+      throw new PublishError(e.message, { code: e.gateway_code || 'publish_failed', tool });
+    }
+    if (result && result.skipped) {
+      this.counters.failed_total += 1;
+      throw new PublishError(`${tool} skipped: ${result.error?.message || result.reason}`, { code: result.reason || 'publish_skipped', tool });
+    }
+
+    this.counters.published_total += 1;
+    this.logger.info(`[ReplyPublisher] Published ticket ${ticket.id} via ${server}.${toolName}`);
+    return {
+      tool,
+      dry_run: false,
+      status: (result && result.status) || 'sent',
+      message_id: (result && (result.message_id || result.id)) || null,
+      published_at
+    };
+  }
+
+  getMetrics() {
+    return { tool: this.tool, server_dry_run: this.serverDryRun, ...this.counters };
+  }
+}
+
+module.exports = {
+  ReplyPublisher,
+  PublishError,
+  PUBLISH_TOOLS
+};
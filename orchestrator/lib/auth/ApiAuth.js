@@ -0,0 +1,290 @@
+/**
+ * ApiAuth - bearer / HMAC request authentication + scope gating for the orchestrator HTTP API
+ *
+ * 規則：
+ * - 沒有設定任何 identity（或 ORCH_AUTH_MODE=off）→ 不啟用，所有請求照舊放行
+ * - 啟用後：監控端點（/health、/metrics、/metrics/prom）與 CORS preflight 公開；其他 GET 需任一已認證 identity
+ *   （/v1/dead-letters 需 admin）；寫入路由依路由表要求 scope
+ * - admin scope 隱含所有 scope
+ * - HMAC：簽章涵蓋 nonce；已見過的 (identity, nonce) 記到時間戳記過期為止，重送同一請求 → 401 replayed_nonce
+ *   （cache 在 process 記憶體內；多個 orchestrator instance 各自一份）
+ * - Lease 相關路由的 lease_owner 一律綁定為 identity 名稱；body 帶了不同的 lease_owner → 403
+ * - 拒絕時回 401 auth_unauthenticated / 403 auth_forbidden，並呼叫 onReject（audit + evidence）
+ */
+
+const crypto = require('crypto');
+const {
+  SCOPES,
+  AUTH_CODES,
+  AUTH_REASONS,
+  AUTH_METHODS,
+  HMAC_HEADERS,
+  HMAC_NONCE_PATTERN,
+  DEFAULT_MAX_SKEW_SEC,
+  leaseScopeForKind
+} = require('./ssot');
+const { sha256Hex } = require('./loadIdentities');
+
+const PUBLIC = Symbol('public');
+const ANY_IDENTITY = Symbol('any_identity');
+
+// 監控端點維持公開（readiness probe / strict gate 腳本不帶憑證）
+const PUBLIC_PATHS = new Set(['/health', '/metrics', '/metrics/prom']);
+
+// 讀取也需要 admin 的 GET 路由（dead letter 內含原始貼文與錯誤細節，與 requeue / discard 同權限）
+const ADMIN_READ_RE = /^\/v1\/dead-letters(?:\/[^/]+)?$/;
+
+const TICKET_ACTION_RE = /^\/(?:v1\/)?tickets\/([^/]+)\/(lease|heartbeat|nack|fail|fill)$/;
+
+// 記憶體上限：超過時先清掉過期的，仍超過就丟最舊的
+const MAX_SEEN_NONCES = 100000;
+
+function safeEqualHex(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'utf8'), Buffer.from(b, 'utf8'));
+}
+
+function hmacSignature(secret, { timestamp, nonce, method, url, rawBody }) {
+  const bodyHash = sha256Hex(rawBody ? rawBody.toString('utf8') : '');
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}\n${nonce}\n${String(method).toUpperCase()}\n${url}\n${bodyHash}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * 已用過的 HMAC nonce（key → 過期時間 ms）
+ */
+class NonceCache {
+  constructor({ maxEntries = MAX_SEEN_NONCES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * @returns {boolean} false = 已見過（重放）
+   */
+  remember(key, expiresAt, now) {
+    const seen = this.entries.get(key);
+    if (seen !== undefined && seen > now) return false;
+    this.entries.delete(key);
+    this.entries.set(key, expiresAt);
+    if (this.entries.size > this.maxEntries) this.prune(now);
+    return true;
+  }
+
+  prune(now) {
+    for (const [key, expiresAt] of this.entries) {
+      if (expiresAt <= now) this.entries.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+class ApiAuth {
+  /**
+   * @param {Object} options
+   * @param {Array} options.identities - from loadIdentities()
+   * @param {Function} [options.resolveTicketKind] - async (ticketId) => kind | null（票據不存在回 undefined）
+   * @param {Function} [options.onReject] - (req, rejection) => ({ evidence_run_id } | void)
+   * @param {Object} [options.env=process.env] - ORCH_AUTH_MODE / ORCH_AUTH_MAX_SKEW_SEC
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({ identities = [], resolveTicketKind, onReject, env = process.env, now = Date.now } = {}) {
+    this.identities = identities;
+    this.enabled = env.ORCH_AUTH_MODE !== 'off' && identities.length > 0;
+    this.maxSkewSec = Number(env.ORCH_AUTH_MAX_SKEW_SEC) > 0 ? Number(env.ORCH_AUTH_MAX_SKEW_SEC) : DEFAULT_MAX_SKEW_SEC;
+    this.resolveTicketKind = resolveTicketKind || (async () => null);
+    this.onReject = onReject || (() => undefined);
+    this.now = now;
+    this.seenNonces = new NonceCache();
+
+    this.counters = {
+      authenticated_total: { [AUTH_METHODS.BEARER]: 0, [AUTH_METHODS.HMAC]: 0 },
+      rejected_total: { [AUTH_CODES.UNAUTHENTICATED]: 0, [AUTH_CODES.FORBIDDEN]: 0 },
+      rejected_by_reason: {}
+    };
+  }
+
+  /**
+   * @returns {{ok: true, identity: Object, method: string} | {ok: false, status: number, code: string, reason: string, method: string|null, identity_name: string|null, credential_hash: string|null}}
+   */
+  authenticate(req) {
+    const unauthenticated = (reason, method, extra = {}) => ({
+      ok: false,
+      status: 401,
+      code: AUTH_CODES.UNAUTHENTICATED,
+      reason,
+      method,
+      identity_name: null,
+      credential_hash: null,
+      ...extra
+    });
+
+    const header = req.headers.authorization || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(header);
+    if (bearer) {
+      const tokenHash = sha256Hex(bearer[1].trim());
+      const identity = this.identities.find((i) => i.tokenHash && safeEqualHex(i.tokenHash, tokenHash));
+      if (!identity) return unauthenticated(AUTH_REASONS.INVALID_TOKEN, AUTH_METHODS.BEARER, { credential_hash: tokenHash });
+      return { ok: true, identity, method: AUTH_METHODS.BEARER };
+    }
+
+    const signature = req.headers[HMAC_HEADERS.SIGNATURE];
+    if (signature) {
+      const name = req.headers[HMAC_HEADERS.IDENTITY] || null;
+      const credential_hash = sha256Hex(signature);
+      const identity = this.identities.find((i) => i.name === name && i.hmacSecret);
+      if (!identity) {
+        return unauthenticated(AUTH_REASONS.UNKNOWN_IDENTITY, AUTH_METHODS.HMAC, { identity_name: name, credential_hash });
+      }
+
+      const timestamp = req.headers[HMAC_HEADERS.TIMESTAMP];
+      const tsSec = Number(timestamp);
+      if (!Number.isFinite(tsSec) || Math.abs(this.now() / 1000 - tsSec) > this.maxSkewSec) {
+        return unauthenticated(AUTH_REASONS.STALE_TIMESTAMP, AUTH_METHODS.HMAC, { identity_name: name, credential_hash });
+      }
+
+      const nonce = req.headers[HMAC_HEADERS.NONCE];
+      if (typeof nonce !== 'string' || !HMAC_NONCE_PATTERN.test(nonce)) {
+        return unauthenticated(AUTH_REASONS.INVALID_NONCE, AUTH_METHODS.HMAC, { identity_name: name, credential_hash });
+      }
+
+      const expected = hmacSignature(identity.hmacSecret, {
+        timestamp,
+        nonce,
+        method: req.method,
+        url: req.originalUrl || req.url,
+        rawBody: req.rawBody
+      });
+      if (!safeEqualHex(expected, String(signature).toLowerCase())) {
+        return unauthenticated(AUTH_REASONS.INVALID_SIGNATURE, AUTH_METHODS.HMAC, { identity_name: name, credential_hash });
+      }
+
+      // 簽章驗證通過後才記 nonce（未簽的請求不能把 nonce 佔掉）；時間戳記過了誤差視窗就不會再被接受，nonce 可以忘掉
+      const nowMs = this.now();
+      if (!this.seenNonces.remember(`${identity.name}\n${nonce}`, (tsSec + this.maxSkewSec) * 1000, nowMs)) {
+        return unauthenticated(AUTH_REASONS.REPLAYED_NONCE, AUTH_METHODS.HMAC, { identity_name: name, credential_hash });
+      }
+      return { ok: true, identity, method: AUTH_METHODS.HMAC };
+    }
+
+    return unauthenticated(AUTH_REASONS.MISSING_CREDENTIALS, null);
+  }
+
+  /**
+   * 路由 → 所需 scope
+   * @returns {Promise<string|symbol>} scope | ANY_IDENTITY | PUBLIC
+   */
+  async requiredScope(req) {
+    if (req.method === 'OPTIONS' || (req.method === 'GET' && PUBLIC_PATHS.has(req.path))) return PUBLIC;
+    if (req.method === 'GET') return ADMIN_READ_RE.test(req.path) ? SCOPES.ADMIN : ANY_IDENTITY;
+
+    if (req.path === '/events' || req.path === '/v1/triage/batch' || req.path === '/v1/triage/rules/dry-run') return SCOPES.INGEST;
+    if (req.path === '/v1/tools/execute') return SCOPES.TOOLS_EXECUTE;
+    if (req.path === '/v1/tickets/lease') return leaseScopeForKind(req.body?.kind);
+
+    const action = TICKET_ACTION_RE.exec(req.path);
+    if (action) {
+      const kind = await this.resolveTicketKind(decodeURIComponent(action[1]));
+      // 票據不存在：交給路由回 404
+      return kind === undefined ? ANY_IDENTITY : leaseScopeForKind(kind);
+    }
+
+    return SCOPES.ADMIN;
+  }
+
+  hasScope(identity, scope) {
+    return identity.scopes.includes(SCOPES.ADMIN) || identity.scopes.includes(scope);
+  }
+
+  reject(req, res, rejection) {
+    this.counters.rejected_total[rejection.code] += 1;
+    this.counters.rejected_by_reason[rejection.reason] = (this.counters.rejected_by_reason[rejection.reason] || 0) + 1;
+
+    let evidence = null;
+    try {
+      evidence = this.onReject(req, rejection) || null;
+    } catch (e) {
+      // Best-effort: never block the rejection response.
+      evidence = null;
+    }
+
+    return res.status(rejection.status).json({
+      status: 'rejected',
+      error_code: rejection.code,
+      reason: rejection.reason,
+      ...(rejection.required_scope ? { required_scope: rejection.required_scope } : {}),
+      ...(evidence && evidence.evidence_run_id ? { evidence_run_id: evidence.evidence_run_id } : {})
+    });
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      req.auth = null;
+      if (!this.enabled) return next();
+
+      try {
+        const scope = await this.requiredScope(req);
+        if (scope === PUBLIC) return next();
+
+        const result = this.authenticate(req);
+        if (!result.ok) return this.reject(req, res, result);
+
+        const { identity, method } = result;
+        this.counters.authenticated_total[method] += 1;
+        req.auth = { identity: identity.name, scopes: identity.scopes.slice(), method };
+
+        const forbidden = (reason, extra = {}) => this.reject(req, res, {
+          ok: false,
+          status: 403,
+          code: AUTH_CODES.FORBIDDEN,
+          reason,
+          method,
+          identity_name: identity.name,
+          credential_hash: null,
+          ...extra
+        });
+
+        if (scope !== ANY_IDENTITY && !this.hasScope(identity, scope)) {
+          return forbidden(AUTH_REASONS.MISSING_SCOPE, { required_scope: scope });
+        }
+
+        // Lease 綁定：lease_owner 就是已認證的 identity
+        if (req.path === '/v1/tickets/lease' || TICKET_ACTION_RE.test(req.path)) {
+          const body = req.body || {};
+          if (body.lease_owner && body.lease_owner !== identity.name) {
+            return forbidden(AUTH_REASONS.LEASE_OWNER_NOT_IDENTITY, { lease_owner_provided: String(body.lease_owner) });
+          }
+          req.body = { ...body, lease_owner: identity.name };
+        }
+
+        return next();
+      } catch (e) {
+        return next(e);
+      }
+    };
+  }
+
+  getMetrics() {
+    return {
+      enabled: this.enabled,
+      identities: this.identities.length,
+      authenticated_total: { ...this.counters.authenticated_total },
+      rejected_total: { ...this.counters.rejected_total },
+      rejected_by_reason: { ...this.counters.rejected_by_reason }
+    };
+  }
+}
+
+module.exports = {
+  ApiAuth,
+  hmacSignature
+};
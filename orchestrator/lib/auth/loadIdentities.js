@@ -0,0 +1,90 @@
+/**
+ * loadIdentities - 讀取 API identity 設定
+ *
+ * 來源（可同時使用）：
+ *   1. ORCH_AUTH_CONFIG=<path>（YAML / JSON）
+ *        identities:
+ *          vscode-worker:
+ *            token_sha256: <hex>        # 或 token: <明文>（僅建議本機使用）
+ *            hmac_secret_env: WORKER_HMAC_SECRET   # 或 hmac_secret: <明文>
+ *            scopes: [lease:TRIAGE, lease:REPLY]
+ *   2. ORCH_AUTH_TOKEN=<token>（單一 bearer token，identity 名稱取 ORCH_AUTH_IDENTITY，預設 default，scope = admin）
+ *
+ * 設定檔存在但格式錯誤時直接 throw（fail closed，不默默關掉認證）。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { SCOPES } = require('./ssot');
+
+const SCOPE_RE = /^(ingest|tools:execute|admin|lease:[A-Z_]+)$/;
+
+function sha256Hex(s) {
+  return crypto.createHash('sha256').update(String(s), 'utf8').digest('hex');
+}
+
+function normalizeIdentity(name, spec, env) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`auth identity "${name}": must be an object`);
+  }
+
+  const scopes = Array.isArray(spec.scopes) ? spec.scopes.map(String) : [];
+  const badScope = scopes.find((s) => !SCOPE_RE.test(s));
+  if (badScope) throw new Error(`auth identity "${name}": unknown scope "${badScope}"`);
+  if (scopes.length === 0) throw new Error(`auth identity "${name}": scopes required`);
+
+  let tokenHash = null;
+  if (spec.token_sha256) {
+    if (!/^[a-f0-9]{64}$/i.test(spec.token_sha256)) throw new Error(`auth identity "${name}": token_sha256 must be 64 hex chars`);
+    tokenHash = spec.token_sha256.toLowerCase();
+  } else if (spec.token) {
+    tokenHash = sha256Hex(spec.token);
+  }
+
+  let hmacSecret = null;
+  if (spec.hmac_secret_env) {
+    hmacSecret = env[spec.hmac_secret_env] || null;
+    if (!hmacSecret) throw new Error(`auth identity "${name}": env ${spec.hmac_secret_env} is not set`);
+  } else if (spec.hmac_secret) {
+    hmacSecret = String(spec.hmac_secret);
+  }
+
+  if (!tokenHash && !hmacSecret) {
+    throw new Error(`auth identity "${name}": needs token / token_sha256 or hmac_secret / hmac_secret_env`);
+  }
+
+  return { name, scopes, tokenHash, hmacSecret };
+}
+
+/**
+ * @param {Object} [env=process.env]
+ * @returns {Array<{name: string, scopes: string[], tokenHash: string|null, hmacSecret: string|null}>}
+ */
+function loadIdentities(env = process.env) {
+  const identities = [];
+
+  if (env.ORCH_AUTH_CONFIG) {
+    const raw = fs.readFileSync(env.ORCH_AUTH_CONFIG, 'utf8');
+    const doc = /\.json$/i.test(env.ORCH_AUTH_CONFIG) ? JSON.parse(raw) : yaml.load(raw);
+    const entries = doc && doc.identities;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`auth config ${env.ORCH_AUTH_CONFIG}: "identities" map required`);
+    }
+    for (const [name, spec] of Object.entries(entries)) {
+      identities.push(normalizeIdentity(name, spec, env));
+    }
+  }
+
+  if (env.ORCH_AUTH_TOKEN) {
+    const name = env.ORCH_AUTH_IDENTITY || 'default';
+    if (identities.some((i) => i.name === name)) {
+      throw new Error(`auth identity "${name}" defined twice (ORCH_AUTH_TOKEN and ORCH_AUTH_CONFIG)`);
+    }
+    identities.push(normalizeIdentity(name, { token: env.ORCH_AUTH_TOKEN, scopes: [SCOPES.ADMIN] }, env));
+  }
+
+  return identities;
+}
+
+module.exports = { loadIdentities, sha256Hex };
@@ -0,0 +1,73 @@
+/**
+ * Auth SSOT (Single Source of Truth)
+ *
+ * 不可變規範：
+ * - Scope 名稱（identity 設定檔與路由表共用，永不改名）
+ * - 拒絕 code 只有兩個（HTTP 401 / 403），細節放 reason（低基數）
+ * - HMAC 簽章格式
+ */
+
+const SCOPES = Object.freeze({
+  INGEST: 'ingest',
+  LEASE_TRIAGE: 'lease:TRIAGE',
+  LEASE_REPLY: 'lease:REPLY',
+  LEASE_TOOL: 'lease:TOOL',
+  TOOLS_EXECUTE: 'tools:execute',
+  ADMIN: 'admin' // 隱含所有 scope
+});
+
+const AUTH_CODES = Object.freeze({
+  UNAUTHENTICATED: 'auth_unauthenticated', // 401
+  FORBIDDEN: 'auth_forbidden' // 403
+});
+
+const AUTH_REASONS = Object.freeze({
+  MISSING_CREDENTIALS: 'missing_credentials',
+  INVALID_TOKEN: 'invalid_token',
+  UNKNOWN_IDENTITY: 'unknown_identity',
+  INVALID_SIGNATURE: 'invalid_signature',
+  STALE_TIMESTAMP: 'stale_timestamp',
+  INVALID_NONCE: 'invalid_nonce',
+  REPLAYED_NONCE: 'replayed_nonce',
+  MISSING_SCOPE: 'missing_scope',
+  LEASE_OWNER_NOT_IDENTITY: 'lease_owner_not_identity'
+});
+
+const AUTH_METHODS = Object.freeze({
+  BEARER: 'bearer',
+  HMAC: 'hmac'
+});
+
+/**
+ * HMAC-SHA256 request signing
+ *   X-Orch-Identity:  <identity name>
+ *   X-Orch-Timestamp: <unix seconds>
+ *   X-Orch-Nonce:     <每個請求唯一，16-128 字元 [A-Za-z0-9_-]>
+ *   X-Orch-Signature: hex(HMAC_SHA256(secret, `${timestamp}\n${nonce}\n${METHOD}\n${originalUrl}\n${sha256hex(rawBody)}`))
+ * 同一 identity 的 nonce 在時間誤差視窗內只能用一次（防重放）
+ */
+const HMAC_HEADERS = Object.freeze({
+  IDENTITY: 'x-orch-identity',
+  TIMESTAMP: 'x-orch-timestamp',
+  NONCE: 'x-orch-nonce',
+  SIGNATURE: 'x-orch-signature'
+});
+
+const HMAC_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const DEFAULT_MAX_SKEW_SEC = 300;
+
+function leaseScopeForKind(kind) {
+  return kind ? `lease:${kind}` : SCOPES.ADMIN;
+}
+
+module.exports = {
+  SCOPES,
+  AUTH_CODES,
+  AUTH_REASONS,
+  AUTH_METHODS,
+  HMAC_HEADERS,
+  HMAC_NONCE_PATTERN,
+  DEFAULT_MAX_SKEW_SEC,
+  leaseScopeForKind
+};
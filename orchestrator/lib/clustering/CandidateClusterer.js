@@ -0,0 +1,389 @@
+/**
+ * CandidateClusterer - 近似重複 / copypasta 貼文分群，只 triage 代表票
+ *
+ * 背景：協同洗版的貼文文字幾乎相同，原本每則都各自建 TRIAGE 票、各自回覆。
+ *
+ * - 指紋：`context_digest.target_snippet`（沒有則 content / snippet）的 64-bit simhash
+ * - 同一時間窗內 Hamming 距離 ≤ maxDistance → 同一 cluster（以代表票指紋比對，LSH bands 找候選）
+ * - 第一則成為代表（representative），照常進 TRIAGE；之後的成員票以 blocked / `cluster_member` 建立，worker 領不到
+ * - 代表票 triage 回填 → 成員繼承同一份決策（unblock → complete by system），不再各自 triage
+ * - 回覆階段（replyMode）：
+ *     vary  - 成員照常產生自己的 REPLY 票，reply_input 帶 variation_note 要求換句話說
+ *     reuse - 成員不另外起草；代表的 REPLY 回填後，複製同一份草稿給每個成員（仍進 awaiting_approval 各自審核）
+ * - 代表票 failed / blocked → 解散 cluster，成員 unblock 回 pending 各自 triage
+ *
+ * 分群狀態只存在記憶體；啟動時由既有票據的 metadata.cluster 回填。
+ *
+ * Env:
+ *   - INGEST_CLUSTERING ('on' enables; default off)
+ *   - CLUSTER_MAX_HAMMING (default 3)
+ *   - CLUSTER_WINDOW_SEC (default 86400)
+ *   - CLUSTER_MIN_CHARS (default 24; 正規化後較短的文字不分群)
+ *   - CLUSTER_REPLY_MODE ('vary' | 'reuse'; default vary)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { TICKET_EVENT_TYPES } = require('../ticket_events/TicketEventLog');
+const { normalizeText, simhash, hammingDistance, bandKeys, toHex, fromHex } = require('./simhash');
+
+const CLUSTER_ROLES = Object.freeze({
+  REPRESENTATIVE: 'representative',
+  MEMBER: 'member'
+});
+
+const CLUSTER_REPLY_MODES = Object.freeze({
+  VARY: 'vary',
+  REUSE: 'reuse'
+});
+
+const CLUSTER_MEMBER_BLOCK_CODE = 'cluster_member';
+
+const DEFAULT_MAX_HAMMING = 3;
+const DEFAULT_WINDOW_SEC = 86400;
+const DEFAULT_MIN_CHARS = 24;
+
+// 大於此數量時，addCluster() 順便清掉時間窗外的 cluster
+const PRUNE_THRESHOLD = 10000;
+
+function parseNonNegativeInt(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function parseReplyMode(value) {
+  return value === CLUSTER_REPLY_MODES.REUSE ? CLUSTER_REPLY_MODES.REUSE : CLUSTER_REPLY_MODES.VARY;
+}
+
+function clusterTextOf(eventData) {
+  return eventData?.context_digest?.target_snippet || eventData?.content || eventData?.snippet || '';
+}
+
+class CandidateClusterer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ticketStore
+   * @param {Function} [options.onMemberTriaged] - async (memberTicket, outputs)；成員繼承決策後的後續處理（TOOL 衍生 / REPLY 自動化）
+   * @param {boolean} [options.awaitReplyApproval] - reuse 模式複製的草稿是否進 awaiting_approval
+   */
+  constructor({ ticketStore, onMemberTriaged, awaitReplyApproval = true, logger = console, env = process.env, ...overrides } = {}) {
+    this.ticketStore = ticketStore;
+    this.onMemberTriaged = onMemberTriaged || (async () => {});
+    this.awaitReplyApproval = awaitReplyApproval;
+    this.logger = logger;
+
+    this.enabled = overrides.enabled !== undefined ? Boolean(overrides.enabled) : env.INGEST_CLUSTERING === 'on';
+    this.maxDistance = Math.min(parseNonNegativeInt(overrides.maxDistance ?? env.CLUSTER_MAX_HAMMING, DEFAULT_MAX_HAMMING), 15);
+    this.windowMs = parseNonNegativeInt(overrides.windowSec ?? env.CLUSTER_WINDOW_SEC, DEFAULT_WINDOW_SEC) * 1000;
+    this.minChars = parseNonNegativeInt(overrides.minChars ?? env.CLUSTER_MIN_CHARS, DEFAULT_MIN_CHARS);
+    this.replyMode = parseReplyMode(overrides.replyMode ?? env.CLUSTER_REPLY_MODE);
+
+    this.clusters = new Map(); // cluster_id → { cluster_id, representative_ticket_id, fingerprint, members: Set, last_seen_at, decision, reply, replied: Set }
+    this.bands = new Map(); // band key → Set<cluster_id>
+    this.byTicket = new Map(); // ticket_id → cluster_id
+    this.counters = { assigned_total: 0, clustered_total: 0, inherited_total: 0, reused_replies_total: 0, dissolved_total: 0 };
+    this.unsubscribe = null;
+  }
+
+  /**
+   * 訂閱 TicketStore 事件：代表票回填 / 失敗、代表的 REPLY 回填
+   */
+  start() {
+    if (!this.enabled || this.unsubscribe) return;
+    this.unsubscribe = this.ticketStore.events.subscribe((event) => {
+      this.onTicketEvent(event).catch((e) => {
+        this.logger.error(`[Cluster] Event handling failed for ${event.ticket_id}: ${e.message}`);
+      });
+    });
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * @returns {{fingerprint: {hi: number, lo: number}, hex: string}|null} 文字太短 → null
+   */
+  fingerprintOf(eventData) {
+    const normalized = normalizeText(clusterTextOf(eventData));
+    if (Array.from(normalized).length < Math.max(1, this.minChars)) return null;
+    const fingerprint = simhash(normalized);
+    return fingerprint ? { fingerprint, hex: toHex(fingerprint) } : null;
+  }
+
+  /**
+   * Ingest 建票前呼叫：找到 cluster 則加入為成員，否則以此票為代表開新 cluster
+   * @returns {Object|null} metadata.cluster（未啟用 / 文字太短 → null）
+   */
+  assign(eventData, ticketId, now = Date.now()) {
+    if (!this.enabled) return null;
+    const print = this.fingerprintOf(eventData);
+    if (!print) return null;
+    this.counters.assigned_total++;
+
+    const match = this.findNearest(print.fingerprint, now);
+    if (match) {
+      const { cluster, distance } = match;
+      cluster.members.add(ticketId);
+      cluster.last_seen_at = now;
+      this.byTicket.set(ticketId, cluster.cluster_id);
+      this.counters.clustered_total++;
+      return {
+        cluster_id: cluster.cluster_id,
+        role: CLUSTER_ROLES.MEMBER,
+        representative_ticket_id: cluster.representative_ticket_id,
+        simhash: print.hex,
+        distance
+      };
+    }
+
+    const cluster = this.addCluster(`cl_${uuidv4()}`, ticketId, print.fingerprint, now);
+    return {
+      cluster_id: cluster.cluster_id,
+      role: CLUSTER_ROLES.REPRESENTATIVE,
+      representative_ticket_id: ticketId,
+      simhash: print.hex,
+      distance: 0
+    };
+  }
+
+  findNearest(fingerprint, now = Date.now()) {
+    let best = null;
+    const seen = new Set();
+    for (const key of bandKeys(fingerprint, this.maxDistance)) {
+      for (const clusterId of this.bands.get(key) || []) {
+        if (seen.has(clusterId)) continue;
+        seen.add(clusterId);
+        const cluster = this.clusters.get(clusterId);
+        if (!cluster) continue;
+        if (now - cluster.last_seen_at >= this.windowMs) {
+          this.removeCluster(cluster);
+          continue;
+        }
+        const distance = hammingDistance(fingerprint, cluster.fingerprint);
+        if (distance <= this.maxDistance && (!best || distance < best.distance)) best = { cluster, distance };
+      }
+    }
+    return best;
+  }
+
+  addCluster(clusterId, representativeId, fingerprint, at) {
+    const cluster = {
+      cluster_id: clusterId,
+      representative_ticket_id: representativeId,
+      fingerprint,
+      members: new Set(),
+      created_at: at,
+      last_seen_at: at,
+      decision: null,
+      reply: null,
+      replied: new Set()
+    };
+    this.clusters.set(clusterId, cluster);
+    this.byTicket.set(representativeId, clusterId);
+    for (const key of bandKeys(fingerprint, this.maxDistance)) {
+      if (!this.bands.has(key)) this.bands.set(key, new Set());
+      this.bands.get(key).add(clusterId);
+    }
+    if (this.clusters.size > PRUNE_THRESHOLD) this.prune(at);
+    return cluster;
+  }
+
+  prune(now = Date.now()) {
+    for (const cluster of Array.from(this.clusters.values())) {
+      if (now - cluster.last_seen_at >= this.windowMs) this.removeCluster(cluster);
+    }
+  }
+
+  removeCluster(cluster) {
+    this.clusters.delete(cluster.cluster_id);
+    for (const key of bandKeys(cluster.fingerprint, this.maxDistance)) {
+      const ids = this.bands.get(key);
+      if (!ids) continue;
+      ids.delete(cluster.cluster_id);
+      if (ids.size === 0) this.bands.delete(key);
+    }
+    this.byTicket.delete(cluster.representative_ticket_id);
+    for (const id of cluster.members) this.byTicket.delete(id);
+  }
+
+  getCluster(clusterId) {
+    return this.clusters.get(clusterId) || null;
+  }
+
+  /**
+   * 成員票建立後呼叫：代表已經有決策（晚到的 copypasta）→ 立即繼承
+   */
+  async onMemberCreated(memberId) {
+    const cluster = this.clusters.get(this.byTicket.get(memberId));
+    if (cluster && cluster.decision) await this.propagate(cluster, [memberId]);
+  }
+
+  async onTicketEvent(event) {
+    const cluster = this.clusters.get(this.byTicket.get(event.ticket_id));
+
+    if (cluster && event.ticket_id === cluster.representative_ticket_id) {
+      if (event.type === TICKET_EVENT_TYPES.FILLED) {
+        const ticket = await this.ticketStore.get(event.ticket_id);
+        cluster.decision = ticket?.metadata?.final_outputs || {};
+        await this.propagate(cluster, Array.from(cluster.members));
+      } else if (event.type === TICKET_EVENT_TYPES.FAILED || event.type === TICKET_EVENT_TYPES.BLOCKED) {
+        await this.dissolve(cluster, event.type);
+      }
+      return;
+    }
+
+    // 代表的 REPLY 草稿（reuse 模式）
+    if (this.replyMode !== CLUSTER_REPLY_MODES.REUSE) return;
+    if (event.type !== TICKET_EVENT_TYPES.FILLED || event.kind !== 'REPLY') return;
+    const reply = await this.ticketStore.get(event.ticket_id);
+    const triageId = reply?.metadata?.triage_reference_id;
+    const parentCluster = this.clusters.get(this.byTicket.get(triageId));
+    if (!parentCluster || parentCluster.representative_ticket_id !== triageId || parentCluster.reply) return;
+
+    parentCluster.reply = { ticket_id: reply.id, outputs: reply.metadata.final_outputs || {}, prompt_id: reply.metadata.prompt_id };
+    for (const memberId of parentCluster.members) {
+      const member = await this.ticketStore.get(memberId);
+      if (member && member.status === 'done') await this.reuseReply(parentCluster, member);
+    }
+  }
+
+  /**
+   * 成員繼承代表的 triage 決策：blocked → pending → done（by system）
+   */
+  async propagate(cluster, memberIds) {
+    for (const memberId of memberIds) {
+      const member = await this.ticketStore.get(memberId);
+      if (!member || member.status !== 'blocked' || member.metadata?.block?.code !== CLUSTER_MEMBER_BLOCK_CODE) continue;
+
+      const outputs = { ...cluster.decision, cluster_inherited_from: cluster.representative_ticket_id };
+      await this.ticketStore.unblock(memberId, 'clustering');
+      await this.ticketStore.complete(memberId, outputs, 'system');
+      this.counters.inherited_total++;
+      this.logger.info(`[Cluster] ${memberId} inherited ${outputs.decision || 'decision'} from ${cluster.representative_ticket_id}`);
+
+      if (this.replyMode === CLUSTER_REPLY_MODES.REUSE) {
+        if (cluster.reply) await this.reuseReply(cluster, member);
+      } else {
+        await this.onMemberTriaged(member, outputs);
+      }
+    }
+  }
+
+  /**
+   * reuse：代表的 REPLY 草稿複製給成員（每則貼文仍各自一張 REPLY 票、各自審核發送）
+   */
+  async reuseReply(cluster, member) {
+    if (cluster.replied.has(member.id) || member.metadata?.final_outputs?.decision !== 'APPROVE') return;
+    cluster.replied.add(member.id);
+
+    const replyTicketId = uuidv4();
+    await this.ticketStore.create({
+      id: replyTicketId,
+      ticket_id: replyTicketId,
+      type: 'DraftTicket',
+      status: 'pending',
+      flow_id: 'reply_zh_hant_v1',
+      event: member.event,
+      metadata: {
+        created_at: new Date().toISOString(),
+        triage_reference_id: member.id,
+        candidate_id: member.metadata.candidate_id,
+        prompt_id: cluster.reply.prompt_id || 'reply.standard',
+        kind: 'REPLY',
+        cluster: { ...member.metadata.cluster, reused_from: cluster.reply.ticket_id },
+        reply_input: {
+          strategy: member.metadata.final_outputs.reply_strategy,
+          reused_from: cluster.reply.ticket_id
+        }
+      }
+    });
+    await this.ticketStore.complete(
+      replyTicketId,
+      { ...cluster.reply.outputs, reused_from: cluster.reply.ticket_id },
+      'system',
+      null,
+      { awaitApproval: this.awaitReplyApproval }
+    );
+    this.counters.reused_replies_total++;
+    this.logger.info(`[Cluster] Reused reply ${cluster.reply.ticket_id} for member ${member.id} → ${replyTicketId}`);
+  }
+
+  /**
+   * 代表票沒有產生決策：成員回到 pending 各自 triage
+   */
+  async dissolve(cluster, reason) {
+    this.removeCluster(cluster);
+    this.counters.dissolved_total++;
+    for (const memberId of cluster.members) {
+      const member = await this.ticketStore.get(memberId);
+      if (member && member.status === 'blocked' && member.metadata?.block?.code === CLUSTER_MEMBER_BLOCK_CODE) {
+        await this.ticketStore.unblock(memberId, 'clustering');
+      }
+    }
+    this.logger.warn(`[Cluster] Dissolved ${cluster.cluster_id} (representative ${reason}); ${cluster.members.size} member(s) released`);
+  }
+
+  /**
+   * 重啟後回填：時間窗內帶 metadata.cluster 的票據
+   * @param {Iterable<Object>} tickets
+   */
+  seed(tickets, now = Date.now()) {
+    if (!this.enabled) return 0;
+    const members = [];
+    let seeded = 0;
+    for (const ticket of tickets) {
+      const info = ticket?.metadata?.cluster;
+      if (!info || ticket.metadata.kind !== 'TRIAGE') continue;
+      const at = Date.parse(ticket.metadata.created_at);
+      if (Number.isNaN(at) || now - at >= this.windowMs) continue;
+      if (info.role === CLUSTER_ROLES.REPRESENTATIVE) {
+        const fingerprint = fromHex(info.simhash);
+        if (!fingerprint) continue;
+        const cluster = this.addCluster(info.cluster_id, ticket.id, fingerprint, at);
+        if (ticket.status === 'done') cluster.decision = ticket.metadata.final_outputs || {};
+        seeded++;
+      } else if (info.role === CLUSTER_ROLES.MEMBER) {
+        members.push({ ticket, info, at });
+      }
+    }
+    for (const { ticket, info, at } of members) {
+      const cluster = this.clusters.get(info.cluster_id);
+      if (!cluster) continue;
+      cluster.members.add(ticket.id);
+      cluster.last_seen_at = Math.max(cluster.last_seen_at, at);
+      this.byTicket.set(ticket.id, cluster.cluster_id);
+    }
+    return seeded;
+  }
+
+  getMetrics() {
+    let clusters = 0;
+    let members = 0;
+    let largest = 0;
+    for (const cluster of this.clusters.values()) {
+      if (cluster.members.size === 0) continue;
+      clusters++;
+      members += cluster.members.size;
+      largest = Math.max(largest, cluster.members.size + 1);
+    }
+    return {
+      enabled: this.enabled,
+      max_hamming: this.maxDistance,
+      window_sec: this.windowMs / 1000,
+      reply_mode: this.replyMode,
+      tracked_fingerprints: this.clusters.size,
+      clusters,
+      members,
+      largest_cluster: largest,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  CandidateClusterer,
+  CLUSTER_ROLES,
+  CLUSTER_REPLY_MODES,
+  CLUSTER_MEMBER_BLOCK_CODE
+};
@@ -0,0 +1,107 @@
+/**
+ * simhash - 64-bit SimHash over character shingles（中英文皆以字元 n-gram 切片）
+ *
+ * 指紋以兩個 uint32（hi / lo）表示，避免 BigInt；hex 為 16 字元（寫入 ticket metadata）。
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SHINGLE_SIZE = 3;
+
+/**
+ * 去掉網址、@提及、標點與空白後轉小寫；copypasta 常只差這些
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/@[\w.]+/g, ' ')
+    .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function shinglesOf(normalized, size = DEFAULT_SHINGLE_SIZE) {
+  const chars = Array.from(normalized);
+  if (chars.length <= size) return chars.length ? [chars.join('')] : [];
+  const out = [];
+  for (let i = 0; i <= chars.length - size; i++) out.push(chars.slice(i, i + size).join(''));
+  return out;
+}
+
+/**
+ * @param {string} normalized - normalizeText() 的結果
+ * @returns {{hi: number, lo: number}|null}
+ */
+function simhash(normalized, shingleSize = DEFAULT_SHINGLE_SIZE) {
+  const shingles = shinglesOf(normalized, shingleSize);
+  if (shingles.length === 0) return null;
+
+  const weights = new Array(64).fill(0);
+  for (const shingle of shingles) {
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    const hi = digest.readUInt32BE(0);
+    const lo = digest.readUInt32BE(4);
+    for (let bit = 0; bit < 32; bit++) {
+      weights[bit] += (hi >>> (31 - bit)) & 1 ? 1 : -1;
+      weights[bit + 32] += (lo >>> (31 - bit)) & 1 ? 1 : -1;
+    }
+  }
+
+  let hi = 0;
+  let lo = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    if (weights[bit] > 0) hi |= 1 << (31 - bit);
+    if (weights[bit + 32] > 0) lo |= 1 << (31 - bit);
+  }
+  return { hi: hi >>> 0, lo: lo >>> 0 };
+}
+
+function popcount32(n) {
+  let v = n >>> 0;
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hammingDistance(a, b) {
+  return popcount32(a.hi ^ b.hi) + popcount32(a.lo ^ b.lo);
+}
+
+function toHex(fingerprint) {
+  return fingerprint.hi.toString(16).padStart(8, '0') + fingerprint.lo.toString(16).padStart(8, '0');
+}
+
+function fromHex(hex) {
+  if (typeof hex !== 'string' || !/^[0-9a-f]{16}$/.test(hex)) return null;
+  return { hi: parseInt(hex.slice(0, 8), 16) >>> 0, lo: parseInt(hex.slice(8), 16) >>> 0 };
+}
+
+/**
+ * LSH bands：距離 ≤ maxDistance 的兩個指紋至少有一段完全相同（鴿籠原理）
+ * @returns {Array<string>} band keys
+ */
+function bandKeys(fingerprint, maxDistance) {
+  const bands = Math.min(Math.max(1, maxDistance + 1), 16);
+  const width = Math.floor(64 / bands);
+  const bits = toBits(fingerprint);
+  const keys = [];
+  for (let i = 0; i < bands; i++) {
+    const end = i === bands - 1 ? 64 : (i + 1) * width;
+    keys.push(`${i}:${bits.slice(i * width, end)}`);
+  }
+  return keys;
+}
+
+function toBits(fingerprint) {
+  return fingerprint.hi.toString(2).padStart(32, '0') + fingerprint.lo.toString(2).padStart(32, '0');
+}
+
+module.exports = {
+  DEFAULT_SHINGLE_SIZE,
+  normalizeText,
+  simhash,
+  hammingDistance,
+  bandKeys,
+  toHex,
+  fromHex
+};
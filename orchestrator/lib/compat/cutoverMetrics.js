@@ -9,6 +9,8 @@
  * Optional 'source' is supported but should remain low-cardinality.
  */
 
+const { metricsRegistry, METRIC_TYPES } = require('../metrics/MetricsRegistry');
+
 const ALLOWED_EVENT_TYPES = new Set([
   'legacy_read',
   'cutover_violation',
@@ -109,6 +111,16 @@ function createCutoverMetrics() {
 // Default singleton used by server and core libs.
 const cutoverMetrics = createCutoverMetrics();
 
+metricsRegistry.collector({
+  name: 'orchestrator_cutover_events',
+  help: 'Cutover observability events by event_type / field',
+  type: METRIC_TYPES.COUNTER,
+  collect: () => cutoverMetrics.snapshot().counters.map(({ event_type, field, count }) => ({
+    labels: { event_type, field },
+    value: count
+  }))
+});
+
 module.exports = {
   createCutoverMetrics,
   cutoverMetrics
@@ -131,12 +131,16 @@ async function deriveReplyTicketFromTool(
   // Template override rules:
   // PRESERVE: type, status, flow_id, event (from template)
   // OVERRIDE: id, ticket_id, kind, parent_ticket_id, timestamps, triage_reference_id
+  // reply_input extras planned on the TOOL ticket (e.g. cluster variation_note) ride along
+  const extraReplyInput = toolTicket.metadata?.tool_input?.reply_input || null;
   const replyTicket = {
     ...template,
     id: replyTicketId,
     ticket_id: replyTicketId,
     metadata: {
       ...template.metadata,
+      ...(extraReplyInput ? { reply_input: { ...template.metadata.reply_input, ...extraReplyInput } } : {}),
+      ...(extraReplyInput && triageTicket.metadata?.cluster ? { cluster: triageTicket.metadata.cluster } : {}),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
       kind: 'REPLY',
@@ -1,19 +1,26 @@
 const { v4: uuidv4 } = require('uuid');
 const schemaGate = require('./schemaGate');
+const { loadToolPlanPolicy } = require('./tool_planning/toolPlanPolicy');
+const { planToolSteps } = require('./tool_planning/planToolSteps');
 
 /**
  * Derive TOOL ticket from TRIAGE ticket if conditions met.
  * @param {Object} ticket - TRIAGE ticket
  * @param {Object} outputs - Fill outputs (must contain decision)
  * @param {TicketStore} ticketStore - Store instance
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - loadToolPlanPolicy() result (default: read rules/tool_plan.yaml per call)
+ * @param {boolean} [options.enabled] - Override the ENABLE_TOOL_DERIVATION gate (POST_FILL_PIPELINE=tool)
+ * @param {Object} [options.replyInput] - Extra reply_input fields for the derived REPLY (e.g. cluster variation_note)
  * @returns {Promise<string|null>} - Created TOOL ticket ID or null if not derived
  */
-async function deriveToolTicketFromTriage(ticket, outputs, ticketStore) {
-  // Gate: kind=TRIAGE + decision=APPROVE + ENABLE_TOOL_DERIVATION=true
+async function deriveToolTicketFromTriage(ticket, outputs, ticketStore, options = {}) {
+  // Gate: kind=TRIAGE + decision=APPROVE + ENABLE_TOOL_DERIVATION=true (or options.enabled)
+  const enabled = options.enabled !== undefined ? options.enabled : process.env.ENABLE_TOOL_DERIVATION === 'true';
   if (
     ticket.metadata?.kind !== 'TRIAGE' ||
     outputs?.decision !== 'APPROVE' ||
-    process.env.ENABLE_TOOL_DERIVATION !== 'true'
+    !enabled
   ) {
     return null;
   }
@@ -28,16 +35,9 @@ async function deriveToolTicketFromTriage(ticket, outputs, ticketStore) {
   const newId = uuidv4();
 
   // SSOT tool_steps source of truth: metadata.tool_input.tool_steps
-  // Use legacy shape { server, tool, args } so RunnerCore bridge can preserve _original_tool.
-  const content = String(ticket?.event?.content || '').trim();
-  const query = content.length > 0 ? content.slice(0, 120) : `triage:${ticket.metadata?.candidate_id || newId}`;
-  const tool_steps = [
-    {
-      server: 'memory',
-      tool: 'search_nodes',
-      args: { query }
-    }
-  ];
+  // Planned from information_needs per reply strategy (rules/tool_plan.yaml); legacy { server, tool, args } shape.
+  const policy = options.policy || loadToolPlanPolicy();
+  const { tool_steps, budget, plan } = planToolSteps({ ticket, outputs, policy });
 
   const toolTicket = {
     id: newId,
@@ -54,10 +54,23 @@ async function deriveToolTicketFromTriage(ticket, outputs, ticketStore) {
       triage_reference_id: ticket.id,
       tool_input: {
         source: 'deriveToolTicketFromTriage',
-        tool_steps
+        tool_steps,
+        budget,
+        plan,
+        triage: {
+          decision: outputs.decision,
+          target_prompt_id: outputs.target_prompt_id || null,
+          reply_strategy: outputs.reply_strategy || null,
+          information_needs: Array.isArray(outputs.information_needs) ? outputs.information_needs : [],
+          topics: Array.isArray(outputs.topics) ? outputs.topics : []
+        }
       }
     }
   };
+  // Carried to the REPLY by deriveReplyTicketFromTool
+  if (options.replyInput && Object.keys(options.replyInput).length > 0) {
+    toolTicket.metadata.tool_input.reply_input = { ...options.replyInput };
+  }
 
   // Internal boundary validation (strict internal must never explode)
   const gate = schemaGate.gateInternal(toolTicket, {
@@ -82,6 +95,7 @@ async function deriveToolTicketFromTriage(ticket, outputs, ticketStore) {
 
   // Log derivation (exact format)
   console.log(`[derive] TRIAGE -> TOOL ticket=${newId}`);
+  console.log(`[derive] TOOL plan strategy=${plan.strategy} steps=${tool_steps.length} needs=${plan.needs_planned}/${plan.needs_total}`);
 
   return newId;
 }
@@ -14,8 +14,11 @@ function sha256Hex(s) {
  *
  * Minimal, HTTP-handler level evidence emission for guard rejections.
  * - Writes a minimal run_report_v1.json into `${LOGS_DIR}/${evidence_run_id}/`
- * - Writes lease_debug_v1.json (token hashes only)
+ * - lease_owner_mismatch → lease_debug_v1.json (token hashes only)
+ * - auth_unauthenticated / auth_forbidden → auth_debug_v1.json (credential hash only)
  * - Writes evidence_manifest_v1.json + manifest_self_hash_v1.json
+ *
+ * Auth rejections may have no ticket (e.g. POST /events); ticket_id then defaults to 'http_request'.
  */
 function emitGuardRejectionEvidenceV1(params = {}) {
   const {
@@ -25,15 +28,20 @@ function emitGuardRejectionEvidenceV1(params = {}) {
     http = {},
     lease_expected = {},
     lease_provided = {},
+    auth = null,
     mode_snapshot
   } = params;
 
-  const ticketId = String(ticket_id || '');
-  if (!ticketId) throw new Error('emitGuardRejectionEvidenceV1: ticket_id required');
-
   const code = String(stable_code || '');
   if (!code) throw new Error('emitGuardRejectionEvidenceV1: stable_code required');
 
+  if (AUTH_CODES.has(code)) {
+    return emitAuthRejection({ ticket_id, ticket_kind, code, http, auth, mode_snapshot });
+  }
+
+  const ticketId = String(ticket_id || '');
+  if (!ticketId) throw new Error('emitGuardRejectionEvidenceV1: ticket_id required');
+
   // Gate: only allow known runtime stable code(s) for now.
   if (code !== EVIDENCE_REASON_RUNTIME.LEASE_OWNER_MISMATCH) {
     throw new Error(`emitGuardRejectionEvidenceV1: unsupported_stable_code:${code}`);
@@ -64,6 +72,43 @@ function emitGuardRejectionEvidenceV1(params = {}) {
   };
 }
 
+const AUTH_CODES = new Set([
+  EVIDENCE_REASON_RUNTIME.AUTH_UNAUTHENTICATED,
+  EVIDENCE_REASON_RUNTIME.AUTH_FORBIDDEN
+]);
+
+function emitAuthRejection({ ticket_id, ticket_kind, code, http, auth, mode_snapshot }) {
+  if (!auth || typeof auth !== 'object') throw new Error('emitGuardRejectionEvidenceV1: auth required');
+
+  // Schema-locked debug payload (no raw token / signature / secret).
+  const authDebug = {
+    version: 'v1',
+    ticket_id: ticket_id ? String(ticket_id) : null,
+    reason: String(auth.reason || ''),
+    auth_method: auth.method || null,
+    identity: auth.identity ? String(auth.identity) : null,
+    required_scope: auth.required_scope ? String(auth.required_scope) : null,
+    credential_hash: auth.credential_hash || null,
+    lease_owner_provided: auth.lease_owner_provided ? String(auth.lease_owner_provided) : null
+  };
+
+  const ev = emitSystemRejectionEvidenceV1({
+    ticket_id: ticket_id ? String(ticket_id) : 'http_request',
+    ticket_kind: ticket_kind ? String(ticket_kind) : null,
+    stable_code: code,
+    http,
+    details_kind: 'auth_debug_v1',
+    details_payload: authDebug,
+    mode_snapshot
+  });
+
+  return {
+    evidence_run_id: ev.evidence_run_id,
+    runDir: ev.runDir,
+    auth_debug_path: ev.details_path
+  };
+}
+
 module.exports = {
   emitGuardRejectionEvidenceV1
 };
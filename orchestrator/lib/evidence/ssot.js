@@ -4,7 +4,9 @@ const EVIDENCE_REASON_RUNTIME = Object.freeze({
   // Runtime stable codes (allow-list). Keep low-cardinality.
   LEASE_OWNER_MISMATCH: 'lease_owner_mismatch',
   READINESS_BLOCKED: 'readiness_blocked',
-  UNKNOWN_TOOL: 'unknown_tool'
+  UNKNOWN_TOOL: 'unknown_tool',
+  AUTH_UNAUTHENTICATED: 'auth_unauthenticated',
+  AUTH_FORBIDDEN: 'auth_forbidden'
 });
 
 const EVIDENCE_REASON_INTEGRITY = Object.freeze({
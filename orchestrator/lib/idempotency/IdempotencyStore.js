@@ -0,0 +1,141 @@
+/**
+ * IdempotencyStore - `Idempotency-Key` header for ingest routes (POST /events, /v1/triage/batch)
+ *
+ * - 同一 identity + key 第一次請求照常執行，回應（status + JSON body）保留 ttl
+ * - 之後同 key、同 body 的請求直接重播原回應（header `Idempotent-Replayed: true`），不再建票
+ * - 同 key 但 body 不同 → 422 idempotency_key_mismatch；原請求尚在處理 → 409 idempotency_key_in_flight
+ * - 5xx 不保留，讓呼叫端可以用同一個 key 重試
+ *
+ * 只存在記憶體（重啟後失效）；重啟後的重送由 IngestDedup 的 candidate / seed 去重兜底。
+ *
+ * Env:
+ *   - IDEMPOTENCY_TTL_SEC (default 86400)
+ */
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const IDEMPOTENCY_CODES = Object.freeze({
+  KEY_MISMATCH: 'idempotency_key_mismatch',
+  IN_FLIGHT: 'idempotency_key_in_flight',
+  KEY_INVALID: 'idempotency_key_invalid'
+});
+
+const DEFAULT_TTL_SEC = 86400;
+const MAX_KEY_LENGTH = 255;
+const PRUNE_INTERVAL_MS = 60000;
+
+function parseTtlSec(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_TTL_SEC;
+}
+
+function fingerprintOf(req) {
+  const body = req.rawBody ? req.rawBody : Buffer.from(JSON.stringify(req.body || {}));
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}\n`)
+    .update(body)
+    .digest('hex');
+}
+
+class IdempotencyStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlSec] - default: IDEMPOTENCY_TTL_SEC env or 86400
+   */
+  constructor({ ttlSec, env = process.env } = {}) {
+    this.ttlMs = parseTtlSec(ttlSec !== undefined ? ttlSec : env.IDEMPOTENCY_TTL_SEC) * 1000;
+    this.entries = new Map(); // scope:key → { fingerprint, state: 'in_flight'|'done', status, body, headers, at }
+    this.lastPruneAt = Date.now();
+    this.counters = { stored_total: 0, replayed_total: 0, mismatch_total: 0, in_flight_total: 0 };
+  }
+
+  /**
+   * Express middleware；沒有帶 header 的請求不受影響
+   */
+  middleware() {
+    return (req, res, next) => {
+      const key = req.get(IDEMPOTENCY_HEADER);
+      if (key === undefined) return next();
+      if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: IDEMPOTENCY_CODES.KEY_INVALID, max_length: MAX_KEY_LENGTH });
+      }
+
+      const now = Date.now();
+      if (now - this.lastPruneAt >= PRUNE_INTERVAL_MS) this.prune(now);
+      // 不同 identity 的同名 key 互不影響
+      const scopedKey = `${req.auth ? req.auth.identity : '-'}:${key}`;
+      const fingerprint = fingerprintOf(req);
+      const existing = this.entries.get(scopedKey);
+
+      if (existing && !this.isExpired(existing, now)) {
+        if (existing.fingerprint !== fingerprint) {
+          this.counters.mismatch_total++;
+          return res.status(422).json({ error: IDEMPOTENCY_CODES.KEY_MISMATCH });
+        }
+        if (existing.state === 'in_flight') {
+          this.counters.in_flight_total++;
+          return res.status(409).json({ error: IDEMPOTENCY_CODES.IN_FLIGHT });
+        }
+        this.counters.replayed_total++;
+        res.set(REPLAYED_HEADER, 'true');
+        for (const [name, value] of Object.entries(existing.headers)) res.set(name, value);
+        return res.status(existing.status).json(existing.body);
+      }
+
+      const entry = { fingerprint, state: 'in_flight', at: now };
+      this.entries.set(scopedKey, entry);
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 500) {
+          this.entries.delete(scopedKey);
+        } else {
+          const schemaWarn = res.get('X-Schema-Warn-Count');
+          Object.assign(entry, {
+            state: 'done',
+            status: res.statusCode,
+            body,
+            headers: schemaWarn !== undefined ? { 'X-Schema-Warn-Count': schemaWarn } : {},
+            at: Date.now()
+          });
+          this.counters.stored_total++;
+        }
+        return originalJson(body);
+      };
+      // 沒有走到 res.json（連線中斷 / 例外）：釋放 key
+      res.on('close', () => {
+        if (entry.state === 'in_flight' && this.entries.get(scopedKey) === entry) this.entries.delete(scopedKey);
+      });
+      next();
+    };
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.state === 'done' && now - entry.at >= this.ttlMs;
+  }
+
+  prune(now = Date.now()) {
+    this.lastPruneAt = now;
+    for (const [key, entry] of this.entries.entries()) {
+      if (this.isExpired(entry, now)) this.entries.delete(key);
+    }
+  }
+
+  getMetrics() {
+    return {
+      ttl_sec: this.ttlMs / 1000,
+      keys: this.entries.size,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER,
+  IDEMPOTENCY_CODES
+};
@@ -0,0 +1,112 @@
+/**
+ * IngestDedup - 同一則貼文在時間窗內只建一張 triage 票據
+ *
+ * 背景：run_ingest.js 重跑同一份來源、或重試失敗的 batch，都會對同一貼文重新建 TRIAGE 票據，
+ * 進而重複 triage 甚至重複回覆。
+ *
+ * - key：`candidate:<candidate_id | event_id>`、`seed:<seed.value>`（任一命中即視為重複）
+ * - 命中 → ingest 回 `status: 'duplicate'`，`duplicate_of` 指向既有票據，不建新票
+ * - 啟動時由 TicketStore 既有票據回填（journal / sqlite 重啟後仍有效）
+ *
+ * Env:
+ *   - INGEST_DEDUP_WINDOW_SEC (default 86400; 0 disables dedup)
+ */
+
+const DEFAULT_WINDOW_SEC = 86400;
+
+// 大於此數量時，record() 順便清掉過期 key
+const PRUNE_THRESHOLD = 10000;
+
+function parseWindowSec(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_WINDOW_SEC;
+}
+
+class IngestDedup {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowSec] - default: INGEST_DEDUP_WINDOW_SEC env or 86400
+   */
+  constructor({ windowSec, env = process.env } = {}) {
+    this.windowMs = parseWindowSec(windowSec !== undefined ? windowSec : env.INGEST_DEDUP_WINDOW_SEC) * 1000;
+    this.keys = new Map(); // key → { ticket_id, at (ms) }
+    this.counters = { checked_total: 0, duplicates_total: 0 };
+  }
+
+  get enabled() {
+    return this.windowMs > 0;
+  }
+
+  /**
+   * @param {Object} eventData - /events body 或 batch candidate
+   * @returns {Array<string>}
+   */
+  keysOf(eventData) {
+    const keys = [];
+    const candidateId = eventData?.candidate_id || eventData?.event_id;
+    if (candidateId) keys.push(`candidate:${candidateId}`);
+    const seedValue = eventData?.seed?.value;
+    if (typeof seedValue === 'string' && seedValue.trim()) keys.push(`seed:${seedValue.trim()}`);
+    return keys;
+  }
+
+  /**
+   * @returns {{ticket_id: string, key: string}|null}
+   */
+  find(eventData, now = Date.now()) {
+    if (!this.enabled) return null;
+    this.counters.checked_total++;
+    for (const key of this.keysOf(eventData)) {
+      const entry = this.keys.get(key);
+      if (entry && now - entry.at < this.windowMs) {
+        this.counters.duplicates_total++;
+        return { ticket_id: entry.ticket_id, key };
+      }
+    }
+    return null;
+  }
+
+  record(eventData, ticketId, at = Date.now()) {
+    if (!this.enabled) return;
+    for (const key of this.keysOf(eventData)) {
+      this.keys.set(key, { ticket_id: ticketId, at });
+    }
+    if (this.keys.size > PRUNE_THRESHOLD) this.prune(at);
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.keys.entries()) {
+      if (now - entry.at >= this.windowMs) this.keys.delete(key);
+    }
+  }
+
+  /**
+   * 重啟後回填：ingest 建立的票據（event + metadata.candidate_id）且仍在時間窗內
+   * @param {Iterable<Object>} tickets
+   */
+  seed(tickets, now = Date.now()) {
+    if (!this.enabled) return 0;
+    let seeded = 0;
+    for (const ticket of tickets) {
+      if (!ticket?.event || ticket.metadata?.mode !== 'auto-ingest') continue;
+      const at = Date.parse(ticket.metadata.created_at);
+      if (Number.isNaN(at) || now - at >= this.windowMs) continue;
+      this.record(ticket.event, ticket.id, at);
+      seeded++;
+    }
+    return seeded;
+  }
+
+  getMetrics() {
+    return {
+      enabled: this.enabled,
+      window_sec: this.windowMs / 1000,
+      tracked_keys: this.keys.size,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  IngestDedup
+};
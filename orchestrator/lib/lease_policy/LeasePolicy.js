@@ -0,0 +1,187 @@
+/**
+ * LeasePolicy - pending 票據的 lease 排序（TicketStore.lease / GET /v1/queue）
+ *
+ * score = kind_weight × (priority_weight + engagement) + aging_per_min × 等待分鐘
+ *   - priority：票據 metadata.priority，否則取其 triage 票據回填的 final_outputs.priority（P1 / P2），都沒有 → default_priority
+ *   - engagement：engagement_weight × log10(1 + likes + 2 × comments)（event.features.engagement）
+ *   - aging：等待越久分數越高，低優先權票據不會被新進的高優先權票據永遠擠掉
+ *   - deadline：貼文時間（event.created_at / timestamp，否則票據 created_at）超過 deadline_min 分鐘 → past_deadline，
+ *     排在所有未過期票據之後（仍可被領取）
+ * 同分依 created_at（FIFO）。
+ *
+ * Heartbeat 延長的 lease 長度以 max_lease_sec 為上限（resolveLeaseSec），避免 worker 一次把票據鎖住數小時。
+ *
+ * Env:
+ *   - LEASE_POLICY                (scored | fifo; default scored)
+ *   - LEASE_PRIORITY_WEIGHTS      (default "P0=300,P1=200,P2=100")
+ *   - LEASE_DEFAULT_PRIORITY      (default P2)
+ *   - LEASE_KIND_WEIGHTS          (default "REPLY=1.5,TOOL=1.25,TRIAGE=1")
+ *   - LEASE_ENGAGEMENT_WEIGHT     (default 20)
+ *   - LEASE_AGING_PER_MIN         (default 5)
+ *   - LEASE_DEADLINE_MIN          (default 0 = off)
+ *   - LEASE_MAX_SEC               (default 3600；heartbeat lease_sec 上限)
+ */
+
+const LEASE_POLICY_MODES = Object.freeze({ SCORED: 'scored', FIFO: 'fifo' });
+
+const DEFAULT_PRIORITY_WEIGHTS = Object.freeze({ P0: 300, P1: 200, P2: 100 });
+const DEFAULT_KIND_WEIGHTS = Object.freeze({ REPLY: 1.5, TOOL: 1.25, TRIAGE: 1 });
+const DEFAULT_PRIORITY = 'P2';
+const DEFAULT_ENGAGEMENT_WEIGHT = 20;
+const DEFAULT_AGING_PER_MIN = 5;
+const DEFAULT_LEASE_SEC = 300;
+const DEFAULT_MAX_LEASE_SEC = 3600;
+
+/**
+ * "P1=200,P2=100" → { P1: 200, P2: 100 }（無效項目忽略，整串無效 → defaults）
+ */
+function parseWeights(value, defaults) {
+  if (typeof value !== 'string' || value.trim() === '') return { ...defaults };
+  const weights = {};
+  for (const pair of value.split(',')) {
+    const [key, raw] = pair.split('=').map((s) => (s || '').trim());
+    const n = Number(raw);
+    if (key && raw !== '' && Number.isFinite(n) && n >= 0) weights[key] = n;
+  }
+  return Object.keys(weights).length > 0 ? weights : { ...defaults };
+}
+
+function parseNonNegative(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function toMs(value) {
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value; // epoch sec / ms
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+class LeasePolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.env=process.env]
+   */
+  constructor({ env = process.env } = {}) {
+    this.mode = env.LEASE_POLICY === LEASE_POLICY_MODES.FIFO ? LEASE_POLICY_MODES.FIFO : LEASE_POLICY_MODES.SCORED;
+    this.priorityWeights = parseWeights(env.LEASE_PRIORITY_WEIGHTS, DEFAULT_PRIORITY_WEIGHTS);
+    this.defaultPriority = env.LEASE_DEFAULT_PRIORITY || DEFAULT_PRIORITY;
+    this.kindWeights = parseWeights(env.LEASE_KIND_WEIGHTS, DEFAULT_KIND_WEIGHTS);
+    this.engagementWeight = parseNonNegative(env.LEASE_ENGAGEMENT_WEIGHT, DEFAULT_ENGAGEMENT_WEIGHT);
+    this.agingPerMin = parseNonNegative(env.LEASE_AGING_PER_MIN, DEFAULT_AGING_PER_MIN);
+    this.deadlineMin = parseNonNegative(env.LEASE_DEADLINE_MIN, 0);
+    this.maxLeaseSec = parseNonNegative(env.LEASE_MAX_SEC, 0) || DEFAULT_MAX_LEASE_SEC;
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      priority_weights: { ...this.priorityWeights },
+      default_priority: this.defaultPriority,
+      kind_weights: { ...this.kindWeights },
+      engagement_weight: this.engagementWeight,
+      aging_per_min: this.agingPerMin,
+      deadline_min: this.deadlineMin,
+      max_lease_sec: this.maxLeaseSec
+    };
+  }
+
+  /**
+   * 要求的 lease 秒數 → 實際秒數（未給 → 300，超過 max_lease_sec → 截到上限）
+   * @returns {{ok: true, lease_sec: number, clamped: boolean} | {ok: false, error: string}}
+   */
+  resolveLeaseSec(value) {
+    if (value === undefined || value === null) {
+      return { ok: true, lease_sec: Math.min(DEFAULT_LEASE_SEC, this.maxLeaseSec), clamped: false };
+    }
+    const n = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(n) || n <= 0) return { ok: false, error: 'invalid_lease_sec' };
+    return n > this.maxLeaseSec
+      ? { ok: true, lease_sec: this.maxLeaseSec, clamped: true }
+      : { ok: true, lease_sec: n, clamped: false };
+  }
+
+  /**
+   * @param {Object} ticket
+   * @param {Function} [lookup] - (ticketId) => ticket（找 triage 票據的 priority）
+   * @returns {string|null}
+   */
+  resolvePriority(ticket, lookup) {
+    const own = ticket.metadata?.priority || ticket.priority;
+    if (own) return String(own);
+    const triageId = ticket.metadata?.triage_reference_id;
+    const triage = triageId && typeof lookup === 'function' ? lookup(triageId) : null;
+    const fromTriage = triage?.metadata?.final_outputs?.priority;
+    return fromTriage ? String(fromTriage) : null;
+  }
+
+  /**
+   * @returns {{score: number|null, priority: string, priority_weight: number, kind_weight: number, engagement: number, wait_min: number, aging: number, content_age_min: number|null, past_deadline: boolean}}
+   */
+  score(ticket, { now = Date.now(), lookup } = {}) {
+    const kind = ticket.metadata?.kind;
+    const priority = this.resolvePriority(ticket, lookup) || this.defaultPriority;
+    const priorityWeight = this.priorityWeights[priority] !== undefined
+      ? this.priorityWeights[priority]
+      : (this.priorityWeights[this.defaultPriority] || 0);
+    const kindWeight = this.kindWeights[kind] !== undefined ? this.kindWeights[kind] : 1;
+
+    const engagementData = ticket.event?.features?.engagement || {};
+    const likes = Number(engagementData.likes) || 0;
+    const comments = Number(engagementData.comments) || 0;
+    const engagement = this.engagementWeight * Math.log10(1 + Math.max(0, likes) + 2 * Math.max(0, comments));
+
+    const createdMs = toMs(ticket.metadata?.created_at);
+    const waitMin = createdMs === null ? 0 : Math.max(0, (now - createdMs) / 60000);
+    const aging = this.agingPerMin * waitMin;
+
+    const postedMs = toMs(ticket.event?.created_at || ticket.event?.timestamp) ?? createdMs;
+    const contentAgeMin = postedMs === null ? null : Math.max(0, (now - postedMs) / 60000);
+    const pastDeadline = this.deadlineMin > 0 && contentAgeMin !== null && contentAgeMin > this.deadlineMin;
+
+    return {
+      score: this.mode === LEASE_POLICY_MODES.FIFO ? null : round2(kindWeight * (priorityWeight + engagement) + aging),
+      priority,
+      priority_weight: priorityWeight,
+      kind_weight: kindWeight,
+      engagement: round2(engagement),
+      wait_min: round2(waitMin),
+      aging: round2(aging),
+      content_age_min: contentAgeMin === null ? null : round2(contentAgeMin),
+      past_deadline: pastDeadline
+    };
+  }
+
+  /**
+   * @param {Array<Object>} tickets - pending candidates
+   * @returns {Array<{ticket: Object, breakdown: Object}>} 領取順序
+   */
+  order(tickets, { now = Date.now(), lookup } = {}) {
+    const entries = tickets.map((ticket, index) => ({
+      ticket,
+      index,
+      created: toMs(ticket.metadata?.created_at) ?? 0,
+      breakdown: this.score(ticket, { now, lookup })
+    }));
+
+    entries.sort((a, b) => {
+      if (a.breakdown.past_deadline !== b.breakdown.past_deadline) return a.breakdown.past_deadline ? 1 : -1;
+      if (this.mode === LEASE_POLICY_MODES.SCORED && a.breakdown.score !== b.breakdown.score) {
+        return b.breakdown.score - a.breakdown.score;
+      }
+      return (a.created - b.created) || (a.index - b.index);
+    });
+
+    return entries.map(({ ticket, breakdown }) => ({ ticket, breakdown }));
+  }
+}
+
+module.exports = {
+  LeasePolicy,
+  LEASE_POLICY_MODES,
+  parseWeights
+};
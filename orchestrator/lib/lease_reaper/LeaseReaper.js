@@ -0,0 +1,116 @@
+/**
+ * LeaseReaper - scheduled recovery of expired ticket leases
+ *
+ * 背景：VS Code worker crash 後，被 lease 的 ticket 會永遠停在 running。
+ * Reaper 週期性呼叫 TicketStore.reapExpiredLeases()：
+ *   - 過期 lease → pending（reclaim_count + 1）
+ *   - reclaim 次數超過 maxLeaseReclaims → failed（error = lease_reclaim_exhausted）
+ * 每次 reclaim 由 TicketStore 寫入 ticket_store.jsonl；本模組只負責排程與計數。
+ *
+ * Env:
+ *   - LEASE_REAPER_ENABLED      (default true; 'false' disables the timer)
+ *   - LEASE_REAPER_INTERVAL_MS  (default 15000)
+ *   - LEASE_MAX_RECLAIMS        (read by TicketStore; default 3, 0 = unlimited)
+ */
+
+const DEFAULT_INTERVAL_MS = 15000;
+
+function parseIntervalMs(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_INTERVAL_MS;
+}
+
+class LeaseReaper {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ticketStore - TicketStore instance (must expose reapExpiredLeases)
+   * @param {number} [options.intervalMs] - Sweep interval (default: LEASE_REAPER_INTERVAL_MS env or 15000)
+   * @param {boolean} [options.enabled] - Default: LEASE_REAPER_ENABLED !== 'false'
+   * @param {Object} [options.logger] - winston-like logger (info/warn/error)
+   * @param {Function} [options.onReclaimed] - (ticketIds) => void, called after a sweep returns tickets to pending
+   */
+  constructor({ ticketStore, intervalMs, enabled, logger = console, env = process.env, onReclaimed = null } = {}) {
+    if (!ticketStore) throw new Error('LeaseReaper requires ticketStore');
+    this.ticketStore = ticketStore;
+    this.intervalMs = parseIntervalMs(intervalMs !== undefined ? intervalMs : env.LEASE_REAPER_INTERVAL_MS);
+    this.enabled = enabled !== undefined ? Boolean(enabled) : env.LEASE_REAPER_ENABLED !== 'false';
+    this.logger = logger;
+    this.onReclaimed = onReclaimed;
+
+    this.timer = null;
+    this.running = false;
+    this.counters = {
+      runs_total: 0,
+      reclaimed_total: 0,
+      exhausted_total: 0,
+      errors_total: 0
+    };
+    this.lastRunAt = null;
+    this.lastRunDurationMs = null;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return false;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.intervalMs);
+    // Never keep the process alive just for the reaper
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+    this.logger.info(`[LeaseReaper] Started (interval=${this.intervalMs}ms, max_reclaims=${this.ticketStore.maxLeaseReclaims})`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a single sweep. Overlapping sweeps are skipped.
+   * @returns {Promise<{reclaimed: string[], exhausted: string[]}|null>} null when skipped or failed
+   */
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.ticketStore.reapExpiredLeases();
+      this.counters.reclaimed_total += result.reclaimed.length;
+      this.counters.exhausted_total += result.exhausted.length;
+      if (this.onReclaimed && result.reclaimed.length > 0) this.onReclaimed(result.reclaimed);
+      return result;
+    } catch (err) {
+      this.counters.errors_total++;
+      this.logger.error(`[LeaseReaper] Sweep failed: ${err.message}`);
+      return null;
+    } finally {
+      this.counters.runs_total++;
+      this.lastRunAt = new Date(startedAt).toISOString();
+      this.lastRunDurationMs = Date.now() - startedAt;
+      this.running = false;
+    }
+  }
+
+  /**
+   * /metrics lease_reaper block
+   */
+  getMetrics() {
+    return {
+      enabled: this.enabled,
+      active: this.timer !== null,
+      interval_ms: this.intervalMs,
+      max_reclaims: this.ticketStore.maxLeaseReclaims,
+      ...this.counters,
+      last_run_at: this.lastRunAt,
+      last_run_duration_ms: this.lastRunDurationMs
+    };
+  }
+}
+
+module.exports = {
+  LeaseReaper,
+  DEFAULT_INTERVAL_MS
+};
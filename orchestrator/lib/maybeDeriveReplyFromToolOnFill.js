@@ -51,7 +51,12 @@ async function maybeDeriveReplyFromToolOnFill(ticket, outputs, ticketStore, logg
     return { attempted: false, reason: 'missing_parent_triage_ticket' };
   }
 
-  const result = await deriveReplyTicketFromTool(ticket, outputs, triageTicket, '', ticketStore);
+  // context_notes: notebooklm answers collected by the TOOL run (lib/tool_runner/contextNotes.js)
+  const contextNotes = typeof outputs?.context_notes === 'string'
+    ? outputs.context_notes
+    : (ticket.metadata?.final_outputs?.context_notes || '');
+
+  const result = await deriveReplyTicketFromTool(ticket, outputs, triageTicket, contextNotes, ticketStore);
   return { attempted: true, ...result };
 }
 
@@ -0,0 +1,196 @@
+/**
+ * MetricsRegistry - OpenMetrics 文字輸出（GET /metrics/prom）
+ *
+ * 兩種註冊方式：
+ * - counter() / histogram()：由 registry 自己持有數值（tool 呼叫時間、lease→fill 時間）
+ * - collector()：scrape 時才向既有計數器取值（schemaGate、ticket_store guard、readiness、cutover…），
+ *   既有模組保留自己的計數器，JSON /metrics 不受影響
+ *
+ * 命名：family 一律 `orchestrator_` 前綴；counter 的 family 名不含 `_total`，樣本名自動加上。
+ * Labels 必須是低基數（與既有 counters 的規則相同）。
+ */
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const METRIC_TYPES = Object.freeze({
+  COUNTER: 'counter',
+  GAUGE: 'gauge',
+  HISTOGRAM: 'histogram'
+});
+
+// 秒；適用一般工具呼叫
+const DEFAULT_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {}).filter((k) => labels[k] !== undefined && labels[k] !== null);
+  if (keys.length === 0) return '';
+  return `{${keys.map((k) => `${k}="${escapeLabelValue(labels[k])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  return picked;
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    this.type = METRIC_TYPES.COUNTER;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // JSON(labels) → number
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = JSON.stringify(pickLabels(this.labelNames, labels));
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  samples() {
+    return Array.from(this.values.entries()).map(([key, value]) => ({ suffix: '_total', labels: JSON.parse(key), value }));
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    this.type = METRIC_TYPES.HISTOGRAM;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // JSON(labels) → { counts[], sum, count }
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {number} value - 秒
+   */
+  observe(labels = {}, value) {
+    if (!Number.isFinite(value) || value < 0) return;
+    const key = JSON.stringify(pickLabels(this.labelNames, labels));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  samples() {
+    const out = [];
+    for (const [key, series] of this.series.entries()) {
+      const labels = JSON.parse(key);
+      this.buckets.forEach((le, i) => out.push({ suffix: '_bucket', labels: { ...labels, le }, value: series.counts[i] }));
+      out.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: series.count });
+      out.push({ suffix: '_sum', labels, value: series.sum });
+      out.push({ suffix: '_count', labels, value: series.count });
+    }
+    return out;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.families = new Map(); // name → Counter | Histogram | { type, name, help, collect }
+  }
+
+  counter(options) {
+    return this._getOrCreate(options, () => new Counter(options));
+  }
+
+  histogram(options) {
+    return this._getOrCreate(options, () => new Histogram(options));
+  }
+
+  /**
+   * Scrape 時取值的 family；同名重複註冊會取代（server 重新建構時）
+   *
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string} options.type - counter | gauge
+   * @param {Function} options.collect - () => Array<{labels?: Object, value: number}>
+   */
+  collector({ name, help, type, collect }) {
+    this.families.set(name, { type, name, help, collect });
+  }
+
+  render() {
+    const lines = [];
+    for (const family of this.families.values()) {
+      let samples;
+      try {
+        samples = family.samples
+          ? family.samples()
+          : (family.collect() || []).map((s) => ({
+            suffix: family.type === METRIC_TYPES.COUNTER ? '_total' : '',
+            labels: s.labels,
+            value: s.value
+          }));
+      } catch (e) {
+        // 單一 collector 失敗不影響整份輸出
+        console.warn(`⚠️ [Metrics] Collector ${family.name} failed: ${e.message}`);
+        continue;
+      }
+
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      for (const sample of samples) {
+        lines.push(`${family.name}${sample.suffix}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Reset registry-owned values (for testing); collectors keep their sources
+   */
+  reset() {
+    for (const family of this.families.values()) {
+      if (typeof family.reset === 'function') family.reset();
+    }
+  }
+
+  _getOrCreate(options, create) {
+    const existing = this.families.get(options.name);
+    if (existing) return existing;
+    const metric = create();
+    this.families.set(options.name, metric);
+    return metric;
+  }
+}
+
+// Singleton used by server and core libs (same pattern as cutoverMetrics / readinessMetrics)
+const metricsRegistry = new MetricsRegistry();
+
+module.exports = {
+  MetricsRegistry,
+  metricsRegistry,
+  METRIC_TYPES,
+  DEFAULT_BUCKETS,
+  OPENMETRICS_CONTENT_TYPE
+};
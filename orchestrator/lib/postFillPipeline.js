@@ -0,0 +1,32 @@
+/**
+ * postFillPipeline
+ *
+ * TRIAGE APPROVE 之後走哪一條路（遷移旗標 POST_FILL_PIPELINE）:
+ * - tool   : TRIAGE → TOOL（information_needs 規劃成 tool_steps，含 notebooklm.ask_question）
+ *            → RunnerCore / ToolExecutionService 執行（readiness / allowlist / budget / evidence / RunReport）
+ *            → TOOL 回填時 maybeDeriveReplyFromToolOnFill 派生 REPLY（context_notes 來自 TOOL 輸出）
+ * - legacy : Orchestrator.handlePostFillAutomation 直接呼叫 NotebookLM 後建立 REPLY（不經治理，待移除）
+ *
+ * 未設定時：ENABLE_TOOL_DERIVATION=true → tool，否則 legacy（與既有部署行為一致）。
+ * 兩條路互斥：同一張 TRIAGE 只會走其中一條，不會產生兩張 REPLY。
+ */
+
+const POST_FILL_PIPELINES = Object.freeze({
+  TOOL: 'tool',
+  LEGACY: 'legacy'
+});
+
+/**
+ * @param {Object} [env=process.env]
+ * @returns {'tool'|'legacy'}
+ */
+function resolvePostFillPipeline(env = process.env) {
+  const raw = String(env.POST_FILL_PIPELINE || '').trim().toLowerCase();
+  if (raw === POST_FILL_PIPELINES.TOOL || raw === POST_FILL_PIPELINES.LEGACY) return raw;
+  return env.ENABLE_TOOL_DERIVATION === 'true' ? POST_FILL_PIPELINES.TOOL : POST_FILL_PIPELINES.LEGACY;
+}
+
+module.exports = {
+  POST_FILL_PIPELINES,
+  resolvePostFillPipeline
+};
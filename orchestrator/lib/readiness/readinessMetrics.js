@@ -9,6 +9,7 @@
  */
 
 const { REQUIRED_DEPS, OPTIONAL_DEPS, HTTP_CODES, formatCounterKey } = require('./ssot');
+const { metricsRegistry, METRIC_TYPES } = require('../metrics/MetricsRegistry');
 
 class ReadinessMetrics {
   constructor() {
@@ -66,6 +67,16 @@ class ReadinessMetrics {
     };
   }
 
+  /**
+   * OpenMetrics samples: { labels: { dep, code }, value }
+   */
+  getCounterSamples() {
+    return Object.entries(this.requiredUnavailableTotal).map(([counterKey, value]) => {
+      const [dep, code] = counterKey.split('|');
+      return { labels: { dep, code }, value };
+    });
+  }
+
   /**
    * Reset counters (for testing)
    */
@@ -79,4 +90,11 @@ class ReadinessMetrics {
 // Singleton instance
 const readinessMetrics = new ReadinessMetrics();
 
+metricsRegistry.collector({
+  name: 'orchestrator_readiness_required_unavailable',
+  help: 'Requests blocked with 503 because a required dependency was unavailable',
+  type: METRIC_TYPES.COUNTER,
+  collect: () => readinessMetrics.getCounterSamples()
+});
+
 module.exports = { ReadinessMetrics, readinessMetrics };
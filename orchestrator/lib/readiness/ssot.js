@@ -123,6 +123,15 @@ function depsForToolName(toolName) {
   return REQUIRED_DEPS.map(d => d.key);
 }
 
+/**
+ * RunnerCore 逐 step 擋下（blocked）的 deps：depsForToolName 去掉 optional deps。
+ * optional dep（notebooklm）未 ready 時由 ToolExecutionService 回 skipped，
+ * 不讓單一 optional 查詢把整個 TOOL run 變成 blocked（REPLY 仍會 derive，context_notes 註明略過）。
+ */
+function blockingDepsForToolName(toolName) {
+  return depsForToolName(toolName).filter((key) => !OPTIONAL_DEPS.some((d) => d.key === key));
+}
+
 // ===== JSON Schemas =====
 
 /**
@@ -274,6 +283,7 @@ module.exports = {
   // Key formatter / tool deps
   formatCounterKey,
   depsForToolName,
+  blockingDepsForToolName,
 
   // Validators
   validateReadinessSnapshot,
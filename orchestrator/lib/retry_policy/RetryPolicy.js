@@ -0,0 +1,99 @@
+/**
+ * RetryPolicy - failed 票據的自動重試決策（由 RetryScheduler 週期性套用）
+ *
+ * - 每個 kind 的最大嘗試次數（含第一次），用盡 → dead_letter
+ * - 指數退避：第 n 次失敗後 not_before = failed_at + base * 2^(n-1)，上限 maxMs
+ * - 不重試：server 執行的 FLOW / flow 子票（FlowRunner 自行處理）、人工 reject 的 REPLY
+ *
+ * Env:
+ *   - RETRY_MAX_ATTEMPTS     (default "*=3"；例 "REPLY=2,TOOL=4,*=3"，0 = 直接 dead_letter)
+ *   - RETRY_BACKOFF_BASE_MS  (default 30000)
+ *   - RETRY_BACKOFF_MAX_MS   (default 1800000)
+ */
+
+const { parseWeights } = require('../lease_policy/LeasePolicy');
+const { SERVER_EXECUTED_KINDS, REPLY_REJECTED } = require('../../store/TicketStore');
+
+const DEFAULT_MAX_ATTEMPTS = Object.freeze({ '*': 3 });
+const DEFAULT_BACKOFF_BASE_MS = 30000;
+const DEFAULT_BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+const RETRY_ACTIONS = Object.freeze({
+  RETRY: 'retry',
+  DEAD_LETTER: 'dead_letter',
+  SKIP: 'skip'
+});
+
+function parseNonNegativeMs(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.maxAttempts] - { KIND: n, '*': n } (default: RETRY_MAX_ATTEMPTS env)
+   * @param {number} [options.backoffBaseMs]
+   * @param {number} [options.backoffMaxMs]
+   */
+  constructor({ maxAttempts, backoffBaseMs, backoffMaxMs, env = process.env } = {}) {
+    this.maxAttempts = maxAttempts
+      ? { ...DEFAULT_MAX_ATTEMPTS, ...maxAttempts }
+      : { ...DEFAULT_MAX_ATTEMPTS, ...parseWeights(env.RETRY_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS) };
+    this.backoffBaseMs = parseNonNegativeMs(backoffBaseMs !== undefined ? backoffBaseMs : env.RETRY_BACKOFF_BASE_MS, DEFAULT_BACKOFF_BASE_MS);
+    this.backoffMaxMs = parseNonNegativeMs(backoffMaxMs !== undefined ? backoffMaxMs : env.RETRY_BACKOFF_MAX_MS, DEFAULT_BACKOFF_MAX_MS);
+  }
+
+  maxAttemptsFor(kind) {
+    const n = Object.prototype.hasOwnProperty.call(this.maxAttempts, kind) ? this.maxAttempts[kind] : this.maxAttempts['*'];
+    return Math.floor(n);
+  }
+
+  /**
+   * @param {number} attempt - 1-based attempt that just failed
+   */
+  backoffMs(attempt) {
+    const delay = this.backoffBaseMs * 2 ** Math.max(0, attempt - 1);
+    return Math.min(delay, this.backoffMaxMs);
+  }
+
+  /**
+   * @param {Object} ticket - failed ticket
+   * @returns {{action: string, attempt?: number, max_attempts?: number, not_before?: number, reason?: string}}
+   */
+  decide(ticket) {
+    const metadata = ticket.metadata || {};
+    if (SERVER_EXECUTED_KINDS.has(metadata.kind) || metadata.flow_parent) {
+      return { action: RETRY_ACTIONS.SKIP, reason: 'flow_managed' };
+    }
+    if (metadata.error === REPLY_REJECTED) {
+      return { action: RETRY_ACTIONS.SKIP, reason: 'rejected_by_reviewer' };
+    }
+
+    const attempt = (metadata.retry_count || 0) + 1;
+    const maxAttempts = this.maxAttemptsFor(metadata.kind);
+    if (attempt >= maxAttempts) {
+      return { action: RETRY_ACTIONS.DEAD_LETTER, attempt, max_attempts: maxAttempts, reason: 'retries_exhausted' };
+    }
+
+    const failedAt = Date.parse(metadata.failed_at);
+    const base = Number.isNaN(failedAt) ? Date.now() : failedAt;
+    return { action: RETRY_ACTIONS.RETRY, attempt, max_attempts: maxAttempts, not_before: base + this.backoffMs(attempt) };
+  }
+
+  describe() {
+    return {
+      max_attempts: { ...this.maxAttempts },
+      backoff_base_ms: this.backoffBaseMs,
+      backoff_max_ms: this.backoffMaxMs
+    };
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  RETRY_ACTIONS,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_BACKOFF_BASE_MS,
+  DEFAULT_BACKOFF_MAX_MS
+};
@@ -0,0 +1,132 @@
+/**
+ * RetryScheduler - 週期性掃描 failed 票據並套用 RetryPolicy
+ *
+ * - retry → TicketStore.retry(id, 'retry_policy', { notBefore })：回到 pending，但 backoff 結束前 lease() 不會領
+ * - dead_letter → TicketStore.deadLetter()：等待 /v1/dead-letters 人工 requeue / discard
+ * - fail() 當下不立即重試：失敗狀態至少保留一個 sweep interval，方便觀察與人工介入
+ *
+ * Env:
+ *   - RETRY_POLICY_ENABLED      (default true; 'false' disables the timer)
+ *   - RETRY_SWEEP_INTERVAL_MS   (default 10000)
+ *   - 其餘見 RetryPolicy.js
+ */
+
+const { RetryPolicy, RETRY_ACTIONS } = require('./RetryPolicy');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 10000;
+
+function parseIntervalMs(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_SWEEP_INTERVAL_MS;
+}
+
+class RetryScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.ticketStore - TicketStore instance (retry / deadLetter)
+   * @param {RetryPolicy} [options.policy] - Default: new RetryPolicy({ env })
+   * @param {number} [options.intervalMs] - Sweep interval (default: RETRY_SWEEP_INTERVAL_MS env or 10000)
+   * @param {boolean} [options.enabled] - Default: RETRY_POLICY_ENABLED !== 'false'
+   * @param {Object} [options.logger] - winston-like logger (info/warn/error)
+   */
+  constructor({ ticketStore, policy, intervalMs, enabled, logger = console, env = process.env } = {}) {
+    if (!ticketStore) throw new Error('RetryScheduler requires ticketStore');
+    this.ticketStore = ticketStore;
+    this.policy = policy || new RetryPolicy({ env });
+    this.intervalMs = parseIntervalMs(intervalMs !== undefined ? intervalMs : env.RETRY_SWEEP_INTERVAL_MS);
+    this.enabled = enabled !== undefined ? Boolean(enabled) : env.RETRY_POLICY_ENABLED !== 'false';
+    this.logger = logger;
+
+    this.timer = null;
+    this.running = false;
+    this.counters = {
+      runs_total: 0,
+      retried_total: 0,
+      dead_lettered_total: 0,
+      skipped_total: 0,
+      errors_total: 0
+    };
+    this.lastRunAt = null;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return false;
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.intervalMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+    this.logger.info(`[RetryScheduler] Started (interval=${this.intervalMs}ms, max_attempts=${JSON.stringify(this.policy.maxAttempts)})`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a single sweep. Overlapping sweeps are skipped.
+   * @returns {Promise<{retried: string[], deadLettered: string[]}|null>} null when skipped or failed
+   */
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+    const startedAt = Date.now();
+    const retried = [];
+    const deadLettered = [];
+
+    try {
+      const failed = await this.ticketStore.list({ status: 'failed', limit: 10000 });
+      for (const ticket of failed) {
+        const decision = this.policy.decide(ticket);
+        try {
+          if (decision.action === RETRY_ACTIONS.RETRY) {
+            await this.ticketStore.retry(ticket.id, 'retry_policy', { notBefore: decision.not_before });
+            retried.push(ticket.id);
+          } else if (decision.action === RETRY_ACTIONS.DEAD_LETTER) {
+            const result = await this.ticketStore.deadLetter(ticket.id, { by: 'retry_policy', reason: decision.reason });
+            if (result.ok) deadLettered.push(ticket.id);
+          } else {
+            this.counters.skipped_total++;
+          }
+        } catch (err) {
+          // 同一輪中票據可能已被其他路徑改變狀態，下一輪再看
+          this.counters.errors_total++;
+          this.logger.warn(`[RetryScheduler] ${ticket.id}: ${err.message}`);
+        }
+      }
+      this.counters.retried_total += retried.length;
+      this.counters.dead_lettered_total += deadLettered.length;
+      return { retried, deadLettered };
+    } catch (err) {
+      this.counters.errors_total++;
+      this.logger.error(`[RetryScheduler] Sweep failed: ${err.message}`);
+      return null;
+    } finally {
+      this.counters.runs_total++;
+      this.lastRunAt = new Date(startedAt).toISOString();
+      this.running = false;
+    }
+  }
+
+  /**
+   * /metrics retry_policy block
+   */
+  getMetrics() {
+    return {
+      enabled: this.enabled,
+      active: this.timer !== null,
+      interval_ms: this.intervalMs,
+      ...this.policy.describe(),
+      ...this.counters,
+      last_run_at: this.lastRunAt
+    };
+  }
+}
+
+module.exports = {
+  RetryScheduler,
+  DEFAULT_SWEEP_INTERVAL_MS
+};
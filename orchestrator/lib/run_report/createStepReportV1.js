@@ -24,7 +24,8 @@ function createStepReportV1(params = {}) {
     result_summary = '',
     evidence_items = [],
     dep_snapshot_ref = null,
-    attempt_events = []
+    attempt_events = [],
+    data_flow = null
   } = params;
 
   const report = {
@@ -50,6 +51,11 @@ function createStepReportV1(params = {}) {
     report.attempt_events = attempt_events;
   }
 
+  // Step data flow: save_as / when / refs / fan_out (optional)
+  if (data_flow !== null && typeof data_flow === 'object') {
+    report.data_flow = data_flow;
+  }
+
   return report;
 }
 
@@ -33,7 +33,10 @@ const ATTEMPT_EVENT_TYPES_V1 = Object.freeze({
   RUN_START: 'RUN_START',
   RUN_END: 'RUN_END',
   STEP_START: 'STEP_START',
-  STEP_END: 'STEP_END'
+  STEP_END: 'STEP_END',
+  // ToolGateway fallback_behavior: one event per retried / skipped gateway attempt
+  STEP_RETRY: 'STEP_RETRY',
+  STEP_SKIP: 'STEP_SKIP'
 });
 
 module.exports = {
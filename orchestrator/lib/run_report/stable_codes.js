@@ -24,6 +24,8 @@ const GATEWAY_ERROR_CODE_MAPPING = Object.freeze({
   UNAVAILABLE: RUN_CODES.TOOL_UNAVAILABLE,
   service_unavailable: RUN_CODES.TOOL_UNAVAILABLE,
   not_available: RUN_CODES.TOOL_UNAVAILABLE,
+  // ToolGateway RateLimiter rejection (server is up but refusing more calls right now)
+  rate_limited: RUN_CODES.TOOL_UNAVAILABLE,
 
   // Execution failures
   error: RUN_CODES.TOOL_EXEC_FAILED,
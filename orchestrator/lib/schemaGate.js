@@ -18,6 +18,7 @@ const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 const fs = require('fs');
 const path = require('path');
+const { metricsRegistry, METRIC_TYPES } = require('./metrics/MetricsRegistry');
 
 // ============================================================
 // WARN_CODE ENUM (stable, never match on strings in tests)
@@ -54,6 +55,7 @@ const KIND = {
   TRIAGE: 'TRIAGE',
   TOOL: 'TOOL',
   REPLY: 'REPLY',
+  FLOW: 'FLOW',
   UNKNOWN: 'UNKNOWN'
 };
 
@@ -72,6 +74,24 @@ function incrementCounter(counterMap, labels) {
   counterMap.set(key, (counterMap.get(key) || 0) + 1);
 }
 
+function counterSamples(counterMap) {
+  return Array.from(counterMap.entries()).map(([key, value]) => ({ labels: JSON.parse(key), value }));
+}
+
+// OpenMetrics (/metrics/prom): same counters, read at scrape time
+metricsRegistry.collector({
+  name: 'orchestrator_schema_warning',
+  help: 'Schema gate warnings by warn_code / kind / direction / boundary',
+  type: METRIC_TYPES.COUNTER,
+  collect: () => counterSamples(metricsCounters.warnings)
+});
+metricsRegistry.collector({
+  name: 'orchestrator_schema_strict_reject',
+  help: 'Schema gate strict-mode rejects by kind / direction / boundary',
+  type: METRIC_TYPES.COUNTER,
+  collect: () => counterSamples(metricsCounters.rejects)
+});
+
 function getCounterValue(counterMap, labels) {
   const key = JSON.stringify(labels);
   return counterMap.get(key) || 0;
@@ -276,7 +296,7 @@ function validate(data, options = {}) {
 function extractKind(data) {
   if (!data) return KIND.UNKNOWN;
   const kind = data.metadata?.kind;
-  if (kind === 'TRIAGE' || kind === 'TOOL' || kind === 'REPLY') {
+  if (kind === 'TRIAGE' || kind === 'TOOL' || kind === 'REPLY' || kind === 'FLOW') {
     return kind;
   }
   return KIND.UNKNOWN;
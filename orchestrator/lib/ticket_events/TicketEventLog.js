@@ -0,0 +1,125 @@
+/**
+ * TicketEventLog - 票據生命週期事件（TicketStore 發布，SSE GET /v1/ticket-events 訂閱）
+ *
+ * - type：created | derived | leased | filled | approved | blocked | failed | released | dead_lettered | discarded
+ * - id：`<epoch>-<seq>`；epoch 為本次啟動時間（base36），seq 單調遞增
+ * - 最近 bufferSize 筆保留在環狀 buffer，供 Last-Event-ID 續傳；
+ *   id 來自前一次啟動或已被擠出 buffer → since() 回傳 reset，客戶端須重新全量同步
+ *
+ * Env:
+ *   - TICKET_EVENTS_BUFFER (default 1000)
+ */
+
+const TICKET_EVENT_TYPES = Object.freeze({
+  CREATED: 'created',
+  DERIVED: 'derived',
+  LEASED: 'leased',
+  FILLED: 'filled',
+  APPROVED: 'approved',
+  BLOCKED: 'blocked',
+  FAILED: 'failed',
+  RELEASED: 'released',
+  DEAD_LETTERED: 'dead_lettered',
+  DISCARDED: 'discarded'
+});
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+function parseBufferSize(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_BUFFER_SIZE;
+}
+
+class TicketEventLog {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize] - default: TICKET_EVENTS_BUFFER env or 1000
+   * @param {string} [options.epoch] - id prefix (tests); default: boot time base36
+   */
+  constructor(options = {}) {
+    this.bufferSize = parseBufferSize(options.bufferSize !== undefined ? options.bufferSize : process.env.TICKET_EVENTS_BUFFER);
+    this.epoch = options.epoch || Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.listeners = new Set();
+    this.counters = { published_total: 0, listener_errors_total: 0 };
+  }
+
+  get lastEventId() {
+    return `${this.epoch}-${this.seq}`;
+  }
+
+  /**
+   * @param {string} type - TICKET_EVENT_TYPES
+   * @param {Object} ticket
+   * @param {Object} [extra] - low-cardinality details (reason, lease_owner, parent_ticket_id…)
+   */
+  publish(type, ticket, extra = {}) {
+    this.seq += 1;
+    const event = {
+      id: `${this.epoch}-${this.seq}`,
+      type,
+      at: new Date().toISOString(),
+      ticket_id: ticket.id,
+      kind: ticket.metadata?.kind || null,
+      status: ticket.status,
+      flow_id: ticket.flow_id || null,
+      ...extra
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.counters.published_total++;
+
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (e) {
+        // 訂閱端（SSE 連線）出錯不影響狀態轉移
+        this.counters.listener_errors_total++;
+      }
+    }
+    return event;
+  }
+
+  /**
+   * @param {Function} listener - (event) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Last-Event-ID 續傳
+   * @returns {{events: Array<Object>, reset: boolean}}
+   */
+  since(lastEventId) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(String(lastEventId || ''));
+    if (!match || match[1] !== this.epoch) return { events: [], reset: true };
+
+    const seq = Number(match[2]);
+    if (seq > this.seq) return { events: [], reset: true };
+
+    const oldestSeq = this.seq - this.buffer.length + 1;
+    if (seq < oldestSeq - 1) return { events: [], reset: true }; // 中間已被擠出 buffer
+
+    return { events: this.buffer.slice(seq - oldestSeq + 1), reset: false };
+  }
+
+  getMetrics() {
+    return {
+      last_event_id: this.lastEventId,
+      buffered: this.buffer.length,
+      buffer_size: this.bufferSize,
+      subscribers: this.listeners.size,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  TicketEventLog,
+  TICKET_EVENT_TYPES
+};
@@ -6,7 +6,7 @@
  * - Readiness gating (requireDeps)
  * - Schema gate (args/outputs validation)
  * - Audit/metrics (tool execution trace)
- * - Tool args allowlist/validator
+ * - Tool args allowlist/validator（per server.tool MCP inputSchema，見 tool_gateway/ToolCatalog）
  * - Actual tool execution (via ToolGateway)
  *
  * 注意：這是 in-process service，M2-B RunnerCore 透過 adapter 呼叫，
@@ -15,7 +15,7 @@
 
 const { evaluateReadiness } = require('../readiness/evaluateReadiness');
 const { readinessMetrics } = require('../readiness/readinessMetrics');
-const { depsForToolName } = require('../readiness/ssot');
+const { depsForToolName, OPTIONAL_DEPS } = require('../readiness/ssot');
 const { RUN_CODES } = require('../tool_runner/ssot');
 const { mapGatewayErrorCode } = require('../run_report/stable_codes');
 const schemaGate = require('../schemaGate');
@@ -56,8 +56,9 @@ class ToolExecutionService {
    *
    * Error codes (stable):
    * - MCP_REQUIRED_UNAVAILABLE: required deps not ready
+   *   （只缺 optional deps 時不算錯誤：回 { ok: true, skipped: true, skip.reason: 'optional_dep_unavailable' }）
    * - INVALID_TOOL_STEP: missing tool name or _original_tool in context
-   * - INVALID_TOOL_ARGS: args validation failed (schemaGate strict)
+   * - INVALID_TOOL_ARGS: args violate the tool's MCP inputSchema (detail.violations) or schemaGate strict
    * - TOOL_EXEC_FAILED / TOOL_TIMEOUT / TOOL_UNAVAILABLE: execution errors
    */
   async executeTool({ tool_name, args, context }) {
@@ -93,12 +94,30 @@ class ToolExecutionService {
 
     const missingRequired = [];
     for (const depKey of requiredDepKeys) {
-      const depState = snapshot.required[depKey];
+      // Per-tool deps may be globally optional (notebooklm): read whichever side of the snapshot holds it
+      const depState = snapshot.required[depKey] || snapshot.optional?.[depKey];
       if (!depState || !depState.ready) {
         missingRequired.push(depKey);
       }
     }
 
+    const missingOptional = missingRequired.filter((depKey) => OPTIONAL_DEPS.some((d) => d.key === depKey));
+    if (missingRequired.length > 0 && missingOptional.length === missingRequired.length) {
+      // Optional dep (notebooklm) down: skip the call instead of blocking the step
+      return {
+        ok: true,
+        skipped: true,
+        result: null,
+        skip: {
+          reason: 'optional_dep_unavailable',
+          code: RUN_CODES.TOOL_UNAVAILABLE,
+          message: `Optional deps unavailable: ${missingOptional.join(', ')}`
+        },
+        evidenceCandidates: [],
+        attempt_events: []
+      };
+    }
+
     if (missingRequired.length > 0) {
       // Increment counters (same as HTTP middleware)
       for (const depKey of missingRequired) {
@@ -118,7 +137,22 @@ class ToolExecutionService {
       };
     }
 
-    // 3) Schema gate: args validation (strict internal mode)
+    // 3) Per-tool args validation against the MCP inputSchema captured at connect time
+    if (typeof this.toolGateway.validateToolArgs === 'function') {
+      const argsCheck = this.toolGateway.validateToolArgs(tool_name, mcpToolName, args || {});
+      if (!argsCheck.valid) {
+        return {
+          ok: false,
+          error: {
+            code: RUN_CODES.INVALID_TOOL_ARGS,
+            message: argsCheck.message,
+            detail: { violations: argsCheck.violations }
+          }
+        };
+      }
+    }
+
+    // 4) Schema gate: args validation (strict internal mode)
     const schemaGateMode = process.env.SCHEMA_GATE_MODE || 'off';
     if (schemaGateMode !== 'off') {
       // Use schemaGate internal mode (never throw, return ok=false on reject)
@@ -154,23 +188,42 @@ class ToolExecutionService {
       }
     }
 
-    // 4) Execute tool via ToolGateway
+    // 5) Execute tool via ToolGateway
+    // attempt_events: gateway-level retries/skips (fallback_behavior), surfaced by RunnerCore
+    const attemptEvents = [];
     try {
       // Map tool_name (server-level) + mcpToolName to ToolGateway executeTool(server, tool, args)
       const server = tool_name;
       const tool = mcpToolName;
 
-      const result = await this.toolGateway.executeTool(server, tool, args || {});
+      const result = await this.toolGateway.executeTool(server, tool, args || {}, { attemptEvents });
 
       // ToolGateway response shape (legacy): may return { content, error, ... }
       // We normalize to RunnerCore adapter shape: { ok, result?, error? }
 
+      if (result && result.skipped) {
+        // fallback_behavior.on_tool_unavailable=skip_node: step is skipped, not failed
+        return {
+          ok: true,
+          skipped: true,
+          result: null,
+          skip: {
+            reason: result.reason,
+            code: mapGatewayErrorCode(result.error?.code),
+            message: result.error?.message
+          },
+          evidenceCandidates: [],
+          attempt_events: attemptEvents
+        };
+      }
+
       if (result && (result.content || result.result || result.success)) {
         // Success path
         return {
           ok: true,
           result: result.content || result.result || result,
-          evidenceCandidates: result.evidenceCandidates || []
+          evidenceCandidates: result.evidenceCandidates || [],
+          attempt_events: attemptEvents
         };
       }
 
@@ -182,7 +235,8 @@ class ToolExecutionService {
             code: mapGatewayErrorCode(result.error.code),
             message: result.error.message || 'Tool execution failed',
             detail: result.error.detail
-          }
+          },
+          attempt_events: attemptEvents
         };
       }
 
@@ -195,9 +249,13 @@ class ToolExecutionService {
       return {
         ok: true,
         result: result,
-        evidenceCandidates: []
+        evidenceCandidates: [],
+        attempt_events: attemptEvents
       };
     } catch (err) {
+      const gatewayCode = typeof err?.gateway_code === 'string'
+        ? err.gateway_code
+        : (typeof err?.code === 'string' ? err.code : null);
       // Gateway threw exception
       this.logger?.error?.(
         `[ToolExecutionService] ToolGateway threw exception for tool=${tool_name}:`,
@@ -207,10 +265,12 @@ class ToolExecutionService {
       return {
         ok: false,
         error: {
-          code: RUN_CODES.TOOL_EXEC_FAILED,
+          // Gateway errors carrying a known code (timeout / unavailable / rate_limited) keep their stable mapping
+          code: gatewayCode ? mapGatewayErrorCode(gatewayCode) : RUN_CODES.TOOL_EXEC_FAILED,
           message: err?.message || 'Tool execution exception',
           detail: { stack: err?.stack }
-        }
+        },
+        attempt_events: attemptEvents
       };
     }
   }
@@ -0,0 +1,149 @@
+/**
+ * planToolSteps - TRIAGE outputs → TOOL tool_steps（依 rules/tool_plan.yaml 的策略表）
+ *
+ * - 每個 information_needs 項目依 strategy.sources 展開（memory / web_search / notebooklm）
+ * - topics → 一個 memory.open_nodes（整份計畫共用）
+ * - 沒有 information_needs → 保留舊行為：memory.search_nodes 查貼文前 120 字
+ * - fetch_pages > 0：搜尋 step save_as，再以 for_each 對前 N 筆結果呼叫 get-single-web-page-content { url }
+ * - 步驟數不超過 budget.max_steps（RunnerCore 超過會 BUDGET_EXCEEDED；fan-out 每項各算一步）；截掉的步驟記在 plan.dropped_steps
+ *
+ * 步驟維持 legacy { server, tool, args } 形狀，讓 RunnerCore bridge 保留 _original_tool。
+ */
+
+const { resolveStrategy } = require('./toolPlanPolicy');
+
+const MAX_QUERY_CHARS = 200;
+const MAX_OPEN_NODES = 10;
+const FALLBACK_QUERY_CHARS = 120;
+
+function normalizeNeeds(informationNeeds) {
+  if (!Array.isArray(informationNeeds)) return [];
+  const seen = new Set();
+  const needs = [];
+  for (const item of informationNeeds) {
+    const question = String(typeof item === 'string' ? item : (item?.question || '')).trim();
+    if (!question || seen.has(question)) continue;
+    seen.add(question);
+    needs.push({ question, purpose: typeof item?.purpose === 'string' ? item.purpose : null });
+  }
+  return needs;
+}
+
+function normalizeTopics(topics) {
+  if (!Array.isArray(topics)) return [];
+  return [...new Set(topics.map((t) => String(t || '').trim()).filter(Boolean))].slice(0, MAX_OPEN_NODES);
+}
+
+function stepsForNeed(need, needIndex, source, strategy) {
+  const query = need.question.slice(0, MAX_QUERY_CHARS);
+  switch (source) {
+    case 'memory':
+      return [{ server: 'memory', tool: 'search_nodes', args: { query } }];
+    case 'web_search': {
+      const search = { server: 'web_search', tool: 'get-web-search-summaries', args: { query, limit: strategy.web_results } };
+      if (!(strategy.fetch_pages > 0)) return [search];
+      // 搜尋失敗 / 被略過時 when 不成立，fetch 跟著略過
+      const saveAs = `web_${needIndex}`;
+      return [{ ...search, save_as: saveAs }, {
+        server: 'web_search',
+        tool: 'get-single-web-page-content',
+        args: { url: '${item.url}' },
+        for_each: `\${steps.${saveAs}.results}`,
+        max_items: strategy.fetch_pages,
+        when: { step: saveAs, is: 'ok' }
+      }];
+    }
+    case 'notebooklm':
+      return [{
+        server: 'notebooklm',
+        tool: 'ask_question',
+        args: strategy.notebook_id ? { question: need.question, notebook_id: strategy.notebook_id } : { question: need.question }
+      }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.ticket - TRIAGE ticket
+ * @param {Object} params.outputs - TRIAGE fill outputs (information_needs / reply_strategy / topics / target_prompt_id)
+ * @param {Object} params.policy - loadToolPlanPolicy() result
+ * @returns {{tool_steps: Array, budget: Object, plan: Object}}
+ */
+function planToolSteps({ ticket, outputs = {}, policy }) {
+  const { id: strategyId, strategy } = resolveStrategy(policy, outputs);
+  const needs = normalizeNeeds(outputs.information_needs);
+  const topics = normalizeTopics(outputs.topics);
+
+  // 候選步驟（依優先序）；每組對應一筆 rationale
+  const groups = [];
+  if (needs.length === 0) {
+    const content = String(ticket?.event?.content || '').trim();
+    const query = content.length > 0
+      ? content.slice(0, FALLBACK_QUERY_CHARS)
+      : `triage:${ticket?.metadata?.candidate_id || ticket?.id}`;
+    groups.push({
+      rationale: { reason: 'no information_needs; default context lookup on the post content' },
+      steps: [{ server: 'memory', tool: 'search_nodes', args: { query } }]
+    });
+  } else {
+    if (topics.length > 0 && strategy.sources.includes('memory')) {
+      groups.push({
+        rationale: { reason: 'open known memory nodes for triage topics', topics },
+        steps: [{ server: 'memory', tool: 'open_nodes', args: { names: topics } }]
+      });
+    }
+    needs.slice(0, strategy.max_needs).forEach((need, index) => {
+      groups.push({
+        rationale: { need_index: index, question: need.question, purpose: need.purpose, sources: strategy.sources },
+        steps: strategy.sources.flatMap((source) => stepsForNeed(need, index, source, strategy))
+      });
+    });
+  }
+
+  const tool_steps = [];
+  const seen = new Set();
+  const rationale = [];
+  let droppedSteps = 0;
+  let budgetUsed = 0;
+  for (const group of groups) {
+    const stepIndexes = [];
+    let dropped = 0;
+    for (const step of group.steps) {
+      const key = JSON.stringify(step);
+      if (seen.has(key)) continue;
+      const cost = step.for_each !== undefined ? step.max_items : 1;
+      // fan-out 的 save_as 來源被截掉時，fan-out 也一併截掉
+      const sourceDropped = step.when !== undefined && !tool_steps.some((s) => s.save_as === step.when.step);
+      if (sourceDropped || budgetUsed + cost > strategy.budget.max_steps) {
+        dropped++;
+        continue;
+      }
+      budgetUsed += cost;
+      seen.add(key);
+      stepIndexes.push(tool_steps.length);
+      tool_steps.push(step);
+    }
+    droppedSteps += dropped;
+    rationale.push({ ...group.rationale, steps: stepIndexes, ...(dropped > 0 ? { dropped_steps: dropped } : {}) });
+  }
+
+  return {
+    tool_steps,
+    budget: { ...strategy.budget },
+    plan: {
+      strategy: strategyId,
+      policy_source: policy.source || 'builtin',
+      reply_strategy: typeof outputs.reply_strategy === 'string' ? outputs.reply_strategy : null,
+      needs_total: needs.length,
+      needs_planned: Math.min(needs.length, strategy.max_needs),
+      dropped_steps: droppedSteps,
+      rationale
+    }
+  };
+}
+
+module.exports = {
+  planToolSteps
+};
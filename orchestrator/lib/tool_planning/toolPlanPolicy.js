@@ -0,0 +1,150 @@
+/**
+ * toolPlanPolicy - TOOL 票據規劃的策略表（rules/tool_plan.yaml）
+ *
+ * - default + strategies（依 target_prompt_id / reply_strategy 選擇，只覆寫有寫的欄位）
+ * - 檔案不存在或無效 → 使用內建預設並記錄 load_error（不讓 TRIAGE fill 失敗）
+ *
+ * Env:
+ *   - TOOL_PLAN_POLICY_PATH (default orchestrator/rules/tool_plan.yaml)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { MAX_FAN_OUT_ITEMS } = require('../tool_runner/stepDataFlow');
+
+const DEFAULT_POLICY_PATH = path.resolve(__dirname, '../../rules/tool_plan.yaml');
+
+const PLAN_SOURCES = Object.freeze(['memory', 'web_search', 'notebooklm']);
+
+const DEFAULT_STRATEGY = Object.freeze({
+  max_needs: 3,
+  sources: ['memory', 'web_search'],
+  web_results: 5,
+  fetch_pages: 0,
+  notebook_id: null,
+  budget: { max_steps: 8, max_wall_ms: 60000 }
+});
+
+class ToolPlanPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolPlanPolicyError';
+    this.code = 'invalid_tool_plan_policy';
+  }
+}
+
+function positiveInt(value, field, where) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new ToolPlanPolicyError(`${where}.${field} must be a positive integer`);
+  return n;
+}
+
+function nonNegativeInt(value, field, where) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new ToolPlanPolicyError(`${where}.${field} must be a non-negative integer`);
+  return n;
+}
+
+/**
+ * 合併並驗證單一 strategy（base 為已驗證的 default）
+ */
+function compileStrategy(spec, base, where) {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new ToolPlanPolicyError(`${where} must be an object`);
+  }
+  const known = new Set(Object.keys(DEFAULT_STRATEGY));
+  const unknown = Object.keys(spec).filter((k) => !known.has(k));
+  if (unknown.length > 0) throw new ToolPlanPolicyError(`${where}: unknown field(s) ${unknown.join(', ')}`);
+
+  const strategy = { ...base, budget: { ...base.budget } };
+  if (spec.max_needs !== undefined) strategy.max_needs = positiveInt(spec.max_needs, 'max_needs', where);
+  if (spec.web_results !== undefined) strategy.web_results = positiveInt(spec.web_results, 'web_results', where);
+  if (spec.fetch_pages !== undefined) {
+    strategy.fetch_pages = nonNegativeInt(spec.fetch_pages, 'fetch_pages', where);
+    // 頁面抓取是 for_each fan-out，受 MAX_FAN_OUT_ITEMS 限制
+    if (strategy.fetch_pages > MAX_FAN_OUT_ITEMS) throw new ToolPlanPolicyError(`${where}.fetch_pages must be at most ${MAX_FAN_OUT_ITEMS}`);
+  }
+  if (spec.notebook_id !== undefined) strategy.notebook_id = spec.notebook_id === null ? null : String(spec.notebook_id);
+  if (spec.sources !== undefined) {
+    if (!Array.isArray(spec.sources) || spec.sources.length === 0) {
+      throw new ToolPlanPolicyError(`${where}.sources must be a non-empty array`);
+    }
+    const invalid = spec.sources.filter((s) => !PLAN_SOURCES.includes(s));
+    if (invalid.length > 0) {
+      throw new ToolPlanPolicyError(`${where}.sources: unknown source(s) ${invalid.join(', ')} (allowed: ${PLAN_SOURCES.join(', ')})`);
+    }
+    strategy.sources = [...new Set(spec.sources)];
+  }
+  if (spec.budget !== undefined) {
+    if (spec.budget === null || typeof spec.budget !== 'object' || Array.isArray(spec.budget)) {
+      throw new ToolPlanPolicyError(`${where}.budget must be an object`);
+    }
+    const extra = Object.keys(spec.budget).filter((k) => k !== 'max_steps' && k !== 'max_wall_ms');
+    if (extra.length > 0) throw new ToolPlanPolicyError(`${where}.budget: unknown key(s) ${extra.join(', ')}`);
+    if (spec.budget.max_steps !== undefined) strategy.budget.max_steps = positiveInt(spec.budget.max_steps, 'budget.max_steps', where);
+    if (spec.budget.max_wall_ms !== undefined) strategy.budget.max_wall_ms = positiveInt(spec.budget.max_wall_ms, 'budget.max_wall_ms', where);
+  }
+  return strategy;
+}
+
+/**
+ * @param {Object} doc - parsed tool_plan.yaml
+ * @returns {{default: Object, strategies: Object<string, Object>}}
+ * @throws {ToolPlanPolicyError}
+ */
+function compilePolicy(doc) {
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new ToolPlanPolicyError('tool plan policy must be an object');
+  }
+  const base = compileStrategy(doc.default || {}, DEFAULT_STRATEGY, 'default');
+  const strategies = {};
+  if (doc.strategies !== undefined && doc.strategies !== null) {
+    if (typeof doc.strategies !== 'object' || Array.isArray(doc.strategies)) {
+      throw new ToolPlanPolicyError('strategies must be a map of strategy id → overrides');
+    }
+    for (const [id, spec] of Object.entries(doc.strategies)) {
+      strategies[id] = compileStrategy(spec || {}, base, `strategies.${id}`);
+    }
+  }
+  return { default: base, strategies };
+}
+
+/**
+ * @returns {{default: Object, strategies: Object, source: string, load_error: string|null}}
+ */
+function loadToolPlanPolicy({ policyPath, env = process.env, logger = console } = {}) {
+  const file = policyPath || env.TOOL_PLAN_POLICY_PATH || DEFAULT_POLICY_PATH;
+  try {
+    if (!fs.existsSync(file)) {
+      return { ...compilePolicy({}), source: 'builtin', load_error: null };
+    }
+    const compiled = compilePolicy(yaml.load(fs.readFileSync(file, 'utf8')) || {});
+    return { ...compiled, source: file, load_error: null };
+  } catch (e) {
+    logger.warn(`[ToolPlan] Failed to load ${file}, using built-in defaults: ${e.message}`);
+    return { ...compilePolicy({}), source: 'builtin', load_error: e.message };
+  }
+}
+
+/**
+ * target_prompt_id 優先；reply_strategy 只在與 strategy id 完全相同時採用（通常是自由文字）
+ * @returns {{id: string, strategy: Object}}
+ */
+function resolveStrategy(policy, outputs = {}) {
+  for (const key of [outputs.target_prompt_id, outputs.reply_strategy]) {
+    if (typeof key === 'string' && Object.prototype.hasOwnProperty.call(policy.strategies, key)) {
+      return { id: key, strategy: policy.strategies[key] };
+    }
+  }
+  return { id: 'default', strategy: policy.default };
+}
+
+module.exports = {
+  ToolPlanPolicyError,
+  compilePolicy,
+  loadToolPlanPolicy,
+  resolveStrategy,
+  PLAN_SOURCES,
+  DEFAULT_POLICY_PATH
+};
@@ -11,6 +11,7 @@
  * - Budget enforcement: max_steps / max_wall_ms
  * - dep 不可用：逐 step blocked（整體取 worst）
  * - Evidence attach: 唯一入口 attachEvidence()（不自行處理 raw_pointer/limits）
+ * - Step data flow: save_as / ${steps.x...} 參照 / when / for_each（見 stepDataFlow.js）
  */
 
 const {
@@ -27,7 +28,17 @@ const {
 } = require('./ssot');
 
 const { validateToolStep, validateEvidenceCandidates } = require('./validateToolStep');
-const { mapToStableCode } = require('../run_report/stable_codes');
+const {
+  resolveArgs,
+  isWholeRef,
+  stepOutput,
+  validateDataFlow,
+  evaluateWhen,
+  resolveForEach,
+  usesDataFlow,
+  buildDataFlowReport
+} = require('./stepDataFlow');
+const { mapToStableCode, mapGatewayErrorCode } = require('../run_report/stable_codes');
 
 const {
   createRunReportV1,
@@ -36,6 +47,99 @@ const {
 } = require('../run_report/createRunReportV1');
 const { createStepReportV1 } = require('../run_report/createStepReportV1');
 
+// Gateway attempt actions (ToolGateway fallback_behavior) → v1 attempt event types
+const GATEWAY_ACTION_EVENT_TYPES = Object.freeze({
+  retry: ATTEMPT_EVENT_TYPES_V1.STEP_RETRY,
+  skip: ATTEMPT_EVENT_TYPES_V1.STEP_SKIP
+});
+
+/**
+ * 把 gateway 回傳的 attempt_events 中的 retry/skip 轉成 v1 attempt events
+ */
+function appendGatewayAttemptEvents(bag, gatewayEvents, { stepIndex, toolName }) {
+  if (!Array.isArray(gatewayEvents)) return;
+  for (const ev of gatewayEvents) {
+    const type = ev && GATEWAY_ACTION_EVENT_TYPES[ev.action];
+    if (!type) continue;
+    appendAttemptEvent(bag, {
+      type,
+      step_index: stepIndex,
+      tool_name: toolName,
+      status: null,
+      code: mapGatewayErrorCode(ev.code),
+      message: `attempt:${ev.attempt} ${ev.outcome} → ${ev.action}`
+    });
+  }
+}
+
+/**
+ * 單次 gateway 呼叫（fan-out 時每個 item 一次）
+ * @returns {{status, code, summary, evidenceItems, output}}
+ */
+async function executeStepCall({ gateway, step, args, ticket_id, stepIndex, fanOutIndex, attachEvidence, v1EventBag }) {
+  let status = RUN_STATUS.OK;
+  let code = null;
+  let summary = '';
+  let output = null;
+  const evidenceItems = [];
+
+  try {
+    if (!gateway) {
+      throw new Error('gateway is required');
+    }
+
+    const context = { ticket_id, step_index: stepIndex, step };
+    if (fanOutIndex !== undefined) context.fan_out_index = fanOutIndex;
+    const response = await gateway.execute({ toolName: step.tool_name, args, context });
+
+    if (v1EventBag) {
+      appendGatewayAttemptEvents(v1EventBag, response.attempt_events, { stepIndex, toolName: step.tool_name });
+    }
+
+    if (response.ok && response.skipped) {
+      // on_tool_unavailable=skip_node / optional dep 未 ready：不算失敗，但留下可追溯的 summary
+      const why = response.skip?.reason === 'optional_dep_unavailable' ? response.skip.message : 'on_tool_unavailable=skip_node';
+      summary = `skipped: ${response.skip?.code || RUN_CODES.TOOL_UNAVAILABLE} (${why})`;
+    } else if (response.ok) {
+      summary = typeof response.result === 'string'
+        ? response.result.substring(0, 200)
+        : JSON.stringify(response.result || {}).substring(0, 200);
+      output = stepOutput(response.result);
+
+      // Evidence attach（Decision 5: 唯一入口）
+      if (attachEvidence && response.evidenceCandidates) {
+        const evidenceValidation = validateEvidenceCandidates(response.evidenceCandidates);
+        if (!evidenceValidation.valid) {
+          // Guardrail: candidate 階段不允許 blob/不合規 shape
+          status = RUN_STATUS.BLOCKED;
+          code = evidenceValidation.code;
+          summary = evidenceValidation.message || 'Invalid evidence candidate(s)';
+        } else {
+          for (const candidate of response.evidenceCandidates) {
+            try {
+              evidenceItems.push(await attachEvidence(candidate));
+            } catch (err) {
+              // attachEvidence 失敗不影響 step status（tool 成功 ≠ evidence 一定成功）
+              console.warn(`[RunnerCore] attachEvidence failed for step ${stepIndex}:`, err.message);
+            }
+          }
+        }
+      }
+    } else {
+      // gateway 回 error → failed/blocked（依 code 判定）
+      code = mapToStableCode(response.error, { boundary: 'gateway' });
+      status = CODE_TO_STATUS[code] || RUN_STATUS.FAILED;
+      summary = response.error?.message || 'Tool execution failed';
+    }
+  } catch (err) {
+    status = RUN_STATUS.FAILED;
+    code = mapToStableCode(err, { boundary: 'runner' });
+    summary = err.message || 'Unknown error';
+  }
+
+  return { status, code, summary, evidenceItems, output };
+}
+
 /**
  * RunnerCore.run(ticket, deps) -> RunReport
  *
@@ -132,10 +236,44 @@ async function runImpl(ticket, deps, options = {}, { withV1 = false } = {}) {
   const step_reports = [];
   let allEvidenceItems = [];
   let stepIndex = 0;
+  // save_as → { status, output }（後面 step 的 ${steps.<name>...} / when / for_each 讀這裡）
+  const stepStates = new Map();
+  // for_each 第 2 項起的呼叫數（每項都占一個 max_steps 名額）
+  let extraFanOutCalls = 0;
+  let timedOut = false;
 
   for (const step of steps) {
     stepIndex++;
 
+    const saveState = (status, output = null) => {
+      if (step && typeof step.save_as === 'string' && !stepStates.has(step.save_as)) {
+        stepStates.set(step.save_as, { status, output });
+      }
+    };
+
+    // legacy + v1 step report 與 STEP_END 事件
+    const recordStep = (fields, message) => {
+      const report = {
+        step_index: stepIndex,
+        tool_name: step?.tool_name || 'unknown',
+        started_at: fields.started_at || generateTimestamp(),
+        ended_at: generateTimestamp(),
+        ...fields
+      };
+      step_reports.push(createStepReport(report));
+      if (withV1) {
+        v1StepReports.push(createStepReportV1(report));
+        appendAttemptEvent(v1EventBag, {
+          type: ATTEMPT_EVENT_TYPES_V1.STEP_END,
+          step_index: stepIndex,
+          tool_name: report.tool_name,
+          status: report.status,
+          code: report.code,
+          message
+        });
+      }
+    };
+
     if (withV1) {
       appendAttemptEvent(v1EventBag, {
         type: ATTEMPT_EVENT_TYPES_V1.STEP_START,
@@ -145,8 +283,8 @@ async function runImpl(ticket, deps, options = {}, { withV1 = false } = {}) {
       });
     }
 
-    // 檢查 budget: max_steps
-    if (stepIndex > maxSteps) {
+    // 檢查 budget: max_steps（含前面 fan-out 已用掉的名額）
+    if (stepIndex + extraFanOutCalls > maxSteps) {
       // 超過 budget → blocked + BUDGET_EXCEEDED
       const stepStartedAt = generateTimestamp();
       const stepEndedAt = generateTimestamp();
@@ -229,45 +367,32 @@ async function runImpl(ticket, deps, options = {}, { withV1 = false } = {}) {
       break; // 超時就停止執行
     }
 
-    // 檢查 step 格式
-    const validationResult = validateToolStep(step);
+    // 檢查 step 格式（含 data-flow 欄位：save_as / when / for_each）
+    const shapeResult = validateToolStep(step && isWholeRef(step.args) ? { ...step, args: {} } : step);
+    const validationResult = shapeResult.valid ? validateDataFlow(step, new Set(stepStates.keys())) : shapeResult;
     if (!validationResult.valid) {
-      const stepStartedAt = generateTimestamp();
-      const stepEndedAt = generateTimestamp();
-      step_reports.push(createStepReport({
-        step_index: stepIndex,
-        tool_name: step.tool_name || 'unknown',
+      recordStep({
         status: validationResult.status,
         code: validationResult.code,
-        started_at: stepStartedAt,
-        ended_at: stepEndedAt,
         duration_ms: 0,
         result_summary: validationResult.message || 'Invalid step',
         evidence_items: []
-      }));
-
-      if (withV1) {
-        v1StepReports.push(createStepReportV1({
-          step_index: stepIndex,
-          tool_name: step.tool_name || 'unknown',
-          status: validationResult.status,
-          code: validationResult.code,
-          started_at: stepStartedAt,
-          ended_at: stepEndedAt,
-          duration_ms: 0,
-          result_summary: validationResult.message || 'Invalid step',
-          evidence_items: []
-        }));
+      }, validationResult.message || 'invalid_step');
+      saveState(RUN_STATUS.BLOCKED);
+      continue;
+    }
 
-        appendAttemptEvent(v1EventBag, {
-          type: ATTEMPT_EVENT_TYPES_V1.STEP_END,
-          step_index: stepIndex,
-          tool_name: step?.tool_name || 'unknown',
-          status: validationResult.status,
-          code: validationResult.code,
-          message: validationResult.message || 'invalid_step'
-        });
-      }
+    // 條件 step：不成立 → 略過（不算失敗）
+    if (step.when !== undefined && !evaluateWhen(step.when, stepStates.get(step.when.step))) {
+      recordStep({
+        status: RUN_STATUS.OK,
+        code: null,
+        duration_ms: 0,
+        result_summary: `skipped: when ${step.when.step} is ${[].concat(step.when.is).join('|')} not met`,
+        evidence_items: [],
+        data_flow: buildDataFlowReport({ step, whenMet: false })
+      }, 'when_not_met');
+      saveState('skipped');
       continue;
     }
 
@@ -325,106 +450,104 @@ async function runImpl(ticket, deps, options = {}, { withV1 = false } = {}) {
           message: `missing_deps:${missingDeps.join(',')}`
         });
       }
+      saveState(RUN_STATUS.BLOCKED);
       continue;
     }
 
-    // 執行 step
+    // 執行 step（for_each → 逐項 fan-out；args 內的 ${...} 每次呼叫前解析，解析後再驗證 allowlist）
     const stepStartedAt = generateTimestamp();
     const stepStartTime = Date.now();
+    const scope = { steps: Object.fromEntries([...stepStates].map(([name, state]) => [name, state.output])) };
 
-    let stepStatus = RUN_STATUS.OK;
-    let stepCode = null;
-    let resultSummary = '';
-    let evidenceItems = [];
+    let iterations = [{ scope }];
+    let fanOut = null;
+    const refs = [];
+    if (step.for_each !== undefined) {
+      try {
+        const { items, total, ref } = resolveForEach(step, scope);
+        refs.push(ref);
+        iterations = items.map((item, index) => ({ scope: { ...scope, item, index }, fanOutIndex: index }));
+        fanOut = { items: items.length, total, ok: 0, failed: 0, blocked: 0 };
+      } catch (err) {
+        recordStep({
+          status: RUN_STATUS.BLOCKED,
+          code: err.code || RUN_CODES.INVALID_TOOL_ARGS,
+          duration_ms: 0,
+          result_summary: err.message,
+          evidence_items: [],
+          data_flow: buildDataFlowReport({ step, whenMet: step.when !== undefined ? true : null })
+        }, 'for_each_unresolved');
+        saveState(RUN_STATUS.BLOCKED);
+        continue;
+      }
+    }
 
-    try {
-      if (!gateway) {
-        throw new Error('gateway is required');
+    const results = [];
+    for (const iteration of iterations) {
+      // fan-out 每一項都是一次 tool call：第 1 項用 step 本身的名額，之後每項各算一個 max_steps，且逐項重檢 max_wall_ms
+      if (iteration.fanOutIndex > 0) {
+        if (Date.now() - startTime > maxWallMs) {
+          results.push({ status: RUN_STATUS.FAILED, code: RUN_CODES.RUN_TIMEOUT, summary: 'Run timeout (max_wall_ms)', evidenceItems: [], output: null });
+          timedOut = true;
+          break;
+        }
+        if (stepIndex + extraFanOutCalls + 1 > maxSteps) {
+          results.push({ status: RUN_STATUS.BLOCKED, code: RUN_CODES.BUDGET_EXCEEDED, summary: 'Budget exceeded (max_steps)', evidenceItems: [], output: null });
+          continue;
+        }
+        extraFanOutCalls++;
       }
 
-      const response = await gateway.execute({
-        toolName: step.tool_name,
-        args: step.args || {},
-        context: { ticket_id, step_index: stepIndex, step }
-      });
+      let resolved;
+      try {
+        resolved = resolveArgs(step.args, iteration.scope);
+      } catch (err) {
+        results.push({ status: RUN_STATUS.BLOCKED, code: err.code || RUN_CODES.INVALID_TOOL_ARGS, summary: err.message, evidenceItems: [], output: null });
+        continue;
+      }
+      refs.push(...resolved.refs);
 
-      if (response.ok) {
-        stepStatus = RUN_STATUS.OK;
-        stepCode = null;
-        resultSummary = typeof response.result === 'string'
-          ? response.result.substring(0, 200)
-          : JSON.stringify(response.result || {}).substring(0, 200);
-
-        // Evidence attach（Decision 5: 唯一入口）
-        if (attachEvidence && response.evidenceCandidates) {
-          const evidenceValidation = validateEvidenceCandidates(response.evidenceCandidates);
-          if (!evidenceValidation.valid) {
-            // Guardrail: candidate 階段不允許 blob/不合規 shape
-            stepStatus = RUN_STATUS.BLOCKED;
-            stepCode = evidenceValidation.code;
-            resultSummary = evidenceValidation.message || 'Invalid evidence candidate(s)';
-          } else {
-            for (const candidate of response.evidenceCandidates) {
-              try {
-                const evidenceItem = await attachEvidence(candidate);
-                evidenceItems.push(evidenceItem);
-                allEvidenceItems.push(evidenceItem);
-              } catch (err) {
-                // attachEvidence 失敗不影響 step status（tool 成功 ≠ evidence 一定成功）
-                console.warn(`[RunnerCore] attachEvidence failed for step ${stepIndex}:`, err.message);
-              }
-            }
-          }
-        }
-      } else {
-        // gateway 回 error → failed/blocked（依 code 判定）
-        stepCode = mapToStableCode(response.error, { boundary: 'gateway' });
-        stepStatus = CODE_TO_STATUS[stepCode] || RUN_STATUS.FAILED;
-        resultSummary = response.error?.message || 'Tool execution failed';
+      const resolvedValidation = validateToolStep({ ...step, args: resolved.args });
+      if (!resolvedValidation.valid) {
+        results.push({ status: resolvedValidation.status, code: resolvedValidation.code, summary: resolvedValidation.message || 'Invalid step', evidenceItems: [], output: null });
+        continue;
       }
-    } catch (err) {
-      stepStatus = RUN_STATUS.FAILED;
-      stepCode = mapToStableCode(err, { boundary: 'runner' });
-      resultSummary = err.message || 'Unknown error';
+
+      const result = await executeStepCall({
+        gateway,
+        step,
+        args: resolved.args,
+        ticket_id,
+        stepIndex,
+        fanOutIndex: iteration.fanOutIndex,
+        attachEvidence,
+        v1EventBag: withV1 ? v1EventBag : null
+      });
+      allEvidenceItems.push(...result.evidenceItems);
+      results.push(result);
     }
 
-    const stepEndedAt = generateTimestamp();
-    const stepDurationMs = Date.now() - stepStartTime;
+    const stepStatus = getWorstStatus(results.map((r) => r.status));
+    const stepCode = selectOverallCode(results, stepStatus);
+    let resultSummary = results.length > 0 ? results[0].summary : '';
+    if (fanOut) {
+      for (const r of results) fanOut[r.status === RUN_STATUS.OK ? 'ok' : r.status] += 1;
+      resultSummary = `fan_out: ${fanOut.items}/${fanOut.total} item(s) ok=${fanOut.ok} failed=${fanOut.failed} blocked=${fanOut.blocked}`;
+    }
+    saveState(stepStatus, fanOut ? results.map((r) => r.output) : (results[0]?.output ?? null));
 
-    step_reports.push(createStepReport({
-      step_index: stepIndex,
-      tool_name: step.tool_name,
+    recordStep({
       status: stepStatus,
       code: stepCode,
       started_at: stepStartedAt,
-      ended_at: stepEndedAt,
-      duration_ms: stepDurationMs,
+      duration_ms: Date.now() - stepStartTime,
       result_summary: resultSummary,
-      evidence_items: evidenceItems
-    }));
-
-    if (withV1) {
-      v1StepReports.push(createStepReportV1({
-        step_index: stepIndex,
-        tool_name: step.tool_name,
-        status: stepStatus,
-        code: stepCode,
-        started_at: stepStartedAt,
-        ended_at: stepEndedAt,
-        duration_ms: stepDurationMs,
-        result_summary: resultSummary,
-        evidence_items: evidenceItems
-      }));
-
-      appendAttemptEvent(v1EventBag, {
-        type: ATTEMPT_EVENT_TYPES_V1.STEP_END,
-        step_index: stepIndex,
-        tool_name: step.tool_name,
-        status: stepStatus,
-        code: stepCode,
-        message: 'step_end'
-      });
-    }
+      evidence_items: results.flatMap((r) => r.evidenceItems),
+      data_flow: usesDataFlow(step)
+        ? buildDataFlowReport({ step, whenMet: step.when !== undefined ? true : null, refs, fanOut })
+        : undefined
+    }, 'step_end');
+    if (timedOut) break; // 超時就停止執行
   }
 
   // 5) 計算整體 status（Decision 1: worst）
@@ -484,5 +607,6 @@ async function runWithV1(ticket, deps, options = {}) {
 
 module.exports = {
   run,
-  runWithV1
+  runWithV1,
+  appendGatewayAttemptEvents
 };
@@ -10,6 +10,17 @@
 
 const { TOOL_NAME_CANONICAL_FORMAT } = require('./ssot');
 
+// Step data flow 欄位（RunnerCore stepDataFlow 驗證）；只在有寫時帶過去
+const DATA_FLOW_FIELDS = ['save_as', 'when', 'for_each', 'max_items'];
+
+function pickDataFlowFields(step) {
+  const picked = {};
+  for (const field of DATA_FLOW_FIELDS) {
+    if (step[field] !== undefined) picked[field] = step[field];
+  }
+  return picked;
+}
+
 /**
  * Normalize tool_steps to canonical format.
  *
@@ -17,7 +28,8 @@ const { TOOL_NAME_CANONICAL_FORMAT } = require('./ssot');
  * 1) { server, tool, args } → canonical { tool_name: 'server', args }
  * 2) { tool_name, args } → already canonical (pass through)
  *
- * Observability-only fields are preserved on the normalized step.
+ * Observability-only fields are preserved on the normalized step, as are the
+ * data-flow fields (save_as / when / for_each / max_items).
  * These MUST NOT be moved into args (would violate allowlist).
  *
  * @param {Array} inputSteps
@@ -39,6 +51,7 @@ function normalizeToolSteps(inputSteps, opts = {}) {
         return {
           tool_name: step.tool_name,
           args: step.args || {},
+          ...pickDataFlowFields(step),
           _original_shape: 'tool_name'
         };
       }
@@ -57,6 +70,7 @@ function normalizeToolSteps(inputSteps, opts = {}) {
         return {
           tool_name: String(step.server),
           args: step.args || {},
+          ...pickDataFlowFields(step),
           _original_shape: 'server_tool',
           _original_server: String(step.server),
           _original_tool: String(step.tool)
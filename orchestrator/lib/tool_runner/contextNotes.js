@@ -0,0 +1,84 @@
+/**
+ * contextNotes.js
+ * TOOL run → REPLY reply_input.context_notes
+ *
+ * 取代 handlePostFillAutomation 直接呼叫 NotebookLM 的舊路徑：
+ * - recordStepResults(gateway)：包一層 RunnerCore gateway，記下每次呼叫（含 fan-out）的 args 與 response
+ * - buildContextNotes(records, toolTicket)：notebooklm 的回答組成 context_notes（格式沿用舊路徑）
+ *
+ * Guardrails:
+ * - 只收 notebooklm 的文字回答；memory / web_search 結果走 evidence（Decision 3: 不把 evidence bytes 塞進輸出）
+ * - 總長度上限 MAX_CONTEXT_NOTES_CHARS
+ */
+
+const MAX_CONTEXT_NOTES_CHARS = 4000;
+const CONTEXT_NOTE_TOOLS = Object.freeze(['notebooklm']);
+
+/**
+ * @param {Object} gateway - RunnerCore gateway ({ execute({ toolName, args, context }) })
+ * @returns {{gateway: Object, records: Array<{tool_name, args, response, error}>}}
+ */
+function recordStepResults(gateway) {
+  const records = [];
+  return {
+    records,
+    gateway: {
+      async execute(request) {
+        try {
+          const response = await gateway.execute(request);
+          records.push({ tool_name: request.toolName, args: request.args || {}, response });
+          return response;
+        } catch (err) {
+          records.push({ tool_name: request.toolName, args: request.args || {}, response: null, error: err });
+          throw err;
+        }
+      }
+    }
+  };
+}
+
+function responseText(result) {
+  if (typeof result === 'string') return result;
+  const content = Array.isArray(result) ? result : (Array.isArray(result?.content) ? result.content : null);
+  if (content) return content.map((c) => (typeof c?.text === 'string' ? c.text : '')).filter(Boolean).join('\n');
+  if (result && typeof result.answer === 'string') return result.answer;
+  return '';
+}
+
+/**
+ * @param {Array} records - recordStepResults().records
+ * @param {Object} [toolTicket] - TOOL ticket（用 tool_input.triage.information_needs 補上 purpose）
+ * @returns {string} context_notes（沒有 notebooklm 呼叫時為 ''）
+ */
+function buildContextNotes(records, toolTicket) {
+  const needs = toolTicket?.metadata?.tool_input?.triage?.information_needs || [];
+  const purposeOf = (question) => needs.find((n) => n && n.question === question)?.purpose || null;
+
+  const notes = [];
+  for (const record of records) {
+    if (!CONTEXT_NOTE_TOOLS.includes(record.tool_name)) continue;
+    const question = String(record.args.question || '').trim();
+    if (!question) continue;
+
+    const response = record.response;
+    if (record.error || !response) {
+      notes.push(`【問：${question}】\n(查詢失敗：${record.error?.message || 'no response'})`);
+    } else if (response.ok && response.skipped) {
+      notes.push(`【問：${question}】\n(查詢略過：${response.skip?.message || response.skip?.code || 'skipped'})`);
+    } else if (!response.ok) {
+      notes.push(`【問：${question}】\n(查詢失敗：${response.error?.message || response.error?.code || 'error'})`);
+    } else {
+      const purpose = purposeOf(question);
+      notes.push(`【問：${question}】\n${purpose ? `(目的：${purpose})\n` : ''}答：${responseText(response.result)}`);
+    }
+  }
+
+  const text = notes.join('\n\n');
+  return text.length > MAX_CONTEXT_NOTES_CHARS ? text.slice(0, MAX_CONTEXT_NOTES_CHARS) : text;
+}
+
+module.exports = {
+  recordStepResults,
+  buildContextNotes,
+  MAX_CONTEXT_NOTES_CHARS
+};
@@ -133,11 +133,14 @@ const excludedTools = (process.env.NODE_ENV === 'test' && process.env.TEST_EXCLU
   : [];
 
 const baseAllowlist = {
-  // web_search MCP tools commonly use: query + limit/max_results + optional toggles
-  web_search: ['query', 'max_results', 'limit', 'timeout_ms', 'includeContent', 'maxContentLength'],
+  // web_search MCP tools commonly use: query + limit/max_results + optional toggles;
+  // get-single-web-page-content takes url (+ maxContentLength)
+  web_search: ['query', 'url', 'max_results', 'limit', 'timeout_ms', 'includeContent', 'maxContentLength'],
   // memory MCP server supports multiple tools with different arg keys; allow the union.
   memory: ['operation', 'entities', 'relations', 'observations', 'query', 'names', 'ids'],
-  filesystem: ['path', 'operation', 'content']
+  filesystem: ['path', 'operation', 'content'],
+  // notebooklm MCP: ask_question（TOOL 規劃的 notebooklm source）
+  notebooklm: ['question', 'notebook_id', 'notebook_url', 'session_id']
 };
 
 // Apply test-only exclusions
@@ -426,6 +429,7 @@ function createRunReport({
  * - duration_ms: number
  * - result_summary: string (短字串)
  * - evidence_items: EvidenceItem[]
+ * - data_flow?: { save_as?, when?, refs?, fan_out? }（只在 step 使用 data-flow 欄位時出現）
  */
 function createStepReport({
   step_index,
@@ -436,9 +440,10 @@ function createStepReport({
   ended_at,
   duration_ms,
   result_summary = '',
-  evidence_items = []
+  evidence_items = [],
+  data_flow
 }) {
-  return {
+  const report = {
     step_index,
     tool_name,
     status,
@@ -449,6 +454,8 @@ function createStepReport({
     result_summary,
     evidence_items
   };
+  if (data_flow) report.data_flow = data_flow;
+  return report;
 }
 
 // ===== DepSnapshot Shape (Decision: 只接受 depSnapshot，不接受 evaluator) =====
@@ -0,0 +1,293 @@
+/**
+ * stepDataFlow.js
+ * RunnerCore step 之間的資料流（save_as / ${...} 參照 / when 條件 / for_each fan-out）
+ *
+ * Step 欄位（皆可選）:
+ * - save_as: 'search'                                  → 本 step 的輸出存為 steps.search
+ * - args 內參照: '${steps.search.results[0].url}'       → 整個字串只有一個參照時保留原型別，否則字串內插
+ * - when: { step: 'search', is: 'empty' | 'not_empty' | 'ok' | 'failed' | [...] }
+ *                                                       → 條件不成立時 step 略過（status ok，data_flow.when.met=false）
+ * - for_each: '${steps.search.results}', max_items: 3  → 對清單逐項執行；args 可用 ${item.url} / ${index}
+ * - args: '${item}'                                    → 整個 args 也可以是單一參照（解析後必須是 object）
+ *
+ * Guardrails:
+ * - 只允許 steps / item / index 三個 root，path 只支援 .key 與 [n]；不 eval、不走 prototype
+ * - 參照無法解析 → INVALID_TOOL_ARGS（blocked）；解析後的 args 仍經 TOOL_ARGS_ALLOWLIST 驗證
+ * - when / for_each 只能參照「前面」已宣告 save_as 的 step
+ */
+
+const { RUN_CODES, RUN_STATUS } = require('./ssot');
+
+const STEP_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const REF_PATTERN = /\$\{\s*([^{}]+?)\s*\}/g;
+const WHOLE_REF_PATTERN = /^\$\{\s*([^{}]+?)\s*\}$/;
+const PATH_SEGMENT_PATTERN = /\.([A-Za-z_][A-Za-z0-9_-]*)|\[(\d+)\]/g;
+const REF_ROOTS = Object.freeze(['steps', 'item', 'index']);
+const FORBIDDEN_KEYS = Object.freeze(['__proto__', 'prototype', 'constructor']);
+
+const WHEN_STATES = Object.freeze(['empty', 'not_empty', 'ok', 'failed']);
+const DEFAULT_FAN_OUT_ITEMS = 3;
+const MAX_FAN_OUT_ITEMS = 10;
+const MAX_REPORTED_REFS = 20;
+
+class StepRefError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StepRefError';
+    this.code = RUN_CODES.INVALID_TOOL_ARGS;
+  }
+}
+
+/**
+ * 'steps.search.results[0].url' → { root: 'steps', path: ['search', 'results', 0, 'url'] }
+ */
+function parseRef(expr) {
+  const match = /^([A-Za-z_][A-Za-z0-9_]*)(.*)$/.exec(expr);
+  if (!match || !REF_ROOTS.includes(match[1])) {
+    throw new StepRefError(`Invalid reference \${${expr}} (root must be one of ${REF_ROOTS.join(', ')})`);
+  }
+  const rest = match[2];
+  const path = [];
+  let consumed = 0;
+  PATH_SEGMENT_PATTERN.lastIndex = 0;
+  let seg;
+  while ((seg = PATH_SEGMENT_PATTERN.exec(rest)) !== null) {
+    if (seg.index !== consumed) break;
+    consumed += seg[0].length;
+    if (seg[1] !== undefined) {
+      if (FORBIDDEN_KEYS.includes(seg[1])) throw new StepRefError(`Invalid reference \${${expr}}`);
+      path.push(seg[1]);
+    } else {
+      path.push(Number(seg[2]));
+    }
+  }
+  if (consumed !== rest.length) throw new StepRefError(`Invalid reference \${${expr}}`);
+  if (match[1] === 'steps' && (path.length === 0 || typeof path[0] !== 'string')) {
+    throw new StepRefError(`Invalid reference \${${expr}} (expected steps.<save_as>...)`);
+  }
+  return { root: match[1], path };
+}
+
+function lookup(scope, expr) {
+  const { root, path } = parseRef(expr);
+  let value = scope[root];
+  for (const key of path) {
+    const canIndex = typeof key === 'number' ? Array.isArray(value) : (value !== null && typeof value === 'object');
+    if (!canIndex || !Object.prototype.hasOwnProperty.call(value, key)) {
+      throw new StepRefError(`Unresolved reference \${${expr}}`);
+    }
+    value = value[key];
+  }
+  if (value === undefined) throw new StepRefError(`Unresolved reference \${${expr}}`);
+  return value;
+}
+
+function resolveString(str, scope, refs) {
+  const whole = WHOLE_REF_PATTERN.exec(str);
+  if (whole) {
+    refs.add(whole[1]);
+    return lookup(scope, whole[1]);
+  }
+  return str.replace(REF_PATTERN, (_, expr) => {
+    refs.add(expr);
+    const value = lookup(scope, expr);
+    if (value === null || typeof value === 'object') {
+      throw new StepRefError(`Reference \${${expr}} is not a scalar and cannot be embedded in a string`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * 解析 args 內所有 ${...}（遞迴 object / array；key 不解析）
+ * @returns {{args: Object, refs: string[]}}
+ * @throws {StepRefError}
+ */
+function resolveArgs(args, scope) {
+  const refs = new Set();
+  const walk = (value) => {
+    if (typeof value === 'string') return resolveString(value, scope, refs);
+    if (Array.isArray(value)) return value.map(walk);
+    if (value !== null && typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = walk(v);
+      return out;
+    }
+    return value;
+  };
+  return { args: walk(args || {}), refs: [...refs] };
+}
+
+/**
+ * args 整個是單一參照（例如 '${item}'）→ 執行前無法檢查 key，解析後才驗 allowlist
+ */
+function isWholeRef(value) {
+  return typeof value === 'string' && WHOLE_REF_PATTERN.test(value);
+}
+
+function hasRefs(value) {
+  if (typeof value === 'string') return value.includes('${');
+  if (Array.isArray(value)) return value.some(hasRefs);
+  if (value !== null && typeof value === 'object') return Object.values(value).some(hasRefs);
+  return false;
+}
+
+// web_search 的 get-web-search-summaries / full-web-search 回 markdown：
+//   **1. Title**\nURL: https://...\nDescription: ...
+const SEARCH_ENTRY_PATTERN = /^\*\*\d+\.\s*(.*?)\*\*\s*\nURL:\s*(\S+)(?:\s*\nDescription:\s*(.*))?/gm;
+const SEARCH_HEADER_PATTERN = /^Search (?:summaries|completed) for ".*" with \d+ results:/;
+
+/**
+ * markdown 搜尋結果 → [{ title, url, description }]
+ * （有搜尋標頭但 0 筆 → []，讓 for_each 正常 fan-out 0 項；不是搜尋結果 → null）
+ */
+function parseSearchEntries(text) {
+  const results = [];
+  SEARCH_ENTRY_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SEARCH_ENTRY_PATTERN.exec(text)) !== null) {
+    results.push({ title: match[1].trim(), url: match[2], description: (match[3] || '').trim() });
+  }
+  return results.length > 0 || SEARCH_HEADER_PATTERN.test(text) ? results : null;
+}
+
+/**
+ * Gateway result → 可被參照的輸出
+ * - MCP content（[{ type: 'text', text }]）：text 為 JSON 則解析，否則 { text }
+ *   （text 含 web_search 條目時另加 results，讓 ${steps.search.results[0].url} 可用）
+ * - structuredContent 優先
+ */
+function stepOutput(result) {
+  if (result === null || result === undefined) return null;
+  if (typeof result === 'object' && !Array.isArray(result) && result.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+  const content = Array.isArray(result) ? result : (Array.isArray(result?.content) ? result.content : null);
+  if (content && content.length > 0 && content.every((c) => c && c.type === 'text' && typeof c.text === 'string')) {
+    const text = content.map((c) => c.text).join('\n');
+    try {
+      return JSON.parse(text);
+    } catch {
+      const results = parseSearchEntries(text);
+      return results ? { text, results } : { text };
+    }
+  }
+  return result;
+}
+
+/**
+ * null / '' / [] / {}，或所有欄位皆為空（例如 memory search_nodes 的 { entities: [], relations: [] }）
+ */
+function isEmptyOutput(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmptyOutput);
+  return false;
+}
+
+/**
+ * 靜態檢查 data-flow 欄位（在執行前；knownNames = 前面 step 的 save_as）
+ * @returns {{valid: boolean, code?: string, status?: string, message?: string}}
+ */
+function validateDataFlow(step, knownNames) {
+  const invalid = (message) => ({ valid: false, code: RUN_CODES.INVALID_TOOL_STEP, status: RUN_STATUS.BLOCKED, message });
+
+  if (step.save_as !== undefined) {
+    if (typeof step.save_as !== 'string' || !STEP_NAME_PATTERN.test(step.save_as)) {
+      return invalid(`save_as must match ${STEP_NAME_PATTERN}`);
+    }
+    if (knownNames.has(step.save_as)) return invalid(`Duplicate save_as: ${step.save_as}`);
+  }
+
+  if (step.when !== undefined) {
+    const when = step.when;
+    if (!when || typeof when !== 'object' || Array.isArray(when)) return invalid('when must be an object { step, is }');
+    if (!knownNames.has(when.step)) return invalid(`when.step must reference an earlier save_as (got ${when.step})`);
+    const states = Array.isArray(when.is) ? when.is : [when.is];
+    if (states.length === 0 || !states.every((s) => WHEN_STATES.includes(s))) {
+      return invalid(`when.is must be one of ${WHEN_STATES.join(', ')}`);
+    }
+  }
+
+  if (step.for_each !== undefined) {
+    const whole = typeof step.for_each === 'string' ? WHOLE_REF_PATTERN.exec(step.for_each) : null;
+    if (!whole) return invalid('for_each must be a single ${steps.<save_as>...} reference');
+    try {
+      const { root, path } = parseRef(whole[1]);
+      if (root !== 'steps' || !knownNames.has(path[0])) {
+        return invalid(`for_each must reference an earlier save_as (got ${step.for_each})`);
+      }
+    } catch (e) {
+      return invalid(e.message);
+    }
+    if (step.max_items !== undefined) {
+      const n = Number(step.max_items);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_FAN_OUT_ITEMS) return invalid(`max_items must be an integer 1-${MAX_FAN_OUT_ITEMS}`);
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * @param {Object} when - { step, is }
+ * @param {Object} state - { status, output } of the referenced step（skipped step → 不符合任何條件）
+ */
+function evaluateWhen(when, state) {
+  const states = Array.isArray(when.is) ? when.is : [when.is];
+  if (!state || state.status === 'skipped') return false;
+  const failed = state.status === RUN_STATUS.FAILED || state.status === RUN_STATUS.BLOCKED;
+  const empty = !failed && isEmptyOutput(state.output);
+  return states.some((s) => (
+    (s === 'failed' && failed) ||
+    (s === 'ok' && !failed) ||
+    (s === 'empty' && empty) ||
+    (s === 'not_empty' && !failed && !empty)
+  ));
+}
+
+/**
+ * @returns {{items: Array, total: number, ref: string}}
+ * @throws {StepRefError} when the reference is unresolved or not a list
+ */
+function resolveForEach(step, scope) {
+  const expr = WHOLE_REF_PATTERN.exec(step.for_each)[1];
+  const list = lookup(scope, expr);
+  if (!Array.isArray(list)) throw new StepRefError(`for_each reference \${${expr}} is not a list`);
+  const maxItems = step.max_items !== undefined ? Number(step.max_items) : DEFAULT_FAN_OUT_ITEMS;
+  return { items: list.slice(0, maxItems), total: list.length, ref: expr };
+}
+
+function usesDataFlow(step) {
+  return step.save_as !== undefined || step.when !== undefined || step.for_each !== undefined || hasRefs(step.args);
+}
+
+/**
+ * StepReport.data_flow（只在 step 使用 data-flow 欄位時附上）
+ */
+function buildDataFlowReport({ step, whenMet = null, refs = [], fanOut = null }) {
+  const report = {};
+  if (step.save_as !== undefined) report.save_as = step.save_as;
+  if (step.when !== undefined) report.when = { step: step.when.step, is: step.when.is, met: whenMet };
+  if (refs.length > 0) report.refs = [...new Set(refs)].slice(0, MAX_REPORTED_REFS);
+  if (fanOut) report.fan_out = fanOut;
+  return report;
+}
+
+module.exports = {
+  StepRefError,
+  parseRef,
+  resolveArgs,
+  isWholeRef,
+  stepOutput,
+  isEmptyOutput,
+  validateDataFlow,
+  evaluateWhen,
+  resolveForEach,
+  usesDataFlow,
+  buildDataFlowReport,
+  WHEN_STATES,
+  DEFAULT_FAN_OUT_ITEMS,
+  MAX_FAN_OUT_ITEMS
+};
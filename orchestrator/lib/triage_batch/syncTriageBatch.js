@@ -0,0 +1,145 @@
+/**
+ * syncTriageBatch - POST /v1/triage/batch 的 async / sync 模式
+ *
+ * - async（預設）：建立票據後立即回傳 `queued`
+ * - sync：等待 worker 回填建立的票據，最多 wait_ms（上限 TRIAGE_SYNC_MAX_WAIT_MS），
+ *   逐筆回傳決策（APPROVE / REJECT、reply_strategy、衍生票據 id）；
+ *   逾時仍未回填者標記 `status: 'pending'`（`pending: true`），呼叫端稍後可查 /v1/tickets/:id
+ *
+ * 等待靠 TicketStore.events 的狀態事件（不輪詢 store）；衍生票據 id 取自同一期間的 `derived` 事件
+ * 與 ticket.derived。
+ *
+ * Env:
+ *   - TRIAGE_SYNC_MAX_WAIT_MS (default 30000)
+ */
+
+const { TICKET_EVENT_TYPES } = require('../ticket_events/TicketEventLog');
+
+const TRIAGE_BATCH_MODES = Object.freeze({
+  ASYNC: 'async',
+  SYNC: 'sync'
+});
+
+const INVALID_BATCH_MODE = 'invalid_mode';
+const DEFAULT_MAX_WAIT_MS = 30000;
+
+// TRIAGE / FLOW 票據離開 pending / running 即視為已有結果
+const SETTLED_STATUSES = new Set(['done', 'completed', 'failed', 'blocked', 'awaiting_approval']);
+
+function parseMaxWaitMs(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_MAX_WAIT_MS;
+}
+
+/**
+ * query 優先，其次 body（ingest/run_ingest.js 兩邊都會帶）
+ * @returns {{ok: true, mode: string, waitMs: number} | {ok: false, code: string, details: Object}}
+ */
+function resolveBatchOptions(query = {}, body = {}, env = process.env) {
+  const rawMode = query.mode !== undefined ? query.mode : body.mode;
+  const mode = rawMode === undefined || rawMode === null || rawMode === '' ? TRIAGE_BATCH_MODES.ASYNC : String(rawMode);
+  if (!Object.values(TRIAGE_BATCH_MODES).includes(mode)) {
+    return { ok: false, code: INVALID_BATCH_MODE, details: { mode, allowed: Object.values(TRIAGE_BATCH_MODES) } };
+  }
+
+  const rawWait = Number(query.wait_ms !== undefined ? query.wait_ms : body.wait_ms);
+  const maxWaitMs = parseMaxWaitMs(env.TRIAGE_SYNC_MAX_WAIT_MS);
+  const waitMs = Number.isFinite(rawWait) && rawWait > 0 ? Math.min(Math.floor(rawWait), maxWaitMs) : 0;
+  return { ok: true, mode, waitMs };
+}
+
+/**
+ * 等待 ticketIds 全部 settle 或逾時
+ * @returns {Promise<{timedOut: boolean, derived: Map<string, Set<string>>}>}
+ */
+function waitForSettled(ticketStore, ticketIds, waitMs) {
+  const derived = new Map(ticketIds.map((id) => [id, new Set()]));
+  const waiting = new Set(ticketIds.filter((id) => !SETTLED_STATUSES.has(ticketStore.tickets.get(id)?.status)));
+
+  return new Promise((resolve) => {
+    let timer = null;
+    let finished = false;
+    const unsubscribe = ticketStore.events.subscribe((event) => {
+      if (event.type === TICKET_EVENT_TYPES.DERIVED && derived.has(event.parent_ticket_id)) {
+        derived.get(event.parent_ticket_id).add(event.ticket_id);
+      }
+      if (waiting.has(event.ticket_id) && SETTLED_STATUSES.has(event.status)) {
+        waiting.delete(event.ticket_id);
+        if (waiting.size === 0) finish(false);
+      }
+    });
+
+    function finish(timedOut) {
+      if (finished) return;
+      finished = true;
+      if (timer) clearTimeout(timer);
+      // fill 之後同一輪建立的衍生票據（post-fill automation）也收進來
+      setImmediate(() => {
+        unsubscribe();
+        resolve({ timedOut, derived });
+      });
+    }
+
+    if (waiting.size === 0) return finish(false);
+    timer = setTimeout(() => finish(true), waitMs);
+  });
+}
+
+function summarizeTicket(ticket, derivedIds) {
+  const base = { ticket_id: ticket.id, ticket_status: ticket.status };
+  if (!SETTLED_STATUSES.has(ticket.status)) {
+    return { ...base, status: 'pending', pending: true };
+  }
+  if (ticket.status === 'failed') {
+    return { ...base, status: 'failed', error: ticket.metadata?.error || null };
+  }
+  if (ticket.status === 'blocked') {
+    return { ...base, status: 'blocked', reason: ticket.metadata?.block?.code || null };
+  }
+
+  const outputs = ticket.metadata?.final_outputs || {};
+  const derived = new Set(derivedIds);
+  for (const id of Object.values(ticket.derived || {})) {
+    if (typeof id === 'string') derived.add(id);
+  }
+  return {
+    ...base,
+    status: 'decided',
+    decision: outputs.decision || null,
+    reply_strategy: outputs.reply_strategy || null,
+    short_reason: outputs.short_reason || null,
+    derived_ticket_ids: Array.from(derived)
+  };
+}
+
+/**
+ * sync 模式：以 ingest 結果（queued / skipped / rejected）為底，queued 者補上決策或 pending 標記
+ *
+ * @param {TicketStore} ticketStore
+ * @param {Array<Object>} results - ingestEvent() 結果（含 candidate_id）
+ * @param {number} waitMs
+ * @returns {Promise<{timed_out: boolean, results: Array<Object>, summary: Object}>}
+ */
+async function waitForTriageDecisions(ticketStore, results, waitMs) {
+  const ticketIds = results.filter((r) => r.status === 'queued' && r.ticket_id).map((r) => r.ticket_id);
+  const { timedOut, derived } = await waitForSettled(ticketStore, ticketIds, waitMs);
+
+  const summary = {};
+  const out = results.map((result) => {
+    const ticket = result.status === 'queued' ? ticketStore.tickets.get(result.ticket_id) : null;
+    const entry = ticket
+      ? { ...result, ...summarizeTicket(ticket, derived.get(ticket.id) || []) }
+      : result;
+    summary[entry.status] = (summary[entry.status] || 0) + 1;
+    return entry;
+  });
+
+  return { timed_out: timedOut, results: out, summary };
+}
+
+module.exports = {
+  TRIAGE_BATCH_MODES,
+  INVALID_BATCH_MODE,
+  resolveBatchOptions,
+  waitForTriageDecisions
+};
@@ -0,0 +1,141 @@
+/**
+ * TriageFilter - ingest 前的流量過濾（rules/triage.yaml，見 ruleEngine.js）
+ *
+ * - 規則檔預設為 orchestrator/rules/triage.yaml（不再依 process.cwd()），可用 TRIAGE_RULES_PATH 覆寫
+ * - reload()：YAML 或規則無效時保留上一次成功載入的規則，錯誤記在 getMetrics().load_error
+ * - watch()：監看規則檔，debounce 後自動 reload（TRIAGE_RULES_WATCH=false 關閉）
+ * - check() 依規則計數（skipped_by_rule）；dryRun() 評估全部規則並解釋結果，不計數
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compileRules, evaluateRules } = require('./ruleEngine');
+
+const DEFAULT_RULES_PATH = path.resolve(__dirname, '../../rules/triage.yaml');
+const RELOAD_DEBOUNCE_MS = 200;
+
+// 規則檔不存在時的預設值（與舊版相同）
+const DEFAULT_RULES_DOC = Object.freeze({
+  gate0: { enabled: true, min_len: 10 },
+  gate0b: { enabled: true, min_likes: 10, min_comments: 5 }
+});
+
+class TriageFilter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.rulesPath] - default: TRIAGE_RULES_PATH env or rules/triage.yaml
+   */
+  constructor({ rulesPath, logger = console, env = process.env } = {}) {
+    this.rulesPath = rulesPath || env.TRIAGE_RULES_PATH || DEFAULT_RULES_PATH;
+    this.logger = logger;
+    this.rules = [];
+    this.loadedAt = null;
+    this.loadError = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.counters = { checked_total: 0, passed_total: 0, skipped_total: 0, reloads_total: 0, reload_errors_total: 0 };
+    this.skippedByRule = {};
+    this.reload();
+  }
+
+  /**
+   * @returns {{ok: boolean, rules: number, error?: string}}
+   */
+  reload() {
+    let doc = DEFAULT_RULES_DOC;
+    try {
+      if (fs.existsSync(this.rulesPath)) {
+        doc = yaml.load(fs.readFileSync(this.rulesPath, 'utf8')) || {};
+      } else {
+        this.logger.warn(`[TriageFilter] ${this.rulesPath} not found, using default gates`);
+      }
+      this.rules = compileRules(doc);
+    } catch (e) {
+      this.counters.reload_errors_total++;
+      this.loadError = { message: e.message, at: new Date().toISOString() };
+      this.logger.warn(`[TriageFilter] Failed to load triage rules, keeping previous rules: ${e.message}`);
+      return { ok: false, rules: this.rules.length, error: e.message };
+    }
+    this.loadError = null;
+    this.loadedAt = new Date().toISOString();
+    this.counters.reloads_total++;
+    this.logger.info(`[TriageFilter] Loaded ${this.rules.length} triage rule(s) from ${this.rulesPath}`);
+    return { ok: true, rules: this.rules.length };
+  }
+
+  watch() {
+    if (this.watcher) return true;
+    const dir = path.dirname(this.rulesPath);
+    const file = path.basename(this.rulesPath);
+    try {
+      // 監看目錄而非檔案：編輯器以 rename 覆寫時檔案 watcher 會失效
+      this.watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename && String(filename) !== file) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+        if (this.reloadTimer.unref) this.reloadTimer.unref();
+      });
+      if (this.watcher.unref) this.watcher.unref();
+      return true;
+    } catch (e) {
+      this.logger.warn(`[TriageFilter] Hot reload disabled: ${e.message}`);
+      return false;
+    }
+  }
+
+  stopWatching() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * @returns {{pass: boolean, rule_id?: string, reason?: string}}
+   */
+  check(event, now = Date.now()) {
+    const result = evaluateRules(this.rules, event, { now });
+    this.counters.checked_total++;
+    if (result.pass) {
+      this.counters.passed_total++;
+    } else {
+      this.counters.skipped_total++;
+      this.skippedByRule[result.rule_id] = (this.skippedByRule[result.rule_id] || 0) + 1;
+    }
+    return result;
+  }
+
+  /**
+   * @returns {{pass: boolean, rule_id?: string, reason?: string, trace: Array}}
+   */
+  dryRun(event, now = Date.now()) {
+    return evaluateRules(this.rules, event, { now, explain: true });
+  }
+
+  describe() {
+    return {
+      rules_path: this.rulesPath,
+      loaded_at: this.loadedAt,
+      load_error: this.loadError,
+      rules: this.rules.map(({ id, mode, description }) => ({ id, mode, description }))
+    };
+  }
+
+  getMetrics() {
+    return {
+      rules_path: this.rulesPath,
+      loaded_at: this.loadedAt,
+      load_error: this.loadError,
+      rules: this.rules.length,
+      ...this.counters,
+      skipped_by_rule: { ...this.skippedByRule }
+    };
+  }
+}
+
+module.exports = {
+  TriageFilter,
+  DEFAULT_RULES_PATH
+};
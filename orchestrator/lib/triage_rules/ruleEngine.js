@@ -0,0 +1,355 @@
+/**
+ * ruleEngine - rules/triage.yaml → 編譯好的 triage 規則
+ *
+ * 規則依序評估，第一條不成立的規則決定 skip（reason / rule_id）。
+ *
+ * 舊版 gate 會先轉成規則（id 固定，保留原本的 reason 文字）：
+ *   gate0.min_len / gate0.max_recency_minutes / gate0.engagement_min / gate0b.min_likes / gate0b.min_comments
+ *
+ * `rules:` 每條規則：
+ *   - id: no_promo            # 必填、不可重複（metrics 的 label）
+ *     enabled: true           # 預設 true
+ *     require: <condition>    # 條件須成立，否則 skip
+ *     reject: <condition>     # 條件成立即 skip（與 require 二擇一）
+ *
+ * condition：
+ *   - 組合：all: [...] / any: [...] / not: <condition>；同一物件多個 key 視為 all
+ *   - min_len / max_len                     內容長度（content → context_digest.target_snippet → snippet）
+ *   - max_age_minutes                       posted_at（features.posted_at_iso / posted_at / created_at）；沒有時間戳不檢查
+ *   - language_in: [zh-Hant, en]            event.language / lang / features.lang（zh-Hant 視為 zh-tw）
+ *   - platform_in: [threads]
+ *   - author_in: [handle]                   account.handle / features.author / author（不分大小寫，忽略 @）
+ *   - keywords_any / keywords_all: [...]    不分大小寫的子字串
+ *   - regex: 'pattern' | { pattern, flags }
+ *   - engagement_min: { likes: 10, comments: 5 }
+ *   - engagement_ratio: { of: comments, per: likes, min: 0.05, max: 2 }
+ */
+
+const { normalizeLanguage } = require('../../flows/FlowRouter');
+
+class TriageRuleError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'TriageRuleError';
+    this.code = 'invalid_triage_rules';
+    this.details = details;
+  }
+}
+
+const COMBINATORS = new Set(['all', 'any', 'not']);
+
+function contentOf(event) {
+  return String(event.content || event.context_digest?.target_snippet || event.snippet || '');
+}
+
+function postedAtOf(event) {
+  const raw = event.features?.posted_at_iso || event.posted_at || event.created_at;
+  const at = raw ? Date.parse(raw) : NaN;
+  return Number.isNaN(at) ? null : at;
+}
+
+function authorOf(event) {
+  const raw = event.account?.handle || event.features?.author || event.author;
+  return typeof raw === 'string' && raw.trim() ? normalizeHandle(raw) : null;
+}
+
+function normalizeHandle(handle) {
+  return String(handle).trim().replace(/^@/, '').toLowerCase();
+}
+
+function platformOf(event) {
+  const platform = event.platform || event.source?.platform;
+  return typeof platform === 'string' ? platform.toLowerCase() : null;
+}
+
+function languageOf(event) {
+  return normalizeLanguage(event.language || event.lang || event.features?.lang || event.features?.language);
+}
+
+function engagementValue(event, field) {
+  return Number(event.features?.engagement?.[field] || 0);
+}
+
+function requireList(value, key, path) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new TriageRuleError(`${path}: ${key} must be a non-empty list`);
+  }
+  return value.map(String);
+}
+
+function requireNumber(value, key, path) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new TriageRuleError(`${path}: ${key} must be a number`);
+  }
+  return value;
+}
+
+function compileRegex(spec, path) {
+  const pattern = typeof spec === 'string' ? spec : spec?.pattern;
+  const flags = typeof spec === 'object' && spec ? spec.flags || 'i' : 'i';
+  try {
+    return new RegExp(pattern, flags);
+  } catch (e) {
+    throw new TriageRuleError(`${path}: invalid regex: ${e.message}`);
+  }
+}
+
+/**
+ * 每個 leaf 回傳 (event, ctx) => { ok, detail }；detail 同時描述成立與不成立的情形（dry-run 解釋用）
+ */
+const LEAVES = {
+  min_len(arg, path) {
+    const min = requireNumber(arg, 'min_len', path);
+    return (event) => {
+      const len = contentOf(event).length;
+      return len >= min ? { ok: true, detail: `len=${len}>=${min}` } : { ok: false, detail: `Too short (${len} < ${min})` };
+    };
+  },
+
+  max_len(arg, path) {
+    const max = requireNumber(arg, 'max_len', path);
+    return (event) => {
+      const len = contentOf(event).length;
+      return len <= max ? { ok: true, detail: `len=${len}<=${max}` } : { ok: false, detail: `Too long (${len} > ${max})` };
+    };
+  },
+
+  max_age_minutes(arg, path) {
+    const max = requireNumber(arg, 'max_age_minutes', path);
+    return (event, ctx) => {
+      const postedAt = postedAtOf(event);
+      if (postedAt === null) return { ok: true, detail: 'no posted_at (recency not checked)' };
+      const age = Math.floor((ctx.now - postedAt) / 60000);
+      return age <= max ? { ok: true, detail: `age=${age}m<=${max}m` } : { ok: false, detail: `Too old (${age}m > ${max}m)` };
+    };
+  },
+
+  language_in(arg, path) {
+    const allowed = requireList(arg, 'language_in', path).map(normalizeLanguage);
+    return (event) => {
+      const lang = languageOf(event);
+      return lang && allowed.includes(lang)
+        ? { ok: true, detail: `language=${lang}` }
+        : { ok: false, detail: `Language ${lang || '(none)'} not in [${allowed.join(', ')}]` };
+    };
+  },
+
+  platform_in(arg, path) {
+    const allowed = requireList(arg, 'platform_in', path).map((p) => p.toLowerCase());
+    return (event) => {
+      const platform = platformOf(event);
+      return platform && allowed.includes(platform)
+        ? { ok: true, detail: `platform=${platform}` }
+        : { ok: false, detail: `Platform ${platform || '(none)'} not in [${allowed.join(', ')}]` };
+    };
+  },
+
+  author_in(arg, path) {
+    const handles = new Set(requireList(arg, 'author_in', path).map(normalizeHandle));
+    return (event) => {
+      const author = authorOf(event);
+      return author && handles.has(author)
+        ? { ok: true, detail: `author=@${author} listed` }
+        : { ok: false, detail: `author=${author ? `@${author}` : '(none)'} not listed` };
+    };
+  },
+
+  keywords_any(arg, path) {
+    const keywords = requireList(arg, 'keywords_any', path).map((k) => k.toLowerCase());
+    return (event) => {
+      const text = contentOf(event).toLowerCase();
+      const hit = keywords.find((k) => text.includes(k));
+      return hit ? { ok: true, detail: `keyword "${hit}"` } : { ok: false, detail: `none of [${keywords.join(', ')}]` };
+    };
+  },
+
+  keywords_all(arg, path) {
+    const keywords = requireList(arg, 'keywords_all', path).map((k) => k.toLowerCase());
+    return (event) => {
+      const text = contentOf(event).toLowerCase();
+      const missing = keywords.filter((k) => !text.includes(k));
+      return missing.length === 0
+        ? { ok: true, detail: `all of [${keywords.join(', ')}]` }
+        : { ok: false, detail: `missing [${missing.join(', ')}]` };
+    };
+  },
+
+  regex(arg, path) {
+    const re = compileRegex(arg, path);
+    return (event) => {
+      const match = re.exec(contentOf(event));
+      return match ? { ok: true, detail: `regex ${re} matched "${match[0]}"` } : { ok: false, detail: `regex ${re} no match` };
+    };
+  },
+
+  engagement_min(arg, path) {
+    if (!arg || typeof arg !== 'object') throw new TriageRuleError(`${path}: engagement_min must be a map of field → minimum`);
+    const mins = Object.entries(arg).map(([field, min]) => [field, requireNumber(min, `engagement_min.${field}`, path)]);
+    return (event) => {
+      for (const [field, min] of mins) {
+        const value = engagementValue(event, field);
+        if (value < min) return { ok: false, detail: `Low ${field} (${value} < ${min})` };
+      }
+      return { ok: true, detail: mins.map(([field, min]) => `${field}>=${min}`).join(', ') || 'no minimums' };
+    };
+  },
+
+  engagement_ratio(arg, path) {
+    if (!arg || typeof arg.of !== 'string' || typeof arg.per !== 'string') {
+      throw new TriageRuleError(`${path}: engagement_ratio requires of / per field names`);
+    }
+    if (arg.min === undefined && arg.max === undefined) throw new TriageRuleError(`${path}: engagement_ratio requires min or max`);
+    const min = arg.min === undefined ? null : requireNumber(arg.min, 'engagement_ratio.min', path);
+    const max = arg.max === undefined ? null : requireNumber(arg.max, 'engagement_ratio.max', path);
+    return (event) => {
+      const of = engagementValue(event, arg.of);
+      const per = engagementValue(event, arg.per);
+      const ratio = per > 0 ? of / per : (of > 0 ? Infinity : 0);
+      const shown = Number.isFinite(ratio) ? ratio.toFixed(3) : '∞';
+      if (min !== null && ratio < min) return { ok: false, detail: `${arg.of}/${arg.per}=${shown} < ${min}` };
+      if (max !== null && ratio > max) return { ok: false, detail: `${arg.of}/${arg.per}=${shown} > ${max}` };
+      return { ok: true, detail: `${arg.of}/${arg.per}=${shown}` };
+    };
+  }
+};
+
+/**
+ * @returns {Function} (event, ctx) => { ok, detail }
+ */
+function compileCondition(spec, path) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new TriageRuleError(`${path}: condition must be an object`);
+  }
+  const keys = Object.keys(spec);
+  if (keys.length === 0) throw new TriageRuleError(`${path}: empty condition`);
+
+  const parts = keys.map((key) => {
+    const at = `${path}.${key}`;
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(spec[key]) || spec[key].length === 0) throw new TriageRuleError(`${at}: must be a non-empty list`);
+      const children = spec[key].map((child, i) => compileCondition(child, `${at}[${i}]`));
+      return key === 'all' ? allOf(children) : anyOf(children);
+    }
+    if (key === 'not') {
+      const child = compileCondition(spec.not, at);
+      return (event, ctx) => {
+        const r = child(event, ctx);
+        return { ok: !r.ok, detail: `not(${r.detail})` };
+      };
+    }
+    if (!LEAVES[key]) {
+      throw new TriageRuleError(`${at}: unknown condition (expected ${[...COMBINATORS, ...Object.keys(LEAVES)].join(', ')})`);
+    }
+    return LEAVES[key](spec[key], at);
+  });
+  return parts.length === 1 ? parts[0] : allOf(parts);
+}
+
+function allOf(children) {
+  return (event, ctx) => {
+    const details = [];
+    for (const child of children) {
+      const r = child(event, ctx);
+      if (!r.ok) return r;
+      details.push(r.detail);
+    }
+    return { ok: true, detail: details.join(' & ') };
+  };
+}
+
+function anyOf(children) {
+  return (event, ctx) => {
+    const details = [];
+    for (const child of children) {
+      const r = child(event, ctx);
+      if (r.ok) return r;
+      details.push(r.detail);
+    }
+    return { ok: false, detail: details.join(' | ') };
+  };
+}
+
+/**
+ * gate0 / gate0b → 規則（保留既有的 reason 文字與順序）
+ */
+function legacyRules(doc) {
+  const rules = [];
+  const g0 = doc.gate0;
+  if (g0 && g0.enabled) {
+    if (g0.min_len !== undefined) rules.push({ id: 'gate0.min_len', require: { min_len: g0.min_len } });
+    if (g0.max_recency_minutes !== undefined) {
+      rules.push({ id: 'gate0.max_recency_minutes', require: { max_age_minutes: g0.max_recency_minutes } });
+    }
+    if (g0.engagement_min && Object.keys(g0.engagement_min).length > 0) {
+      rules.push({ id: 'gate0.engagement_min', require: { engagement_min: g0.engagement_min } });
+    }
+  }
+  const g0b = doc.gate0b;
+  if (g0b && g0b.enabled) {
+    if (g0b.min_likes !== undefined) rules.push({ id: 'gate0b.min_likes', require: { engagement_min: { likes: g0b.min_likes } } });
+    if (g0b.min_comments !== undefined) rules.push({ id: 'gate0b.min_comments', require: { engagement_min: { comments: g0b.min_comments } } });
+  }
+  return rules;
+}
+
+/**
+ * @param {Object} doc - triage.yaml 內容
+ * @returns {Array<{id: string, mode: 'require'|'reject', description: string|null, evaluate: Function}>}
+ * @throws {TriageRuleError}
+ */
+function compileRules(doc) {
+  if (!doc || typeof doc !== 'object') throw new TriageRuleError('triage rules must be a YAML mapping');
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) throw new TriageRuleError('rules must be a list');
+
+  const specs = [...legacyRules(doc), ...(doc.rules || [])];
+  const seen = new Set();
+  const compiled = [];
+  specs.forEach((spec, i) => {
+    const path = `rules[${spec?.id || i}]`;
+    if (!spec || typeof spec.id !== 'string' || !spec.id.trim()) throw new TriageRuleError(`${path}: id is required`);
+    if (seen.has(spec.id)) throw new TriageRuleError(`${path}: duplicate rule id`);
+    seen.add(spec.id);
+    if (spec.enabled === false) return;
+
+    const hasRequire = spec.require !== undefined;
+    const hasReject = spec.reject !== undefined;
+    if (hasRequire === hasReject) throw new TriageRuleError(`${path}: exactly one of require / reject is required`);
+    compiled.push({
+      id: spec.id,
+      mode: hasRequire ? 'require' : 'reject',
+      description: spec.description || null,
+      evaluate: compileCondition(hasRequire ? spec.require : spec.reject, path)
+    });
+  });
+  return compiled;
+}
+
+/**
+ * @param {Array} rules - compileRules() 結果
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {boolean} [options.explain=false] - true：評估全部規則並回傳 trace（dry-run）
+ * @returns {{pass: boolean, rule_id?: string, reason?: string, trace?: Array}}
+ */
+function evaluateRules(rules, event, { now = Date.now(), explain = false } = {}) {
+  const ctx = { now };
+  const trace = [];
+  let rejection = null;
+  for (const rule of rules) {
+    const r = rule.evaluate(event || {}, ctx);
+    const passed = rule.mode === 'require' ? r.ok : !r.ok;
+    if (explain) trace.push({ rule_id: rule.id, mode: rule.mode, passed, detail: r.detail });
+    if (!passed && !rejection) {
+      rejection = { rule_id: rule.id, reason: rule.mode === 'require' ? r.detail : `Rejected by ${rule.id} (${r.detail})` };
+      if (!explain) break;
+    }
+  }
+  const result = rejection ? { pass: false, ...rejection } : { pass: true };
+  return explain ? { ...result, trace } : result;
+}
+
+module.exports = {
+  TriageRuleError,
+  compileRules,
+  evaluateRules
+};
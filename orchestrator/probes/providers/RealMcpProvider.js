@@ -151,7 +151,8 @@ class RealMcpProvider {
       const result = await this.toolGateway.executeTool(serverId, toolName, args);
       
       // Check for MCP-level errors in result
-      if (result && result.isError === true) {
+      // (a skipped call — on_tool_unavailable=skip_node — is a failed probe, not a pass)
+      if (result && (result.isError === true || result.skipped === true)) {
         return {
           ok: false,
           code: PROBE_CODES.PROVIDER_CALL_FAILED,
@@ -37,6 +37,7 @@ const { run: runCore } = require('../lib/tool_runner/RunnerCore');
 const { createStubGateway, InProcessToolsGatewayAdapter } = require('../lib/tool_runner/ToolGatewayAdapter');
 const { RUN_STATUS, RUN_CODES } = require('../lib/tool_runner/ssot');
 const { bridgeToolSteps } = require('../lib/tool_runner/b_script_bridge');
+const { recordStepResults, buildContextNotes } = require('../lib/tool_runner/contextNotes');
 const { attachEvidence } = require('../lib/evidence/attachEvidence');
 const { EvidenceStore } = require('../lib/evidence/EvidenceStore');
 const { getEvidenceLimitsFromEnv } = require('../lib/evidence/ssot');
@@ -85,18 +86,21 @@ function createEvidenceAttachWrapper(limits, store) {
 
 /**
  * 寫回 TOOL ticket 的 outputs（含 tool_context + tool_verdict）
+ * - context_notes：notebooklm 回答（有才帶；REPLY 派生時放進 reply_input.context_notes）
  */
-function buildOutputsFromRunReport(runReport) {
+function buildOutputsFromRunReport(runReport, contextNotes = '') {
   const tool_context = {
     evidence: runReport.evidence_summary?.items || []
   };
   
   const tool_verdict = mapRunReportStatusToVerdict(runReport.status);
   
-  return {
+  const outputs = {
     tool_context,
     tool_verdict
   };
+  if (contextNotes) outputs.context_notes = contextNotes;
+  return outputs;
 }
 
 // ===== Main Executor Logic =====
@@ -218,12 +222,15 @@ async function main() {
           gateway = createStubGateway({
             web_search: { ok: true, result: { items: [] }, evidenceCandidates: [] },
             memory: { ok: true, result: { entities: [] }, evidenceCandidates: [] },
+            notebooklm: { ok: true, result: [{ type: 'text', text: '(NO_MCP stub answer)' }], evidenceCandidates: [] },
             filesystem: { ok: true, result: { files: [] }, evidenceCandidates: [] }
           });
         } else {
           // M2-A↔M2-B integration: in-process adapter using ToolExecutionService
           gateway = new InProcessToolsGatewayAdapter(toolExecutionService, console);
         }
+        // 記下每次呼叫的回應 → notebooklm 回答組成 context_notes
+        const recorder = recordStepResults(gateway);
 
         // Evidence attach wrapper
         const attachEvidenceWrapper = createEvidenceAttachWrapper(limits, evidenceStore);
@@ -234,6 +241,7 @@ async function main() {
         let deps = {
           memory: { ready: true, code: null },
           web_search: { ready: true, code: null },
+          notebooklm: { ready: true, code: null },
           filesystem: { ready: true, code: null }
         };
 
@@ -242,6 +250,7 @@ async function main() {
           const { evaluateReadiness } = require('../lib/readiness/evaluateReadiness');
           const snapshot = evaluateReadiness(depStates, new Date());
           const required = snapshot.required || {};
+          const optional = snapshot.optional || {};
 
           deps = {
             memory: {
@@ -252,6 +261,11 @@ async function main() {
               ready: Boolean(required.web_search?.ready),
               code: required.web_search?.code ?? null
             },
+            // notebooklm 是 optional dep：只有 notebooklm steps 需要它
+            notebooklm: {
+              ready: Boolean(optional.notebooklm?.ready),
+              code: optional.notebooklm?.code ?? null
+            },
             filesystem: {
               ready: Boolean(required.filesystem?.ready ?? true),
               code: required.filesystem?.code ?? null
@@ -262,12 +276,13 @@ async function main() {
         // Run RunnerCore
         let runReport;
         try {
-          const { depsForToolName } = require('../lib/readiness/ssot');
+          const { blockingDepsForToolName } = require('../lib/readiness/ssot');
           runReport = await runCore(normalizedTicket, deps, {
-            gateway,
+            gateway: recorder.gateway,
             attachEvidence: attachEvidenceWrapper,
             budget: normalizedTicket.metadata?.tool_input?.budget || {},
-            requiredDeps: (toolName) => depsForToolName(toolName)
+            // optional deps（notebooklm）不在 runner 層擋：ToolExecutionService 回 skipped，context_notes 註明略過
+            requiredDeps: (toolName) => blockingDepsForToolName(toolName)
           });
         } catch (err) {
           console.error(`[Executor] RunnerCore threw exception for ticket ${ticket.id}:`, err);
@@ -314,7 +329,7 @@ async function main() {
         }
 
         // 3) Writeback + 派生 hook
-        const outputs = buildOutputsFromRunReport(runReport);
+        const outputs = buildOutputsFromRunReport(runReport, buildContextNotes(recorder.records, ticket));
 
         if (runReport.status === RUN_STATUS.OK) {
           const completeResult = await ticketStore.complete(ticket.id, outputs, worker, leaseProof);
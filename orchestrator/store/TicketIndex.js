@@ -0,0 +1,253 @@
+/**
+ * TicketIndex - TicketStore 的次級索引
+ *
+ * - bucket：status / kind / flow_id / parent_ticket_id 每個值對應一個 id 陣列，
+ *   依 (created_at, 建立順序) 排序；list / lease / reaper 只掃描相關 bucket，不再掃全部票據
+ * - status 以 accessor 追蹤：任何 `ticket.status = x`（包含 store 之外的直接修改）都會即時移動 bucket
+ * - facet 計數 (status, kind, flow_id)：countByStatus() / /metrics 為 O(facet 數)，與票據總數無關
+ * - kind / flow_id / parent_ticket_id 建立後幾乎不變，於 TicketStore._persist 時 reindex
+ *
+ * 索引只負責縮小候選範圍；呼叫端仍須以實際欄位值驗證每一張候選票據。
+ */
+
+// kind / parent_ticket_id 同時索引根層與 metadata 的值（對應 TicketStore.list 的 alias）
+const FIELD_VALUES = {
+  kind: (ticket) => [ticket.kind, ticket.metadata?.kind],
+  flow_id: (ticket) => [ticket.flow_id],
+  parent_ticket_id: (ticket) => [ticket.parent_ticket_id, ticket.metadata?.parent_ticket_id]
+};
+
+const INDEXED_FIELDS = Object.freeze(['status', ...Object.keys(FIELD_VALUES)]);
+
+function fieldValues(ticket, field) {
+  const values = [];
+  for (const value of FIELD_VALUES[field](ticket)) {
+    if (value !== undefined && value !== null && !values.includes(value)) values.push(value);
+  }
+  return values;
+}
+
+function createdKey(ticket) {
+  const ms = Date.parse(ticket.metadata?.created_at);
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+function facetOf(status, ticket) {
+  return { status, kind: ticket.metadata?.kind ?? null, flow_id: ticket.flow_id ?? null };
+}
+
+function facetKey(facet) {
+  return JSON.stringify([facet.status, facet.kind, facet.flow_id]);
+}
+
+class TicketIndex {
+  constructor() {
+    this.entries = new Map(); // id → { ticket, t, seq, status, fields, facet }
+    this.all = [];
+    this.buckets = {};
+    for (const field of INDEXED_FIELDS) this.buckets[field] = new Map();
+    this.facets = new Map();
+    this.seq = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 新票據：建立排序鍵、status accessor 與所有 bucket；已知票據：reindex 非 status 欄位
+   */
+  track(ticket) {
+    const existing = this.entries.get(ticket.id);
+    if (existing && existing.ticket !== ticket) this._untrack(existing);
+    if (existing && existing.ticket === ticket) {
+      this._reindexFields(existing);
+      return;
+    }
+
+    const entry = {
+      ticket,
+      t: createdKey(ticket),
+      seq: existing ? existing.seq : this.seq++,
+      status: ticket.status,
+      fields: {},
+      facet: null
+    };
+    this.entries.set(ticket.id, entry);
+    this._insert(this.all, entry);
+    this._add('status', entry.status, entry);
+    for (const field of Object.keys(FIELD_VALUES)) {
+      entry.fields[field] = fieldValues(ticket, field);
+      for (const value of entry.fields[field]) this._add(field, value, entry);
+    }
+    this._setFacet(entry, facetOf(entry.status, ticket));
+    this._installStatusAccessor(entry);
+  }
+
+  /**
+   * @param {Object} filter - { status?, kind?, flow_id?, parent_ticket_id? }
+   * @returns {string[]} 依建立順序排序的候選 id（唯讀；取最小的 bucket）
+   */
+  candidates(filter = {}) {
+    let best = this.all;
+    for (const field of INDEXED_FIELDS) {
+      const value = filter[field];
+      if (value === undefined || value === null || value === '') continue;
+      const bucket = this.buckets[field].get(value);
+      if (!bucket) return [];
+      if (bucket.length < best.length) best = bucket;
+    }
+    return best;
+  }
+
+  /**
+   * @param {string[]} ids - candidates() 的結果
+   * @param {{t: number, id?: string}} position - cursor 位置
+   * @returns {number} 第一個排在 position 之後的 index
+   */
+  positionAfter(ids, position) {
+    const known = position.id !== undefined ? this.entries.get(position.id) : null;
+    const key = known ? { t: known.t, seq: known.seq } : { t: position.t, seq: Infinity };
+    let lo = 0;
+    let hi = ids.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this._compare(this.entries.get(ids[mid]), key) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * @returns {{t: number, id: string}|null} 票據在排序中的位置（cursor 用）
+   */
+  positionOf(id) {
+    const entry = this.entries.get(id);
+    return entry ? { t: entry.t, id } : null;
+  }
+
+  /**
+   * @param {Function} [match] - (facet: {status, kind, flow_id}) => boolean
+   * @returns {Object<string, number>} status → count
+   */
+  countByStatus(match = null) {
+    const counts = {};
+    for (const { facet, count } of this.facets.values()) {
+      if (match && !match(facet)) continue;
+      counts[facet.status] = (counts[facet.status] || 0) + count;
+    }
+    return counts;
+  }
+
+  // ============================================================
+  // internals
+  // ============================================================
+  _installStatusAccessor(entry) {
+    const { ticket } = entry;
+    let status = ticket.status;
+    Object.defineProperty(ticket, 'status', {
+      enumerable: true,
+      configurable: true,
+      get: () => status,
+      set: (value) => {
+        status = value;
+        if (this.entries.get(ticket.id) === entry) this._moveStatus(entry, value);
+      }
+    });
+  }
+
+  _moveStatus(entry, status) {
+    if (entry.status === status) return;
+    this._remove('status', entry.status, entry);
+    entry.status = status;
+    this._add('status', status, entry);
+    this._setFacet(entry, facetOf(status, entry.ticket));
+  }
+
+  _reindexFields(entry) {
+    for (const field of Object.keys(FIELD_VALUES)) {
+      const next = fieldValues(entry.ticket, field);
+      const prev = entry.fields[field];
+      for (const value of prev) if (!next.includes(value)) this._remove(field, value, entry);
+      for (const value of next) if (!prev.includes(value)) this._add(field, value, entry);
+      entry.fields[field] = next;
+    }
+    this._setFacet(entry, facetOf(entry.status, entry.ticket));
+  }
+
+  _untrack(entry) {
+    this._removeSorted(this.all, entry);
+    this._remove('status', entry.status, entry);
+    for (const field of Object.keys(FIELD_VALUES)) {
+      for (const value of entry.fields[field]) this._remove(field, value, entry);
+    }
+    this._setFacet(entry, null);
+    this.entries.delete(entry.ticket.id);
+  }
+
+  _setFacet(entry, facet) {
+    const prevKey = entry.facet ? facetKey(entry.facet) : null;
+    const nextKey = facet ? facetKey(facet) : null;
+    if (prevKey === nextKey) return;
+    if (prevKey !== null) {
+      const prev = this.facets.get(prevKey);
+      prev.count -= 1;
+      if (prev.count === 0) this.facets.delete(prevKey);
+    }
+    if (nextKey !== null) {
+      const next = this.facets.get(nextKey) || { facet, count: 0 };
+      next.count += 1;
+      this.facets.set(nextKey, next);
+    }
+    entry.facet = facet;
+  }
+
+  _add(field, value, entry) {
+    if (value === undefined || value === null) return;
+    const buckets = this.buckets[field];
+    if (!buckets.has(value)) buckets.set(value, []);
+    this._insert(buckets.get(value), entry);
+  }
+
+  _remove(field, value, entry) {
+    const bucket = this.buckets[field].get(value);
+    if (!bucket) return;
+    this._removeSorted(bucket, entry);
+    if (bucket.length === 0) this.buckets[field].delete(value);
+  }
+
+  _compare(a, b) {
+    return (a.t - b.t) || (a.seq - b.seq);
+  }
+
+  _search(ids, entry) {
+    let lo = 0;
+    let hi = ids.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this._compare(this.entries.get(ids[mid]), entry) < 0) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  _insert(ids, entry) {
+    // 新票據通常排在最後：先比尾端，避免 splice
+    const last = ids.length > 0 ? this.entries.get(ids[ids.length - 1]) : null;
+    if (!last || this._compare(last, entry) < 0) {
+      ids.push(entry.ticket.id);
+      return;
+    }
+    ids.splice(this._search(ids, entry), 0, entry.ticket.id);
+  }
+
+  _removeSorted(ids, entry) {
+    const i = this._search(ids, entry);
+    if (ids[i] === entry.ticket.id) ids.splice(i, 1);
+  }
+}
+
+module.exports = {
+  TicketIndex,
+  INDEXED_FIELDS
+};
@@ -3,17 +3,38 @@
  * 
  * State Machine (定案):
  *   pending → running → done | failed | blocked
+ *   running → awaiting_approval → done (approved) | failed (rejected)   # REPLY 人工審核
+ *   failed → pending (retry, not_before 之前 lease 不會領) | dead_letter → pending (requeue) | discarded
  * 
  * States:
  *   - pending: 等待處理
  *   - running: 正在執行（已被 lease/lock）
+ *   - awaiting_approval: REPLY 草稿已填回，等待人工核准 / 退回
  *   - done: 成功完成
  *   - failed: 執行失敗（可重試或人工介入）
  *   - blocked: 被 schemaGate/policy 擋下（需修正後重試）
+ *   - dead_letter: 重試次數用盡（RetryScheduler），等待人工 requeue / discard
+ *   - discarded: 人工放棄的 dead_letter 票據（終態，保留 failure_history）
  * 
  * Legacy compat:
  *   - 'leased' maps to 'running'
  *   - 'completed' maps to 'done'
+ *
+ * Persistence (store/drivers):
+ *   - memory:  no persistence (default without TICKETSTORE_PATH)
+ *   - journal: append-only JSONL journal + snapshot/compaction (default with TICKETSTORE_PATH)
+ *   - sqlite:  embedded SQLite via node:sqlite (TICKET_STORE_TYPE=sqlite)
+ *   Every state transition writes the full ticket through the driver, so a
+ *   restarted orchestrator resumes with the same tickets, statuses and derived links.
+ *
+ * Indexes (store/TicketIndex):
+ *   status / kind / flow_id / parent_ticket_id buckets kept in created_at order,
+ *   plus (status, kind, flow_id) counters. list / lease / reaper / countByStatus
+ *   never scan the whole Map; list pages with an opaque cursor (page()).
+ *
+ * Events (lib/ticket_events/TicketEventLog):
+ *   every transition publishes created / derived / leased / filled / approved /
+ *   blocked / failed / released to this.events (SSE GET /v1/ticket-events).
  */
 
 // ============================================================
@@ -25,6 +46,9 @@ const TICKET_STATUS = {
   DONE: 'done',
   FAILED: 'failed',
   BLOCKED: 'blocked',
+  AWAITING_APPROVAL: 'awaiting_approval',
+  DEAD_LETTER: 'dead_letter',
+  DISCARDED: 'discarded',
   // Legacy aliases (for backward compat)
   LEASED: 'running',      // legacy 'leased' → 'running'
   COMPLETED: 'completed'  // legacy 'completed' kept for read compat
@@ -33,10 +57,47 @@ const TICKET_STATUS = {
 const crypto = require('crypto');
 
 const { normalizeToolVerdict } = require('../lib/toolVerdict');
+const { createDriver } = require('./drivers');
+const { TicketIndex } = require('./TicketIndex');
+const { TicketEventLog, TICKET_EVENT_TYPES } = require('../lib/ticket_events/TicketEventLog');
 const { cutoverMetrics } = require('../lib/compat/cutoverMetrics');
+const { metricsRegistry, METRIC_TYPES } = require('../lib/metrics/MetricsRegistry');
 
 const DIRECT_FILL_ALLOWLIST = new Set(['http_fill', 'system', 'manual']);
 
+// 由 orchestrator 自己執行的 kind（FlowRunner）；不帶 kind 的 lease 不會拿到
+const SERVER_EXECUTED_KINDS = new Set(['FLOW']);
+
+// list() filter key → TicketIndex field（其餘 key 只在候選票據上逐一比對）
+const INDEXED_FILTER_KEYS = {
+  kind: 'kind',
+  'metadata.kind': 'kind',
+  flow_id: 'flow_id',
+  parent_ticket_id: 'parent_ticket_id',
+  'metadata.parent_ticket_id': 'parent_ticket_id'
+};
+
+const INVALID_CURSOR = 'invalid_cursor';
+
+// Opaque list cursor: base64url({ t: created_at ms, id: last ticket id })
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && Number.isFinite(position.t) && (position.id === undefined || typeof position.id === 'string')) {
+      return position;
+    }
+  } catch (_) {
+    // fall through
+  }
+  const err = new Error(`Invalid cursor: ${cursor}`);
+  err.code = INVALID_CURSOR;
+  throw err;
+}
+
 // ============================================================
 // Guardrail observability (low-cardinality)
 // ============================================================
@@ -60,6 +121,21 @@ function incrementGuardCounter(counterMap, labels) {
   counterMap.set(key, (counterMap.get(key) || 0) + 1);
 }
 
+metricsRegistry.collector({
+  name: 'orchestrator_ticket_store_guard_reject',
+  help: 'TicketStore guardrail rejects by code / action',
+  type: METRIC_TYPES.COUNTER,
+  collect: () => snapshotGuardCounters(guardMetricsCounters.rejects)
+});
+
+// lease → fill（complete）經過的秒數，依 kind
+const leaseToFillSeconds = metricsRegistry.histogram({
+  name: 'orchestrator_lease_to_fill_seconds',
+  help: 'Seconds from lease to fill (complete) per ticket kind',
+  labelNames: ['kind'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]
+});
+
 function snapshotGuardCounters(counterMap) {
   const out = [];
   for (const [key, value] of counterMap.entries()) {
@@ -107,21 +183,101 @@ function normalizeLeaseProof(leaseProof) {
   return { owner: undefined, token: undefined };
 }
 
+// Lease reaper: an expired lease is reclaimed (running → pending) at most
+// maxLeaseReclaims times; the next expiry moves the ticket to failed with this code.
+const DEFAULT_MAX_LEASE_RECLAIMS = 3;
+const LEASE_RECLAIM_EXHAUSTED = 'lease_reclaim_exhausted';
+
+// Reviewer rejected a REPLY draft (awaiting_approval → failed)
+const REPLY_REJECTED = 'reply_rejected';
+
+function parseMaxLeaseReclaims(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_MAX_LEASE_RECLAIMS;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_MAX_LEASE_RECLAIMS;
+}
+
 // Valid state transitions
 const VALID_TRANSITIONS = {
   pending: ['running', 'blocked'],
-  running: ['done', 'failed', 'blocked', 'pending'], // pending = release lease
+  running: ['done', 'failed', 'blocked', 'pending', 'awaiting_approval'], // pending = release lease
+  awaiting_approval: ['done', 'failed'], // approve / reject
   done: [],      // terminal
-  failed: ['pending', 'running'], // allow retry
-  blocked: ['pending'] // allow unblock after fix
+  failed: ['pending', 'running', 'dead_letter'], // allow retry; dead_letter after retries are exhausted
+  blocked: ['pending'], // allow unblock after fix
+  dead_letter: ['pending', 'discarded'], // requeue / discard
+  discarded: [] // terminal
 };
 
+// failure_history 只保留最近幾筆
+const MAX_FAILURE_HISTORY = 20;
+
+/**
+ * running → failed 時記錄一筆（retry / requeue 不清除，dead-letter 檢視用）
+ */
+function recordFailure(ticket, { error, by, at }) {
+  const history = Array.isArray(ticket.metadata.failure_history) ? ticket.metadata.failure_history : [];
+  history.push({ attempt: (ticket.metadata.retry_count || 0) + 1, error: String(error), by: by || null, at });
+  ticket.metadata.failure_history = history.slice(-MAX_FAILURE_HISTORY);
+}
+
+function isBackedOff(ticket, now) {
+  const notBefore = ticket.metadata?.not_before ? Date.parse(ticket.metadata.not_before) : NaN;
+  return !Number.isNaN(notBefore) && notBefore > now;
+}
+
 class TicketStore {
-  constructor(dataPath = null) {
+  /**
+   * @param {string|null} dataPath - Storage path (TICKETSTORE_PATH env or parameter)
+   * @param {Object} [options]
+   * @param {string} [options.type] - Driver type: memory | journal | sqlite (default: TICKET_STORE_TYPE env)
+   * @param {Object} [options.driver] - Pre-built driver instance (tests)
+   * @param {number} [options.maxLeaseReclaims] - Reclaims before failing a ticket (default: LEASE_MAX_RECLAIMS env or 3; 0 = unlimited)
+   * @param {Object} [options.leasePolicy] - LeasePolicy for lease() ordering (default: none = insertion order)
+   * @param {Object} [options.events] - TicketEventLog (default: new log per store)
+   */
+  constructor(dataPath = null, options = {}) {
     this.tickets = new Map();
     // Support custom data path for testing (TICKETSTORE_PATH env or parameter)
     this.dataPath = dataPath || process.env.TICKETSTORE_PATH || null;
     // 移除 queue，改用 Map 遍歷篩選，以支援 kind 過濾
+    this.maxLeaseReclaims = parseMaxLeaseReclaims(
+      options.maxLeaseReclaims !== undefined ? options.maxLeaseReclaims : process.env.LEASE_MAX_RECLAIMS
+    );
+
+    this.leasePolicy = options.leasePolicy || null;
+    this.index = new TicketIndex();
+    this.events = options.events || new TicketEventLog();
+
+    // Storage driver: the Map stays the working set; the driver only persists.
+    this.driver = options.driver || createDriver({ dataPath: this.dataPath, type: options.type });
+    for (const ticket of this.driver.load()) {
+      this.tickets.set(ticket.id, ticket);
+      this.index.track(ticket);
+    }
+    if (this.tickets.size > 0) {
+      console.log(`💾 [Store] Restored ${this.tickets.size} tickets (driver=${this.driver.name}).`);
+    }
+  }
+
+  // ============================================================
+  // Persistence (driver write-through)
+  // ============================================================
+  _persist(ticket) {
+    this.index.track(ticket);
+    this.driver.put(ticket);
+    if (this.driver.shouldCompact()) {
+      this.driver.compact(this.tickets.values());
+    }
+  }
+
+  // 狀態轉移事件；訂閱端錯誤由 TicketEventLog 吞掉，不影響轉移
+  _emit(type, ticket, extra) {
+    this.events.publish(type, ticket, extra);
+  }
+
+  async close() {
+    this.driver.close();
   }
   
   async create(ticket) {
@@ -131,6 +287,12 @@ class TicketStore {
     if (!ticket.status) ticket.status = TICKET_STATUS.PENDING;
 
     this.tickets.set(ticket.id, ticket);
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.CREATED, ticket);
+    const parentId = ticket.metadata.parent_ticket_id
+      || ticket.metadata.triage_reference_id
+      || ticket.metadata.flow_parent?.ticket_id;
+    if (parentId) this._emit(TICKET_EVENT_TYPES.DERIVED, ticket, { parent_ticket_id: parentId });
     console.log(`📥 [Store] New Ticket: ${ticket.id} | Kind: ${ticket.metadata.kind} | Status: ${ticket.status}`);
     return ticket;
   }
@@ -140,46 +302,65 @@ class TicketStore {
   }
   
   async list(options = {}) {
-    const { status, offset = 0 } = options;
+    const { tickets } = await this.page(options);
+    return tickets;
+  }
+
+  // ============================================================
+  // page: list() + opaque cursor（依 created_at 排序，FIFO）
+  // - options.cursor: 上一頁的 next_cursor；無法解析 → throws (err.code = 'invalid_cursor')
+  // - 可索引的 filter（status / kind / flow_id / parent_ticket_id）只掃描對應 bucket
+  // ============================================================
+  async page(options = {}) {
+    const { status, offset = 0, cursor } = options;
 
-    const controlKeys = new Set(['status', 'limit', 'offset']);
+    const controlKeys = new Set(['status', 'limit', 'offset', 'cursor']);
     const filterKeys = Object.keys(options).filter((k) => !controlKeys.has(k));
 
     const hasExplicitLimit = Object.prototype.hasOwnProperty.call(options, 'limit');
     const limit = hasExplicitLimit
       ? Number(options.limit)
       : (filterKeys.length > 0 ? 10000 : 100);
+    const max = Number.isFinite(limit) ? Math.max(0, limit) : 0;
 
-    let tickets = Array.from(this.tickets.values());
-
-    if (status) {
-      tickets = tickets.filter((ticket) => ticket.status === status);
+    const indexed = { status };
+    for (const key of filterKeys) {
+      if (INDEXED_FILTER_KEYS[key] && options[key] !== undefined) indexed[INDEXED_FILTER_KEYS[key]] = options[key];
     }
-
-    if (filterKeys.length > 0) {
-      tickets = tickets.filter((ticket) => {
-        return filterKeys.every((key) => {
-          const expected = options[key];
-          if (expected === undefined) return true;
-
-          const actual = getByPath(ticket, key);
-          return actual === expected;
-        });
+    const ids = this.index.candidates(indexed);
+    const start = cursor ? this.index.positionAfter(ids, decodeCursor(cursor)) : 0;
+
+    const tickets = [];
+    let skipped = 0;
+    let nextCursor = null;
+    for (let i = start; i < ids.length; i++) {
+      const ticket = this.tickets.get(ids[i]);
+      if (status && ticket.status !== status) continue;
+      const matches = filterKeys.every((key) => {
+        const expected = options[key];
+        if (expected === undefined) return true;
+        return getByPath(ticket, key) === expected;
       });
+      if (!matches) continue;
+      if (skipped < offset) {
+        skipped++;
+        continue;
+      }
+      if (tickets.length >= max) {
+        // 還有下一筆 → 以本頁最後一張為 cursor
+        if (tickets.length > 0) nextCursor = encodeCursor(this.index.positionOf(tickets[tickets.length - 1].id));
+        break;
+      }
+      tickets.push(ticket);
     }
 
-    // 按時間排序 (FIFO)
-    return tickets
-      .sort((a, b) => new Date(a.metadata.created_at) - new Date(b.metadata.created_at))
-      .slice(offset, offset + limit);
+    return { tickets, next_cursor: nextCursor };
   }
 
-  
-  
   async count(options = {}) {
     const { status } = options;
     if (!status) return this.tickets.size;
-    return Array.from(this.tickets.values()).filter(t => t.status === status).length;
+    return this.index.countByStatus((facet) => facet.status === status)[status] || 0;
   }
   
   // ============================================================
@@ -215,18 +396,8 @@ class TicketStore {
     // 1. 先釋放過期租約
     await this.releaseExpiredLeases();
 
-    // 2. 篩選符合條件的票據 (pending only)
-    const candidates = [];
-    for (const ticket of this.tickets.values()) {
-        if (candidates.length >= limit) break;
-
-        const isPending = ticket.status === TICKET_STATUS.PENDING;
-        const isKindMatch = (!kind) || (ticket.metadata?.kind === kind);
-
-        if (isPending && isKindMatch) {
-            candidates.push(ticket);
-        }
-    }
+    // 2. 篩選符合條件的票據 (pending only)，依 leasePolicy 排序後取前 limit 張
+    const candidates = this._orderPending(kind).slice(0, limit).map((entry) => entry.ticket);
 
     console.log(`   👉 Candidates found: ${candidates.length}`);
 
@@ -239,6 +410,8 @@ class TicketStore {
       ticket.metadata.lease_owner = leaseOwner;
       ticket.metadata.lease_token = newLeaseToken();
       ticket.metadata.updated_at = nowTs;
+      this._persist(ticket);
+      this._emit(TICKET_EVENT_TYPES.LEASED, ticket, { lease_owner: leaseOwner });
     }
     
     if (candidates.length > 0) {
@@ -248,6 +421,34 @@ class TicketStore {
     return candidates;
   }
 
+  // ============================================================
+  // queue: pending 票據的領取順序（GET /v1/queue），不改變狀態
+  // ============================================================
+  async queue(kind = null, limit = 100) {
+    const ordered = this._orderPending(kind);
+    return { total: ordered.length, entries: ordered.slice(0, limit) };
+  }
+
+  /**
+   * @returns {Array<{ticket: Object, breakdown: Object|null}>} lease 順序
+   */
+  _orderPending(kind) {
+    const now = Date.now();
+    const pending = [];
+    for (const id of this.index.candidates({ status: TICKET_STATUS.PENDING, kind })) {
+      const ticket = this.tickets.get(id);
+      const isPending = ticket.status === TICKET_STATUS.PENDING;
+      const isKindMatch = kind
+        ? ticket.metadata?.kind === kind
+        : !SERVER_EXECUTED_KINDS.has(ticket.metadata?.kind);
+      // retry backoff：not_before 之前不領
+      if (isPending && isKindMatch && !isBackedOff(ticket, now)) pending.push(ticket);
+    }
+
+    if (!this.leasePolicy) return pending.map((ticket) => ({ ticket, breakdown: null }));
+    return this.leasePolicy.order(pending, { lookup: (id) => this.tickets.get(id) });
+  }
+
     // ============================================================
     // leaseById: pending → running (targeted)
     // Used for concurrency contract tests (single ticket mutual exclusion)
@@ -283,16 +484,77 @@ class TicketStore {
       ticket.metadata.lease_owner = leaseOwner;
       ticket.metadata.lease_token = newLeaseToken();
       ticket.metadata.updated_at = nowTs;
+      this._persist(ticket);
+      this._emit(TICKET_EVENT_TYPES.LEASED, ticket, { lease_owner: leaseOwner });
 
       return { ok: true, ticket };
     }
 
+  // ============================================================
+  // extendLease: running → running (heartbeat, push lease_expires forward)
+  // Same lease proof contract as complete()/fail()/release()
+  // ============================================================
+  async extendLease(id, leaseSec = 300, leaseProof = null) {
+    // Expired leases are released first: a heartbeat cannot revive a lease
+    // another worker may already be entitled to.
+    await this.releaseExpiredLeases();
+
+    const ticket = this.tickets.get(id);
+    if (!ticket) return { ok: false, code: 'not_found' };
+
+    const isRunning = ticket.status === TICKET_STATUS.RUNNING || ticket.status === 'leased';
+    if (!isRunning) {
+      return {
+        ok: false,
+        code: 'lease_conflict',
+        details: {
+          current_status: ticket.status,
+          lease_owner: ticket?.metadata?.lease_owner || null,
+          lease_token_present: Boolean(ticket?.metadata?.lease_token)
+        }
+      };
+    }
+
+    const expectedOwner = ticket.metadata?.lease_owner;
+    const expectedToken = ticket.metadata?.lease_token;
+    if (expectedToken) {
+      const provided = normalizeLeaseProof(leaseProof);
+      const okToken = provided.token && provided.token === expectedToken;
+      const okOwner = expectedOwner ? (provided.owner && provided.owner === expectedOwner) : true;
+      if (!okToken || !okOwner) {
+        emitGuardReject({
+          ticket,
+          action: 'extend_lease_owner_mismatch',
+          code: 'lease_owner_mismatch',
+          reason: 'lease proof mismatch on extendLease()',
+          details: {
+            expected_owner: expectedOwner,
+            expected_token_present: true,
+            provided_owner: provided.owner,
+            provided_token_present: Boolean(provided.token)
+          }
+        });
+        return { ok: false, code: 'lease_owner_mismatch' };
+      }
+    }
+
+    const nowTs = new Date().toISOString();
+    ticket.metadata.lease_expires = Date.now() + leaseSec * 1000; // epoch ms
+    ticket.metadata.heartbeat_at = nowTs;
+    ticket.metadata.heartbeat_count = (ticket.metadata.heartbeat_count || 0) + 1;
+    ticket.metadata.updated_at = nowTs;
+    this._persist(ticket);
+
+    return { ok: true, ticket };
+  }
+
   // ============================================================
   // complete: running/pending → done (with outputs)
   // Note: Allow from pending for direct fill (bypass lease) scenarios
   // Note: Idempotent - if already done, just return ticket
+  // options.awaitApproval: land in awaiting_approval instead of done (REPLY review stage)
   // ============================================================
-  async complete(id, outputs, by, leaseProof = null) {
+  async complete(id, outputs, by, leaseProof = null, options = {}) {
     const ticket = this.tickets.get(id);
     if (!ticket) throw new Error(`Ticket ${id} not found`);
     
@@ -301,6 +563,10 @@ class TicketStore {
       console.log(`ℹ️ [Store] Ticket ${id} already done (idempotent).`);
       return ticket;
     }
+    if (ticket.status === TICKET_STATUS.AWAITING_APPROVAL) {
+      console.log(`ℹ️ [Store] Ticket ${id} already awaiting approval (idempotent).`);
+      return ticket;
+    }
     
     // Allow from running, pending, or legacy leased
     // pending → done is valid for direct fill without lease
@@ -367,9 +633,19 @@ class TicketStore {
     }
     
     const nowTs = new Date().toISOString();
-    ticket.status = TICKET_STATUS.DONE;
-    ticket.metadata.completed_at = nowTs;
-    ticket.metadata.completed_by = by;
+    const awaitApproval = Boolean(options.awaitApproval);
+    const leasedAtMs = Date.parse(ticket.metadata.leased_at);
+    if (ticket.status !== TICKET_STATUS.PENDING && !Number.isNaN(leasedAtMs)) {
+      leaseToFillSeconds.observe({ kind: ticket.metadata.kind }, (Date.parse(nowTs) - leasedAtMs) / 1000);
+    }
+    ticket.status = awaitApproval ? TICKET_STATUS.AWAITING_APPROVAL : TICKET_STATUS.DONE;
+    if (awaitApproval) {
+      ticket.metadata.drafted_at = nowTs;
+      ticket.metadata.drafted_by = by;
+    } else {
+      ticket.metadata.completed_at = nowTs;
+      ticket.metadata.completed_by = by;
+    }
     ticket.metadata.final_outputs = outputs;
 
     // M2-C.1: canonical tool_verdict must live at ticket.tool_verdict (root).
@@ -400,10 +676,90 @@ class TicketStore {
     delete ticket.metadata.lease_owner;
     delete ticket.metadata.lease_token;
     
-    console.log(`🏁 [Store] Ticket ${id} DONE.`);
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.FILLED, ticket, { by: by || null });
+    console.log(awaitApproval ? `📝 [Store] Ticket ${id} AWAITING APPROVAL.` : `🏁 [Store] Ticket ${id} DONE.`);
+    return ticket;
+  }
+
+  // ============================================================
+  // approve: awaiting_approval → done (reviewer decision + publish receipt)
+  // ============================================================
+  async approve(id, { by, reply, publish = null } = {}) {
+    const ticket = this.tickets.get(id);
+    if (!ticket) throw new Error(`Ticket ${id} not found`);
+
+    if (ticket.status !== TICKET_STATUS.AWAITING_APPROVAL) {
+      return { ok: false, code: 'not_awaiting_approval', details: { current_status: ticket.status } };
+    }
+
+    const nowTs = new Date().toISOString();
+    const outputs = ticket.metadata.final_outputs || {};
+    const edited = typeof reply === 'string' && reply !== outputs.reply;
+
+    ticket.metadata.approval = {
+      decision: edited ? 'edited' : 'approved',
+      by: by || null,
+      at: nowTs,
+      ...(edited ? { original_reply: outputs.reply === undefined ? null : outputs.reply } : {}),
+      publish
+    };
+    if (edited) ticket.metadata.final_outputs = { ...outputs, reply };
+
+    ticket.status = TICKET_STATUS.DONE;
+    ticket.metadata.completed_at = nowTs;
+    ticket.metadata.completed_by = by || null;
+    ticket.metadata.updated_at = nowTs;
+
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.APPROVED, ticket, { decision: ticket.metadata.approval.decision });
+    console.log(`✅ [Store] Ticket ${id} APPROVED (${ticket.metadata.approval.decision}) → done.`);
+    return { ok: true, ticket };
+  }
+
+  // ============================================================
+  // recordFlowRun: 寫入 DAG 執行狀態（metadata.flow_run），不改變 status
+  // ============================================================
+  async recordFlowRun(id, flowRun) {
+    const ticket = this.tickets.get(id);
+    if (!ticket) throw new Error(`Ticket ${id} not found`);
+
+    ticket.metadata.flow_run = flowRun;
+    ticket.metadata.updated_at = new Date().toISOString();
+    this._persist(ticket);
     return ticket;
   }
 
+  // ============================================================
+  // reject: awaiting_approval → failed (error = reply_rejected)
+  // ============================================================
+  async reject(id, { by, reason } = {}) {
+    const ticket = this.tickets.get(id);
+    if (!ticket) throw new Error(`Ticket ${id} not found`);
+
+    if (ticket.status !== TICKET_STATUS.AWAITING_APPROVAL) {
+      return { ok: false, code: 'not_awaiting_approval', details: { current_status: ticket.status } };
+    }
+
+    const nowTs = new Date().toISOString();
+    ticket.metadata.approval = {
+      decision: 'rejected',
+      by: by || null,
+      at: nowTs,
+      reason: String(reason)
+    };
+    ticket.status = TICKET_STATUS.FAILED;
+    ticket.metadata.failed_at = nowTs;
+    ticket.metadata.failed_by = by || null;
+    ticket.metadata.error = REPLY_REJECTED;
+    ticket.metadata.updated_at = nowTs;
+
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.FAILED, ticket, { error: REPLY_REJECTED });
+    console.log(`🙅 [Store] Ticket ${id} REJECTED: ${reason}`);
+    return { ok: true, ticket };
+  }
+
   // ============================================================
   // fail: running → failed (with error info)
   // ============================================================
@@ -447,12 +803,15 @@ class TicketStore {
     ticket.metadata.failed_by = by;
     ticket.metadata.error = error;
     ticket.metadata.updated_at = nowTs;
+    recordFailure(ticket, { error, by, at: nowTs });
     // Clean up lease metadata
     delete ticket.metadata.lease_expires;
     delete ticket.metadata.leased_at;
     delete ticket.metadata.lease_owner;
     delete ticket.metadata.lease_token;
     
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.FAILED, ticket, { error: String(error) });
     console.log(`❌ [Store] Ticket ${id} FAILED: ${error}`);
     return ticket;
   }
@@ -493,6 +852,8 @@ class TicketStore {
     delete ticket.metadata.lease_owner;
     delete ticket.metadata.lease_token;
     
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.BLOCKED, ticket, { reason: code });
     console.log(`🚫 [Store] Ticket ${id} BLOCKED: ${code}`);
     return ticket;
   }
@@ -515,14 +876,17 @@ class TicketStore {
     ticket.metadata.updated_at = nowTs;
     // Keep block history for audit
     
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.RELEASED, ticket, { reason: 'unblock' });
     console.log(`✅ [Store] Ticket ${id} UNBLOCKED → pending.`);
     return ticket;
   }
 
   // ============================================================
   // retry: failed → pending (for retry queue)
+  // options.notBefore (epoch ms): lease() 在此之前不會領取（RetryScheduler backoff）
   // ============================================================
-  async retry(id, by) {
+  async retry(id, by, options = {}) {
     const ticket = this.tickets.get(id);
     if (!ticket) throw new Error(`Ticket ${id} not found`);
     
@@ -536,13 +900,98 @@ class TicketStore {
     ticket.metadata.retry_by = by;
     ticket.metadata.retry_count = (ticket.metadata.retry_count || 0) + 1;
     ticket.metadata.updated_at = nowTs;
+    if (Number.isFinite(options.notBefore)) {
+      ticket.metadata.not_before = new Date(options.notBefore).toISOString();
+    } else {
+      delete ticket.metadata.not_before;
+    }
     // Clear error but keep history
     delete ticket.metadata.error;
     
-    console.log(`🔄 [Store] Ticket ${id} RETRY (#${ticket.metadata.retry_count}) → pending.`);
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.RELEASED, ticket, { reason: 'retry', not_before: ticket.metadata.not_before || null });
+    console.log(`🔄 [Store] Ticket ${id} RETRY (#${ticket.metadata.retry_count}) → pending${ticket.metadata.not_before ? ` (not before ${ticket.metadata.not_before})` : ''}.`);
     return ticket;
   }
 
+  // ============================================================
+  // deadLetter: failed → dead_letter (retries exhausted)
+  // ============================================================
+  async deadLetter(id, { by, reason } = {}) {
+    const ticket = this.tickets.get(id);
+    if (!ticket) throw new Error(`Ticket ${id} not found`);
+
+    if (ticket.status !== TICKET_STATUS.FAILED) {
+      return { ok: false, code: 'not_failed', details: { current_status: ticket.status } };
+    }
+
+    const nowTs = new Date().toISOString();
+    ticket.status = TICKET_STATUS.DEAD_LETTER;
+    ticket.metadata.dead_letter = {
+      reason: reason || 'retries_exhausted',
+      by: by || null,
+      at: nowTs,
+      attempts: (ticket.metadata.retry_count || 0) + 1,
+      last_error: ticket.metadata.error !== undefined ? String(ticket.metadata.error) : null
+    };
+    ticket.metadata.updated_at = nowTs;
+
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.DEAD_LETTERED, ticket, { reason: ticket.metadata.dead_letter.reason });
+    console.log(`🪦 [Store] Ticket ${id} DEAD-LETTERED after ${ticket.metadata.dead_letter.attempts} attempt(s).`);
+    return { ok: true, ticket };
+  }
+
+  // ============================================================
+  // requeue: dead_letter → pending (fresh retry budget, failure_history kept)
+  // ============================================================
+  async requeue(id, by) {
+    const ticket = this.tickets.get(id);
+    if (!ticket) throw new Error(`Ticket ${id} not found`);
+
+    if (ticket.status !== TICKET_STATUS.DEAD_LETTER) {
+      return { ok: false, code: 'not_dead_lettered', details: { current_status: ticket.status } };
+    }
+
+    const nowTs = new Date().toISOString();
+    ticket.status = TICKET_STATUS.PENDING;
+    ticket.metadata.requeued_at = nowTs;
+    ticket.metadata.requeued_by = by || null;
+    ticket.metadata.requeue_count = (ticket.metadata.requeue_count || 0) + 1;
+    ticket.metadata.retry_count = 0;
+    ticket.metadata.updated_at = nowTs;
+    delete ticket.metadata.dead_letter;
+    delete ticket.metadata.not_before;
+    delete ticket.metadata.error;
+
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.RELEASED, ticket, { reason: 'requeue' });
+    console.log(`🔁 [Store] Ticket ${id} REQUEUED from dead letter → pending.`);
+    return { ok: true, ticket };
+  }
+
+  // ============================================================
+  // discard: dead_letter → discarded (terminal)
+  // ============================================================
+  async discard(id, { by, reason } = {}) {
+    const ticket = this.tickets.get(id);
+    if (!ticket) throw new Error(`Ticket ${id} not found`);
+
+    if (ticket.status !== TICKET_STATUS.DEAD_LETTER) {
+      return { ok: false, code: 'not_dead_lettered', details: { current_status: ticket.status } };
+    }
+
+    const nowTs = new Date().toISOString();
+    ticket.status = TICKET_STATUS.DISCARDED;
+    ticket.metadata.discarded = { by: by || null, reason: reason ? String(reason) : null, at: nowTs };
+    ticket.metadata.updated_at = nowTs;
+
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.DISCARDED, ticket, { reason: ticket.metadata.discarded.reason });
+    console.log(`🗑️ [Store] Ticket ${id} DISCARDED.`);
+    return { ok: true, ticket };
+  }
+
   // ============================================================
   // release: running → pending (release lock without result)
   // ============================================================
@@ -587,6 +1036,8 @@ class TicketStore {
     delete ticket.metadata.lease_owner;
     delete ticket.metadata.lease_token;
     
+    this._persist(ticket);
+    this._emit(TICKET_EVENT_TYPES.RELEASED, ticket, { reason: 'nack' });
     console.log(`↩️ [Store] Ticket ${id} RELEASED → pending.`);
     return ticket;
   }
@@ -596,61 +1047,123 @@ class TicketStore {
     const ticket = this.tickets.get(ticketId);
     if (!ticket) throw new Error(`Ticket not found: ${ticketId}`);
     ticket.status = status;
+    this._persist(ticket);
     return ticket;
   }
 
   // ============================================================
   // releaseExpiredLeases: Auto-release expired running tickets
+  // Returns number of reclaimed tickets (released + exhausted)
   // ============================================================
   async releaseExpiredLeases() {
+    const { reclaimed, exhausted } = await this.reapExpiredLeases();
+    return reclaimed.length + exhausted.length;
+  }
+
+  // ============================================================
+  // reapExpiredLeases: running (expired) → pending | failed
+  // - Counts reclaims per ticket (metadata.lease_reclaim_count)
+  // - After maxLeaseReclaims reclaims, the next expiry fails the ticket
+  //   with error = 'lease_reclaim_exhausted'
+  // - Every reclaim is recorded through the audit logger (ticket_store.jsonl)
+  // ============================================================
+  async reapExpiredLeases() {
     const now = Date.now();
-    let count = 0;
-    
-    for (const ticket of this.tickets.values()) {
+    const reclaimed = [];
+    const exhausted = [];
+
+    // 只看 running（含 legacy 'leased'）bucket；迴圈中 status 會變動，先複製 id
+    const runningIds = [
+      ...this.index.candidates({ status: TICKET_STATUS.RUNNING }),
+      ...this.index.candidates({ status: 'leased' })
+    ];
+    for (const id of runningIds) {
+        const ticket = this.tickets.get(id);
         // Handle both new 'running' and legacy 'leased'
         const isRunning = ticket.status === TICKET_STATUS.RUNNING || ticket.status === 'leased';
-        if (isRunning && ticket.metadata.lease_expires) {
-            // Support both epoch ms (new) and ISO string (legacy)
-            const expires = typeof ticket.metadata.lease_expires === 'number'
-              ? ticket.metadata.lease_expires
-              : new Date(ticket.metadata.lease_expires).getTime();
-            
-            if (expires < now) {
-                ticket.status = TICKET_STATUS.PENDING;
-                delete ticket.metadata.lease_expires;
-                delete ticket.metadata.leased_at;
-                ticket.metadata.updated_at = new Date().toISOString();
-                count++;
-            }
+        if (!isRunning || !ticket.metadata.lease_expires) continue;
+
+        // Support both epoch ms (new) and ISO string (legacy)
+        const expires = typeof ticket.metadata.lease_expires === 'number'
+          ? ticket.metadata.lease_expires
+          : new Date(ticket.metadata.lease_expires).getTime();
+        if (expires >= now) continue;
+
+        const nowTs = new Date().toISOString();
+        const expiredOwner = ticket.metadata.lease_owner || null;
+        const reclaimCount = (ticket.metadata.lease_reclaim_count || 0) + 1;
+        const isExhausted = this.maxLeaseReclaims > 0 && reclaimCount > this.maxLeaseReclaims;
+
+        ticket.metadata.lease_reclaim_count = reclaimCount;
+        ticket.metadata.last_reclaimed_at = nowTs;
+        delete ticket.metadata.lease_expires;
+        delete ticket.metadata.leased_at;
+        delete ticket.metadata.lease_owner;
+        delete ticket.metadata.lease_token;
+
+        if (isExhausted) {
+          ticket.status = TICKET_STATUS.FAILED;
+          ticket.metadata.failed_at = nowTs;
+          ticket.metadata.failed_by = 'lease_reaper';
+          ticket.metadata.error = LEASE_RECLAIM_EXHAUSTED;
+          recordFailure(ticket, { error: LEASE_RECLAIM_EXHAUSTED, by: 'lease_reaper', at: nowTs });
+          exhausted.push(ticket.id);
+        } else {
+          ticket.status = TICKET_STATUS.PENDING;
+          reclaimed.push(ticket.id);
         }
+        ticket.metadata.updated_at = nowTs;
+        this._persist(ticket);
+        if (isExhausted) {
+          this._emit(TICKET_EVENT_TYPES.FAILED, ticket, { error: LEASE_RECLAIM_EXHAUSTED });
+        } else {
+          this._emit(TICKET_EVENT_TYPES.RELEASED, ticket, { reason: 'lease_expired' });
+        }
+
+        logAudit({
+          ts: nowTs,
+          action: isExhausted ? 'lease_reclaim_exhausted' : 'lease_reclaimed',
+          ticket_id: ticket.id,
+          kind: ticket?.metadata?.kind,
+          status: ticket.status,
+          reclaim_count: reclaimCount,
+          max_reclaims: this.maxLeaseReclaims,
+          expired_owner: expiredOwner,
+          lease_expired_at: new Date(expires).toISOString()
+        });
     }
     
-    if (count > 0) console.log(`♻️ [Store] Released ${count} expired tickets.`);
-    return count;
+    if (reclaimed.length > 0) console.log(`♻️ [Store] Released ${reclaimed.length} expired tickets.`);
+    if (exhausted.length > 0) console.log(`❌ [Store] ${exhausted.length} tickets FAILED: ${LEASE_RECLAIM_EXHAUSTED}.`);
+    return { reclaimed, exhausted };
   }
 
   // ============================================================
   // Status Query Helpers
   // ============================================================
-  async countByStatus() {
+  /**
+   * @param {Function} [match] - (facet: {status, kind, flow_id}) => boolean；只計算符合的票據
+   */
+  async countByStatus(match = null) {
     const counts = {
       [TICKET_STATUS.PENDING]: 0,
       [TICKET_STATUS.RUNNING]: 0,
       [TICKET_STATUS.DONE]: 0,
       [TICKET_STATUS.FAILED]: 0,
       [TICKET_STATUS.BLOCKED]: 0,
+      [TICKET_STATUS.AWAITING_APPROVAL]: 0,
+      [TICKET_STATUS.DEAD_LETTER]: 0,
+      [TICKET_STATUS.DISCARDED]: 0,
       // Legacy counts
       leased: 0,
       completed: 0
     };
     
-    for (const ticket of this.tickets.values()) {
-      const status = ticket.status;
-      if (counts[status] !== undefined) {
-        counts[status]++;
-      }
+    const indexed = this.index.countByStatus(match);
+    for (const status of Object.keys(counts)) {
+      counts[status] = indexed[status] || 0;
     }
-    
+
     return counts;
   }
 
@@ -691,6 +1204,10 @@ module.exports = TicketStore;
 module.exports.TicketStore = TicketStore;
 module.exports.TICKET_STATUS = TICKET_STATUS;
 module.exports.VALID_TRANSITIONS = VALID_TRANSITIONS;
+module.exports.LEASE_RECLAIM_EXHAUSTED = LEASE_RECLAIM_EXHAUSTED;
+module.exports.REPLY_REJECTED = REPLY_REJECTED;
+module.exports.SERVER_EXECUTED_KINDS = SERVER_EXECUTED_KINDS;
+module.exports.INVALID_CURSOR = INVALID_CURSOR;
 // Static hook for orchestrator/tests
 module.exports.setAuditLogger = setAuditLogger;
 TicketStore.setAuditLogger = setAuditLogger;
\ No newline at end of file
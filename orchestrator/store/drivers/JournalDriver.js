@@ -0,0 +1,167 @@
+/**
+ * JournalDriver - TicketStore storage driver (append-only journal + snapshot)
+ *
+ * Layout (dataPath = /var/orch/tickets.jsonl):
+ *   - /var/orch/tickets.jsonl                 append-only journal, one record per line
+ *   - /var/orch/tickets.jsonl.snapshot.json   last compacted state
+ *
+ * Journal record:
+ *   { "v": 1, "op": "put", "at": ISO, "ticket": {...} }
+ *
+ * Every record carries the full ticket state, so replay is idempotent:
+ * load snapshot, then apply journal records in order (last write wins).
+ *
+ * Crash safety:
+ *   - A torn final line (process died mid-append) is dropped on load.
+ *   - Compaction writes the snapshot to a temp file and renames it into place
+ *     before truncating the journal; a crash between the two steps only
+ *     replays records already contained in the snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_VERSION = 1;
+const DEFAULT_COMPACT_EVERY = 1000;
+
+function snapshotPathFor(journalPath) {
+  return `${journalPath}.snapshot.json`;
+}
+
+function writeFileAtomic(absPath, data, { fsync = false } = {}) {
+  const tmp = `${absPath}.tmp_${process.pid}_${Date.now()}`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, data);
+    if (fsync) fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, absPath);
+}
+
+class JournalDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataPath - Journal file path
+   * @param {number} [options.compactEvery] - Journal records before compaction (0 disables)
+   * @param {boolean} [options.fsync] - fsync after each append (durable, slower)
+   */
+  constructor({ dataPath, compactEvery = DEFAULT_COMPACT_EVERY, fsync = false } = {}) {
+    if (!dataPath) throw new Error('JournalDriver requires dataPath');
+    this.name = 'journal';
+    this.journalPath = path.resolve(dataPath);
+    this.snapshotPath = snapshotPathFor(this.journalPath);
+    this.compactEvery = Number.isFinite(compactEvery) && compactEvery >= 0 ? compactEvery : DEFAULT_COMPACT_EVERY;
+    this.fsync = Boolean(fsync);
+    this.fd = null;
+    this.journalRecords = 0;
+    this.stats = { loaded: 0, replayed: 0, skipped_corrupt: 0, compactions: 0 };
+
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+  }
+
+  load() {
+    const byId = new Map();
+
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      for (const ticket of snapshot.tickets || []) {
+        if (ticket && ticket.id) byId.set(ticket.id, ticket);
+      }
+    }
+
+    let needsRewrite = false;
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          // Torn tail or corrupt line: skip, then rewrite a clean journal after load.
+          this.stats.skipped_corrupt++;
+          needsRewrite = true;
+          continue;
+        }
+
+        if (record && record.op === 'put' && record.ticket && record.ticket.id) {
+          byId.set(record.ticket.id, record.ticket);
+          this.stats.replayed++;
+          this.journalRecords++;
+        }
+      }
+    }
+
+    const tickets = Array.from(byId.values());
+    this.stats.loaded = tickets.length;
+
+    if (needsRewrite) {
+      console.warn(`⚠️ [Store] Journal ${this.journalPath}: skipped ${this.stats.skipped_corrupt} corrupt record(s); compacting.`);
+      this.compact(tickets);
+    }
+
+    return tickets;
+  }
+
+  _open() {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.journalPath, 'a');
+    }
+    return this.fd;
+  }
+
+  put(ticket) {
+    const record = {
+      v: JOURNAL_VERSION,
+      op: 'put',
+      at: new Date().toISOString(),
+      ticket
+    };
+    const fd = this._open();
+    fs.writeSync(fd, JSON.stringify(record) + '\n');
+    if (this.fsync) fs.fsyncSync(fd);
+    this.journalRecords++;
+  }
+
+  shouldCompact() {
+    return this.compactEvery > 0 && this.journalRecords >= this.compactEvery;
+  }
+
+  /**
+   * Write a snapshot of the given tickets and truncate the journal.
+   * @param {Iterable<Object>} tickets - Full current state (in lease order)
+   */
+  compact(tickets) {
+    const list = Array.from(tickets);
+    const snapshot = {
+      version: JOURNAL_VERSION,
+      written_at: new Date().toISOString(),
+      count: list.length,
+      tickets: list
+    };
+    writeFileAtomic(this.snapshotPath, JSON.stringify(snapshot), { fsync: this.fsync });
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    fs.writeFileSync(this.journalPath, '');
+    this.journalRecords = 0;
+    this.stats.compactions++;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = JournalDriver;
+module.exports.JournalDriver = JournalDriver;
+module.exports.snapshotPathFor = snapshotPathFor;
@@ -0,0 +1,28 @@
+/**
+ * MemoryDriver - TicketStore storage driver (no persistence)
+ *
+ * Default when no dataPath is configured. Keeps the legacy behavior:
+ * tickets live only in TicketStore's in-process Map and are lost on restart.
+ */
+
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+  }
+
+  load() {
+    return [];
+  }
+
+  put(_ticket) {}
+
+  shouldCompact() {
+    return false;
+  }
+
+  compact(_tickets) {}
+
+  close() {}
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,98 @@
+/**
+ * SqliteDriver - TicketStore storage driver (embedded SQLite)
+ *
+ * Uses Node's built-in `node:sqlite` (Node >= 22.5), so no native addon is
+ * required. One row per ticket, upserted on every state change:
+ *
+ *   tickets(seq INTEGER PRIMARY KEY AUTOINCREMENT, id TEXT UNIQUE, status TEXT,
+ *           kind TEXT, body TEXT, updated_at TEXT)
+ *
+ * `seq` is assigned on first insert and preserved by upserts, so load order
+ * matches creation order (TicketStore leases in Map insertion order).
+ * WAL journal mode keeps writes crash-safe without an explicit compaction step.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (e) {
+    throw new Error(`SqliteDriver requires Node >= 22.5 (node:sqlite unavailable: ${e.message})`);
+  }
+}
+
+class SqliteDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataPath - SQLite database file path (':memory:' allowed)
+   */
+  constructor({ dataPath } = {}) {
+    if (!dataPath) throw new Error('SqliteDriver requires dataPath');
+    const { DatabaseSync } = loadSqlite();
+
+    this.name = 'sqlite';
+    this.dbPath = dataPath === ':memory:' ? dataPath : path.resolve(dataPath);
+    if (this.dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new DatabaseSync(this.dbPath);
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.db.exec('PRAGMA synchronous = NORMAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tickets (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        status TEXT,
+        kind TEXT,
+        body TEXT NOT NULL,
+        updated_at TEXT
+      )
+    `);
+
+    this.upsertStmt = this.db.prepare(`
+      INSERT INTO tickets (id, status, kind, body, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status,
+        kind = excluded.kind,
+        body = excluded.body,
+        updated_at = excluded.updated_at
+    `);
+    this.selectAllStmt = this.db.prepare('SELECT body FROM tickets ORDER BY seq ASC');
+  }
+
+  load() {
+    return this.selectAllStmt.all().map((row) => JSON.parse(row.body));
+  }
+
+  put(ticket) {
+    this.upsertStmt.run(
+      String(ticket.id),
+      ticket.status || null,
+      ticket.metadata?.kind || null,
+      JSON.stringify(ticket),
+      ticket.metadata?.updated_at || new Date().toISOString()
+    );
+  }
+
+  shouldCompact() {
+    return false;
+  }
+
+  compact(_tickets) {
+    this.db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteDriver;
+module.exports.SqliteDriver = SqliteDriver;
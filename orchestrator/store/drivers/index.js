@@ -0,0 +1,58 @@
+/**
+ * TicketStore storage drivers
+ *
+ * Driver contract (all methods synchronous):
+ *   - load(): Object[]              tickets in creation order
+ *   - put(ticket): void             persist full ticket state (upsert)
+ *   - shouldCompact(): boolean      driver asks TicketStore for a compaction
+ *   - compact(tickets): void        rewrite storage from the given full state
+ *   - close(): void
+ *
+ * Selection (createDriver):
+ *   1. options.type / TICKET_STORE_TYPE: memory | journal | sqlite
+ *   2. otherwise: journal when a dataPath is configured, memory when not
+ */
+
+const MemoryDriver = require('./MemoryDriver');
+const JournalDriver = require('./JournalDriver');
+const SqliteDriver = require('./SqliteDriver');
+
+const DRIVER_TYPES = Object.freeze({
+  MEMORY: 'memory',
+  JOURNAL: 'journal',
+  SQLITE: 'sqlite'
+});
+
+function createDriver({ dataPath = null, type, env = process.env } = {}) {
+  const requested = String(type || env.TICKET_STORE_TYPE || '').trim().toLowerCase();
+  const effective = requested || (dataPath ? DRIVER_TYPES.JOURNAL : DRIVER_TYPES.MEMORY);
+
+  switch (effective) {
+    case DRIVER_TYPES.MEMORY:
+      return new MemoryDriver();
+    case DRIVER_TYPES.JOURNAL: {
+      if (!dataPath) throw new Error('TICKET_STORE_TYPE=journal requires TICKETSTORE_PATH');
+      const compactEvery = env.TICKETSTORE_COMPACT_EVERY !== undefined && env.TICKETSTORE_COMPACT_EVERY !== ''
+        ? Number(env.TICKETSTORE_COMPACT_EVERY)
+        : undefined;
+      return new JournalDriver({
+        dataPath,
+        compactEvery,
+        fsync: env.TICKETSTORE_FSYNC === 'true'
+      });
+    }
+    case DRIVER_TYPES.SQLITE:
+      if (!dataPath) throw new Error('TICKET_STORE_TYPE=sqlite requires TICKETSTORE_PATH');
+      return new SqliteDriver({ dataPath });
+    default:
+      throw new Error(`Unsupported TICKET_STORE_TYPE: ${effective} (expected memory | journal | sqlite)`);
+  }
+}
+
+module.exports = {
+  DRIVER_TYPES,
+  createDriver,
+  MemoryDriver,
+  JournalDriver,
+  SqliteDriver
+};
@@ -0,0 +1,230 @@
+/**
+ * DAGExecutor: condition expressions + parallel branches
+ *
+ * Contract:
+ * - conditionExpr parses a small safe language (no eval); syntax errors throw at compile time
+ * - Edge `condition` and node `conditions` gate execution; gated nodes are skipped, not failed
+ * - Skipped nodes are written to the audit trail (logTask status=skipped)
+ * - Independent ready nodes run concurrently; joins wait for all predecessors
+ * - References read own properties only; __proto__ / prototype / constructor segments never resolve
+ */
+
+'use strict';
+
+const assert = require('assert');
+const DAGExecutor = require('../../dag_executor/DAGExecutor');
+const FlowRegistry = require('../../flows/FlowRegistry');
+const { compileCondition, evaluateCondition, ConditionSyntaxError } = require('../../dag_executor/conditionExpr');
+
+function makeAudit() {
+  const tasks = [];
+  return {
+    tasks,
+    logExecution() {},
+    logTask(taskId, flowId, tool, details) {
+      tasks.push({ flow_id: flowId, tool, ...details });
+    }
+  };
+}
+
+function skippedNodes(audit) {
+  return audit.tasks.filter((t) => t.status === 'skipped').map((t) => [t.node_id, t.reason]);
+}
+
+async function testConditionExpressions() {
+  console.log('[Test] testConditionExpressions: START');
+  const scope = {
+    'event.lang': 'zh-tw',
+    'guard.approved': true,
+    'guard.confidence': 0.9,
+    'guard.flags': 0
+  };
+  const resolve = (p) => scope[p];
+
+  assert.strictEqual(evaluateCondition('${guard.approved}', resolve), true);
+  assert.strictEqual(evaluateCondition('${guard.confidence} >= 0.7 && ${event.lang} == "zh-tw"', resolve), true);
+  assert.strictEqual(evaluateCondition("!${guard.approved} || ${event.lang} != 'zh-tw'", resolve), false);
+  assert.strictEqual(evaluateCondition('(${guard.flags} > 0) || ${missing.value}', resolve), false);
+  assert.strictEqual(evaluateCondition('${guard.confidence} > "0.5"', resolve), false, 'mixed-type ordering is false');
+  assert.strictEqual(evaluateCondition('${missing.value} == null', resolve), false, 'undefined is not null (strict)');
+
+  for (const bad of ['', 'process.exit()', '${a} >', '${a b}', '(${a}', '"open', '${a} = 1', '${a.__proto__}', '${event.constructor.name}']) {
+    assert.throws(() => compileCondition(bad), ConditionSyntaxError, `should reject: ${bad}`);
+  }
+  console.log('[Test] testConditionExpressions: PASS ✓');
+}
+
+async function testReplyFlowGuardGatesSend() {
+  console.log('[Test] testReplyFlowGuardGatesSend: START');
+  const flow = new FlowRegistry().getFlow('reply_basic_tw');
+  const ticket = { id: 't-guard', event: { thread_id: 'th-1' } };
+
+  // Guard approves → reply_send runs
+  const audit = makeAudit();
+  const executor = new DAGExecutor(audit);
+  const results = await executor.execute(flow, ticket);
+  assert.ok(results.reply_send, 'reply_send should run when guard approves');
+  assert.deepStrictEqual(skippedNodes(audit), []);
+
+  // Guard rejects → reply_send skipped and audited
+  const rejectAudit = makeAudit();
+  const rejecting = new DAGExecutor(rejectAudit);
+  const stub = rejecting.executeStubTool.bind(rejecting);
+  rejecting.executeStubTool = async (tool, inputs) => {
+    if (tool === 'guard.check_content') return { approved: false, confidence: 0.95, flags: ['brand'] };
+    return stub(tool, inputs);
+  };
+  const rejected = await rejecting.execute(flow, ticket);
+  assert.strictEqual(rejected.reply_send, undefined, 'reply_send must not run when guard rejects');
+  assert.ok(rejected.guard_check);
+  assert.deepStrictEqual(skippedNodes(rejectAudit), [['reply_send', 'condition_failed:guard_approved']]);
+
+  // Low confidence → threshold condition fails
+  const lowAudit = makeAudit();
+  const low = new DAGExecutor(lowAudit);
+  low.executeStubTool = async (tool, inputs) => {
+    if (tool === 'guard.check_content') return { approved: true, confidence: 0.5, flags: [] };
+    return stub(tool, inputs);
+  };
+  await low.execute(flow, ticket);
+  assert.deepStrictEqual(skippedNodes(lowAudit), [['reply_send', 'condition_failed:confidence_threshold']]);
+
+  console.log('[Test] testReplyFlowGuardGatesSend: PASS ✓');
+}
+
+function makeTimedExecutor(audit, delays) {
+  const executor = new DAGExecutor(audit);
+  const timeline = { inFlight: 0, maxInFlight: 0, finished: [] };
+  executor.isStubTool = () => true;
+  executor.executeStubTool = async (tool) => {
+    timeline.inFlight++;
+    timeline.maxInFlight = Math.max(timeline.maxInFlight, timeline.inFlight);
+    await new Promise((r) => setTimeout(r, delays[tool] || 0));
+    timeline.inFlight--;
+    timeline.finished.push(tool);
+    return { tool, score: tool === 'a' ? 10 : 1 };
+  };
+  return { executor, timeline };
+}
+
+async function testParallelBranchesAndJoin() {
+  console.log('[Test] testParallelBranchesAndJoin: START');
+  const audit = makeAudit();
+  const { executor, timeline } = makeTimedExecutor(audit, { a: 60, b: 60, c: 10 });
+
+  const flow = {
+    id: 'parallel_test',
+    dag: {
+      nodes: [
+        { id: 'a', tool: 'a' },
+        { id: 'b', tool: 'b' },
+        { id: 'join', tool: 'join' },
+        { id: 'c', tool: 'c' }
+      ],
+      edges: [
+        { from: 'start', to: 'a' },
+        { from: 'start', to: 'b' },
+        { from: 'a', to: 'join' },
+        { from: 'b', to: 'join' },
+        { from: 'join', to: 'c' },
+        { from: 'c', to: 'end' }
+      ]
+    }
+  };
+
+  const started = Date.now();
+  const results = await executor.execute(flow, { id: 't-par', event: {} });
+  const elapsed = Date.now() - started;
+
+  assert.deepStrictEqual(Object.keys(results).sort(), ['a', 'b', 'c', 'join']);
+  assert.strictEqual(timeline.maxInFlight, 2, 'a and b should run concurrently');
+  assert.ok(elapsed < 115, `parallel branches should overlap (elapsed=${elapsed}ms)`);
+  assert.deepStrictEqual(timeline.finished.slice(2), ['join', 'c'], 'join waits for both branches');
+  console.log('[Test] testParallelBranchesAndJoin: PASS ✓');
+}
+
+async function testEdgeConditionSkipsBranch() {
+  console.log('[Test] testEdgeConditionSkipsBranch: START');
+  const audit = makeAudit();
+  const { executor } = makeTimedExecutor(audit, {});
+
+  const flow = {
+    id: 'edge_condition_test',
+    dag: {
+      nodes: [
+        { id: 'a', tool: 'a' },
+        { id: 'high', tool: 'high' },
+        { id: 'low', tool: 'low' },
+        { id: 'after_low', tool: 'after_low' },
+        { id: 'merge', tool: 'merge' }
+      ],
+      edges: [
+        { from: 'start', to: 'a' },
+        { from: 'a', to: 'high', condition: '${a.score} >= 5 && ${event.lang} == "zh-tw"' },
+        { from: 'a', to: 'low', condition: '${a.score} < 5' },
+        { from: 'low', to: 'after_low' },
+        { from: 'high', to: 'merge' },
+        { from: 'after_low', to: 'merge' },
+        { from: 'merge', to: 'end' }
+      ]
+    }
+  };
+
+  const results = await executor.execute(flow, { id: 't-edge', event: { lang: 'zh-tw' } });
+  assert.deepStrictEqual(Object.keys(results).sort(), ['a', 'high', 'merge']);
+  assert.deepStrictEqual(skippedNodes(audit), [
+    ['low', 'no_active_incoming_edge'],
+    ['after_low', 'no_active_incoming_edge']
+  ]);
+  console.log('[Test] testEdgeConditionSkipsBranch: PASS ✓');
+}
+
+async function testResolveVariableOwnPropertiesOnly() {
+  console.log('[Test] testResolveVariableOwnPropertiesOnly: START');
+  const executor = new DAGExecutor(makeAudit());
+  const context = { event: JSON.parse('{"lang":"zh-tw","__proto__":{"polluted":true},"tags":["a"]}') };
+  const results = { guard: { approved: true, memories: [{ id: 'm1' }] } };
+  const resolve = (p) => executor.resolveVariable(p, context, results);
+
+  assert.strictEqual(resolve('event.lang'), 'zh-tw');
+  assert.strictEqual(resolve('guard.memories.0.id'), 'm1');
+  assert.strictEqual(resolve('event.tags.length'), 1);
+  for (const path of ['event.__proto__', 'event.__proto__.polluted', 'event.constructor', 'guard.toString',
+    'constructor', 'hasOwnProperty', 'guard.constructor.prototype', 'event.lang.constructor']) {
+    assert.strictEqual(resolve(path), undefined, path);
+  }
+  console.log('[Test] testResolveVariableOwnPropertiesOnly: PASS ✓');
+}
+
+async function testRegistryRejectsInvalidConditions() {
+  console.log('[Test] testRegistryRejectsInvalidConditions: START');
+  const registry = new FlowRegistry();
+  const base = (edgeCondition, conditions) => ({
+    id: 'bad_flow',
+    name: 'bad flow',
+    version: '1.0.0',
+    dag: {
+      nodes: [{ id: 'n1', tool: 'mem.search', conditions }],
+      edges: [{ from: 'start', to: 'n1', condition: edgeCondition }, { from: 'n1', to: 'end' }]
+    }
+  });
+
+  assert.throws(() => registry.registerFlow(base('${event.x} ===', undefined)), ConditionSyntaxError);
+  assert.throws(() => registry.registerFlow(base(undefined, { min_score: 3 })), ConditionSyntaxError);
+  registry.registerFlow(base('${event.x} == 1', { score_threshold: 0.5, ok: '${event.ok}' }));
+  assert.ok(registry.getFlow('bad_flow'));
+  console.log('[Test] testRegistryRejectsInvalidConditions: PASS ✓');
+}
+
+async function runAll() {
+  await testConditionExpressions();
+  await testReplyFlowGuardGatesSend();
+  await testParallelBranchesAndJoin();
+  await testEdgeConditionSkipsBranch();
+  await testResolveVariableOwnPropertiesOnly();
+  await testRegistryRejectsInvalidConditions();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,184 @@
+/**
+ * Retry policy + dead-letter queue
+ *
+ * Contract:
+ * - retry(id, by, { notBefore }) returns a ticket to pending, but lease() / queue() skip it until not_before
+ * - RetryScheduler: failed tickets are retried with exponential backoff up to RETRY_MAX_ATTEMPTS (per kind),
+ *   then moved to dead_letter; FLOW tickets and reviewer-rejected replies are left alone
+ * - failure_history survives retries and requeues
+ * - /v1/dead-letters lists / inspects dead-lettered tickets; requeue → pending with a fresh budget, discard → discarded
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { RetryPolicy } = require('../../lib/retry_policy/RetryPolicy');
+const { RetryScheduler } = require('../../lib/retry_policy/RetryScheduler');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+async function leaseAndFail(store, id, error) {
+  const { ticket } = await store.leaseById(id, 60, 'w');
+  return store.fail(id, error, 'w', { lease_owner: 'w', lease_token: ticket.metadata.lease_token });
+}
+
+async function testNotBeforeAndPolicy() {
+  console.log('[Test] testNotBeforeAndPolicy: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  await store.create({ id: 't1', flow_id: 'triage_v1', metadata: { kind: 'TRIAGE' } });
+  await leaseAndFail(store, 't1', 'parse_error');
+
+  await store.retry('t1', 'test', { notBefore: Date.now() + 60000 });
+  const t1 = await store.get('t1');
+  assert.strictEqual(t1.status, 'pending');
+  assert.ok(t1.metadata.not_before);
+  assert.deepStrictEqual(await store.lease('TRIAGE', 5, 60, 'w'), [], 'backed-off ticket is not leased');
+  assert.strictEqual((await store.queue('TRIAGE', 10)).total, 0);
+
+  t1.metadata.not_before = new Date(Date.now() - 1000).toISOString();
+  assert.deepStrictEqual((await store.lease('TRIAGE', 5, 60, 'w')).map((t) => t.id), ['t1'], 'leasable after not_before');
+
+  const policy = new RetryPolicy({ maxAttempts: { REPLY: 2 }, backoffBaseMs: 1000, backoffMaxMs: 5000 });
+  assert.strictEqual(policy.maxAttemptsFor('REPLY'), 2);
+  assert.strictEqual(policy.maxAttemptsFor('TRIAGE'), 3, '* default');
+  assert.deepStrictEqual([1, 2, 3, 4].map((n) => policy.backoffMs(n)), [1000, 2000, 4000, 5000]);
+  const failedAt = '2026-01-01T00:00:00.000Z';
+  assert.deepStrictEqual(policy.decide({ metadata: { kind: 'TRIAGE', retry_count: 1, failed_at: failedAt } }),
+    { action: 'retry', attempt: 2, max_attempts: 3, not_before: Date.parse(failedAt) + 2000 });
+  assert.strictEqual(policy.decide({ metadata: { kind: 'REPLY', retry_count: 1 } }).action, 'dead_letter');
+  assert.strictEqual(policy.decide({ metadata: { kind: 'FLOW' } }).action, 'skip');
+  assert.strictEqual(policy.decide({ metadata: { kind: 'REPLY', error: TicketStore.REPLY_REJECTED } }).action, 'skip');
+  assert.deepStrictEqual(new RetryPolicy({ env: { RETRY_MAX_ATTEMPTS: 'REPLY=1,TOOL=4' } }).maxAttempts, { '*': 3, REPLY: 1, TOOL: 4 });
+  console.log('[Test] testNotBeforeAndPolicy: PASS ✓');
+}
+
+async function testSchedulerSweep() {
+  console.log('[Test] testSchedulerSweep: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  const scheduler = new RetryScheduler({
+    ticketStore: store,
+    policy: new RetryPolicy({ maxAttempts: { '*': 2 }, backoffBaseMs: 0 }),
+    logger: silentLogger
+  });
+  const deadLettered = [];
+  store.events.subscribe((e) => e.type === 'dead_lettered' && deadLettered.push(e.ticket_id));
+  await store.create({ id: 'r1', flow_id: 'reply_zh_hant_v1', metadata: { kind: 'REPLY' } });
+  await store.create({ id: 'f1', flow_id: 'some_flow', metadata: { kind: 'FLOW' } });
+  await leaseAndFail(store, 'r1', 'timeout');
+  await leaseAndFail(store, 'f1', 'step_failed');
+
+  assert.deepStrictEqual(await scheduler.runOnce(), { retried: ['r1'], deadLettered: [] });
+  assert.strictEqual((await store.get('r1')).status, 'pending');
+  assert.strictEqual((await store.get('f1')).status, 'failed', 'FLOW tickets are managed by FlowRunner');
+
+  await leaseAndFail(store, 'r1', 'timeout again');
+  assert.deepStrictEqual(await scheduler.runOnce(), { retried: [], deadLettered: ['r1'] });
+  const r1 = await store.get('r1');
+  assert.strictEqual(r1.status, 'dead_letter');
+  assert.strictEqual(r1.metadata.dead_letter.attempts, 2);
+  assert.strictEqual(r1.metadata.dead_letter.last_error, 'timeout again');
+  assert.deepStrictEqual(r1.metadata.failure_history.map((f) => [f.attempt, f.error]), [[1, 'timeout'], [2, 'timeout again']]);
+  assert.deepStrictEqual(deadLettered, ['r1']);
+
+  const metrics = scheduler.getMetrics();
+  assert.strictEqual(metrics.retried_total, 1);
+  assert.strictEqual(metrics.dead_lettered_total, 1);
+  assert.strictEqual(metrics.skipped_total, 2);
+  assert.strictEqual((await store.countByStatus()).dead_letter, 1);
+
+  assert.strictEqual((await store.retry('f1', 'manual')).status, 'pending');
+  const wrongState = await store.requeue('f1', 'ops');
+  assert.deepStrictEqual(wrongState, { ok: false, code: 'not_dead_lettered', details: { current_status: 'pending' } });
+  console.log('[Test] testSchedulerSweep: PASS ✓');
+}
+
+async function waitForStatus(baseUrl, id, status) {
+  let ticket = null;
+  for (let i = 0; i < 60; i++) {
+    ticket = (await httpGetJson(baseUrl, `/v1/tickets/${id}`)).data;
+    if (ticket.status === status) return ticket;
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  return ticket;
+}
+
+async function failOverHttp(baseUrl, id, error) {
+  const lease = await httpPostJson(baseUrl, `/v1/tickets/${id}/lease`, { lease_sec: 30, lease_owner: 'dlq-worker' });
+  assert.strictEqual(lease.status, 200, JSON.stringify(lease.data));
+  const fail = await httpPostJson(baseUrl, `/v1/tickets/${id}/fail`, {
+    error,
+    by: 'dlq-worker',
+    lease_owner: 'dlq-worker',
+    lease_token: lease.data.ticket.metadata.lease_token
+  });
+  assert.strictEqual(fail.status, 200, JSON.stringify(fail.data));
+}
+
+async function testHttpDeadLetters() {
+  console.log('[Test] testHttpDeadLetters: START');
+  const { baseUrl, stop } = await startServerWithEnv({
+    NO_MCP: 'true',
+    NODE_ENV: 'test',
+    FLOWS_WATCH: 'false',
+    RETRY_MAX_ATTEMPTS: '*=1',
+    RETRY_SWEEP_INTERVAL_MS: '50'
+  });
+
+  try {
+    const event = await httpPostJson(baseUrl, '/events', {
+      type: 'thread_post',
+      event_id: `dlq_${Date.now()}`,
+      content: 'Dead letter queue route test content',
+      features: { engagement: { likes: 150, comments: 50 } }
+    });
+    const id = event.data.ticket_id;
+    await failOverHttp(baseUrl, id, 'worker crashed');
+    assert.strictEqual((await waitForStatus(baseUrl, id, 'dead_letter')).status, 'dead_letter');
+
+    const list = (await httpGetJson(baseUrl, '/v1/dead-letters?kind=TRIAGE')).data;
+    assert.strictEqual(list.total, 1);
+    assert.strictEqual(list.tickets[0].ticket_id, id);
+    assert.strictEqual(list.tickets[0].last_error, 'worker crashed');
+
+    const inspect = (await httpGetJson(baseUrl, `/v1/dead-letters/${id}`)).data;
+    assert.strictEqual(inspect.failure_history.length, 1);
+    assert.strictEqual(inspect.dead_letter.reason, 'retries_exhausted');
+
+    const requeue = await httpPostJson(baseUrl, `/v1/dead-letters/${id}/requeue`, {});
+    assert.strictEqual(requeue.status, 200, JSON.stringify(requeue.data));
+    assert.strictEqual(requeue.data.ticket_status, 'pending');
+    assert.strictEqual((await httpPostJson(baseUrl, `/v1/dead-letters/${id}/requeue`, {})).status, 409);
+
+    await failOverHttp(baseUrl, id, 'worker crashed again');
+    await waitForStatus(baseUrl, id, 'dead_letter');
+    const discard = await httpPostJson(baseUrl, `/v1/dead-letters/${id}/discard`, { reason: 'spam' });
+    assert.strictEqual(discard.status, 200, JSON.stringify(discard.data));
+
+    const discarded = (await httpGetJson(baseUrl, `/v1/dead-letters/${id}`)).data;
+    assert.strictEqual(discarded.status, 'discarded');
+    assert.strictEqual(discarded.discarded.reason, 'spam');
+    assert.deepStrictEqual(discarded.failure_history.map((f) => f.error), ['worker crashed', 'worker crashed again']);
+    assert.strictEqual(discarded.ticket.metadata.requeue_count, 1);
+    assert.strictEqual((await httpGetJson(baseUrl, '/v1/dead-letters/nope')).status, 404);
+
+    const metrics = (await httpGetJson(baseUrl, '/metrics')).data;
+    assert.strictEqual(metrics.tickets.discarded, 1);
+    assert.strictEqual(metrics.retry_policy.dead_lettered_total, 2);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpDeadLetters: PASS ✓');
+}
+
+async function runAll() {
+  await testNotBeforeAndPolicy();
+  await testSchedulerSweep();
+  await testHttpDeadLetters();
+}
+
+module.exports = {
+  runAll
+};
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const TicketStore = require('../../../store/TicketStore');
+const { snapshotPathFor } = require('../../../store/drivers/JournalDriver');
 
 /**
  * Create an isolated TicketStore fixture for testing
@@ -18,8 +19,9 @@ function makeTicketStoreFixture() {
   // Cleanup function
   const cleanup = () => {
     try {
-      if (fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
+      store.close();
+      for (const p of [tempPath, snapshotPathFor(tempPath)]) {
+        if (fs.existsSync(p)) fs.unlinkSync(p);
       }
     } catch (err) {
       console.warn(`[Fixture] Failed to cleanup ${tempPath}:`, err.message);
@@ -0,0 +1,281 @@
+/**
+ * Server-side flow execution (FLOW_EXECUTION_MODE=server)
+ *
+ * Contract:
+ * - A FLOW ticket runs its DAG node by node through the injected ToolGateway; each node result lands on metadata.flow_run.nodes
+ * - llm.* nodes become leaseable REPLY sub-tickets; the flow pauses (pending + flow_run.status=waiting) until the sub-ticket settles
+ * - Resuming never re-runs completed nodes; FLOW tickets are never handed out by a kind-less lease
+ * - The finished run is summarized as a RunReportV1 (skipped node = ok + "skipped:<reason>", failures mapped to stable codes)
+ * - A sub-ticket failed outside the HTTP routes (LeaseReaper lease_reclaim_exhausted) or dead-lettered fails the parent flow
+ * - HTTP: routed events become FLOW tickets, sub-ticket fills skip the approval queue and resume the parent
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const TicketStore = require('../../store/TicketStore');
+const FlowRegistry = require('../../flows/FlowRegistry');
+const { FlowRunner, FLOW_RUNNER_OWNER } = require('../../flows/FlowRunner');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function validateRunReport(report) {
+  const ajv = new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+  const schemasDir = path.join(__dirname, '..', '..', 'schemas');
+  for (const file of ['step_report.v1.schema.json', 'run_report.v1.schema.json']) {
+    const schema = JSON.parse(fs.readFileSync(path.join(schemasDir, file), 'utf8'));
+    ajv.addSchema(schema, schema.$id);
+  }
+  const validate = ajv.getSchema('run_report.v1.schema.json');
+  assert.ok(validate(report), JSON.stringify(validate.errors));
+}
+
+function makeGateway(overrides = {}) {
+  const calls = [];
+  const responses = {
+    'threads.fetch_thread': (args) => ({ thread_id: args.thread_id, content: '討論串內容' }),
+    'mem.search': () => ({ memories: [{ content: '記憶', relevance: 0.9 }], total: 1 }),
+    'guard.check_content': () => ({ approved: true, confidence: 0.9, flags: [] }),
+    'reply.send': (args) => ({ status: 'dry_run', dry_run: args.dry_run }),
+    ...overrides
+  };
+  return {
+    calls,
+    executeTool: async (server, tool, args) => {
+      calls.push({ server, tool, args });
+      return responses[tool](args);
+    }
+  };
+}
+
+async function setup(gateway, storeOptions = {}) {
+  const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-exec-'));
+  const store = new TicketStore(null, { type: 'memory', ...storeOptions });
+  const runner = new FlowRunner({
+    ticketStore: store,
+    flowRegistry: new FlowRegistry(),
+    toolGateway: gateway,
+    logger: { info() {}, warn() {}, error() {} },
+    env: { FLOW_EXECUTION_MODE: 'server', LOGS_DIR: logsDir }
+  });
+  const ticket = await store.create({
+    id: 'flow-1',
+    flow_id: 'reply_basic_tw',
+    event: { type: 'thread_reply', thread_id: 'th-1', language: 'zh-tw' },
+    metadata: { kind: 'FLOW', flow_routing: { flow_ref: 'reply_basic_tw@1.0.0', matched: true } }
+  });
+  return { store, runner, ticket, logsDir };
+}
+
+async function fillSubTicket(store, runner, parentId, outputs) {
+  const [sub] = await store.lease('REPLY', 1, 60, 'w1');
+  assert.ok(sub, 'LLM sub-ticket is leaseable as REPLY');
+  assert.strictEqual(sub.metadata.flow_parent.ticket_id, parentId);
+  await store.complete(sub.id, outputs, 'vscode_worker', { lease_owner: 'w1', lease_token: sub.metadata.lease_token });
+  return runner.advance(parentId);
+}
+
+async function testFlowSuspendsOnLlmAndResumes() {
+  console.log('[Test] testFlowSuspendsOnLlmAndResumes: START');
+  const gateway = makeGateway();
+  const { store, runner, ticket, logsDir } = await setup(gateway);
+
+  const first = await runner.advance(ticket.id);
+  assert.strictEqual(first.status, 'waiting');
+  assert.strictEqual(ticket.status, 'pending', 'waiting flow releases its lease');
+  assert.ok(!ticket.metadata.lease_token);
+  assert.deepStrictEqual(gateway.calls.map((c) => c.tool), ['threads.fetch_thread', 'mem.search']);
+  assert.strictEqual(gateway.calls[0].server, null, 'gateway resolves the server from its tool map');
+  const nodes = ticket.metadata.flow_run.nodes;
+  assert.strictEqual(nodes.fetch_thread.status, 'ok');
+  assert.strictEqual(nodes.fetch_thread.result.content, '討論串內容');
+  assert.strictEqual(nodes.llm_generate.status, 'waiting');
+
+  // Worker leases without kind never get the FLOW ticket itself
+  const anyKind = await store.lease(null, 10, 60, 'w0');
+  assert.deepStrictEqual(anyKind.map((t) => t.metadata.kind), ['REPLY']);
+  await store.release(anyKind[0].id, { lease_owner: 'w0', lease_token: anyKind[0].metadata.lease_token });
+
+  const sub = await store.get(nodes.llm_generate.sub_ticket_id);
+  assert.strictEqual(sub.metadata.reply_input.strategy, 'helpful_assistant');
+  assert.ok(sub.metadata.reply_input.context_notes.includes('討論串內容'));
+
+  // Re-advancing while the sub-ticket is still pending keeps waiting without a second sub-ticket
+  assert.strictEqual((await runner.advance(ticket.id)).status, 'waiting');
+  assert.strictEqual((await store.list({ kind: 'REPLY' })).length, 1);
+
+  const done = await fillSubTicket(store, runner, ticket.id, { reply: '草稿回覆', confidence: 0.8 });
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(ticket.status, 'done');
+  assert.strictEqual(ticket.metadata.completed_by, FLOW_RUNNER_OWNER);
+  assert.deepStrictEqual(
+    gateway.calls.map((c) => c.tool),
+    ['threads.fetch_thread', 'mem.search', 'guard.check_content', 'reply.send'],
+    'completed nodes are not re-run on resume'
+  );
+  assert.strictEqual(gateway.calls[2].args.content, '草稿回覆');
+  assert.strictEqual(ticket.metadata.final_outputs.results.llm_generate.draft, '草稿回覆');
+
+  const report = ticket.metadata.flow_run.run_report_v1;
+  validateRunReport(report);
+  assert.strictEqual(report.terminal_status, 'ok');
+  assert.deepStrictEqual(report.step_reports.map((s) => s.tool_name), [
+    'threads.fetch_thread', 'mem.search', 'llm.generate', 'guard.check_content', 'reply.send'
+  ]);
+  const evidenceRunId = ticket.metadata.flow_run.evidence_run_id;
+  assert.ok(evidenceRunId && evidenceRunId.startsWith('fr_flow-1_'));
+  assert.ok(fs.existsSync(path.join(logsDir, evidenceRunId, 'run_report_v1.json')));
+  assert.strictEqual(runner.getMetrics().completed_total, 1);
+  console.log('[Test] testFlowSuspendsOnLlmAndResumes: PASS ✓');
+}
+
+async function testSkippedAndFailedNodesInRunReport() {
+  console.log('[Test] testSkippedAndFailedNodesInRunReport: START');
+  const rejecting = makeGateway({ 'guard.check_content': () => ({ approved: false, confidence: 0.9, flags: ['brand'] }) });
+  const skipCase = await setup(rejecting);
+  await skipCase.runner.advance(skipCase.ticket.id);
+  await fillSubTicket(skipCase.store, skipCase.runner, skipCase.ticket.id, { reply: 'x', confidence: 0.9 });
+  assert.strictEqual(skipCase.ticket.status, 'done');
+  assert.ok(!rejecting.calls.some((c) => c.tool === 'reply.send'), 'guard rejection skips the send node');
+  const skipStep = skipCase.ticket.metadata.flow_run.run_report_v1.step_reports[4];
+  assert.strictEqual(skipStep.status, 'ok');
+  assert.strictEqual(skipStep.result_summary, 'skipped:condition_failed:guard_approved');
+
+  const timingOut = makeGateway({
+    'guard.check_content': () => { throw Object.assign(new Error('guard timed out'), { gateway_code: 'timeout' }); }
+  });
+  const failCase = await setup(timingOut);
+  await failCase.runner.advance(failCase.ticket.id);
+  const failed = await fillSubTicket(failCase.store, failCase.runner, failCase.ticket.id, { reply: 'x', confidence: 0.9 });
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failCase.ticket.status, 'failed');
+  assert.strictEqual(failCase.ticket.metadata.error, 'flow_node_failed:guard_check');
+  assert.strictEqual(failed.nodes.guard_check.code, 'TOOL_TIMEOUT');
+  const report = failed.run_report_v1;
+  validateRunReport(report);
+  assert.strictEqual(report.terminal_status, 'failed');
+  assert.strictEqual(report.primary_failure_code, 'TOOL_TIMEOUT');
+  console.log('[Test] testSkippedAndFailedNodesInRunReport: PASS ✓');
+}
+
+async function waitForStatus(ticket, status) {
+  for (let i = 0; i < 100 && ticket.status !== status; i++) await sleep(10);
+  assert.strictEqual(ticket.status, status);
+}
+
+async function testSubTicketFailedOutsideHttpFailsParent() {
+  console.log('[Test] testSubTicketFailedOutsideHttpFailsParent: START');
+  // LeaseReaper: the worker holding the sub-ticket dies until reclaims are exhausted
+  const reaped = await setup(makeGateway(), { maxLeaseReclaims: 1 });
+  await reaped.runner.advance(reaped.ticket.id);
+  const subId = reaped.ticket.metadata.flow_run.nodes.llm_generate.sub_ticket_id;
+  for (let i = 0; i < 2; i++) {
+    const [sub] = await reaped.store.lease('REPLY', 1, 60, `w${i}`);
+    assert.strictEqual(sub.id, subId);
+    sub.metadata.lease_expires = Date.now() - 1000;
+    await reaped.store.reapExpiredLeases();
+  }
+  assert.strictEqual((await reaped.store.get(subId)).status, 'failed');
+  await waitForStatus(reaped.ticket, 'failed');
+  assert.strictEqual(reaped.ticket.metadata.error, 'flow_node_failed:llm_generate');
+  assert.strictEqual(reaped.ticket.metadata.flow_run.status, 'failed');
+  assert.ok(reaped.ticket.metadata.flow_run.nodes.llm_generate.error.includes('lease_reclaim_exhausted'));
+
+  // Dead-lettered sub-ticket ends the wait as well
+  const dead = await setup(makeGateway());
+  await dead.runner.advance(dead.ticket.id);
+  const deadSub = await dead.store.get(dead.ticket.metadata.flow_run.nodes.llm_generate.sub_ticket_id);
+  deadSub.status = 'dead_letter';
+  deadSub.metadata.error = 'retries_exhausted';
+  dead.runner.onTicketEvent({ type: 'dead_lettered', ticket_id: deadSub.id });
+  await waitForStatus(dead.ticket, 'failed');
+  assert.ok(dead.ticket.metadata.flow_run.nodes.llm_generate.error.includes('dead_letter'));
+  console.log('[Test] testSubTicketFailedOutsideHttpFailsParent: PASS ✓');
+}
+
+async function testHttpServerSideFlow() {
+  console.log('[Test] testHttpServerSideFlow: START');
+  const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-http-'));
+  const { baseUrl, stop } = await startServerWithEnv({
+    NO_MCP: 'true',
+    NODE_ENV: 'test',
+    FLOWS_WATCH: 'false',
+    FLOW_EXECUTION_MODE: 'server',
+    LOGS_DIR: logsDir
+  });
+
+  try {
+    const ev = await httpPostJson(baseUrl, '/events', {
+      type: 'thread_reply',
+      event_id: `flow_http_${Date.now()}`,
+      thread_id: 'thread_flow',
+      language: 'zh-tw',
+      content: '伺服器端 flow 測試內容',
+      features: { engagement: { likes: 150, comments: 50 } }
+    });
+    assert.strictEqual(ev.status, 200, JSON.stringify(ev.data));
+    const flowId = ev.data.ticket_id;
+
+    let sub = null;
+    for (let i = 0; i < 50 && !sub; i++) {
+      const list = await httpGetJson(baseUrl, '/v1/tickets?status=pending&limit=1000');
+      sub = list.data.find((t) => t.metadata?.flow_parent?.ticket_id === flowId) || null;
+      if (!sub) await sleep(50);
+    }
+    assert.ok(sub, 'LLM node should emit a REPLY sub-ticket');
+    const parent = await httpGetJson(baseUrl, `/v1/tickets/${flowId}`);
+    assert.strictEqual(parent.data.metadata.kind, 'FLOW');
+    assert.strictEqual(parent.data.metadata.flow_run.status, 'waiting');
+
+    // Same path as the VS Code worker: bulk lease by kind, echo the server-assigned lease_owner
+    const leased = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'REPLY', limit: 1, lease_sec: 60 });
+    const leasedSub = leased.data.tickets[0];
+    assert.strictEqual(leasedSub.id, sub.id);
+    const fill = await httpPostJson(baseUrl, `/v1/tickets/${sub.id}/fill`, {
+      outputs: { reply: '流程草稿', confidence: 0.85 },
+      by: 'vscode_worker',
+      lease_owner: leasedSub.metadata.lease_owner,
+      lease_token: leasedSub.metadata.lease_token
+    });
+    assert.strictEqual(fill.status, 200, JSON.stringify(fill.data));
+    assert.strictEqual((await httpGetJson(baseUrl, `/v1/tickets/${sub.id}`)).data.status, 'done', 'sub-tickets skip the approval queue');
+
+    let done = null;
+    for (let i = 0; i < 50 && !done; i++) {
+      const t = await httpGetJson(baseUrl, `/v1/tickets/${flowId}`);
+      if (t.data.status === 'done') done = t.data;
+      else await sleep(50);
+    }
+    assert.ok(done, 'flow ticket should finish after the sub-ticket fill');
+    assert.strictEqual(done.metadata.flow_run.nodes.reply_send.status, 'ok');
+    assert.strictEqual(done.metadata.flow_run.nodes.guard_check.result.approved, true);
+
+    const metrics = await httpGetJson(baseUrl, '/metrics');
+    assert.strictEqual(metrics.data.flow_runner.enabled, true);
+    assert.strictEqual(metrics.data.flow_runner.completed_total, 1);
+    assert.strictEqual(metrics.data.flow_runner.sub_tickets_total, 1);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpServerSideFlow: PASS ✓');
+}
+
+async function runAll() {
+  await testFlowSuspendsOnLlmAndResumes();
+  await testSkippedAndFailedNodesInRunReport();
+  await testSubTicketFailedOutsideHttpFailsParent();
+  await testHttpServerSideFlow();
+}
+
+module.exports = {
+  runAll
+};
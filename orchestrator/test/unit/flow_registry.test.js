@@ -0,0 +1,168 @@
+/**
+ * FlowRegistry: declarative flows from disk
+ *
+ * Contract:
+ * - flows/*.yaml|yml|json are loaded and validated against schemas/flowspec.json
+ * - Cycles, unreachable nodes, duplicate/reserved node ids are rejected (FlowValidationError)
+ * - Flows are keyed by id@version; getFlow(id) returns the highest version
+ * - reload() keeps the last good version of a file that fails validation and reports the error
+ * - watch() picks up new files without a restart
+ * - GET /v1/flows lists registered flows
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlowRegistry = require('../../flows/FlowRegistry');
+const { FlowValidationError } = require('../../flows/FlowRegistry');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpGetJson } = require('./helpers/http');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function flowSpec(overrides = {}) {
+  return {
+    id: 'test_flow',
+    name: 'Test flow',
+    version: '1.0.0',
+    dag: {
+      nodes: [{ id: 'a', tool: 'mem.search' }, { id: 'b', tool: 'llm.generate' }],
+      edges: [{ from: 'start', to: 'a' }, { from: 'a', to: 'b' }, { from: 'b', to: 'end' }]
+    },
+    ...overrides
+  };
+}
+
+function withFlowsDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-'));
+  return Promise.resolve()
+    .then(() => fn(dir))
+    .finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+function writeJson(dir, file, spec) {
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(spec, null, 2));
+}
+
+async function testBuiltinFlowsLoadFromYaml() {
+  console.log('[Test] testBuiltinFlowsLoadFromYaml: START');
+  const registry = new FlowRegistry({ logger: quietLogger });
+  assert.deepStrictEqual(registry.getLoadErrors(), []);
+  assert.deepStrictEqual(registry.listFlows().map((f) => f.id).sort(), ['diagnostic_qa_tw', 'reply_basic_tw']);
+
+  const reply = registry.getFlow('reply_basic_tw');
+  assert.strictEqual(reply, registry.getFlow('reply_basic_tw@1.0.0'));
+  assert.deepStrictEqual(reply.trigger_conditions.event_types, ['thread_reply', 'mention']);
+  assert.strictEqual(reply.dag.nodes.find((n) => n.id === 'reply_send').conditions.confidence_threshold, 0.7);
+  console.log('[Test] testBuiltinFlowsLoadFromYaml: PASS ✓');
+}
+
+async function testValidationRejectsBadDags() {
+  console.log('[Test] testValidationRejectsBadDags: START');
+  const registry = new FlowRegistry({ logger: quietLogger });
+  const base = flowSpec();
+
+  const cases = [
+    [{ ...base, name: undefined }, /must have required property 'name'/],
+    [{ ...base, dag: { nodes: [{ id: 'a' }], edges: [] } }, /must have required property 'tool'/],
+    [flowSpec({ dag: { ...base.dag, edges: [...base.dag.edges, { from: 'b', to: 'a' }] } }), /cycle a → b → a/],
+    [flowSpec({ dag: { ...base.dag, nodes: [...base.dag.nodes, { id: 'orphan', tool: 'x' }] } }), /unreachable from start: orphan/],
+    [flowSpec({ dag: { ...base.dag, nodes: [...base.dag.nodes, { id: 'a', tool: 'x' }] } }), /duplicate a/],
+    [flowSpec({ dag: { nodes: [{ id: 'end', tool: 'x' }], edges: [] } }), /reserved/],
+    [flowSpec({ dag: { ...base.dag, edges: [{ from: 'start', to: 'nope' }] } }), /unknown target node nope/]
+  ];
+  for (const [spec, message] of cases) {
+    assert.throws(() => registry.registerFlow(spec), (err) => err instanceof FlowValidationError && message.test(err.message));
+  }
+  console.log('[Test] testValidationRejectsBadDags: PASS ✓');
+}
+
+async function testVersionsAndReload() {
+  console.log('[Test] testVersionsAndReload: START');
+  await withFlowsDir(async (dir) => {
+    writeJson(dir, 'test_flow_v1.json', flowSpec());
+    fs.writeFileSync(path.join(dir, 'test_flow_v2.yaml'), [
+      'id: test_flow',
+      'name: Test flow',
+      'version: 1.10.0',
+      'dag:',
+      '  nodes: [{ id: a, tool: mem.search }]',
+      '  edges: [{ from: start, to: a }, { from: a, to: end }]'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'README.md'), 'ignored');
+
+    const registry = new FlowRegistry({ flowsDir: dir, logger: quietLogger });
+    assert.strictEqual(registry.getFlow('test_flow').version, '1.10.0', '1.10.0 sorts above 1.0.0');
+    assert.strictEqual(registry.getFlow('test_flow@1.0.0').dag.nodes.length, 2);
+    assert.strictEqual(registry.listFlows().length, 1);
+    assert.strictEqual(registry.listFlows({ allVersions: true }).length, 2);
+
+    // Broken edit: previous version stays live, error is reported
+    fs.writeFileSync(path.join(dir, 'test_flow_v1.json'), JSON.stringify(flowSpec({ dag: { nodes: [], edges: [{ from: 'x', to: 'end' }] } })));
+    const result = registry.reload();
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].file, 'test_flow_v1.json');
+    assert.ok(registry.getFlow('test_flow@1.0.0'), 'last good version kept');
+
+    // Same id@version in two files → second file rejected
+    writeJson(dir, 'test_flow_copy.json', flowSpec({ version: '1.10.0' }));
+    const dup = registry.reload();
+    assert.ok(dup.errors.some((e) => e.file === 'test_flow_v2.yaml' && /Duplicate flow test_flow@1.10.0/.test(e.error)));
+
+    // Removed file → its flow disappears
+    fs.unlinkSync(path.join(dir, 'test_flow_v1.json'));
+    registry.reload();
+    assert.strictEqual(registry.getFlow('test_flow@1.0.0'), undefined);
+  });
+  console.log('[Test] testVersionsAndReload: PASS ✓');
+}
+
+async function testWatchPicksUpNewFlow() {
+  console.log('[Test] testWatchPicksUpNewFlow: START');
+  await withFlowsDir(async (dir) => {
+    const registry = new FlowRegistry({ flowsDir: dir, logger: quietLogger });
+    assert.ok(registry.watch());
+    try {
+      writeJson(dir, 'hot.json', flowSpec({ id: 'hot_flow' }));
+      const deadline = Date.now() + 3000;
+      while (!registry.getFlow('hot_flow') && Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, 50));
+      }
+      assert.ok(registry.getFlow('hot_flow'), 'new flow file should be hot-loaded');
+    } finally {
+      registry.stopWatching();
+    }
+  });
+  console.log('[Test] testWatchPicksUpNewFlow: PASS ✓');
+}
+
+async function testFlowsEndpoint() {
+  console.log('[Test] testFlowsEndpoint: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+  try {
+    const resp = await httpGetJson(baseUrl, '/v1/flows');
+    assert.strictEqual(resp.status, 200);
+    const reply = resp.data.flows.find((f) => f.id === 'reply_basic_tw');
+    assert.ok(reply, 'reply_basic_tw should be listed');
+    assert.strictEqual(reply.ref, 'reply_basic_tw@1.0.0');
+    assert.deepStrictEqual(resp.data.errors, []);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testFlowsEndpoint: PASS ✓');
+}
+
+async function runAll() {
+  await testBuiltinFlowsLoadFromYaml();
+  await testValidationRejectsBadDags();
+  await testVersionsAndReload();
+  await testWatchPicksUpNewFlow();
+  await testFlowsEndpoint();
+}
+
+module.exports = {
+  runAll
+};
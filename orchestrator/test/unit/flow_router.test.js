@@ -0,0 +1,143 @@
+/**
+ * FlowRouter: flow selection from trigger_conditions at ingest
+ *
+ * Contract:
+ * - event type, language (zh-Hant ≡ zh-tw), platform and engagement filters must all match
+ * - Highest trigger_conditions.priority wins, then the more specific match
+ * - No match → triage fallback (triage_zh_hant_v1)
+ * - POST /events and /v1/triage/batch record the routing decision in ticket metadata.flow_routing
+ */
+
+'use strict';
+
+const assert = require('assert');
+const FlowRegistry = require('../../flows/FlowRegistry');
+const { FlowRouter, DEFAULT_FALLBACK_FLOW_ID } = require('../../flows/FlowRouter');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+function flow(id, triggerConditions) {
+  return {
+    id,
+    name: id,
+    version: '1.0.0',
+    trigger_conditions: triggerConditions,
+    dag: { nodes: [{ id: 'n', tool: 'mem.search' }], edges: [{ from: 'start', to: 'n' }, { from: 'n', to: 'end' }] }
+  };
+}
+
+function makeRouter() {
+  const registry = new FlowRegistry({ logger: quietLogger });
+  registry.registerFlow(flow('reply_threads_hot', {
+    event_types: ['thread_reply'],
+    priority: 10,
+    filters: { language: 'zh-tw', platform: ['threads'], min_likes: 100, min_comments: 20 }
+  }));
+  registry.registerFlow(flow('catch_mentions', { event_types: ['mention'], filters: { platform: 'x' } }));
+  registry.registerFlow(flow('no_trigger'));
+  return new FlowRouter({ flowRegistry: registry });
+}
+
+async function testRouteMatching() {
+  console.log('[Test] testRouteMatching: START');
+  const router = makeRouter();
+
+  // Built-in reply_basic_tw matches type + language (zh-Hant normalised)
+  const basic = router.route({ type: 'thread_reply', features: { lang: 'zh-Hant' } });
+  assert.strictEqual(basic.flow_id, 'reply_basic_tw');
+  assert.strictEqual(basic.flow_ref, 'reply_basic_tw@1.0.0');
+  assert.deepStrictEqual(basic.reasons, ['event_type=thread_reply', 'language=zh-tw']);
+
+  // Higher priority wins when both match
+  const hot = router.route({
+    type: 'thread_reply',
+    platform: 'Threads',
+    lang: 'zh-TW',
+    features: { engagement: { likes: 500, comments: 40 } }
+  });
+  assert.strictEqual(hot.flow_id, 'reply_threads_hot');
+  assert.strictEqual(hot.priority, 10);
+  assert.deepStrictEqual(hot.candidates, ['reply_threads_hot@1.0.0', 'reply_basic_tw@1.0.0']);
+  assert.ok(hot.reasons.includes('likes=500>=100'));
+
+  // Engagement below threshold → falls back to the less specific flow
+  const cold = router.route({ type: 'thread_reply', platform: 'threads', lang: 'zh-tw', features: { engagement: { likes: 5 } } });
+  assert.strictEqual(cold.flow_id, 'reply_basic_tw');
+
+  // Wrong platform / language / unknown type → triage fallback
+  for (const event of [
+    { type: 'mention', platform: 'threads', lang: 'en' },
+    { type: 'thread_reply', lang: 'en' },
+    { type: 'triage_candidate' },
+    {}
+  ]) {
+    const r = router.route(event);
+    assert.strictEqual(r.flow_id, DEFAULT_FALLBACK_FLOW_ID, JSON.stringify(event));
+    assert.strictEqual(r.matched, false);
+    assert.deepStrictEqual(r.reasons, ['no_matching_flow']);
+  }
+  console.log('[Test] testRouteMatching: PASS ✓');
+}
+
+async function testSchemaRejectsUnknownFilter() {
+  console.log('[Test] testSchemaRejectsUnknownFilter: START');
+  const registry = new FlowRegistry({ logger: quietLogger });
+  assert.throws(
+    () => registry.registerFlow(flow('typo', { event_types: ['mention'], filters: { langauge: 'zh-tw' } })),
+    /must NOT have additional properties/
+  );
+  console.log('[Test] testSchemaRejectsUnknownFilter: PASS ✓');
+}
+
+async function testIngestRecordsRouting() {
+  console.log('[Test] testIngestRecordsRouting: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+
+  try {
+    const routed = await httpPostJson(baseUrl, '/events', {
+      type: 'thread_reply',
+      event_id: `route_${Date.now()}`,
+      thread_id: 'th-route',
+      content: '這是一則需要回覆的留言內容，長度足夠通過過濾器',
+      features: { lang: 'zh-Hant', engagement: { likes: 150, comments: 50 } }
+    });
+    assert.strictEqual(routed.status, 200, JSON.stringify(routed.data));
+    assert.strictEqual(routed.data.flow_id, 'reply_basic_tw');
+
+    const ticket = (await httpGetJson(baseUrl, `/v1/tickets/${routed.data.ticket_id}`)).data;
+    assert.strictEqual(ticket.flow_id, 'reply_basic_tw');
+    assert.strictEqual(ticket.metadata.kind, 'TRIAGE');
+    assert.strictEqual(ticket.metadata.flow_routing.flow_ref, 'reply_basic_tw@1.0.0');
+    assert.strictEqual(ticket.metadata.flow_routing.matched, true);
+    assert.deepStrictEqual(ticket.metadata.flow_routing.reasons, ['event_type=thread_reply', 'language=zh-tw']);
+
+    const batch = await httpPostJson(baseUrl, '/v1/triage/batch', {
+      candidates: [{
+        candidate_id: `route_batch_${Date.now()}`,
+        snippet: 'Batch candidate content long enough for gate0',
+        features: { engagement: { likes: 150, comments: 50 } }
+      }]
+    });
+    assert.strictEqual(batch.status, 200);
+    const [result] = batch.data.results;
+    assert.strictEqual(result.flow_id, DEFAULT_FALLBACK_FLOW_ID);
+    const fallback = (await httpGetJson(baseUrl, `/v1/tickets/${result.ticket_id}`)).data;
+    assert.strictEqual(fallback.metadata.flow_routing.matched, false);
+    assert.strictEqual(fallback.metadata.flow_routing.flow_ref, null);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testIngestRecordsRouting: PASS ✓');
+}
+
+async function runAll() {
+  await testRouteMatching();
+  await testSchemaRejectsUnknownFilter();
+  await testIngestRecordsRouting();
+}
+
+module.exports = {
+  runAll
+};
@@ -7,8 +7,9 @@ const http = require('http');
 
 /**
  * Generic HTTP request helper
+ * @param {Object} [headers] - Extra request headers (e.g. Idempotency-Key)
  */
-function httpRequest(baseUrl, path, method, data = null) {
+function httpRequest(baseUrl, path, method, data = null, headers = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, baseUrl);
     const postData = data ? JSON.stringify(data) : null;
@@ -20,7 +21,8 @@ function httpRequest(baseUrl, path, method, data = null) {
       method: method,
       headers: {
         'Content-Type': 'application/json',
-        ...(postData && { 'Content-Length': Buffer.byteLength(postData) })
+        ...(postData && { 'Content-Length': Buffer.byteLength(postData) }),
+        ...headers
       }
     };
 
@@ -30,9 +32,9 @@ function httpRequest(baseUrl, path, method, data = null) {
       res.on('end', () => {
         try {
           const json = JSON.parse(body);
-          resolve({ status: res.statusCode, data: json });
+          resolve({ status: res.statusCode, data: json, headers: res.headers });
         } catch (err) {
-          resolve({ status: res.statusCode, data: body });
+          resolve({ status: res.statusCode, data: body, headers: res.headers });
         }
       });
     });
@@ -96,10 +98,11 @@ async function httpListTickets(baseUrl, params = {}) {
  * @param {string} baseUrl - Server base URL
  * @param {string} path - Request path
  * @param {Object} data - JSON payload
+ * @param {Object} [headers] - Extra request headers
  * @returns {Promise<Object>} Response {status, data}
  */
-async function httpPostJson(baseUrl, path, data) {
-  return httpRequest(baseUrl, path, 'POST', data);
+async function httpPostJson(baseUrl, path, data, headers = {}) {
+  return httpRequest(baseUrl, path, 'POST', data, headers);
 }
 
 /**
@@ -0,0 +1,314 @@
+/**
+ * HTTP API authentication (bearer / HMAC) + scopes + lease_owner binding
+ *
+ * Contract:
+ * - No identities configured → API stays open (existing behaviour)
+ * - With identities: missing/invalid credentials → 401 auth_unauthenticated; missing scope → 403 auth_forbidden
+ * - /health and /metrics stay public; GET /v1/dead-letters needs admin
+ * - lease_owner is bound to the authenticated identity; a different lease_owner in the body → 403
+ * - HMAC signatures cover timestamp + nonce + method + url + body hash; a nonce is accepted once per identity (replay → 401)
+ * - Rejections write auth_debug_v1 evidence via emitGuardRejectionEvidenceV1 (ENABLE_GUARD_REJECTION_EVIDENCE=1)
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ApiAuth, hmacSignature } = require('../../lib/auth/ApiAuth');
+const { loadIdentities, sha256Hex } = require('../../lib/auth/loadIdentities');
+const { startServerWithEnv } = require('./helpers/server');
+
+const TOKENS = {
+  ingester: 'tok-ingester-1234',
+  worker: 'tok-worker-5678',
+  admin: 'tok-admin-9999'
+};
+const HMAC_SECRET = 'hmac-secret-for-signer';
+
+function writeAuthConfig(dir) {
+  const file = path.join(dir, 'auth.yaml');
+  fs.writeFileSync(file, [
+    'identities:',
+    '  ingester:',
+    `    token: ${TOKENS.ingester}`,
+    '    scopes: [ingest]',
+    '  worker:',
+    `    token_sha256: ${sha256Hex(TOKENS.worker)}`,
+    '    scopes: [lease:TRIAGE]',
+    '  ops:',
+    `    token: ${TOKENS.admin}`,
+    '    scopes: [admin]',
+    '  signer:',
+    '    hmac_secret_env: TEST_SIGNER_SECRET',
+    '    scopes: [ingest]'
+  ].join('\n'));
+  return file;
+}
+
+function request(baseUrl, method, urlPath, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlPath, baseUrl);
+    const payload = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (c) => { data += c; });
+      res.on('end', () => {
+        let parsed = data;
+        try { parsed = JSON.parse(data); } catch (e) { /* keep text */ }
+        resolve({ status: res.statusCode, data: parsed });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+const bearer = (name) => ({ Authorization: `Bearer ${TOKENS[name]}` });
+
+const newNonce = () => crypto.randomBytes(16).toString('hex');
+
+function signedHeaders(method, urlPath, bodyText, { secret = HMAC_SECRET, timestamp = Math.floor(Date.now() / 1000), nonce = newNonce() } = {}) {
+  return {
+    'X-Orch-Identity': 'signer',
+    'X-Orch-Timestamp': String(timestamp),
+    'X-Orch-Nonce': nonce,
+    'X-Orch-Signature': hmacSignature(secret, { timestamp, nonce, method, url: urlPath, rawBody: Buffer.from(bodyText) })
+  };
+}
+
+function event(tag) {
+  return {
+    type: 'thread_post',
+    event_id: `auth_${tag}_${Date.now()}`,
+    content: `Auth test event content (${tag})`,
+    features: { engagement: { likes: 150, comments: 50 } }
+  };
+}
+
+async function testLoadIdentitiesAndAuthenticate() {
+  console.log('[Test] testLoadIdentitiesAndAuthenticate: START');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-unit-'));
+  try {
+    const env = { ORCH_AUTH_CONFIG: writeAuthConfig(dir), TEST_SIGNER_SECRET: HMAC_SECRET, ORCH_AUTH_TOKEN: 'quick', ORCH_AUTH_IDENTITY: 'local' };
+    const identities = loadIdentities(env);
+    assert.deepStrictEqual(identities.map((i) => i.name), ['ingester', 'worker', 'ops', 'signer', 'local']);
+    assert.deepStrictEqual(identities.find((i) => i.name === 'local').scopes, ['admin']);
+
+    assert.throws(() => loadIdentities({ ...env, TEST_SIGNER_SECRET: '' }), /TEST_SIGNER_SECRET is not set/);
+    fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ identities: { x: { token: 't', scopes: ['lease:triage'] } } }));
+    assert.throws(() => loadIdentities({ ORCH_AUTH_CONFIG: path.join(dir, 'bad.json') }), /unknown scope/);
+
+    const now = 1700000000000;
+    const auth = new ApiAuth({ identities, env: {}, now: () => now });
+    assert.strictEqual(auth.enabled, true);
+    assert.strictEqual(new ApiAuth({ identities, env: { ORCH_AUTH_MODE: 'off' } }).enabled, false);
+    assert.strictEqual(new ApiAuth({ identities: [], env: {} }).enabled, false);
+
+    assert.strictEqual(auth.authenticate({ headers: { authorization: `Bearer ${TOKENS.worker}` } }).identity.name, 'worker');
+    assert.strictEqual(auth.authenticate({ headers: { authorization: 'Bearer nope' } }).reason, 'invalid_token');
+    assert.strictEqual(auth.authenticate({ headers: {} }).reason, 'missing_credentials');
+
+    const body = Buffer.from('{"a":1}');
+    const ts = now / 1000;
+    const signed = (overrides, nonce = newNonce()) => ({
+      method: 'POST',
+      originalUrl: '/events',
+      rawBody: body,
+      headers: {
+        'x-orch-identity': 'signer',
+        'x-orch-timestamp': String(ts),
+        'x-orch-nonce': nonce,
+        'x-orch-signature': hmacSignature(HMAC_SECRET, { timestamp: ts, nonce, method: 'POST', url: '/events', rawBody: body })
+      },
+      ...overrides
+    });
+    assert.strictEqual(auth.authenticate(signed()).identity.name, 'signer');
+    assert.strictEqual(auth.authenticate(signed({ rawBody: Buffer.from('{"a":2}') })).reason, 'invalid_signature');
+
+    // Replay: the same signed request is accepted once; the nonce is part of the signature
+    const replayed = signed({}, 'nonce-replay-0001');
+    assert.strictEqual(auth.authenticate(replayed).ok, true);
+    assert.strictEqual(auth.authenticate(replayed).reason, 'replayed_nonce');
+    const swapped = signed();
+    swapped.headers = { ...swapped.headers, 'x-orch-nonce': newNonce() };
+    assert.strictEqual(auth.authenticate(swapped).reason, 'invalid_signature', 'changing the nonce breaks the signature');
+    const noNonce = signed();
+    delete noNonce.headers['x-orch-nonce'];
+    assert.strictEqual(auth.authenticate(noNonce).reason, 'invalid_nonce');
+    assert.strictEqual(auth.authenticate(signed({}, 'short')).reason, 'invalid_nonce');
+    // A rejected (unsigned) attempt does not burn the nonce
+    const forged = signed({}, 'nonce-forged-0001');
+    forged.headers = { ...forged.headers, 'x-orch-signature': '0'.repeat(64) };
+    assert.strictEqual(auth.authenticate(forged).reason, 'invalid_signature');
+    assert.strictEqual(auth.authenticate(signed({}, 'nonce-forged-0001')).ok, true);
+
+    assert.strictEqual(auth.authenticate(signed({ originalUrl: '/v1/triage/batch' })).reason, 'invalid_signature');
+    const stale = signed();
+    stale.headers = { ...stale.headers, 'x-orch-timestamp': String(ts - 301) };
+    assert.strictEqual(auth.authenticate(stale).reason, 'stale_timestamp');
+    const unknown = signed();
+    unknown.headers = { ...unknown.headers, 'x-orch-identity': 'worker' };
+    assert.strictEqual(auth.authenticate(unknown).reason, 'unknown_identity');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('[Test] testLoadIdentitiesAndAuthenticate: PASS ✓');
+}
+
+async function testHttpAuthEnforced() {
+  console.log('[Test] testHttpAuthEnforced: START');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-http-'));
+  const logsDir = path.join(dir, 'logs');
+  fs.mkdirSync(logsDir);
+  const { baseUrl, stop } = await startServerWithEnv({
+    NO_MCP: 'true',
+    NODE_ENV: 'test',
+    FLOWS_WATCH: 'false',
+    ORCH_AUTH_CONFIG: writeAuthConfig(dir),
+    TEST_SIGNER_SECRET: HMAC_SECRET,
+    ENABLE_GUARD_REJECTION_EVIDENCE: '1',
+    LOGS_DIR: logsDir
+  });
+
+  try {
+    // Monitoring stays public
+    assert.strictEqual((await request(baseUrl, 'GET', '/health')).status, 200);
+
+    // No credentials → 401 + auth_debug_v1 evidence
+    const anon = await request(baseUrl, 'POST', '/events', { body: event('anon') });
+    assert.strictEqual(anon.status, 401);
+    assert.strictEqual(anon.data.error_code, 'auth_unauthenticated');
+    assert.strictEqual(anon.data.reason, 'missing_credentials');
+    assert.ok(anon.data.evidence_run_id, 'evidence_run_id expected');
+    const authDebug = JSON.parse(fs.readFileSync(path.join(logsDir, anon.data.evidence_run_id, 'auth_debug_v1.json'), 'utf8'));
+    assert.strictEqual(authDebug.reason, 'missing_credentials');
+    const manifest = JSON.parse(fs.readFileSync(path.join(logsDir, anon.data.evidence_run_id, 'evidence_manifest_v1.json'), 'utf8'));
+    assert.ok(manifest.checks.some((c) => c.reason_codes.includes('auth_unauthenticated')));
+
+    assert.strictEqual((await request(baseUrl, 'GET', '/v1/tickets')).status, 401, 'GET needs an identity');
+
+    // Dead letters carry raw post content and error details: reading them needs admin, like requeue / discard
+    for (const route of ['/v1/dead-letters', '/v1/dead-letters/some-id']) {
+      const denied = await request(baseUrl, 'GET', route, { headers: bearer('worker') });
+      assert.strictEqual(denied.status, 403, route);
+      assert.strictEqual(denied.data.required_scope, 'admin');
+    }
+    assert.strictEqual((await request(baseUrl, 'GET', '/v1/dead-letters', { headers: bearer('admin') })).status, 200);
+    assert.strictEqual((await request(baseUrl, 'GET', '/v1/tickets', { headers: bearer('worker') })).status, 200, 'other GETs still need any identity');
+
+    // Wrong scope → 403 (evidence names the identity, never the token)
+    const wrongScope = await request(baseUrl, 'POST', '/events', { body: event('worker'), headers: bearer('worker') });
+    assert.strictEqual(wrongScope.status, 403);
+    assert.strictEqual(wrongScope.data.error_code, 'auth_forbidden');
+    assert.strictEqual(wrongScope.data.required_scope, 'ingest');
+    const forbiddenDebug = fs.readFileSync(path.join(logsDir, wrongScope.data.evidence_run_id, 'auth_debug_v1.json'), 'utf8');
+    assert.ok(forbiddenDebug.includes('"identity": "worker"'));
+    assert.ok(!forbiddenDebug.includes(TOKENS.worker), 'raw token must not be persisted');
+
+    const ingested = await request(baseUrl, 'POST', '/events', { body: event('ok'), headers: bearer('ingester') });
+    assert.strictEqual(ingested.status, 200, JSON.stringify(ingested.data));
+    const ticketId = ingested.data.ticket_id;
+
+    // HMAC-signed ingest; tampered body is rejected
+    const bodyText = JSON.stringify(event('signed'));
+    const headers = signedHeaders('POST', '/events', bodyText);
+    const signed = await request(baseUrl, 'POST', '/events', { body: bodyText, headers });
+    assert.strictEqual(signed.status, 200, JSON.stringify(signed.data));
+    // 401 evidence 限流 1/s；等过窗口，确保 replay 的 evidence 不被前面的 401 吃掉
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    const replay = await request(baseUrl, 'POST', '/events', { body: bodyText, headers });
+    assert.strictEqual(replay.status, 401, 'a captured signed request cannot be replayed');
+    assert.strictEqual(replay.data.reason, 'replayed_nonce');
+    assert.ok(replay.data.evidence_run_id, 'replayed nonce must still produce evidence');
+    const replayDebug = JSON.parse(fs.readFileSync(path.join(logsDir, replay.data.evidence_run_id, 'auth_debug_v1.json'), 'utf8'));
+    assert.strictEqual(replayDebug.reason, 'replayed_nonce');
+    const tampered = await request(baseUrl, 'POST', '/events', {
+      body: bodyText.replace('signed', 'evil'),
+      headers: signedHeaders('POST', '/events', bodyText)
+    });
+    assert.strictEqual(tampered.status, 401);
+    assert.strictEqual(tampered.data.reason, 'invalid_signature');
+
+    // Lease scopes + lease_owner binding
+    assert.strictEqual((await request(baseUrl, 'POST', '/v1/tickets/lease', { body: { kind: 'REPLY' }, headers: bearer('worker') })).status, 403);
+    assert.strictEqual((await request(baseUrl, 'POST', '/v1/tickets/lease', { body: {}, headers: bearer('worker') })).data.required_scope, 'admin');
+
+    const leased = await request(baseUrl, 'POST', `/v1/tickets/${ticketId}/lease`, { body: { lease_sec: 60 }, headers: bearer('worker') });
+    assert.strictEqual(leased.status, 200, JSON.stringify(leased.data));
+    assert.strictEqual(leased.data.ticket.metadata.lease_owner, 'worker', 'lease_owner bound to identity');
+    const leaseToken = leased.data.ticket.metadata.lease_token;
+
+    const spoofed = await request(baseUrl, 'POST', `/v1/tickets/${ticketId}/heartbeat`, {
+      body: { lease_owner: 'someone-else', lease_token: leaseToken },
+      headers: bearer('worker')
+    });
+    assert.strictEqual(spoofed.status, 403);
+    assert.strictEqual(spoofed.data.reason, 'lease_owner_not_identity');
+
+    const otherIdentity = await request(baseUrl, 'POST', `/v1/tickets/${ticketId}/heartbeat`, {
+      body: { lease_token: leaseToken },
+      headers: bearer('ingester')
+    });
+    assert.strictEqual(otherIdentity.status, 403);
+    assert.strictEqual(otherIdentity.data.required_scope, 'lease:TRIAGE');
+
+    const heartbeat = await request(baseUrl, 'POST', `/v1/tickets/${ticketId}/heartbeat`, {
+      body: { lease_token: leaseToken },
+      headers: bearer('worker')
+    });
+    assert.strictEqual(heartbeat.status, 200, JSON.stringify(heartbeat.data));
+
+    // Admin-held lease: worker identity cannot act on it even with the token
+    const nack = await request(baseUrl, 'POST', `/v1/tickets/${ticketId}/nack`, { body: { lease_token: leaseToken }, headers: bearer('worker') });
+    assert.strictEqual(nack.status, 200);
+    const adminLease = await request(baseUrl, 'POST', '/v1/tickets/lease', { body: { kind: 'TRIAGE', limit: 10 }, headers: bearer('admin') });
+    const adminTicket = adminLease.data.tickets.find((t) => t.id === ticketId);
+    assert.strictEqual(adminTicket.metadata.lease_owner, 'ops');
+    const stolen = await request(baseUrl, 'POST', `/v1/tickets/${ticketId}/heartbeat`, {
+      body: { lease_token: adminTicket.metadata.lease_token },
+      headers: bearer('worker')
+    });
+    assert.strictEqual(stolen.status, 409);
+    assert.strictEqual(stolen.data.error_code, 'lease_owner_mismatch');
+
+    // tools:execute scope
+    const tools = await request(baseUrl, 'POST', '/v1/tools/execute', { body: { tool: 'memory.search' }, headers: bearer('worker') });
+    assert.strictEqual(tools.status, 403);
+    assert.strictEqual(tools.data.required_scope, 'tools:execute');
+
+    const metrics = await request(baseUrl, 'GET', '/metrics');
+    assert.strictEqual(metrics.status, 200);
+    assert.strictEqual(metrics.data.auth.enabled, true);
+    assert.strictEqual(metrics.data.auth.identities, 4);
+    assert.ok(metrics.data.auth.rejected_total.auth_forbidden >= 5);
+    assert.strictEqual(metrics.data.auth.authenticated_total.hmac, 1);
+  } finally {
+    await stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('[Test] testHttpAuthEnforced: PASS ✓');
+}
+
+async function runAll() {
+  await testLoadIdentitiesAndAuthenticate();
+  await testHttpAuthEnforced();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,222 @@
+/**
+ * Lease maintenance routes (heartbeat / nack / fail)
+ *
+ * Contract:
+ * - POST /v1/tickets/:id/heartbeat extends lease_expires with valid lease proof
+ * - POST /tickets/:id/nack (+ /v1) releases running → pending
+ * - POST /tickets/:id/fail (+ /v1) moves running → failed
+ * - Wrong proof → 409 lease_owner_mismatch; not running → 409 lease_conflict; unknown id → 404
+ * - Every route that sets a lease (lease / lease-by-id / heartbeat) caps lease_sec at LEASE_MAX_SEC
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+async function createAndLeaseTriage(baseUrl, tag) {
+  const eventResp = await httpPostJson(baseUrl, '/events', {
+    type: 'thread_post',
+    event_id: `lease_maint_${tag}_${Date.now()}`,
+    content: `Lease maintenance route test content (${tag})`,
+    features: { engagement: { likes: 150, comments: 50 } }
+  });
+  assert.strictEqual(eventResp.status, 200, `POST /events failed: ${JSON.stringify(eventResp.data)}`);
+  const ticketId = eventResp.data.ticket_id;
+  assert.ok(ticketId, 'missing ticket_id');
+
+  const leaseResp = await httpPostJson(baseUrl, `/v1/tickets/${ticketId}/lease`, {
+    lease_sec: 30,
+    lease_owner: `worker-${tag}`
+  });
+  assert.strictEqual(leaseResp.status, 200, `lease failed: ${JSON.stringify(leaseResp.data)}`);
+  return leaseResp.data.ticket;
+}
+
+async function testHeartbeatExtendsLease() {
+  console.log('[Test] testHeartbeatExtendsLease: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test' });
+
+  try {
+    const ticket = await createAndLeaseTriage(baseUrl, 'hb');
+    const before = ticket.metadata.lease_expires;
+
+    const ok = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/heartbeat`, {
+      lease_owner: ticket.metadata.lease_owner,
+      lease_token: ticket.metadata.lease_token,
+      lease_sec: 600
+    });
+    assert.strictEqual(ok.status, 200, JSON.stringify(ok.data));
+    assert.strictEqual(ok.data.status, 'ok');
+    assert.ok(ok.data.lease_expires > before, 'lease_expires should move forward');
+
+    assert.strictEqual(ok.data.lease_sec, 600);
+
+    const after = await httpGetJson(baseUrl, `/v1/tickets/${ticket.id}`);
+    assert.strictEqual(after.data.metadata.heartbeat_count, 1);
+
+    // lease_sec is clamped to LEASE_MAX_SEC (default 3600); non-finite / non-positive values are rejected
+    const huge = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/heartbeat`, {
+      lease_owner: ticket.metadata.lease_owner,
+      lease_token: ticket.metadata.lease_token,
+      lease_sec: 1e9
+    });
+    assert.strictEqual(huge.status, 200, JSON.stringify(huge.data));
+    assert.strictEqual(huge.data.lease_sec, 3600);
+    assert.ok(huge.data.lease_expires <= Date.now() + 3600 * 1000, 'lease never extends beyond the max');
+
+    for (const bad of ['1e400', 'abc', -5, 0]) {
+      const rejected = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/heartbeat`, {
+        lease_owner: ticket.metadata.lease_owner,
+        lease_token: ticket.metadata.lease_token,
+        lease_sec: bad
+      });
+      assert.strictEqual(rejected.status, 400, `lease_sec=${bad}`);
+      assert.strictEqual(rejected.data.error, 'invalid_lease_sec');
+    }
+
+    const mismatch = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/heartbeat`, {
+      lease_owner: 'someone-else',
+      lease_token: ticket.metadata.lease_token
+    });
+    assert.strictEqual(mismatch.status, 409);
+    assert.strictEqual(mismatch.data.error_code, 'lease_owner_mismatch');
+
+    const missing = await httpPostJson(baseUrl, '/v1/tickets/does-not-exist/heartbeat', {});
+    assert.strictEqual(missing.status, 404);
+
+    console.log('[Test] testHeartbeatExtendsLease: PASS ✓');
+  } finally {
+    await stop();
+  }
+}
+
+async function testNackReleasesToPending() {
+  console.log('[Test] testNackReleasesToPending: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test' });
+
+  try {
+    const ticket = await createAndLeaseTriage(baseUrl, 'nack');
+
+    const mismatch = await httpPostJson(baseUrl, `/tickets/${ticket.id}/nack`, {});
+    assert.strictEqual(mismatch.status, 409);
+    assert.strictEqual(mismatch.data.error_code, 'lease_owner_mismatch');
+
+    const ok = await httpPostJson(baseUrl, `/tickets/${ticket.id}/nack`, {
+      lease_owner: ticket.metadata.lease_owner,
+      lease_id: ticket.metadata.lease_token,
+      reason: 'VALIDATION: Missing field: decision'
+    });
+    assert.strictEqual(ok.status, 200, JSON.stringify(ok.data));
+    assert.strictEqual(ok.data.status, 'released');
+
+    const after = await httpGetJson(baseUrl, `/v1/tickets/${ticket.id}`);
+    assert.strictEqual(after.data.status, 'pending');
+
+    // Not running anymore → lease_conflict (v1 alias)
+    const again = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/nack`, {
+      lease_owner: ticket.metadata.lease_owner,
+      lease_token: ticket.metadata.lease_token
+    });
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.data.error_code, 'lease_conflict');
+    assert.strictEqual(again.data.stable_code, 'lease_conflict');
+    assert.strictEqual(again.data.details.current_status, 'pending');
+
+    console.log('[Test] testNackReleasesToPending: PASS ✓');
+  } finally {
+    await stop();
+  }
+}
+
+async function testFailMovesToFailed() {
+  console.log('[Test] testFailMovesToFailed: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test' });
+
+  try {
+    const ticket = await createAndLeaseTriage(baseUrl, 'fail');
+
+    const mismatch = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/fail`, {
+      reason: 'HARD_GUARDRAIL_FAIL',
+      lease_owner: ticket.metadata.lease_owner,
+      lease_token: 'wrong-token'
+    });
+    assert.strictEqual(mismatch.status, 409);
+    assert.strictEqual(mismatch.data.error_code, 'lease_owner_mismatch');
+
+    const ok = await httpPostJson(baseUrl, `/tickets/${ticket.id}/fail`, {
+      reason: 'HARD_GUARDRAIL_FAIL',
+      lease_owner: ticket.metadata.lease_owner,
+      lease_token: ticket.metadata.lease_token
+    });
+    assert.strictEqual(ok.status, 200, JSON.stringify(ok.data));
+    assert.strictEqual(ok.data.status, 'failed');
+
+    const after = await httpGetJson(baseUrl, `/v1/tickets/${ticket.id}`);
+    assert.strictEqual(after.data.status, 'failed');
+    assert.strictEqual(after.data.metadata.error, 'HARD_GUARDRAIL_FAIL');
+    assert.strictEqual(after.data.metadata.failed_by, ticket.metadata.lease_owner);
+
+    console.log('[Test] testFailMovesToFailed: PASS ✓');
+  } finally {
+    await stop();
+  }
+}
+
+async function testLeaseRoutesCapLeaseSec() {
+  console.log('[Test] testLeaseRoutesCapLeaseSec: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', LEASE_MAX_SEC: '120' });
+
+  try {
+    const eventResp = await httpPostJson(baseUrl, '/events', {
+      type: 'thread_post',
+      event_id: `lease_cap_${Date.now()}`,
+      content: 'Lease cap route test content',
+      features: { engagement: { likes: 150, comments: 50 } }
+    });
+    assert.strictEqual(eventResp.status, 200, JSON.stringify(eventResp.data));
+    const ticketId = eventResp.data.ticket_id;
+
+    for (const bad of ['1e400', 'abc', -5, 0]) {
+      const byId = await httpPostJson(baseUrl, `/v1/tickets/${ticketId}/lease`, { lease_sec: bad, lease_owner: 'worker-cap' });
+      assert.strictEqual(byId.status, 400, `lease-by-id lease_sec=${bad}`);
+      assert.strictEqual(byId.data.error, 'invalid_lease_sec');
+      const bulk = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', lease_sec: bad });
+      assert.strictEqual(bulk.status, 400, `lease lease_sec=${bad}`);
+      assert.strictEqual(bulk.data.error, 'invalid_lease_sec');
+    }
+
+    const byId = await httpPostJson(baseUrl, `/v1/tickets/${ticketId}/lease`, { lease_sec: 1e9, lease_owner: 'worker-cap' });
+    assert.strictEqual(byId.status, 200, JSON.stringify(byId.data));
+    assert.ok(byId.data.ticket.metadata.lease_expires <= Date.now() + 120 * 1000, 'lease-by-id never exceeds LEASE_MAX_SEC');
+
+    const nack = await httpPostJson(baseUrl, `/v1/tickets/${ticketId}/nack`, {
+      lease_owner: byId.data.ticket.metadata.lease_owner,
+      lease_token: byId.data.ticket.metadata.lease_token
+    });
+    assert.strictEqual(nack.status, 200, JSON.stringify(nack.data));
+
+    const bulk = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', lease_sec: 1e9 });
+    assert.strictEqual(bulk.status, 200, JSON.stringify(bulk.data));
+    assert.ok(bulk.data.tickets.length > 0, 'released ticket should be leasable again');
+    for (const t of bulk.data.tickets) {
+      assert.ok(t.metadata.lease_expires <= Date.now() + 120 * 1000, 'bulk lease never exceeds LEASE_MAX_SEC');
+    }
+
+    console.log('[Test] testLeaseRoutesCapLeaseSec: PASS ✓');
+  } finally {
+    await stop();
+  }
+}
+
+async function runAll() {
+  await testHeartbeatExtendsLease();
+  await testNackReleasesToPending();
+  await testFailMovesToFailed();
+  await testLeaseRoutesCapLeaseSec();
+}
+
+module.exports = {
+  runAll
+};
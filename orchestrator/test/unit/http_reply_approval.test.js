@@ -0,0 +1,223 @@
+/**
+ * REPLY human approval queue + publish step
+ *
+ * Contract:
+ * - Filling a leased REPLY ticket lands it in awaiting_approval (not done)
+ * - POST /v1/tickets/:id/approve publishes through ReplyPublisher (dry-run unless DRY_RUN=false and dry_run=false) → done
+ * - Edit-and-approve keeps the original draft in metadata.approval.original_reply
+ * - Reject requires a reason → failed (error = reply_rejected); legacy { approved: false } on /tickets/:id/approve rejects too
+ * - Decisions on tickets not awaiting approval → 409 not_awaiting_approval
+ * - Publish failures keep the ticket in awaiting_approval (502 publish_failed)
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { TICKET_STATUS, REPLY_REJECTED } = require('../../store/TicketStore');
+const { ReplyPublisher, PublishError } = require('../../lib/approval/ReplyPublisher');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function createAwaitingReply(baseUrl, tag) {
+  const ev = await httpPostJson(baseUrl, '/events', {
+    type: 'thread_post',
+    event_id: `approval_${tag}_${Date.now()}`,
+    thread_id: `thread_${tag}`,
+    content: `Approval queue test content (${tag})`,
+    features: { engagement: { likes: 150, comments: 50 } }
+  });
+  assert.strictEqual(ev.status, 200, JSON.stringify(ev.data));
+  const triageId = ev.data.ticket_id;
+
+  const triageLease = await httpPostJson(baseUrl, `/v1/tickets/${triageId}/lease`, { lease_sec: 60, lease_owner: 'w1' });
+  const triageFill = await httpPostJson(baseUrl, `/v1/tickets/${triageId}/fill`, {
+    outputs: { decision: 'APPROVE', reply_strategy: 'agree', information_needs: [] },
+    by: 'vscode_worker',
+    lease_owner: 'w1',
+    lease_token: triageLease.data.ticket.metadata.lease_token
+  });
+  assert.strictEqual(triageFill.status, 200, JSON.stringify(triageFill.data));
+
+  let reply = null;
+  for (let i = 0; i < 50 && !reply; i++) {
+    const list = await httpGetJson(baseUrl, '/v1/tickets?status=pending&limit=1000');
+    reply = list.data.find((t) => t.metadata?.kind === 'REPLY' && t.metadata?.triage_reference_id === triageId) || null;
+    if (!reply) await sleep(50);
+  }
+  assert.ok(reply, 'REPLY ticket should be created after TRIAGE APPROVE');
+
+  const leased = await httpPostJson(baseUrl, `/v1/tickets/${reply.id}/lease`, { lease_sec: 60, lease_owner: 'w2' });
+  const fill = await httpPostJson(baseUrl, `/v1/tickets/${reply.id}/fill`, {
+    outputs: { reply: `draft reply (${tag})`, confidence: 0.8 },
+    by: 'vscode_worker',
+    lease_owner: 'w2',
+    lease_token: leased.data.ticket.metadata.lease_token
+  });
+  assert.strictEqual(fill.status, 200, JSON.stringify(fill.data));
+
+  const after = await httpGetJson(baseUrl, `/v1/tickets/${reply.id}`);
+  assert.strictEqual(after.data.status, 'awaiting_approval');
+  assert.strictEqual(after.data.metadata.final_outputs.reply, `draft reply (${tag})`);
+  assert.ok(!after.data.metadata.lease_token, 'lease cleared once drafted');
+  return reply.id;
+}
+
+async function testReplyPublisher() {
+  console.log('[Test] testReplyPublisher: START');
+  const calls = [];
+  const gateway = {
+    executeTool: async (server, tool, args) => {
+      calls.push({ server, tool, args });
+      if (args.content === 'boom') throw Object.assign(new Error('upstream down'), { gateway_code: 'TOOL_UNAVAILABLE' });
+      return { status: 'sent', message_id: 'm-1' };
+    }
+  };
+  const ticket = { id: 't-1', event: { thread_id: 'th-1', event_id: 'ev-1' }, metadata: {} };
+
+  // DRY_RUN unset → server-side dry run regardless of request
+  const dry = new ReplyPublisher({ toolGateway: gateway, env: {} });
+  const dryResult = await dry.publish({ ticket, reply: 'hi', dryRun: false });
+  assert.strictEqual(dryResult.dry_run, true);
+  assert.strictEqual(calls.length, 0, 'dry run never calls the tool');
+
+  const live = new ReplyPublisher({ toolGateway: gateway, env: { DRY_RUN: 'false' } });
+  assert.strictEqual((await live.publish({ ticket, reply: 'hi', dryRun: true })).dry_run, true, 'request dry_run wins');
+  const sent = await live.publish({ ticket, reply: 'hi', dryRun: false });
+  assert.deepStrictEqual(calls[0], {
+    server: 'reply',
+    tool: 'reply.send',
+    args: { thread_id: 'th-1', in_reply_to: 'ev-1', idempotency_key: 't-1', content: 'hi' }
+  });
+  assert.strictEqual(sent.message_id, 'm-1');
+  assert.strictEqual(sent.dry_run, false);
+
+  await assert.rejects(() => live.publish({ ticket, reply: 'boom', dryRun: false }), (e) => e instanceof PublishError && e.code === 'TOOL_UNAVAILABLE');
+  assert.deepStrictEqual(live.getMetrics(), { tool: 'reply.send', server_dry_run: false, published_total: 1, dry_run_total: 1, failed_total: 1 });
+
+  const threads = new ReplyPublisher({ toolGateway: gateway, env: { DRY_RUN: 'false', REPLY_PUBLISH_TOOL: 'threads.post_reply' } });
+  await threads.publish({ ticket, reply: 'yo', dryRun: false });
+  assert.strictEqual(calls[calls.length - 1].server, 'threads');
+  assert.strictEqual(calls[calls.length - 1].args.text, 'yo');
+
+  assert.throws(() => new ReplyPublisher({ toolGateway: gateway, env: { REPLY_PUBLISH_TOOL: 'mem.write' } }), /REPLY_PUBLISH_TOOL/);
+  console.log('[Test] testReplyPublisher: PASS ✓');
+}
+
+async function testStoreApprovalTransitions() {
+  console.log('[Test] testStoreApprovalTransitions: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  const mk = (id) => store.create({ id, metadata: { kind: 'REPLY' }, flow_id: 'reply_zh_hant_v1' });
+  await mk('r1');
+  await mk('r2');
+  const [r1] = await store.lease('REPLY', 1, 60, 'w');
+  await store.complete('r1', { reply: 'draft' }, 'vscode_worker', { lease_owner: 'w', lease_token: r1.metadata.lease_token }, { awaitApproval: true });
+  assert.strictEqual(r1.status, TICKET_STATUS.AWAITING_APPROVAL);
+  assert.strictEqual((await store.countByStatus())[TICKET_STATUS.AWAITING_APPROVAL], 1);
+
+  assert.strictEqual((await store.approve('r2', { by: 'rev' })).code, 'not_awaiting_approval');
+  const approved = await store.approve('r1', { by: 'rev', reply: 'edited', publish: { dry_run: true } });
+  assert.strictEqual(approved.ticket.status, TICKET_STATUS.DONE);
+  assert.strictEqual(approved.ticket.metadata.approval.decision, 'edited');
+  assert.strictEqual(approved.ticket.metadata.approval.original_reply, 'draft');
+  assert.strictEqual(approved.ticket.metadata.final_outputs.reply, 'edited');
+
+  const [r2] = await store.lease('REPLY', 1, 60, 'w');
+  await store.complete('r2', { reply: 'draft2' }, 'vscode_worker', { lease_owner: 'w', lease_token: r2.metadata.lease_token }, { awaitApproval: true });
+  const rejected = await store.reject('r2', { by: 'rev', reason: 'off-brand' });
+  assert.strictEqual(rejected.ticket.status, TICKET_STATUS.FAILED);
+  assert.strictEqual(rejected.ticket.metadata.error, REPLY_REJECTED);
+  assert.strictEqual(rejected.ticket.metadata.approval.reason, 'off-brand');
+  console.log('[Test] testStoreApprovalTransitions: PASS ✓');
+}
+
+async function testHttpApprovalQueue() {
+  console.log('[Test] testHttpApprovalQueue: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+
+  try {
+    const editId = await createAwaitingReply(baseUrl, 'edit');
+    const rejectId = await createAwaitingReply(baseUrl, 'reject');
+    const legacyId = await createAwaitingReply(baseUrl, 'legacy');
+
+    const metrics = await httpGetJson(baseUrl, '/metrics');
+    assert.strictEqual(metrics.data.tickets.awaiting_approval, 3);
+    assert.strictEqual(metrics.data.replies.awaiting_approval, 3);
+
+    const queue = await httpGetJson(baseUrl, '/v1/tickets?status=awaiting_approval');
+    assert.deepStrictEqual(queue.data.map((t) => t.id).sort(), [editId, rejectId, legacyId].sort());
+
+    // Edit-and-approve (extension default: dry run)
+    const approved = await httpPostJson(baseUrl, `/v1/tickets/${editId}/approve`, { reply: 'edited reply', dry_run: true, by: 'alice' });
+    assert.strictEqual(approved.status, 200, JSON.stringify(approved.data));
+    assert.strictEqual(approved.data.decision, 'edited');
+    assert.strictEqual(approved.data.publish.dry_run, true);
+    assert.strictEqual(approved.data.publish.tool, 'reply.send');
+    const done = await httpGetJson(baseUrl, `/v1/tickets/${editId}`);
+    assert.strictEqual(done.data.status, 'done');
+    assert.strictEqual(done.data.metadata.final_outputs.reply, 'edited reply');
+    assert.strictEqual(done.data.metadata.approval.original_reply, 'draft reply (edit)');
+    assert.strictEqual(done.data.metadata.approval.by, 'alice');
+
+    const again = await httpPostJson(baseUrl, `/v1/tickets/${editId}/approve`, {});
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.data.error_code, 'not_awaiting_approval');
+
+    // Reject needs a reason
+    const noReason = await httpPostJson(baseUrl, `/v1/tickets/${rejectId}/reject`, {});
+    assert.strictEqual(noReason.status, 400);
+    assert.strictEqual(noReason.data.error_code, 'missing_reason');
+    const rejected = await httpPostJson(baseUrl, `/v1/tickets/${rejectId}/reject`, { reason: 'tone too aggressive' });
+    assert.strictEqual(rejected.status, 200);
+    const failed = await httpGetJson(baseUrl, `/v1/tickets/${rejectId}`);
+    assert.strictEqual(failed.data.status, 'failed');
+    assert.strictEqual(failed.data.metadata.error, 'reply_rejected');
+    assert.strictEqual(failed.data.metadata.approval.reason, 'tone too aggressive');
+
+    // Legacy extension contract: POST /tickets/:id/approve { approved: false }
+    const legacy = await httpPostJson(baseUrl, `/tickets/${legacyId}/approve`, { approved: false, dry_run: true, reason: 'duplicate' });
+    assert.strictEqual(legacy.status, 200);
+    assert.strictEqual(legacy.data.decision, 'rejected');
+
+    const unknown = await httpPostJson(baseUrl, '/v1/tickets/nope/approve', {});
+    assert.strictEqual(unknown.status, 404);
+
+    const after = await httpGetJson(baseUrl, '/metrics');
+    assert.strictEqual(after.data.tickets.awaiting_approval, 0);
+    assert.strictEqual(after.data.approval.dry_run_total, 1);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpApprovalQueue: PASS ✓');
+}
+
+async function testPublishFailureKeepsTicketAwaiting() {
+  console.log('[Test] testPublishFailureKeepsTicketAwaiting: START');
+  // DRY_RUN=false under NO_MCP: the reply server is not configured, so publishing fails
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false', DRY_RUN: 'false' });
+
+  try {
+    const id = await createAwaitingReply(baseUrl, 'publish_fail');
+    const resp = await httpPostJson(baseUrl, `/v1/tickets/${id}/approve`, { dry_run: false });
+    assert.strictEqual(resp.status, 502, JSON.stringify(resp.data));
+    assert.strictEqual(resp.data.error_code, 'publish_failed');
+    const ticket = await httpGetJson(baseUrl, `/v1/tickets/${id}`);
+    assert.strictEqual(ticket.data.status, 'awaiting_approval', 'ticket stays reviewable after publish failure');
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testPublishFailureKeepsTicketAwaiting: PASS ✓');
+}
+
+async function runAll() {
+  await testReplyPublisher();
+  await testStoreApprovalTransitions();
+  await testHttpApprovalQueue();
+  await testPublishFailureKeepsTicketAwaiting();
+}
+
+module.exports = {
+  runAll
+};
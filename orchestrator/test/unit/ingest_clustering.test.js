@@ -0,0 +1,222 @@
+/**
+ * Near-duplicate / copypasta clustering at ingest (INGEST_CLUSTERING=on)
+ *
+ * Contract:
+ * - Snippets within CLUSTER_MAX_HAMMING (simhash) of a representative join its cluster; the first one is
+ *   triaged as usual, later ones are created blocked (cluster_member) and come back as status=clustered
+ * - When the representative's TRIAGE is filled every member inherits the decision (done by system)
+ * - Reply stage: vary → each member gets its own REPLY with reply_input.variation_note;
+ *   reuse → the representative's drafted reply is copied to each member (awaiting_approval)
+ * - Representative failed → cluster dissolved, members back to pending
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { normalizeText, simhash, hammingDistance } = require('../../lib/clustering/simhash');
+const { CandidateClusterer, CLUSTER_MEMBER_BLOCK_CODE } = require('../../lib/clustering/CandidateClusterer');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const COPYPASTA = [
+  'Everyone should boycott this brand right now, they lied to us about the recall and nobody is talking about it',
+  'Everyone should boycott this brand RIGHT NOW!! They lied to us about the recall and nobody is talking about it @friend https://x.co/abc',
+  'Everyone should boycott this brand right now, they lied to us about the recall and nobody is talking about it. Share!'
+];
+const UNRELATED = 'I just tried the new coffee place downtown and the latte art was honestly amazing';
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+const tick = () => new Promise((r) => setImmediate(r));
+
+async function createAssigned(store, clusterer, id, text) {
+  const cluster = clusterer.assign({ content: text }, id);
+  const isMember = cluster && cluster.role === 'member';
+  await store.create({
+    id,
+    flow_id: 'triage_v1',
+    status: isMember ? 'blocked' : 'pending',
+    event: { content: text },
+    metadata: {
+      kind: 'TRIAGE',
+      cluster,
+      ...(isMember ? { block: { code: CLUSTER_MEMBER_BLOCK_CODE, reason: 'near-duplicate', source: 'clustering' } } : {})
+    }
+  });
+  return cluster;
+}
+
+async function testSimhashAndAssign() {
+  console.log('[Test] testSimhashAndAssign: START');
+  const [a, b, c] = COPYPASTA.map((t) => simhash(normalizeText(t)));
+  const other = simhash(normalizeText(UNRELATED));
+  assert.ok(hammingDistance(a, b) <= 3, 'case / punctuation / mentions / urls are ignored');
+  assert.ok(hammingDistance(a, c) <= 3);
+  assert.ok(hammingDistance(a, other) > 16);
+
+  const clusterer = new CandidateClusterer({ ticketStore: null, enabled: true, logger: silentLogger });
+  const rep = clusterer.assign({ context_digest: { target_snippet: COPYPASTA[0] } }, 't1');
+  assert.strictEqual(rep.role, 'representative');
+  const member = clusterer.assign({ content: COPYPASTA[1] }, 't2');
+  assert.strictEqual(member.role, 'member');
+  assert.strictEqual(member.cluster_id, rep.cluster_id);
+  assert.strictEqual(member.representative_ticket_id, 't1');
+  assert.strictEqual(clusterer.assign({ content: UNRELATED }, 't3').role, 'representative');
+  assert.strictEqual(clusterer.assign({ content: 'too short' }, 't4'), null, 'short snippets are not clustered');
+  assert.strictEqual(new CandidateClusterer({ ticketStore: null, env: {} }).assign({ content: COPYPASTA[0] }, 'x'), null, 'off by default');
+
+  const metrics = clusterer.getMetrics();
+  assert.strictEqual(metrics.clusters, 1);
+  assert.strictEqual(metrics.members, 1);
+  assert.strictEqual(metrics.largest_cluster, 2);
+
+  // Restart: clusters are rebuilt from ticket metadata
+  const seeded = new CandidateClusterer({ ticketStore: null, enabled: true, logger: silentLogger });
+  const now = new Date().toISOString();
+  seeded.seed([
+    { id: 't2', status: 'blocked', metadata: { kind: 'TRIAGE', created_at: now, cluster: member } },
+    { id: 't1', status: 'pending', metadata: { kind: 'TRIAGE', created_at: now, cluster: rep } }
+  ]);
+  assert.strictEqual(seeded.assign({ content: COPYPASTA[2] }, 't5').cluster_id, rep.cluster_id);
+  assert.strictEqual(seeded.getCluster(rep.cluster_id).members.size, 2);
+  console.log('[Test] testSimhashAndAssign: PASS ✓');
+}
+
+async function testInheritAndReplyModes() {
+  console.log('[Test] testInheritAndReplyModes: START');
+
+  // vary: members inherit the decision and go through the member hook (REPLY automation)
+  const store = new TicketStore(null, { type: 'memory' });
+  const triaged = [];
+  const vary = new CandidateClusterer({
+    ticketStore: store,
+    enabled: true,
+    logger: silentLogger,
+    onMemberTriaged: async (member, outputs) => triaged.push([member.id, outputs.decision])
+  });
+  vary.start();
+  await createAssigned(store, vary, 'rep', COPYPASTA[0]);
+  await createAssigned(store, vary, 'm1', COPYPASTA[1]);
+  await store.complete('rep', { decision: 'APPROVE', reply_strategy: 'correct the record' }, 'http_fill');
+  await tick();
+  const m1 = await store.get('m1');
+  assert.strictEqual(m1.status, 'done');
+  assert.strictEqual(m1.metadata.final_outputs.decision, 'APPROVE');
+  assert.strictEqual(m1.metadata.final_outputs.cluster_inherited_from, 'rep');
+
+  // Late copypasta: the representative already decided → inherits on creation
+  await createAssigned(store, vary, 'm2', COPYPASTA[2]);
+  await vary.onMemberCreated('m2');
+  assert.strictEqual((await store.get('m2')).status, 'done');
+  assert.deepStrictEqual(triaged, [['m1', 'APPROVE'], ['m2', 'APPROVE']]);
+  vary.stop();
+
+  // reuse: the representative's draft is copied to members
+  const reuseStore = new TicketStore(null, { type: 'memory' });
+  const reuse = new CandidateClusterer({ ticketStore: reuseStore, enabled: true, replyMode: 'reuse', logger: silentLogger });
+  reuse.start();
+  await createAssigned(reuseStore, reuse, 'rep', COPYPASTA[0]);
+  await createAssigned(reuseStore, reuse, 'm1', COPYPASTA[1]);
+  await reuseStore.complete('rep', { decision: 'APPROVE', reply_strategy: 'correct the record' }, 'http_fill');
+  await tick();
+  await reuseStore.create({ id: 'rep_reply', flow_id: 'reply_zh_hant_v1', metadata: { kind: 'REPLY', triage_reference_id: 'rep' } });
+  await reuseStore.complete('rep_reply', { reply: '召回資訊請看官方公告' }, 'http_fill', null, { awaitApproval: true });
+  await tick();
+  const copies = (await reuseStore.list({ kind: 'REPLY' })).filter((t) => t.metadata.triage_reference_id === 'm1');
+  assert.strictEqual(copies.length, 1);
+  assert.strictEqual(copies[0].status, 'awaiting_approval');
+  assert.strictEqual(copies[0].metadata.final_outputs.reply, '召回資訊請看官方公告');
+  assert.strictEqual(copies[0].metadata.final_outputs.reused_from, 'rep_reply');
+  assert.strictEqual(reuse.getMetrics().reused_replies_total, 1);
+  reuse.stop();
+
+  // Representative failed → members released for individual triage
+  const failStore = new TicketStore(null, { type: 'memory' });
+  const dissolving = new CandidateClusterer({ ticketStore: failStore, enabled: true, logger: silentLogger });
+  dissolving.start();
+  await createAssigned(failStore, dissolving, 'rep', COPYPASTA[0]);
+  await createAssigned(failStore, dissolving, 'm1', COPYPASTA[1]);
+  const { ticket: leased } = await failStore.leaseById('rep', 60, 'w');
+  await failStore.fail('rep', 'boom', 'w', { lease_owner: 'w', lease_token: leased.metadata.lease_token });
+  await tick();
+  assert.strictEqual((await failStore.get('m1')).status, 'pending');
+  assert.strictEqual(dissolving.getMetrics().dissolved_total, 1);
+  dissolving.stop();
+  console.log('[Test] testInheritAndReplyModes: PASS ✓');
+}
+
+async function testHttpClusteredIngest() {
+  console.log('[Test] testHttpClusteredIngest: START');
+  const { baseUrl, stop } = await startServerWithEnv({
+    NO_MCP: 'true',
+    NODE_ENV: 'test',
+    FLOWS_WATCH: 'false',
+    INGEST_CLUSTERING: 'on'
+  });
+
+  try {
+    const stamp = Date.now();
+    const candidates = [COPYPASTA[0], COPYPASTA[1], UNRELATED].map((text, i) => ({
+      candidate_id: `cluster_${stamp}_${i}`,
+      context_digest: { target_snippet: text },
+      features: { engagement: { likes: 150, comments: 50 } }
+    }));
+    const batch = await httpPostJson(baseUrl, '/v1/triage/batch', { candidates });
+    assert.strictEqual(batch.status, 200, JSON.stringify(batch.data));
+    const [rep, member, other] = batch.data.results;
+    assert.strictEqual(rep.status, 'queued');
+    assert.strictEqual(member.status, 'clustered');
+    assert.strictEqual(member.representative_ticket_id, rep.ticket_id);
+    assert.strictEqual(other.status, 'queued');
+
+    // Only the representative and the unrelated post reach workers
+    const lease = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', limit: 10, lease_sec: 60 });
+    const leasedIds = lease.data.tickets.map((t) => t.id).sort();
+    assert.deepStrictEqual(leasedIds, [rep.ticket_id, other.ticket_id].sort());
+    const repTicket = lease.data.tickets.find((t) => t.id === rep.ticket_id);
+    assert.strictEqual(repTicket.metadata.cluster.role, 'representative');
+
+    const fill = await httpPostJson(baseUrl, `/v1/tickets/${rep.ticket_id}/fill`, {
+      outputs: { decision: 'APPROVE', short_reason: 'misinformation', reply_strategy: 'correct the record' },
+      by: 'cluster-test-worker',
+      lease_owner: repTicket.metadata.lease_owner,
+      lease_token: repTicket.metadata.lease_token
+    });
+    assert.strictEqual(fill.status, 200, JSON.stringify(fill.data));
+
+    let replies = [];
+    for (let i = 0; i < 40 && replies.length < 2; i++) {
+      await new Promise((r) => setTimeout(r, 50));
+      replies = (await httpGetJson(baseUrl, '/v1/tickets?kind=REPLY&limit=50')).data;
+    }
+    const memberTicket = (await httpGetJson(baseUrl, `/v1/tickets/${member.ticket_id}`)).data;
+    assert.strictEqual(memberTicket.status, 'done');
+    assert.strictEqual(memberTicket.metadata.cluster.cluster_id, member.cluster_id);
+
+    const memberReply = replies.find((t) => t.metadata.triage_reference_id === member.ticket_id);
+    const repReply = replies.find((t) => t.metadata.triage_reference_id === rep.ticket_id);
+    assert.ok(repReply, 'representative gets its reply ticket');
+    assert.ok(memberReply, 'member gets its own reply ticket (vary)');
+    assert.ok(memberReply.metadata.reply_input.variation_note.includes(member.cluster_id));
+    assert.strictEqual(repReply.metadata.reply_input.variation_note, undefined);
+
+    const metrics = (await httpGetJson(baseUrl, '/metrics')).data;
+    assert.strictEqual(metrics.ingest.clustering.enabled, true);
+    assert.strictEqual(metrics.ingest.clustering.clusters, 1);
+    assert.strictEqual(metrics.ingest.clustering.clustered_total, 1);
+    assert.strictEqual(metrics.ingest.clustering.inherited_total, 1);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpClusteredIngest: PASS ✓');
+}
+
+async function runAll() {
+  await testSimhashAndAssign();
+  await testInheritAndReplyModes();
+  await testHttpClusteredIngest();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,122 @@
+/**
+ * Ingest dedup (candidate_id / seed.value window) + Idempotency-Key replay
+ *
+ * Contract:
+ * - The same candidate_id or seed.value inside INGEST_DEDUP_WINDOW_SEC returns status=duplicate with
+ *   duplicate_of → existing ticket; no second ticket is created
+ * - The dedup window is rebuilt from persisted tickets at boot
+ * - Idempotency-Key replays the first response (Idempotent-Replayed: true); a different body → 422
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { IngestDedup } = require('../../lib/ingest_dedup/IngestDedup');
+const { IDEMPOTENCY_CODES } = require('../../lib/idempotency/IdempotencyStore');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+function candidate(id, seedValue) {
+  return {
+    candidate_id: id,
+    seed: { type: 'post_url', value: seedValue },
+    snippet: `Idempotency candidate ${id} with enough content for the filter`,
+    features: { engagement: { likes: 150, comments: 50 } }
+  };
+}
+
+async function testDedupWindow() {
+  console.log('[Test] testDedupWindow: START');
+  const dedup = new IngestDedup({ windowSec: 60 });
+  const now = Date.now();
+  dedup.record({ candidate_id: 'c1', seed: { value: 'https://t/p/1' } }, 'ticket_1', now);
+
+  assert.deepStrictEqual(dedup.find({ candidate_id: 'c1' }, now + 1000), { ticket_id: 'ticket_1', key: 'candidate:c1' });
+  assert.deepStrictEqual(dedup.find({ candidate_id: 'other', seed: { value: 'https://t/p/1' } }, now + 1000), { ticket_id: 'ticket_1', key: 'seed:https://t/p/1' });
+  assert.strictEqual(dedup.find({ event_id: 'c2' }, now), null);
+  assert.strictEqual(dedup.find({ candidate_id: 'c1' }, now + 61000), null, 'outside the window');
+
+  const seeded = new IngestDedup({ windowSec: 60 });
+  const count = seeded.seed([
+    { id: 'fresh', event: { event_id: 'e_fresh' }, metadata: { mode: 'auto-ingest', created_at: new Date(now - 1000).toISOString() } },
+    { id: 'stale', event: { event_id: 'e_stale' }, metadata: { mode: 'auto-ingest', created_at: new Date(now - 120000).toISOString() } },
+    { id: 'derived', event: { event_id: 'e_fresh_tool' }, metadata: { kind: 'TOOL', created_at: new Date(now).toISOString() } }
+  ], now);
+  assert.strictEqual(count, 1);
+  assert.strictEqual(seeded.find({ event_id: 'e_fresh' }, now).ticket_id, 'fresh');
+
+  const disabled = new IngestDedup({ windowSec: 0 });
+  disabled.record({ candidate_id: 'c1' }, 'ticket_1');
+  assert.strictEqual(disabled.find({ candidate_id: 'c1' }), null, 'window 0 disables dedup');
+  assert.strictEqual(dedup.getMetrics().duplicates_total, 2);
+  console.log('[Test] testDedupWindow: PASS ✓');
+}
+
+async function testHttpDedupAndIdempotencyKey() {
+  console.log('[Test] testHttpDedupAndIdempotencyKey: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+
+  try {
+    const stamp = Date.now();
+    const first = await httpPostJson(baseUrl, '/v1/triage/batch', {
+      candidates: [candidate(`dup_a_${stamp}`, `https://threads.test/p/${stamp}`), candidate(`dup_b_${stamp}`, `https://threads.test/p/${stamp}_b`)]
+    });
+    const [a, b] = first.data.results;
+    assert.strictEqual(a.status, 'queued');
+    assert.strictEqual(b.status, 'queued');
+
+    // Re-run over the same source: same candidate id, and a new id pointing at the same post
+    const rerun = await httpPostJson(baseUrl, '/v1/triage/batch', {
+      candidates: [candidate(`dup_a_${stamp}`, `https://threads.test/p/${stamp}`), candidate(`dup_c_${stamp}`, `https://threads.test/p/${stamp}_b`)]
+    });
+    assert.strictEqual(rerun.status, 200);
+    assert.deepStrictEqual(rerun.data.results.map((r) => [r.status, r.duplicate_of]), [['duplicate', a.ticket_id], ['duplicate', b.ticket_id]]);
+    assert.strictEqual(rerun.data.results[1].dedup_key, `seed:https://threads.test/p/${stamp}_b`);
+    assert.strictEqual(rerun.data.results[0].ticket_status, 'pending');
+
+    const event = {
+      type: 'thread_post',
+      event_id: `idem_${stamp}`,
+      thread_id: 'thread_idem',
+      content: 'Idempotency key test content',
+      features: { engagement: { likes: 150, comments: 50 } }
+    };
+    const headers = { 'Idempotency-Key': `key-${stamp}` };
+    const created = await httpPostJson(baseUrl, '/events', event, headers);
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.data.status, 'queued');
+
+    const replayed = await httpPostJson(baseUrl, '/events', event, headers);
+    assert.strictEqual(replayed.status, 200);
+    assert.strictEqual(replayed.headers['idempotent-replayed'], 'true');
+    assert.deepStrictEqual(replayed.data, created.data, 'original response replayed (not a duplicate result)');
+
+    const mismatch = await httpPostJson(baseUrl, '/events', { ...event, content: 'Different content for the same key' }, headers);
+    assert.strictEqual(mismatch.status, 422);
+    assert.strictEqual(mismatch.data.error, IDEMPOTENCY_CODES.KEY_MISMATCH);
+
+    // Without the key the dedup window still answers
+    const again = await httpPostJson(baseUrl, '/events', event);
+    assert.strictEqual(again.data.status, 'duplicate');
+    assert.strictEqual(again.data.duplicate_of, created.data.ticket_id);
+
+    const tickets = (await httpGetJson(baseUrl, '/v1/tickets?kind=TRIAGE&limit=50')).data;
+    assert.strictEqual(tickets.length, 3, 'no duplicate TRIAGE tickets');
+
+    const metrics = (await httpGetJson(baseUrl, '/metrics')).data;
+    assert.strictEqual(metrics.ingest.dedup.duplicates_total, 3);
+    assert.strictEqual(metrics.ingest.idempotency.replayed_total, 1);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpDedupAndIdempotencyKey: PASS ✓');
+}
+
+async function runAll() {
+  await testDedupWindow();
+  await testHttpDedupAndIdempotencyKey();
+}
+
+module.exports = {
+  runAll
+};
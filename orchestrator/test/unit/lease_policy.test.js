@@ -0,0 +1,167 @@
+/**
+ * LeasePolicy: priority / kind / engagement / aging / deadline lease ordering
+ *
+ * Contract:
+ * - Higher priority class (own metadata.priority, else the triage ticket's final_outputs.priority) leases first
+ * - Kind weights and engagement scale the base score; aging lets long-waiting tickets overtake fresh ones
+ * - Posts past LEASE_DEADLINE_MIN sort after every in-deadline ticket (still leaseable)
+ * - LEASE_POLICY=fifo keeps created_at order; TicketStore without a policy keeps insertion order
+ * - GET /v1/queue shows the lease order with the computed score
+ * - Heartbeat lease_sec is capped at LEASE_MAX_SEC; non-finite / non-positive values are rejected
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { LeasePolicy, parseWeights } = require('../../lib/lease_policy/LeasePolicy');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const NOW = Date.parse('2026-01-01T12:00:00.000Z');
+const minutesAgo = (m) => new Date(NOW - m * 60000).toISOString();
+
+function ticket(id, { kind = 'REPLY', priority, createdMin = 0, likes = 0, comments = 0, postedMin, triage } = {}) {
+  return {
+    id,
+    status: 'pending',
+    event: {
+      features: { engagement: { likes, comments } },
+      ...(postedMin !== undefined ? { created_at: minutesAgo(postedMin) } : {})
+    },
+    metadata: {
+      kind,
+      created_at: minutesAgo(createdMin),
+      ...(priority ? { priority } : {}),
+      ...(triage ? { triage_reference_id: triage } : {})
+    }
+  };
+}
+
+const ids = (entries) => entries.map((e) => e.ticket.id);
+
+async function testScoringAndAging() {
+  console.log('[Test] testScoringAndAging: START');
+  assert.deepStrictEqual(parseWeights('P1=5, P2=x,=3', { P1: 1 }), { P1: 5 });
+  assert.deepStrictEqual(parseWeights('garbage', { P1: 1 }), { P1: 1 });
+
+  const policy = new LeasePolicy({ env: { LEASE_ENGAGEMENT_WEIGHT: '0' } });
+  const triage = { id: 'tri', metadata: { kind: 'TRIAGE', final_outputs: { priority: 'P1' } } };
+  const lookup = (id) => (id === 'tri' ? triage : null);
+
+  const p2 = ticket('p2', { priority: 'P2' });
+  const inherited = ticket('inherited', { triage: 'tri' });
+  const triageKind = ticket('triage_kind', { kind: 'TRIAGE', priority: 'P1' });
+  const ordered = policy.order([p2, triageKind, inherited], { now: NOW, lookup });
+  assert.deepStrictEqual(ids(ordered), ['inherited', 'triage_kind', 'p2']);
+  assert.strictEqual(ordered[0].breakdown.priority, 'P1', 'priority inherited from the triage fill');
+  assert.strictEqual(ordered[0].breakdown.score, 300); // 1.5 × 200
+  assert.strictEqual(ordered[1].breakdown.score, 200); // 1 × 200
+
+  // Aging: a P2 REPLY waiting 40 min (150 + 200) beats a fresh P1 REPLY (300)
+  const old = ticket('old_p2', { priority: 'P2', createdMin: 40 });
+  const fresh = ticket('fresh_p1', { priority: 'P1' });
+  assert.deepStrictEqual(ids(policy.order([fresh, old], { now: NOW })), ['old_p2', 'fresh_p1']);
+
+  // Engagement boosts within the same class
+  const engaged = new LeasePolicy({ env: {} });
+  const hot = ticket('hot', { kind: 'TRIAGE', likes: 500, comments: 100 });
+  const cold = ticket('cold', { kind: 'TRIAGE' });
+  const byEngagement = engaged.order([cold, hot], { now: NOW });
+  assert.deepStrictEqual(ids(byEngagement), ['hot', 'cold']);
+  assert.ok(byEngagement[0].breakdown.engagement > 50);
+  console.log('[Test] testScoringAndAging: PASS ✓');
+}
+
+async function testDeadlineAndFifo() {
+  console.log('[Test] testDeadlineAndFifo: START');
+  const policy = new LeasePolicy({ env: { LEASE_DEADLINE_MIN: '30' } });
+  const stale = ticket('stale', { priority: 'P1', likes: 1000, postedMin: 45 });
+  const timely = ticket('timely', { priority: 'P2', postedMin: 5 });
+  const ordered = policy.order([stale, timely], { now: NOW });
+  assert.deepStrictEqual(ids(ordered), ['timely', 'stale']);
+  assert.strictEqual(ordered[1].breakdown.past_deadline, true);
+  assert.strictEqual(ordered[1].breakdown.content_age_min, 45);
+
+  const fifo = new LeasePolicy({ env: { LEASE_POLICY: 'fifo' } });
+  const fifoOrder = fifo.order([ticket('new', { priority: 'P1', createdMin: 1 }), ticket('older', { createdMin: 5 })], { now: NOW });
+  assert.deepStrictEqual(ids(fifoOrder), ['older', 'new']);
+  assert.strictEqual(fifoOrder[0].breakdown.score, null);
+  console.log('[Test] testDeadlineAndFifo: PASS ✓');
+}
+
+async function testResolveLeaseSec() {
+  console.log('[Test] testResolveLeaseSec: START');
+  const policy = new LeasePolicy({ env: { LEASE_MAX_SEC: '900' } });
+  assert.deepStrictEqual(policy.resolveLeaseSec(undefined), { ok: true, lease_sec: 300, clamped: false });
+  assert.deepStrictEqual(policy.resolveLeaseSec('120'), { ok: true, lease_sec: 120, clamped: false });
+  assert.deepStrictEqual(policy.resolveLeaseSec(86400), { ok: true, lease_sec: 900, clamped: true });
+  for (const bad of [0, -1, 'abc', '', Infinity, NaN, '1e400', {}]) {
+    assert.deepStrictEqual(policy.resolveLeaseSec(bad), { ok: false, error: 'invalid_lease_sec' }, String(bad));
+  }
+  assert.strictEqual(new LeasePolicy({ env: {} }).maxLeaseSec, 3600);
+  assert.strictEqual(new LeasePolicy({ env: { LEASE_MAX_SEC: '60' } }).resolveLeaseSec(undefined).lease_sec, 60, 'default never exceeds the max');
+  console.log('[Test] testResolveLeaseSec: PASS ✓');
+}
+
+async function testStoreLeaseOrder() {
+  console.log('[Test] testStoreLeaseOrder: START');
+  const plain = new TicketStore(null, { type: 'memory' });
+  await plain.create(ticket('a', { priority: 'P2' }));
+  await plain.create(ticket('b', { priority: 'P1' }));
+  assert.deepStrictEqual((await plain.lease('REPLY', 1, 60, 'w')).map((t) => t.id), ['a'], 'no policy = insertion order');
+
+  const store = new TicketStore(null, { type: 'memory', leasePolicy: new LeasePolicy({ env: {} }) });
+  await store.create(ticket('a', { priority: 'P2' }));
+  await store.create(ticket('b', { priority: 'P1' }));
+  await store.create(ticket('c', { kind: 'TRIAGE', priority: 'P1' }));
+  const queue = await store.queue(null, 10);
+  assert.strictEqual(queue.total, 3);
+  assert.deepStrictEqual(ids(queue.entries), ['b', 'c', 'a']);
+  assert.deepStrictEqual((await store.lease('REPLY', 1, 60, 'w')).map((t) => t.id), ['b']);
+  assert.deepStrictEqual((await store.lease(null, 5, 60, 'w')).map((t) => t.id), ['c', 'a']);
+  console.log('[Test] testStoreLeaseOrder: PASS ✓');
+}
+
+async function testHttpQueueView() {
+  console.log('[Test] testHttpQueueView: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+
+  try {
+    const post = (tag, likes) => httpPostJson(baseUrl, '/events', {
+      type: 'thread_post',
+      event_id: `queue_${tag}_${Date.now()}`,
+      thread_id: `thread_${tag}`,
+      content: `Queue ordering test content (${tag})`,
+      features: { engagement: { likes, comments: 50 } }
+    });
+    const quiet = await post('quiet', 150);
+    const viral = await post('viral', 5000);
+
+    const view = await httpGetJson(baseUrl, '/v1/queue?kind=TRIAGE');
+    assert.strictEqual(view.status, 200);
+    assert.strictEqual(view.data.policy.mode, 'scored');
+    assert.strictEqual(view.data.total, 2);
+    assert.deepStrictEqual(view.data.tickets.map((t) => t.ticket_id), [viral.data.ticket_id, quiet.data.ticket_id]);
+    assert.strictEqual(view.data.tickets[0].position, 1);
+    assert.ok(view.data.tickets[0].score > view.data.tickets[1].score);
+
+    const leased = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', limit: 1 });
+    assert.strictEqual(leased.data.tickets[0].id, viral.data.ticket_id, 'lease follows the queue view');
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpQueueView: PASS ✓');
+}
+
+async function runAll() {
+  await testScoringAndAging();
+  await testDeadlineAndFifo();
+  await testResolveLeaseSec();
+  await testStoreLeaseOrder();
+  await testHttpQueueView();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,173 @@
+/**
+ * Lease reaper (stuck-ticket recovery)
+ *
+ * Contract:
+ * - Expired running tickets are reclaimed → pending, lease proof cleared, reclaim counted
+ * - After maxLeaseReclaims reclaims the next expiry → failed (error = lease_reclaim_exhausted)
+ * - Each reclaim emits an audit entry (ticket_store.jsonl via setAuditLogger)
+ * - LeaseReaper.runOnce() accumulates counters for /metrics
+ * - Orchestrator exposes the lease_reaper block in /metrics
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { TICKET_STATUS, LEASE_RECLAIM_EXHAUSTED } = require('../../store/TicketStore');
+const { LeaseReaper } = require('../../lib/lease_reaper/LeaseReaper');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpGetJson } = require('./helpers/http');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+async function createLeased(store, id) {
+  await store.create({ id, metadata: { kind: 'TOOL' } });
+  const res = await store.leaseById(id, 60, 'crashed-worker');
+  assert.ok(res.ok, `leaseById failed: ${JSON.stringify(res)}`);
+  return res.ticket;
+}
+
+// Expire after all leases are taken: lease()/leaseById() sweep expired leases themselves
+function expire(...tickets) {
+  for (const t of tickets) t.metadata.lease_expires = Date.now() - 1000;
+}
+
+async function createExpiredLease(store, id) {
+  const ticket = await createLeased(store, id);
+  expire(ticket);
+  return ticket;
+}
+
+async function testReclaimThenExhaust() {
+  console.log('[Test] testReclaimThenExhaust: START');
+  const audit = [];
+  TicketStore.setAuditLogger((entry) => audit.push(entry));
+
+  try {
+    const store = new TicketStore(null, { maxLeaseReclaims: 2 });
+    const ticket = await createExpiredLease(store, 'reap-1');
+
+    for (let i = 1; i <= 2; i++) {
+      const res = await store.reapExpiredLeases();
+      assert.deepStrictEqual(res, { reclaimed: ['reap-1'], exhausted: [] });
+      assert.strictEqual(ticket.status, TICKET_STATUS.PENDING);
+      assert.strictEqual(ticket.metadata.lease_reclaim_count, i);
+      assert.strictEqual(ticket.metadata.lease_owner, undefined, 'stale lease owner must be cleared');
+      assert.strictEqual(ticket.metadata.lease_token, undefined, 'stale lease token must be cleared');
+
+      const again = await store.leaseById('reap-1', 60, 'crashed-worker');
+      assert.ok(again.ok);
+      expire(ticket);
+    }
+
+    const last = await store.reapExpiredLeases();
+    assert.deepStrictEqual(last, { reclaimed: [], exhausted: ['reap-1'] });
+    assert.strictEqual(ticket.status, TICKET_STATUS.FAILED);
+    assert.strictEqual(ticket.metadata.error, LEASE_RECLAIM_EXHAUSTED);
+    assert.strictEqual(ticket.metadata.failed_by, 'lease_reaper');
+
+    // Failed tickets are terminal for the reaper
+    assert.deepStrictEqual(await store.reapExpiredLeases(), { reclaimed: [], exhausted: [] });
+
+    const actions = audit.map((e) => e.action);
+    assert.deepStrictEqual(actions, ['lease_reclaimed', 'lease_reclaimed', 'lease_reclaim_exhausted']);
+    assert.strictEqual(audit[0].expired_owner, 'crashed-worker');
+    assert.strictEqual(audit[2].reclaim_count, 3);
+    assert.strictEqual(audit[2].max_reclaims, 2);
+
+    console.log('[Test] testReclaimThenExhaust: PASS ✓');
+  } finally {
+    TicketStore.setAuditLogger(null);
+  }
+}
+
+async function testUnlimitedReclaims() {
+  console.log('[Test] testUnlimitedReclaims: START');
+  const store = new TicketStore(null, { maxLeaseReclaims: 0 });
+  const ticket = await createExpiredLease(store, 'reap-unlimited');
+  ticket.metadata.lease_reclaim_count = 50;
+
+  const res = await store.reapExpiredLeases();
+  assert.deepStrictEqual(res.reclaimed, ['reap-unlimited']);
+  assert.strictEqual(ticket.status, TICKET_STATUS.PENDING);
+  console.log('[Test] testUnlimitedReclaims: PASS ✓');
+}
+
+async function testReaperCounters() {
+  console.log('[Test] testReaperCounters: START');
+  const store = new TicketStore(null, { maxLeaseReclaims: 1 });
+  const reaper = new LeaseReaper({ ticketStore: store, intervalMs: 50, logger: silentLogger });
+
+  const a = await createLeased(store, 'reap-a');
+  const b = await createLeased(store, 'reap-b');
+  b.metadata.lease_reclaim_count = 1;
+  expire(a, b);
+
+  await reaper.runOnce();
+  const m = reaper.getMetrics();
+  assert.strictEqual(m.runs_total, 1);
+  assert.strictEqual(m.reclaimed_total, 1);
+  assert.strictEqual(m.exhausted_total, 1);
+  assert.strictEqual(m.errors_total, 0);
+  assert.strictEqual(m.max_reclaims, 1);
+  assert.ok(m.last_run_at);
+
+  // Scheduled sweep picks up a lease that expires later
+  const c = await createExpiredLease(store, 'reap-c');
+  assert.strictEqual(reaper.start(), true);
+  try {
+    const deadline = Date.now() + 2000;
+    while (c.status !== TICKET_STATUS.PENDING && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    assert.strictEqual(c.status, TICKET_STATUS.PENDING, 'scheduled sweep should reclaim');
+  } finally {
+    reaper.stop();
+  }
+  assert.strictEqual(reaper.getMetrics().active, false);
+
+  const broken = new LeaseReaper({
+    ticketStore: { maxLeaseReclaims: 3, reapExpiredLeases: async () => { throw new Error('boom'); } },
+    logger: silentLogger
+  });
+  assert.strictEqual(await broken.runOnce(), null);
+  assert.strictEqual(broken.getMetrics().errors_total, 1);
+
+  console.log('[Test] testReaperCounters: PASS ✓');
+}
+
+async function testMetricsExposeReaper() {
+  console.log('[Test] testMetricsExposeReaper: START');
+  const { baseUrl, stop } = await startServerWithEnv({
+    NO_MCP: 'true',
+    NODE_ENV: 'test',
+    LEASE_REAPER_INTERVAL_MS: '60000',
+    LEASE_MAX_RECLAIMS: '5'
+  });
+
+  try {
+    const resp = await httpGetJson(baseUrl, '/metrics');
+    assert.strictEqual(resp.status, 200);
+    const block = resp.data.lease_reaper;
+    assert.ok(block, 'missing lease_reaper block');
+    assert.strictEqual(block.enabled, true);
+    assert.strictEqual(block.active, true);
+    assert.strictEqual(block.interval_ms, 60000);
+    assert.strictEqual(block.max_reclaims, 5);
+    assert.strictEqual(typeof block.reclaimed_total, 'number');
+    console.log('[Test] testMetricsExposeReaper: PASS ✓');
+  } finally {
+    await stop();
+  }
+}
+
+async function runAll() {
+  await testReclaimThenExhaust();
+  await testUnlimitedReclaims();
+  await testReaperCounters();
+  await testMetricsExposeReaper();
+}
+
+module.exports = {
+  runAll
+};
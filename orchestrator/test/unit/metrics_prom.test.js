@@ -0,0 +1,135 @@
+/**
+ * MetricsRegistry + GET /metrics/prom (OpenMetrics text exposition)
+ *
+ * Contract:
+ * - counter families expose `<name>_total`, histograms `_bucket{le}` / `_sum` / `_count`; output ends with `# EOF`
+ * - Existing counters (schemaGate, ticket_store guard, readiness, cutover) register as scrape-time collectors
+ * - TicketStore.complete() observes lease→fill seconds; ToolGateway attempts observe tool duration
+ * - /metrics/prom is public like /metrics (auth enabled) and the JSON /metrics stays unchanged
+ */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const { MetricsRegistry, metricsRegistry, METRIC_TYPES } = require('../../lib/metrics/MetricsRegistry');
+const TicketStore = require('../../store/TicketStore');
+const schemaGate = require('../../lib/schemaGate');
+const { readinessMetrics } = require('../../lib/readiness/readinessMetrics');
+const { startServerWithEnv } = require('./helpers/server');
+
+function get(baseUrl, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlPath, baseUrl);
+    http.get({ hostname: url.hostname, port: url.port, path: url.pathname, headers }, (res) => {
+      let body = '';
+      res.on('data', (c) => { body += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+async function testRegistryRendering() {
+  console.log('[Test] testRegistryRendering: START');
+  const registry = new MetricsRegistry();
+  const calls = registry.counter({ name: 'orchestrator_test_calls', help: 'Test calls', labelNames: ['route'] });
+  calls.inc({ route: '/a "quoted"' });
+  calls.inc({ route: '/a "quoted"' }, 2);
+  assert.strictEqual(registry.counter({ name: 'orchestrator_test_calls', help: 'dup' }), calls, 'same name → same counter');
+
+  const latency = registry.histogram({ name: 'orchestrator_test_seconds', help: 'Test latency', labelNames: ['kind'], buckets: [1, 5] });
+  latency.observe({ kind: 'TOOL' }, 0.5);
+  latency.observe({ kind: 'TOOL' }, 3);
+  latency.observe({ kind: 'TOOL' }, 10);
+
+  registry.collector({ name: 'orchestrator_test_gauge', help: 'Gauge', type: METRIC_TYPES.GAUGE, collect: () => [{ labels: { s: 'x' }, value: 7 }] });
+  registry.collector({ name: 'orchestrator_test_broken', help: 'Broken', type: METRIC_TYPES.GAUGE, collect: () => { throw new Error('boom'); } });
+
+  const text = registry.render();
+  const lines = text.trim().split('\n');
+  assert.ok(lines.includes('# TYPE orchestrator_test_calls counter'));
+  assert.ok(lines.includes('orchestrator_test_calls_total{route="/a \\"quoted\\""} 3'));
+  assert.ok(lines.includes('# TYPE orchestrator_test_seconds histogram'));
+  assert.ok(lines.includes('orchestrator_test_seconds_bucket{kind="TOOL",le="1"} 1'));
+  assert.ok(lines.includes('orchestrator_test_seconds_bucket{kind="TOOL",le="5"} 2'));
+  assert.ok(lines.includes('orchestrator_test_seconds_bucket{kind="TOOL",le="+Inf"} 3'));
+  assert.ok(lines.includes('orchestrator_test_seconds_sum{kind="TOOL"} 13.5'));
+  assert.ok(lines.includes('orchestrator_test_seconds_count{kind="TOOL"} 3'));
+  assert.ok(lines.includes('orchestrator_test_gauge{s="x"} 7'));
+  assert.ok(!text.includes('orchestrator_test_broken'), 'failing collector skipped');
+  assert.strictEqual(lines[lines.length - 1], '# EOF');
+
+  registry.reset();
+  assert.ok(!registry.render().includes('orchestrator_test_calls_total'));
+  console.log('[Test] testRegistryRendering: PASS ✓');
+}
+
+async function testModuleCountersRegistered() {
+  console.log('[Test] testModuleCountersRegistered: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  await store.create({ id: 'prom_tool', flow_id: 'tool_execution_v1', metadata: { kind: 'TOOL' } });
+  const [leased] = await store.lease('TOOL', 1, 60, 'w');
+  leased.metadata.leased_at = new Date(Date.now() - 42000).toISOString();
+  await store.complete('prom_tool', { ok: true }, 'w', { lease_owner: 'w', lease_token: leased.metadata.lease_token });
+
+  readinessMetrics.incrementRequiredUnavailable('memory');
+
+  const text = metricsRegistry.render();
+  for (const family of [
+    'orchestrator_schema_warning counter',
+    'orchestrator_schema_strict_reject counter',
+    'orchestrator_ticket_store_guard_reject counter',
+    'orchestrator_readiness_required_unavailable counter',
+    'orchestrator_cutover_events counter',
+    'orchestrator_lease_to_fill_seconds histogram'
+  ]) {
+    assert.ok(text.includes(`# TYPE ${family}`), `family registered: ${family}`);
+  }
+  assert.ok(/orchestrator_lease_to_fill_seconds_bucket\{kind="TOOL",le="60"\} [1-9]/.test(text), 'lease→fill observed in the 60s bucket');
+  assert.ok(/orchestrator_readiness_required_unavailable_total\{dep="memory",code="MCP_REQUIRED_UNAVAILABLE"\} [1-9]/.test(text));
+  assert.ok(/orchestrator_cutover_events_total\{event_type="canonical_missing",field="tool_verdict"\} \d+/.test(text));
+  assert.ok(typeof schemaGate.getMetrics().schema_warning_total === 'number', 'JSON snapshot untouched');
+  console.log('[Test] testModuleCountersRegistered: PASS ✓');
+}
+
+async function testHttpPromEndpoint() {
+  console.log('[Test] testHttpPromEndpoint: START');
+  const { baseUrl, stop } = await startServerWithEnv({
+    NO_MCP: 'true',
+    NODE_ENV: 'test',
+    FLOWS_WATCH: 'false',
+    ORCH_AUTH_TOKEN: 'prom-test-token'
+  });
+
+  try {
+    const prom = await get(baseUrl, '/metrics/prom');
+    assert.strictEqual(prom.status, 200, '/metrics/prom is public');
+    assert.ok(prom.headers['content-type'].startsWith('application/openmetrics-text'));
+    assert.ok(prom.body.includes('# TYPE orchestrator_tickets gauge'));
+    assert.ok(prom.body.includes('# TYPE orchestrator_readiness_dep_ready gauge'));
+    assert.ok(/orchestrator_readiness_dep_ready\{dep="memory",required="true"\} [01]/.test(prom.body));
+    assert.ok(/orchestrator_lease_reclaimed_total\{outcome="pending"\} 0/.test(prom.body));
+    assert.ok(prom.body.includes('# TYPE orchestrator_tool_call_duration_seconds histogram'));
+    assert.ok(prom.body.endsWith('# EOF\n'));
+
+    const json = await get(baseUrl, '/metrics');
+    assert.strictEqual(json.status, 200);
+    const data = JSON.parse(json.body);
+    assert.ok(data.tickets && data.schema_gate && data.readiness && data.cutover, 'JSON /metrics unchanged');
+
+    assert.strictEqual((await get(baseUrl, '/v1/tickets')).status, 401, 'other GETs still need an identity');
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpPromEndpoint: PASS ✓');
+}
+
+async function runAll() {
+  await testRegistryRendering();
+  await testModuleCountersRegistered();
+  await testHttpPromEndpoint();
+}
+
+module.exports = {
+  runAll
+};
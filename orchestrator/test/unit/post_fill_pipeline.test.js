@@ -0,0 +1,231 @@
+/**
+ * POST_FILL_PIPELINE: TRIAGE APPROVE → TOOL (RunnerCore) → REPLY replaces handlePostFillAutomation
+ *
+ * Contract:
+ * - POST_FILL_PIPELINE=tool|legacy; unset → tool iff ENABLE_TOOL_DERIVATION=true
+ * - NotebookLM lookups are notebooklm.ask_question tool_steps run by RunnerCore through ToolExecutionService
+ *   (readiness gating on the optional notebooklm dep, stable codes)
+ * - notebooklm answers become outputs.context_notes → REPLY reply_input.context_notes (derivation stays idempotent)
+ * - tool_input.reply_input (cluster variation_note) rides along to the REPLY
+ * - NotebookLM down (optional dep): notebooklm steps are skipped, the run stays ok and the REPLY is still
+ *   derived with a "(查詢略過…)" note, as the legacy path did
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const deriveToolTicketFromTriage = require('../../lib/deriveToolTicketFromTriage');
+const { maybeDeriveReplyFromToolOnFill } = require('../../lib/maybeDeriveReplyFromToolOnFill');
+const { POST_FILL_PIPELINES, resolvePostFillPipeline } = require('../../lib/postFillPipeline');
+const { recordStepResults, buildContextNotes } = require('../../lib/tool_runner/contextNotes');
+const { ToolExecutionService } = require('../../lib/tool_execution/ToolExecutionService');
+const { InProcessToolsGatewayAdapter } = require('../../lib/tool_runner/ToolGatewayAdapter');
+const { bridgeToolSteps } = require('../../lib/tool_runner/b_script_bridge');
+const { run } = require('../../lib/tool_runner/RunnerCore');
+const { RUN_STATUS, RUN_CODES } = require('../../lib/tool_runner/ssot');
+const { blockingDepsForToolName } = require('../../lib/readiness/ssot');
+const { mapRunReportStatusToVerdict } = require('../../lib/tool_runner/b_script_executor_ssot');
+
+const quietLogger = { info() {}, warn() {}, error() {}, log() {} };
+
+const NEEDS = [{ question: '台北捷運去年運量是多少？', purpose: '核對數據' }];
+
+function fakeToolGateway({ notebooklmReady = true } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getDepStates: () => ({
+      memory: { ready: true, code: null },
+      web_search: { ready: true, code: null },
+      notebooklm: notebooklmReady ? { ready: true, code: null } : { ready: false, code: 'DEP_UNAVAILABLE' }
+    }),
+    async executeTool(server, tool, args) {
+      calls.push({ server, tool, args });
+      if (server === 'notebooklm') return { content: [{ type: 'text', text: '約 7 億人次' }] };
+      return { content: [{ type: 'text', text: JSON.stringify({ entities: [], results: [] }) }] };
+    }
+  };
+}
+
+async function withEnv(vars, fn) {
+  const prev = {};
+  for (const [key, value] of Object.entries(vars)) {
+    prev[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(prev)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+async function createTriage(store, extraMetadata = {}) {
+  const ticket = {
+    id: `triage-${Math.random().toString(36).slice(2, 8)}`,
+    type: 'TriageTicket',
+    status: 'done',
+    flow_id: 'triage_zh_hant_v1',
+    event: { type: 'triage_candidate', content: '聽說捷運去年運量腰斬？' },
+    metadata: { kind: 'TRIAGE', candidate_id: 'cand-1', ...extraMetadata }
+  };
+  await store.create(ticket);
+  return ticket;
+}
+
+// TOOL ticket → RunnerCore (ToolExecutionService adapter) → fill outputs, as tool_runner_b does
+async function executeToolTicket(toolTicket, toolGateway) {
+  const service = new ToolExecutionService({ toolGateway, logger: quietLogger, mode: 'NORMAL' });
+  const recorder = recordStepResults(new InProcessToolsGatewayAdapter(service, quietLogger));
+  const runReport = await run(bridgeToolSteps(toolTicket), toolGateway.getDepStates(), {
+    gateway: recorder.gateway,
+    budget: toolTicket.metadata.tool_input.budget,
+    requiredDeps: (toolName) => blockingDepsForToolName(toolName)
+  });
+  const outputs = { tool_context: { evidence: [] }, tool_verdict: mapRunReportStatusToVerdict(runReport.status) };
+  const contextNotes = buildContextNotes(recorder.records, toolTicket);
+  if (contextNotes) outputs.context_notes = contextNotes;
+  return { runReport, outputs };
+}
+
+async function testResolvePipeline() {
+  console.log('[Test] testResolvePipeline: START');
+  assert.strictEqual(resolvePostFillPipeline({}), POST_FILL_PIPELINES.LEGACY);
+  assert.strictEqual(resolvePostFillPipeline({ ENABLE_TOOL_DERIVATION: 'true' }), POST_FILL_PIPELINES.TOOL);
+  assert.strictEqual(resolvePostFillPipeline({ POST_FILL_PIPELINE: 'tool' }), POST_FILL_PIPELINES.TOOL);
+  assert.strictEqual(resolvePostFillPipeline({ POST_FILL_PIPELINE: 'Legacy', ENABLE_TOOL_DERIVATION: 'true' }), POST_FILL_PIPELINES.LEGACY);
+  assert.strictEqual(resolvePostFillPipeline({ POST_FILL_PIPELINE: 'bogus' }), POST_FILL_PIPELINES.LEGACY);
+  console.log('[Test] testResolvePipeline: PASS ✓');
+}
+
+async function testTriageToolReplyWithNotebookContext() {
+  console.log('[Test] testTriageToolReplyWithNotebookContext: START');
+  await withEnv({ ENABLE_TOOL_DERIVATION: undefined, ENABLE_REPLY_DERIVATION: 'true', TOOL_ONLY_MODE: undefined }, async () => {
+    const store = new TicketStore(null, { type: 'memory' });
+    const triage = await createTriage(store);
+    const triageOutputs = { decision: 'APPROVE', target_prompt_id: 'reply.standard', reply_strategy: 'standard', information_needs: NEEDS };
+
+    // enabled overrides the ENABLE_TOOL_DERIVATION env gate; repo policy plans a notebooklm step per need
+    const toolId = await deriveToolTicketFromTriage(triage, triageOutputs, store, {
+      enabled: true,
+      replyInput: { variation_note: 'Word it differently.' }
+    });
+    assert.ok(toolId, 'TOOL ticket derived');
+    const toolTicket = await store.get(toolId);
+    const notebookSteps = toolTicket.metadata.tool_input.tool_steps.filter((s) => s.server === 'notebooklm');
+    assert.deepStrictEqual(notebookSteps, [{ server: 'notebooklm', tool: 'ask_question', args: { question: NEEDS[0].question } }]);
+
+    const toolGateway = fakeToolGateway();
+    const { runReport, outputs } = await executeToolTicket(toolTicket, toolGateway);
+    assert.strictEqual(runReport.status, RUN_STATUS.OK);
+    assert.ok(toolGateway.calls.some((c) => c.server === 'notebooklm' && c.tool === 'ask_question'));
+    assert.strictEqual(outputs.context_notes, `【問：${NEEDS[0].question}】\n(目的：核對數據)\n答：約 7 億人次`);
+
+    const first = await maybeDeriveReplyFromToolOnFill(toolTicket, outputs, store, quietLogger);
+    assert.strictEqual(first.created, true);
+    const reply = await store.get(first.reply_ticket_id);
+    assert.strictEqual(reply.metadata.kind, 'REPLY');
+    assert.strictEqual(reply.metadata.parent_ticket_id, toolId);
+    assert.strictEqual(reply.metadata.reply_input.context_notes, outputs.context_notes);
+    assert.strictEqual(reply.metadata.reply_input.variation_note, 'Word it differently.');
+
+    const second = await maybeDeriveReplyFromToolOnFill(toolTicket, outputs, store, quietLogger);
+    assert.strictEqual(second.reason, 'idempotent');
+    assert.strictEqual(second.reply_ticket_id, first.reply_ticket_id);
+  });
+  console.log('[Test] testTriageToolReplyWithNotebookContext: PASS ✓');
+}
+
+async function testNotebookReadinessGating() {
+  console.log('[Test] testNotebookReadinessGating: START');
+  const step = { tool_name: 'notebooklm', _original_tool: 'ask_question', args: { question: 'q' } };
+
+  const ready = new ToolExecutionService({ toolGateway: fakeToolGateway(), logger: quietLogger });
+  const ok = await ready.executeTool({ tool_name: 'notebooklm', args: step.args, context: { step } });
+  assert.strictEqual(ok.ok, true, 'optional notebooklm dep is honoured when ready');
+
+  const downGateway = fakeToolGateway({ notebooklmReady: false });
+  const down = new ToolExecutionService({ toolGateway: downGateway, logger: quietLogger });
+  const skipped = await down.executeTool({ tool_name: 'notebooklm', args: step.args, context: { step } });
+  assert.strictEqual(skipped.ok, true, 'optional dep down → skipped, not blocked');
+  assert.strictEqual(skipped.skipped, true);
+  assert.deepStrictEqual(skipped.skip, {
+    reason: 'optional_dep_unavailable',
+    code: RUN_CODES.TOOL_UNAVAILABLE,
+    message: 'Optional deps unavailable: notebooklm'
+  });
+  assert.strictEqual(downGateway.calls.length, 0, 'no call when the dep is not ready');
+
+  // required deps still block
+  const memoryDown = fakeToolGateway();
+  memoryDown.getDepStates = () => ({ ...fakeToolGateway().getDepStates(), memory: { ready: false, code: 'DEP_INIT_FAILED' } });
+  const blocked = await new ToolExecutionService({ toolGateway: memoryDown, logger: quietLogger }).executeTool({
+    tool_name: 'memory',
+    args: { query: 'q' },
+    context: { step: { _original_tool: 'search_nodes' } }
+  });
+  assert.strictEqual(blocked.ok, false);
+  assert.strictEqual(blocked.error.code, RUN_CODES.MCP_REQUIRED_UNAVAILABLE);
+  console.log('[Test] testNotebookReadinessGating: PASS ✓');
+}
+
+async function testNotebookDownStillDerivesReply() {
+  console.log('[Test] testNotebookDownStillDerivesReply: START');
+  await withEnv({ ENABLE_TOOL_DERIVATION: undefined, ENABLE_REPLY_DERIVATION: 'true', TOOL_ONLY_MODE: undefined }, async () => {
+    const store = new TicketStore(null, { type: 'memory' });
+    const triage = await createTriage(store);
+    const triageOutputs = { decision: 'APPROVE', target_prompt_id: 'reply.standard', reply_strategy: 'standard', information_needs: NEEDS };
+    const toolId = await deriveToolTicketFromTriage(triage, triageOutputs, store, { enabled: true });
+    const toolTicket = await store.get(toolId);
+
+    const toolGateway = fakeToolGateway({ notebooklmReady: false });
+    const { runReport, outputs } = await executeToolTicket(toolTicket, toolGateway);
+    assert.strictEqual(runReport.status, RUN_STATUS.OK, 'notebooklm down does not block the TOOL run');
+    const notebookReport = runReport.step_reports.find((r) => r.tool_name === 'notebooklm');
+    assert.strictEqual(notebookReport.status, RUN_STATUS.OK);
+    assert.ok(notebookReport.result_summary.startsWith(`skipped: ${RUN_CODES.TOOL_UNAVAILABLE}`));
+    assert.ok(!toolGateway.calls.some((c) => c.server === 'notebooklm'));
+    assert.ok(toolGateway.calls.some((c) => c.server === 'memory'), 'other sources still run');
+    assert.strictEqual(outputs.tool_verdict, 'PROCEED');
+    assert.strictEqual(outputs.context_notes, `【問：${NEEDS[0].question}】\n(查詢略過：Optional deps unavailable: notebooklm)`);
+
+    const derived = await maybeDeriveReplyFromToolOnFill(toolTicket, outputs, store, quietLogger);
+    assert.strictEqual(derived.created, true, 'approved post still gets a REPLY');
+    const reply = await store.get(derived.reply_ticket_id);
+    assert.strictEqual(reply.metadata.reply_input.context_notes, outputs.context_notes);
+  });
+  console.log('[Test] testNotebookDownStillDerivesReply: PASS ✓');
+}
+
+async function testContextNotesFormatting() {
+  console.log('[Test] testContextNotesFormatting: START');
+  const records = [
+    { tool_name: 'memory', args: { query: 'x' }, response: { ok: true, result: [{ type: 'text', text: 'ignored' }] } },
+    { tool_name: 'notebooklm', args: { question: 'A?' }, response: { ok: true, skipped: true, skip: { code: RUN_CODES.TOOL_UNAVAILABLE } } },
+    { tool_name: 'notebooklm', args: { question: 'B?' }, response: { ok: false, error: { code: RUN_CODES.TOOL_TIMEOUT, message: 'timed out' } } },
+    { tool_name: 'notebooklm', args: { question: 'C?' }, response: { ok: true, result: 'plain answer' } }
+  ];
+  assert.strictEqual(
+    buildContextNotes(records, null),
+    `【問：A?】\n(查詢略過：${RUN_CODES.TOOL_UNAVAILABLE})\n\n【問：B?】\n(查詢失敗：timed out)\n\n【問：C?】\n答：plain answer`
+  );
+  assert.strictEqual(buildContextNotes(records.slice(0, 1), null), '', 'no notebooklm calls → no notes');
+  console.log('[Test] testContextNotesFormatting: PASS ✓');
+}
+
+async function runAll() {
+  await testResolvePipeline();
+  await testTriageToolReplyWithNotebookContext();
+  await testNotebookReadinessGating();
+  await testNotebookDownStillDerivesReply();
+  await testContextNotesFormatting();
+}
+
+module.exports = {
+  runAll
+};
@@ -52,6 +52,38 @@ async function runTests() {
     ...Object.values(require('./s2_ticket_schema_compat.test')),
     // Stage 2: S2-D TicketStore State Machine (pending→running→done/failed/blocked)
     { module: require('./s2_ticket_store_state_machine.test'), isRunAllStyle: true },
+    // TicketStore persistence drivers (journal / sqlite) survive restart
+    { module: require('./ticketstore_persistence.test'), isRunAllStyle: true },
+    // TicketStore secondary indexes, status counters, cursor pagination (GET /v1/tickets X-Next-Cursor)
+    { module: require('./ticketstore_index.test'), isRunAllStyle: true },
+    // Ticket lifecycle events + SSE GET /v1/ticket-events (Last-Event-ID resume)
+    { module: require('./ticket_events.test'), isRunAllStyle: true },
+    // POST /v1/triage/batch mode=async|sync with wait_ms (per-candidate decisions, pending on timeout)
+    { module: require('./triage_batch_sync.test'), isRunAllStyle: true },
+    // Ingest dedup window (candidate_id / seed.value) + Idempotency-Key replay
+    { module: require('./ingest_idempotency.test'), isRunAllStyle: true },
+    // Near-duplicate / copypasta clustering: representative triage, member inheritance, vary / reuse replies
+    { module: require('./ingest_clustering.test'), isRunAllStyle: true },
+    // Triage rule engine: rules/triage.yaml conditions, hot reload, dry-run, per-rule skip counters
+    { module: require('./triage_rules.test'), isRunAllStyle: true },
+    // Retry policy + dead-letter queue: not_before backoff, retry → dead_letter, /v1/dead-letters requeue / discard
+    { module: require('./dead_letter_retry.test'), isRunAllStyle: true },
+    // TOOL planning: information_needs → tool_steps per reply strategy, budget truncation, plan rationale
+    { module: require('./tool_planning.test'), isRunAllStyle: true },
+    // RunnerCore step data flow: save_as references, when conditions, for_each fan-out, StepReportV1.data_flow
+    { module: require('./tool_runner_data_flow.test'), isRunAllStyle: true },
+    // POST_FILL_PIPELINE: TRIAGE → TOOL (notebooklm steps via ToolExecutionService) → REPLY context_notes
+    { module: require('./post_fill_pipeline.test'), isRunAllStyle: true },
+    // ToolCatalog: MCP inputSchema args validation (field paths, INVALID_TOOL_ARGS) + GET /v1/tools
+    { module: require('./tool_catalog.test'), isRunAllStyle: true },
+    // MCP supervision: stdio reconnect with backoff/jitter, restart cap, DEP_TIMEOUT / DEP_INIT_FAILED, audit + /health
+    { module: require('./tool_gateway_supervision.test'), isRunAllStyle: true },
+    // Lease reaper: expired leases reclaimed, exhausted after max reclaims
+    { module: require('./lease_reaper.test'), isRunAllStyle: true },
+    // Lease ordering policy: priority / kind weight / engagement / aging / deadline + GET /v1/queue
+    { module: require('./lease_policy.test'), isRunAllStyle: true },
+    // Prometheus / OpenMetrics registry + GET /metrics/prom
+    { module: require('./metrics_prom.test'), isRunAllStyle: true },
     // M2-C.1: Cutover policy + metrics + /metrics block
     { module: require('./m2c_cutover_policy_metrics.test'), isRunAllStyle: true },
     { module: require('./m2c_strict_cutover_gate.test'), isRunAllStyle: true },
@@ -63,6 +95,8 @@ async function runTests() {
     // M2-A.1: Integration tests (HTTP + readiness)
     { module: require('./http_health_readiness.test'), isRunAllStyle: true },
     { module: require('./http_required_gating.test'), isRunAllStyle: true },
+    // Lease maintenance routes: heartbeat / nack / fail (same lease proof contract as /fill)
+    { module: require('./http_lease_heartbeat_nack_fail.test'), isRunAllStyle: true },
     // M2-A ↔ M2-B: RunnerCore uses in-process ToolExecutionService (primary integration path)
     { module: require('./runnercore_http_gateway_integration.test'), isRunAllStyle: true },
     { module: require('./strict_mcp_init_exit.test'), isRunAllStyle: true },
@@ -72,6 +106,22 @@ async function runTests() {
     { module: require('./evidence_integration_schema.test'), isRunAllStyle: true },
     // M2-B.1: Tool Runner Core (ToolStep validators + RunnerCore + ToolGateway stub)
     ...Object.values(require('./tool_runner_core.test')),
+    // ToolGateway per-server token bucket rate limits
+    { module: require('./tool_gateway_rate_limit.test'), isRunAllStyle: true },
+    // ToolGateway fallback_behavior (retry_once / skip_node) + stdio timeouts
+    { module: require('./tool_gateway_fallback.test'), isRunAllStyle: true },
+    // DAGExecutor condition expressions + parallel branches
+    { module: require('./dag_executor_conditions.test'), isRunAllStyle: true },
+    // FlowRegistry: flows/*.yaml + flowspec.json validation + hot reload
+    { module: require('./flow_registry.test'), isRunAllStyle: true },
+    // FlowRouter: trigger_conditions → flow_id at ingest
+    { module: require('./flow_router.test'), isRunAllStyle: true },
+    // API auth: bearer / HMAC identities, scopes, lease_owner binding
+    { module: require('./http_auth.test'), isRunAllStyle: true },
+    // REPLY approval queue: awaiting_approval → approve (publish) / reject
+    { module: require('./http_reply_approval.test'), isRunAllStyle: true },
+    // Server-side flow execution: DAG via ToolGateway, LLM sub-tickets, RunReportV1
+    { module: require('./flow_execution.test'), isRunAllStyle: true },
     // M2-B.2: B-script executor (SSOT + loop + derivation + v2 normalizeToolSteps)
     ...Object.values(require('./tool_runner_b.test')),
     // Phase C: RunReport v1 / StepReport v1 schema validation
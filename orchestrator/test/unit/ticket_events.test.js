@@ -0,0 +1,199 @@
+/**
+ * Ticket lifecycle events (TicketEventLog + SSE GET /v1/ticket-events)
+ *
+ * Contract:
+ * - TicketStore publishes created / derived / leased / filled / failed / blocked / released on each transition
+ * - since(Last-Event-ID) replays buffered events; ids from another epoch or evicted from the buffer → reset
+ * - The SSE endpoint streams `id:` / `event:` / `data:` frames, filters by ?kind= and resumes from Last-Event-ID
+ * - The first SSE frame announces the heartbeat interval (`: heartbeat_ms=<TICKET_EVENTS_HEARTBEAT_MS>`)
+ */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const TicketStore = require('../../store/TicketStore');
+const { TicketEventLog, TICKET_EVENT_TYPES } = require('../../lib/ticket_events/TicketEventLog');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson } = require('./helpers/http');
+
+/**
+ * Minimal SSE reader: collects parsed frames, waitFor() resolves when a frame matches
+ */
+function openStream(baseUrl, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlPath, baseUrl);
+    const frames = [];
+    const rawFrames = [];
+    const waiters = [];
+    let buffer = '';
+
+    const req = http.get({ hostname: url.hostname, port: url.port, path: url.pathname + url.search, headers }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) >= 0) {
+          const raw = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          rawFrames.push(raw);
+          const frame = {};
+          for (const line of raw.split('\n')) {
+            const m = /^(id|event|data|retry): ?(.*)$/.exec(line);
+            if (m) frame[m[1]] = m[2];
+          }
+          if (!frame.event) continue;
+          if (frame.data) frame.data = JSON.parse(frame.data);
+          frames.push(frame);
+          for (const w of [...waiters]) {
+            if (w.match(frame)) {
+              waiters.splice(waiters.indexOf(w), 1);
+              w.resolve(frame);
+            }
+          }
+        }
+      });
+
+      resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        frames,
+        rawFrames,
+        waitFor(match, timeoutMs = 5000) {
+          const found = frames.find(match);
+          if (found) return Promise.resolve(found);
+          return new Promise((res2, rej2) => {
+            const timer = setTimeout(() => rej2(new Error('SSE frame not received in time')), timeoutMs);
+            waiters.push({ match, resolve: (f) => { clearTimeout(timer); res2(f); } });
+          });
+        },
+        close() {
+          req.destroy();
+        }
+      });
+    });
+    req.on('error', (err) => {
+      if (err.code !== 'ECONNRESET') reject(err);
+    });
+  });
+}
+
+async function testEventLogResume() {
+  console.log('[Test] testEventLogResume: START');
+  const log = new TicketEventLog({ bufferSize: 3, epoch: 'e1' });
+  const received = [];
+  const unsubscribe = log.subscribe((e) => received.push(e.id));
+  log.subscribe(() => { throw new Error('listener boom'); });
+
+  for (let i = 0; i < 5; i++) log.publish(TICKET_EVENT_TYPES.CREATED, { id: `t${i}`, status: 'pending', metadata: { kind: 'TOOL' } });
+  assert.deepStrictEqual(received, ['e1-1', 'e1-2', 'e1-3', 'e1-4', 'e1-5']);
+  assert.strictEqual(log.lastEventId, 'e1-5');
+  assert.strictEqual(log.getMetrics().listener_errors_total, 5, 'listener errors counted, not thrown');
+
+  assert.deepStrictEqual(log.since('e1-3').events.map((e) => e.ticket_id), ['t3', 't4']);
+  assert.deepStrictEqual(log.since('e1-2'), { events: log.buffer.slice(), reset: false }, 'oldest buffered boundary');
+  assert.deepStrictEqual(log.since('e1-5'), { events: [], reset: false });
+  assert.strictEqual(log.since('e1-1').reset, true, 'evicted from buffer');
+  assert.strictEqual(log.since('e0-4').reset, true, 'previous epoch');
+  assert.strictEqual(log.since('e1-9').reset, true, 'ahead of server');
+  assert.strictEqual(log.since('garbage').reset, true);
+
+  unsubscribe();
+  log.publish(TICKET_EVENT_TYPES.LEASED, { id: 't5', status: 'running', metadata: {} });
+  assert.strictEqual(received.length, 5);
+  console.log('[Test] testEventLogResume: PASS ✓');
+}
+
+async function testStorePublishesTransitions() {
+  console.log('[Test] testStorePublishesTransitions: START');
+  const store = new TicketStore(null, { type: 'memory', events: new TicketEventLog({ epoch: 'st' }) });
+  const seen = [];
+  store.events.subscribe((e) => seen.push(`${e.type}:${e.ticket_id}${e.reason ? `:${e.reason}` : ''}`));
+
+  await store.create({ id: 'tool_1', flow_id: 'tool_execution_v1', metadata: { kind: 'TOOL' } });
+  await store.create({ id: 'reply_1', flow_id: 'reply_zh_hant_v1', metadata: { kind: 'REPLY', parent_ticket_id: 'tool_1' } });
+  const [leased] = await store.lease('TOOL', 1, 60, 'w');
+  await store.release('tool_1', { lease_owner: 'w', lease_token: leased.metadata.lease_token });
+  const [again] = await store.lease('TOOL', 1, 60, 'w');
+  await store.complete('tool_1', { ok: true }, 'w', { lease_owner: 'w', lease_token: again.metadata.lease_token });
+  await store.block('reply_1', { code: 'gate_reject', reason: 'test', source: 'test' });
+
+  assert.deepStrictEqual(seen, [
+    'created:tool_1',
+    'created:reply_1',
+    'derived:reply_1',
+    'leased:tool_1',
+    'released:tool_1:nack',
+    'leased:tool_1',
+    'filled:tool_1',
+    'blocked:reply_1:gate_reject'
+  ]);
+  const derived = store.events.buffer.find((e) => e.type === TICKET_EVENT_TYPES.DERIVED);
+  assert.strictEqual(derived.parent_ticket_id, 'tool_1');
+  assert.strictEqual(derived.kind, 'REPLY');
+
+  // Expired lease → released (lease_expired)
+  await store.create({ id: 'tool_2', flow_id: 'tool_execution_v1', metadata: { kind: 'TOOL' } });
+  const [expiring] = await store.lease('TOOL', 1, 60, 'w');
+  expiring.metadata.lease_expires = Date.now() - 1000;
+  await store.reapExpiredLeases();
+  assert.strictEqual(seen[seen.length - 1], 'released:tool_2:lease_expired');
+  console.log('[Test] testStorePublishesTransitions: PASS ✓');
+}
+
+async function testHttpEventStream() {
+  console.log('[Test] testHttpEventStream: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+  const streams = [];
+
+  try {
+    const live = await openStream(baseUrl, '/v1/ticket-events?kind=TRIAGE');
+    streams.push(live);
+    assert.strictEqual(live.status, 200);
+    assert.ok(live.headers['content-type'].startsWith('text/event-stream'));
+
+    const resp = await httpPostJson(baseUrl, '/events', {
+      type: 'thread_post',
+      event_id: `sse_${Date.now()}`,
+      thread_id: 'thread_sse',
+      content: 'Ticket event stream test content',
+      features: { engagement: { likes: 150, comments: 50 } }
+    });
+    const ticketId = resp.data.ticket_id;
+    const created = await live.waitFor((f) => f.event === 'created' && f.data.ticket_id === ticketId);
+    assert.strictEqual(created.data.kind, 'TRIAGE');
+    assert.strictEqual(live.rawFrames[0], 'retry: 3000\n: heartbeat_ms=15000', 'first frame announces the heartbeat interval');
+    assert.strictEqual(created.id, created.data.id);
+
+    const lease = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', limit: 1, lease_sec: 60 });
+    assert.strictEqual(lease.status, 200);
+    await live.waitFor((f) => f.event === 'leased' && f.data.ticket_id === ticketId);
+    assert.ok(live.frames.every((f) => f.data.kind === 'TRIAGE'), '?kind= filters the stream');
+
+    // Resume after `created`: the leased event is replayed
+    const resumed = await openStream(baseUrl, '/v1/ticket-events', { 'Last-Event-ID': created.id });
+    streams.push(resumed);
+    const replayed = await resumed.waitFor((f) => f.event === 'leased');
+    assert.strictEqual(replayed.data.ticket_id, ticketId);
+    assert.ok(!resumed.frames.some((f) => f.event === 'created' && f.data.ticket_id === ticketId), 'no duplicate before Last-Event-ID');
+
+    const unknown = await openStream(baseUrl, '/v1/ticket-events', { 'Last-Event-ID': 'old-1' });
+    streams.push(unknown);
+    const reset = await unknown.waitFor((f) => f.event === 'reset');
+    assert.ok(reset.data.last_event_id);
+  } finally {
+    streams.forEach((s) => s.close());
+    await stop();
+  }
+  console.log('[Test] testHttpEventStream: PASS ✓');
+}
+
+async function runAll() {
+  await testEventLogResume();
+  await testStorePublishesTransitions();
+  await testHttpEventStream();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,153 @@
+/**
+ * TicketStore secondary indexes + cursor pagination
+ *
+ * Contract:
+ * - status / kind / flow_id / parent_ticket_id buckets follow every transition (including direct `ticket.status = x`)
+ * - countByStatus() comes from incremental counters and accepts a facet match (kind / flow_id)
+ * - page() walks created_at order with an opaque cursor; bad cursors throw invalid_cursor
+ * - GET /v1/tickets keeps the array body and returns the next page in X-Next-Cursor
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { TICKET_STATUS, INVALID_CURSOR } = require('../../store/TicketStore');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+function ticket(id, { kind = 'TOOL', createdAt, parent, flowId = 'tool_execution_v1' } = {}) {
+  return {
+    id,
+    flow_id: flowId,
+    metadata: {
+      kind,
+      ...(createdAt ? { created_at: createdAt } : {}),
+      ...(parent ? { parent_ticket_id: parent } : {})
+    }
+  };
+}
+
+async function testIndexesFollowTransitions() {
+  console.log('[Test] testIndexesFollowTransitions: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  for (let i = 0; i < 2000; i++) {
+    const t = await store.create(ticket(`old_${i}`));
+    t.status = TICKET_STATUS.DONE; // direct mutation still moves the bucket
+  }
+  await store.create(ticket('tool_a'));
+  await store.create(ticket('reply_a', { kind: 'REPLY', parent: 'tool_a', flowId: 'reply_zh_hant_v1' }));
+
+  assert.deepStrictEqual(store.index.candidates({ status: 'pending' }), ['tool_a', 'reply_a']);
+  assert.deepStrictEqual(store.index.candidates({ status: 'pending', kind: 'REPLY' }), ['reply_a']);
+  assert.deepStrictEqual(store.index.candidates({ parent_ticket_id: 'tool_a' }), ['reply_a']);
+  assert.deepStrictEqual(store.index.candidates({ kind: 'TRIAGE' }), []);
+
+  const [leased] = await store.lease('REPLY', 5, 60, 'w');
+  assert.strictEqual(leased.id, 'reply_a');
+  assert.deepStrictEqual(store.index.candidates({ status: 'running' }), ['reply_a']);
+
+  const counts = await store.countByStatus();
+  assert.strictEqual(counts.done, 2000);
+  assert.strictEqual(counts.pending, 1);
+  assert.strictEqual(counts.running, 1);
+  assert.strictEqual(await store.count({ status: 'done' }), 2000);
+  assert.strictEqual(await store.count(), 2002);
+
+  const replies = await store.countByStatus((facet) => facet.kind === 'REPLY');
+  assert.deepStrictEqual([replies.running, replies.pending, replies.done], [1, 0, 0]);
+
+  await store.fail('reply_a', 'boom', 'w', { lease_owner: 'w', lease_token: leased.metadata.lease_token });
+  assert.strictEqual((await store.countByStatus()).failed, 1);
+  assert.strictEqual((await store.countByStatus()).running, 0);
+  assert.deepStrictEqual((await store.list({ 'metadata.parent_ticket_id': 'tool_a' })).map((t) => t.id), ['reply_a']);
+  console.log('[Test] testIndexesFollowTransitions: PASS ✓');
+}
+
+async function testCursorPagination() {
+  console.log('[Test] testCursorPagination: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  // Created out of created_at order: pages follow created_at, ties by creation order
+  await store.create(ticket('c', { createdAt: '2020-01-03T00:00:00.000Z' }));
+  await store.create(ticket('a', { createdAt: '2020-01-01T00:00:00.000Z' }));
+  await store.create(ticket('d', { createdAt: '2020-01-03T00:00:00.000Z' }));
+  await store.create(ticket('b', { createdAt: '2020-01-02T00:00:00.000Z', kind: 'REPLY' }));
+  await store.create(ticket('e', { createdAt: '2020-01-04T00:00:00.000Z' }));
+
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await store.page({ limit: 2, ...(cursor ? { cursor } : {}) });
+    seen.push(...page.tickets.map((t) => t.id));
+    cursor = page.next_cursor;
+    pages++;
+  } while (cursor);
+  assert.deepStrictEqual(seen, ['a', 'b', 'c', 'd', 'e']);
+  assert.strictEqual(pages, 3);
+
+  // Cursor survives the cursor ticket changing status; filters apply after the cursor
+  const first = await store.page({ status: 'pending', limit: 2 });
+  assert.deepStrictEqual(first.tickets.map((t) => t.id), ['a', 'b']);
+  await store.block('b', { code: 'gate_reject', reason: 'test', source: 'test' });
+  const second = await store.page({ status: 'pending', limit: 2, cursor: first.next_cursor });
+  assert.deepStrictEqual(second.tickets.map((t) => t.id), ['c', 'd']);
+
+  const tools = await store.page({ kind: 'TOOL', limit: 10 });
+  assert.deepStrictEqual(tools.tickets.map((t) => t.id), ['a', 'c', 'd', 'e']);
+  assert.strictEqual(tools.next_cursor, null);
+
+  await assert.rejects(() => store.page({ cursor: 'not-a-cursor' }), (err) => err.code === INVALID_CURSOR);
+  console.log('[Test] testCursorPagination: PASS ✓');
+}
+
+async function testHttpCursorAndMetrics() {
+  console.log('[Test] testHttpCursorAndMetrics: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+
+  try {
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const resp = await httpPostJson(baseUrl, '/events', {
+        type: 'thread_post',
+        event_id: `index_${i}_${Date.now()}`,
+        thread_id: `thread_index_${i}`,
+        content: `Cursor pagination test content ${i}`,
+        features: { engagement: { likes: 150, comments: 50 } }
+      });
+      ids.push(resp.data.ticket_id);
+    }
+
+    const page1 = await httpGetJson(baseUrl, '/v1/tickets?limit=2&kind=TRIAGE');
+    assert.strictEqual(page1.status, 200);
+    assert.ok(Array.isArray(page1.data), 'body stays a plain array');
+    assert.deepStrictEqual(page1.data.map((t) => t.id), ids.slice(0, 2));
+    const cursor = page1.headers['x-next-cursor'];
+    assert.ok(cursor, 'X-Next-Cursor present when more tickets follow');
+
+    const page2 = await httpGetJson(baseUrl, `/v1/tickets?limit=2&kind=TRIAGE&cursor=${encodeURIComponent(cursor)}`);
+    assert.deepStrictEqual(page2.data.map((t) => t.id), ids.slice(2));
+    assert.strictEqual(page2.headers['x-next-cursor'], undefined);
+
+    const bad = await httpGetJson(baseUrl, '/v1/tickets?cursor=%%%');
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.data.error, INVALID_CURSOR);
+
+    const metrics = await httpGetJson(baseUrl, '/metrics');
+    assert.strictEqual(metrics.data.tickets.pending, 3);
+    assert.strictEqual(metrics.data.replies.indexed, 0);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpCursorAndMetrics: PASS ✓');
+}
+
+async function runAll() {
+  await testIndexesFollowTransitions();
+  await testCursorPagination();
+  await testHttpCursorAndMetrics();
+}
+
+module.exports = {
+  runAll
+};
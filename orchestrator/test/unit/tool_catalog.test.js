@@ -0,0 +1,169 @@
+/**
+ * ToolCatalog: per-tool MCP inputSchema validation (tool_gateway/ToolCatalog.js)
+ *
+ * Contract:
+ * - connect-time listTools() schemas are compiled per server.tool with Ajv
+ * - Unknown top-level keys are rejected when the schema does not set additionalProperties
+ * - Violations carry field paths and surface as INVALID_TOOL_ARGS (ToolExecutionService → RunnerCore blocked)
+ * - A tool missing from a registered server's listTools() is rejected (violation keyword unknown_tool)
+ * - Unregistered servers and tools without a usable schema stay unchecked (TOOL_ARGS_ALLOWLIST still applies)
+ * - GET /v1/tools lists the catalog, including config-only tools
+ */
+
+'use strict';
+
+const assert = require('assert');
+const ToolGateway = require('../../tool_gateway/ToolGateway');
+const { ToolCatalog } = require('../../tool_gateway/ToolCatalog');
+const { ToolExecutionService } = require('../../lib/tool_execution/ToolExecutionService');
+const { InProcessToolsGatewayAdapter } = require('../../lib/tool_runner/ToolGatewayAdapter');
+const { bridgeToolSteps } = require('../../lib/tool_runner/b_script_bridge');
+const { run } = require('../../lib/tool_runner/RunnerCore');
+const { RUN_STATUS, RUN_CODES } = require('../../lib/tool_runner/ssot');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpGetJson } = require('./helpers/http');
+
+const quietLogger = { info() {}, warn() {}, error() {}, log() {} };
+
+const MEMORY_TOOLS = [
+  {
+    name: 'search_nodes',
+    description: 'Search for nodes in the knowledge graph',
+    inputSchema: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: { query: { type: 'string' } },
+      required: ['query']
+    }
+  },
+  {
+    name: 'open_nodes',
+    inputSchema: {
+      type: 'object',
+      properties: { names: { type: 'array', items: { type: 'string' } } },
+      required: ['names']
+    }
+  },
+  { name: 'read_graph', inputSchema: { type: 'object', properties: {} } },
+  { name: 'broken', inputSchema: { type: 'object', properties: { x: { type: 'no-such-type' } } } }
+];
+
+const DEPS_READY = {
+  memory: { ready: true, code: null },
+  web_search: { ready: true, code: null },
+  notebooklm: { ready: true, code: null }
+};
+
+function catalogGateway() {
+  const gateway = new ToolGateway(quietLogger, { mcp_servers: { memory: { command: 'node', tools: ['search_nodes', 'open_nodes'] } } });
+  gateway.toolCatalog.register('memory', MEMORY_TOOLS);
+  gateway.getDepStates = () => DEPS_READY;
+  gateway.calls = [];
+  gateway.executeTool = async (server, tool, args) => {
+    gateway.calls.push({ server, tool, args });
+    return { content: [{ type: 'text', text: '{"entities":[]}' }] };
+  };
+  return gateway;
+}
+
+async function testValidateArgs() {
+  console.log('[Test] testValidateArgs: START');
+  const catalog = new ToolCatalog({ logger: quietLogger });
+  catalog.register('memory', MEMORY_TOOLS);
+
+  assert.deepStrictEqual(catalog.validateArgs('memory', 'search_nodes', { query: 'x' }), { valid: true, checked: true });
+
+  const extra = catalog.validateArgs('memory', 'search_nodes', { query: 'x', entities: [] });
+  assert.strictEqual(extra.valid, false, 'memory allowlist union no longer lets entities into search_nodes');
+  assert.deepStrictEqual(extra.violations, [{ path: '/entities', keyword: 'additionalProperties', message: 'is not allowed' }]);
+  assert.strictEqual(extra.message, 'Invalid args for memory.search_nodes: /entities is not allowed');
+
+  const typed = catalog.validateArgs('memory', 'open_nodes', { names: ['a', 3] });
+  assert.deepStrictEqual(typed.violations.map((v) => [v.path, v.keyword]), [['/names/1', 'type']]);
+
+  const missing = catalog.validateArgs('memory', 'search_nodes', {});
+  assert.deepStrictEqual(missing.violations.map((v) => v.path), ['/query']);
+
+  assert.deepStrictEqual(catalog.validateArgs('memory', 'unknown_tool', { anything: 1 }), {
+    valid: false,
+    checked: true,
+    violations: [{ path: '/', keyword: 'unknown_tool', message: 'tool unknown_tool is not offered by memory' }],
+    message: 'Invalid args for memory.unknown_tool: tool unknown_tool is not offered by memory'
+  }, 'registered server without the tool → rejected');
+  assert.deepStrictEqual(catalog.validateArgs('web_search', 'search', { q: 1 }), { valid: true, checked: false });
+  assert.deepStrictEqual(catalog.validateArgs('memory', 'broken', { x: 1 }), { valid: true, checked: false }, 'uncompilable schema stays unchecked');
+  console.log('[Test] testValidateArgs: PASS ✓');
+}
+
+async function testCatalogList() {
+  console.log('[Test] testCatalogList: START');
+  const catalog = new ToolCatalog({ logger: quietLogger, now: () => Date.parse('2026-01-01T00:00:00Z') });
+  catalog.register('memory', MEMORY_TOOLS.slice(0, 1));
+  const servers = catalog.list({ mcp_servers: { memory: { tools: ['search_nodes', 'open_nodes'] }, web_search: { tools: ['search'] } } });
+
+  assert.deepStrictEqual(servers.map((s) => s.server), ['memory', 'web_search']);
+  assert.strictEqual(servers[0].registered_at, '2026-01-01T00:00:00.000Z');
+  assert.deepStrictEqual(servers[0].tools.map((t) => [t.name, t.source]), [['search_nodes', 'mcp'], ['open_nodes', 'config']]);
+  assert.deepStrictEqual(servers[0].tools[0].input_schema, MEMORY_TOOLS[0].inputSchema);
+  assert.deepStrictEqual(servers[1], { server: 'web_search', registered_at: null, tools: [{ name: 'search', description: null, input_schema: null, source: 'config' }] });
+  console.log('[Test] testCatalogList: PASS ✓');
+}
+
+async function testRunnerCoreBlocksSchemaViolation() {
+  console.log('[Test] testRunnerCoreBlocksSchemaViolation: START');
+  const gateway = catalogGateway();
+  const service = new ToolExecutionService({ toolGateway: gateway, logger: quietLogger, mode: 'NORMAL' });
+
+  const direct = await service.executeTool({
+    tool_name: 'memory',
+    args: { query: 'x', entities: [] },
+    context: { step: { _original_tool: 'search_nodes' } }
+  });
+  assert.strictEqual(direct.ok, false);
+  assert.strictEqual(direct.error.code, RUN_CODES.INVALID_TOOL_ARGS);
+  assert.deepStrictEqual(direct.error.detail.violations.map((v) => v.path), ['/entities']);
+
+  const ticket = bridgeToolSteps({
+    id: 't-catalog',
+    tool_steps: [
+      { server: 'memory', tool: 'search_nodes', args: { query: 'ok' } },
+      { server: 'memory', tool: 'search_nodes', args: { query: 'x', entities: [] } },
+      { server: 'memory', tool: 'search_node', args: { query: 'typo' } }
+    ]
+  });
+  const report = await run(ticket, DEPS_READY, { gateway: new InProcessToolsGatewayAdapter(service, quietLogger) });
+  assert.strictEqual(report.step_reports[0].status, RUN_STATUS.OK);
+  assert.strictEqual(report.step_reports[1].status, RUN_STATUS.BLOCKED);
+  assert.strictEqual(report.step_reports[1].code, RUN_CODES.INVALID_TOOL_ARGS);
+  assert.ok(report.step_reports[1].result_summary.includes('/entities'));
+  assert.strictEqual(report.step_reports[2].status, RUN_STATUS.BLOCKED, 'tool missing from listTools is rejected');
+  assert.strictEqual(report.step_reports[2].code, RUN_CODES.INVALID_TOOL_ARGS);
+  assert.ok(report.step_reports[2].result_summary.includes('search_node is not offered by memory'));
+  assert.strictEqual(gateway.calls.length, 1, 'the invalid call never reaches the MCP server');
+  console.log('[Test] testRunnerCoreBlocksSchemaViolation: PASS ✓');
+}
+
+async function testToolsRoute() {
+  console.log('[Test] testToolsRoute: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+  try {
+    const res = await httpGetJson(baseUrl, '/v1/tools');
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.data.as_of);
+    assert.deepStrictEqual(res.data.servers, [], 'NO_MCP: no servers configured or connected');
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testToolsRoute: PASS ✓');
+}
+
+async function runAll() {
+  await testValidateArgs();
+  await testCatalogList();
+  await testRunnerCoreBlocksSchemaViolation();
+  await testToolsRoute();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,199 @@
+/**
+ * ToolGateway fallback_behavior (retry / skip) + stdio timeouts
+ *
+ * Contract:
+ * - stdio calls honour mcp_servers.<name>.timeout (seconds)
+ * - on_server_timeout=retry_once → one retry, recorded as a 'retry' attempt event
+ * - on_tool_unavailable=skip_node → { skipped: true } instead of throwing, recorded as 'skip'
+ * - ToolExecutionService maps thrown gateway codes (timeout → TOOL_TIMEOUT) and forwards attempt_events
+ * - RunnerCore surfaces retries/skips as STEP_RETRY / STEP_SKIP in RunReportV1.attempt_events
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const ToolGateway = require('../../tool_gateway/ToolGateway');
+const { ToolExecutionService } = require('../../lib/tool_execution/ToolExecutionService');
+const { InProcessToolsGatewayAdapter } = require('../../lib/tool_runner/ToolGatewayAdapter');
+const { runWithV1 } = require('../../lib/tool_runner/RunnerCore');
+const { RUN_STATUS, RUN_CODES } = require('../../lib/tool_runner/ssot');
+
+const quietLogger = { info() {}, warn() {}, error() {}, log() {} };
+
+const READY = {
+  memory: { ready: true, code: null },
+  web_search: { ready: true, code: null },
+  notebooklm: { ready: true, code: null }
+};
+
+function makeGateway({ fallback, timeoutSec = 0.05, client }) {
+  const config = {
+    mcp_servers: {
+      web_search: { command: 'node', tools: ['get-web-search-summaries'], timeout: timeoutSec }
+    },
+    fallback_behavior: fallback
+  };
+  const gateway = new ToolGateway(quietLogger, config);
+  if (client) gateway.clients.set('web_search', client);
+  gateway.getDepStates = () => READY;
+  return gateway;
+}
+
+// First `hangs` calls never resolve (until the timeout race fires), later calls succeed
+function flakyClient(hangs) {
+  let calls = 0;
+  return {
+    get calls() { return calls; },
+    callTool: async () => {
+      calls++;
+      if (calls <= hangs) return new Promise(() => {});
+      return { content: [{ type: 'text', text: 'ok' }] };
+    }
+  };
+}
+
+async function withAuditPath(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-fallback-'));
+  const prev = process.env.TOOL_AUDIT_PATH;
+  process.env.TOOL_AUDIT_PATH = path.join(dir, 'tool_audit.jsonl');
+  try {
+    await fn();
+  } finally {
+    if (prev === undefined) delete process.env.TOOL_AUDIT_PATH;
+    else process.env.TOOL_AUDIT_PATH = prev;
+    // let async audit appends settle before removing the directory
+    await new Promise((r) => setTimeout(r, 20));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function testTimeoutRetryOnce() {
+  console.log('[Test] testTimeoutRetryOnce: START');
+  await withAuditPath(async () => {
+    const client = flakyClient(1);
+    const gateway = makeGateway({ fallback: { on_server_timeout: 'retry_once' }, client });
+
+    const attemptEvents = [];
+    const result = await gateway.executeTool('web_search', 'get-web-search-summaries', { query: 'x' }, { attemptEvents });
+    assert.deepStrictEqual(result.content, [{ type: 'text', text: 'ok' }]);
+    assert.strictEqual(client.calls, 2);
+    assert.deepStrictEqual(
+      attemptEvents.map((e) => [e.attempt, e.outcome, e.action]),
+      [[1, 'timeout', 'retry'], [2, 'ok', null]]
+    );
+
+    // Two consecutive timeouts: retry budget is exactly one
+    const stuck = makeGateway({ fallback: { on_server_timeout: 'retry_once' }, client: flakyClient(5) });
+    const events = [];
+    await assert.rejects(
+      () => stuck.executeTool('web_search', 'get-web-search-summaries', { query: 'x' }, { attemptEvents: events }),
+      (err) => err.code === 'timeout' && err.gateway_code === 'timeout'
+    );
+    assert.deepStrictEqual(events.map((e) => e.action), ['retry', null]);
+  });
+  console.log('[Test] testTimeoutRetryOnce: PASS ✓');
+}
+
+async function testTimeoutWithoutRetryMapsToToolTimeout() {
+  console.log('[Test] testTimeoutWithoutRetryMapsToToolTimeout: START');
+  await withAuditPath(async () => {
+    const client = flakyClient(1);
+    const gateway = makeGateway({ fallback: { on_server_timeout: 'fail' }, client });
+    const service = new ToolExecutionService({ toolGateway: gateway, logger: quietLogger, mode: 'NORMAL' });
+
+    const res = await service.executeTool({
+      tool_name: 'web_search',
+      args: { query: 'x' },
+      context: { ticket_id: 't1', step: { _original_tool: 'get-web-search-summaries' } }
+    });
+    assert.strictEqual(res.ok, false);
+    assert.strictEqual(res.error.code, RUN_CODES.TOOL_TIMEOUT);
+    assert.strictEqual(client.calls, 1, 'no retry without retry_once');
+    assert.strictEqual(res.attempt_events.length, 1);
+    assert.strictEqual(res.attempt_events[0].outcome, 'timeout');
+  });
+  console.log('[Test] testTimeoutWithoutRetryMapsToToolTimeout: PASS ✓');
+}
+
+async function testUnavailableSkipNode() {
+  console.log('[Test] testUnavailableSkipNode: START');
+  await withAuditPath(async () => {
+    // No stdio client connected → unavailable
+    const gateway = makeGateway({ fallback: { on_tool_unavailable: 'skip_node' } });
+    const result = await gateway.executeTool('web_search', 'get-web-search-summaries', { query: 'x' });
+    assert.strictEqual(result.skipped, true);
+    assert.strictEqual(result.error.code, 'unavailable');
+
+    const strict = makeGateway({ fallback: { on_tool_unavailable: 'fail' } });
+    await assert.rejects(
+      () => strict.executeTool('web_search', 'get-web-search-summaries', { query: 'x' }),
+      (err) => err.code === 'unavailable'
+    );
+  });
+  console.log('[Test] testUnavailableSkipNode: PASS ✓');
+}
+
+async function testRunnerCoreSurfacesRetryAndSkip() {
+  console.log('[Test] testRunnerCoreSurfacesRetryAndSkip: START');
+  await withAuditPath(async () => {
+    const ajv = new Ajv({ strict: false, allErrors: true });
+    addFormats(ajv);
+    const schemasDir = path.join(__dirname, '..', '..', 'schemas');
+    for (const f of ['step_report.v1.schema.json', 'run_report.v1.schema.json']) {
+      const schema = JSON.parse(fs.readFileSync(path.join(schemasDir, f), 'utf8'));
+      ajv.addSchema(schema, schema.$id);
+    }
+    const validate = ajv.getSchema('run_report.v1.schema.json');
+
+    const ticket = {
+      id: 'ticket_fallback_1',
+      tool_steps: [{ tool_name: 'web_search', args: { query: 'x' }, _original_tool: 'get-web-search-summaries' }]
+    };
+
+    // Retry then success
+    const retryGateway = makeGateway({ fallback: { on_server_timeout: 'retry_once' }, client: flakyClient(1) });
+    const retryService = new ToolExecutionService({ toolGateway: retryGateway, logger: quietLogger, mode: 'NORMAL' });
+    const retried = await runWithV1(ticket, READY, {
+      gateway: new InProcessToolsGatewayAdapter(retryService, quietLogger),
+      requiredDeps: []
+    });
+    assert.strictEqual(retried.runReportV1.terminal_status, RUN_STATUS.OK);
+    const types = retried.runReportV1.attempt_events.map((e) => e.type);
+    assert.deepStrictEqual(types, ['RUN_START', 'STEP_START', 'STEP_RETRY', 'STEP_END', 'RUN_END']);
+    const retryEvent = retried.runReportV1.attempt_events[2];
+    assert.strictEqual(retryEvent.code, RUN_CODES.TOOL_TIMEOUT);
+    assert.strictEqual(retryEvent.step_index, 1);
+    assert.ok(validate(retried.runReportV1), JSON.stringify(validate.errors));
+
+    // Unavailable → skipped step (ok, not failed)
+    const skipGateway = makeGateway({ fallback: { on_tool_unavailable: 'skip_node' } });
+    const skipService = new ToolExecutionService({ toolGateway: skipGateway, logger: quietLogger, mode: 'NORMAL' });
+    const skipped = await runWithV1(ticket, READY, {
+      gateway: new InProcessToolsGatewayAdapter(skipService, quietLogger),
+      requiredDeps: []
+    });
+    assert.strictEqual(skipped.runReportV1.terminal_status, RUN_STATUS.OK);
+    const skipEvent = skipped.runReportV1.attempt_events.find((e) => e.type === 'STEP_SKIP');
+    assert.ok(skipEvent, 'STEP_SKIP attempt event expected');
+    assert.strictEqual(skipEvent.code, RUN_CODES.TOOL_UNAVAILABLE);
+    assert.ok(skipped.runReport.step_reports[0].result_summary.startsWith('skipped:'));
+    assert.ok(validate(skipped.runReportV1), JSON.stringify(validate.errors));
+  });
+  console.log('[Test] testRunnerCoreSurfacesRetryAndSkip: PASS ✓');
+}
+
+async function runAll() {
+  await testTimeoutRetryOnce();
+  await testTimeoutWithoutRetryMapsToToolTimeout();
+  await testUnavailableSkipNode();
+  await testRunnerCoreSurfacesRetryAndSkip();
+}
+
+module.exports = {
+  runAll
+};
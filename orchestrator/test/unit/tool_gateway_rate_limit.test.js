@@ -0,0 +1,175 @@
+/**
+ * ToolGateway per-server rate limits (token bucket)
+ *
+ * Contract:
+ * - rate_limits.burst calls go through immediately, then requests_per_minute refill
+ * - fallback_behavior.on_rate_limit = queue_request → FIFO queue (bounded by max_queue)
+ * - any other on_rate_limit → reject with code 'rate_limited' (→ TOOL_UNAVAILABLE)
+ * - Rejections / queue waits are written to the tool audit log
+ * - /metrics exposes tool_gateway.rate_limits per server
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolGateway = require('../../tool_gateway/ToolGateway');
+const { RATE_LIMITED } = require('../../tool_gateway/RateLimiter');
+const { mapGatewayErrorCode } = require('../../lib/run_report/stable_codes');
+const { RUN_CODES } = require('../../lib/tool_runner/ssot');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpGetJson } = require('./helpers/http');
+
+const quietLogger = { info() {}, warn() {}, error() {}, log() {} };
+
+function makeGateway({ rateLimits, onRateLimit }) {
+  const config = {
+    mcp_servers: {
+      fake: { command: 'node', tools: ['echo'], rate_limits: rateLimits }
+    },
+    fallback_behavior: { on_rate_limit: onRateLimit }
+  };
+  const gateway = new ToolGateway(quietLogger, config);
+  gateway.clients.set('fake', {
+    callTool: async ({ arguments: args }) => ({ content: [{ type: 'text', text: String(args.n) }] })
+  });
+  return gateway;
+}
+
+async function withAuditPath(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-audit-'));
+  const auditPath = path.join(dir, 'tool_audit.jsonl');
+  const prev = process.env.TOOL_AUDIT_PATH;
+  process.env.TOOL_AUDIT_PATH = auditPath;
+  try {
+    await fn(auditPath);
+  } finally {
+    if (prev === undefined) delete process.env.TOOL_AUDIT_PATH;
+    else process.env.TOOL_AUDIT_PATH = prev;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function readAudit(auditPath) {
+  // writeAuditLog appends asynchronously
+  await new Promise((r) => setTimeout(r, 50));
+  if (!fs.existsSync(auditPath)) return [];
+  return fs.readFileSync(auditPath, 'utf8').trim().split('\n').filter(Boolean).map((l) => JSON.parse(l));
+}
+
+async function testQueueModeDelaysBeyondBurst() {
+  console.log('[Test] testQueueModeDelaysBeyondBurst: START');
+  await withAuditPath(async (auditPath) => {
+    // 600 rpm = 1 token / 100ms
+    const gateway = makeGateway({ rateLimits: { requests_per_minute: 600, burst: 2 }, onRateLimit: 'queue_request' });
+
+    const started = Date.now();
+    const calls = [1, 2, 3, 4].map((n) => gateway.executeTool('fake', 'echo', { n }).then(() => Date.now() - started));
+
+    const mid = gateway.getRateLimitMetrics().fake;
+    assert.strictEqual(mid.queue_depth, 2, 'two calls beyond burst should be queued');
+
+    const elapsed = await Promise.all(calls);
+    assert.ok(elapsed[0] < 90 && elapsed[1] < 90, `burst calls should not wait: ${elapsed}`);
+    assert.ok(elapsed[3] >= 150, `4th call should wait ~2 refills: ${elapsed}`);
+
+    const m = gateway.getRateLimitMetrics().fake;
+    assert.strictEqual(m.queue_depth, 0);
+    assert.strictEqual(m.queued_total, 2);
+    assert.strictEqual(m.allowed_total, 4);
+    assert.strictEqual(m.rejected_total, 0);
+
+    const audit = await readAudit(auditPath);
+    assert.strictEqual(audit.filter((e) => e.status === 'SUCCESS').length, 4);
+    assert.strictEqual(audit.filter((e) => e.rate_limit && e.rate_limit.queued).length, 2, 'queued calls record wait_ms');
+    await gateway.shutdown();
+  });
+  console.log('[Test] testQueueModeDelaysBeyondBurst: PASS ✓');
+}
+
+async function testRejectMode() {
+  console.log('[Test] testRejectMode: START');
+  await withAuditPath(async (auditPath) => {
+    const gateway = makeGateway({ rateLimits: { requests_per_minute: 1, burst: 1 }, onRateLimit: 'reject_request' });
+
+    await gateway.executeTool('fake', 'echo', { n: 1 });
+    await assert.rejects(
+      () => gateway.executeTool('fake', 'echo', { n: 2 }),
+      (err) => err.code === RATE_LIMITED && err.reason === 'no_tokens' && err.retry_after_ms > 0
+    );
+
+    const m = gateway.getRateLimitMetrics().fake;
+    assert.strictEqual(m.rejected_total, 1);
+    assert.strictEqual(m.on_rate_limit, 'reject_request');
+
+    const audit = await readAudit(auditPath);
+    const limited = audit.filter((e) => e.status === 'RATE_LIMITED');
+    assert.strictEqual(limited.length, 1);
+    assert.strictEqual(limited[0].error_code, RATE_LIMITED);
+    assert.strictEqual(limited[0].server, 'fake');
+
+    assert.strictEqual(mapGatewayErrorCode(RATE_LIMITED), RUN_CODES.TOOL_UNAVAILABLE);
+    await gateway.shutdown();
+  });
+  console.log('[Test] testRejectMode: PASS ✓');
+}
+
+async function testQueueFullRejects() {
+  console.log('[Test] testQueueFullRejects: START');
+  await withAuditPath(async () => {
+    const gateway = makeGateway({ rateLimits: { requests_per_minute: 600, burst: 1, max_queue: 1 }, onRateLimit: 'queue_request' });
+
+    const first = gateway.executeTool('fake', 'echo', { n: 1 });
+    const queued = gateway.executeTool('fake', 'echo', { n: 2 });
+    await assert.rejects(
+      () => gateway.executeTool('fake', 'echo', { n: 3 }),
+      (err) => err.code === RATE_LIMITED && err.reason === 'queue_full'
+    );
+    await Promise.all([first, queued]);
+    assert.strictEqual(gateway.getRateLimitMetrics().fake.rejected_total, 1);
+    await gateway.shutdown();
+  });
+  console.log('[Test] testQueueFullRejects: PASS ✓');
+}
+
+function testConfigLimitsLoaded() {
+  console.log('[Test] testConfigLimitsLoaded: START');
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../../mcp_config.json'), 'utf8'));
+  const gateway = new ToolGateway(quietLogger, config);
+  const limits = gateway.getRateLimitMetrics();
+  assert.strictEqual(limits.notebooklm.requests_per_minute, 10);
+  assert.strictEqual(limits.notebooklm.burst, 2);
+  assert.strictEqual(limits.notebooklm.on_rate_limit, 'queue_request');
+  assert.strictEqual(limits.notebooklm.queue_depth, 0);
+  console.log('[Test] testConfigLimitsLoaded: PASS ✓');
+}
+
+async function testMetricsExposeRateLimits() {
+  console.log('[Test] testMetricsExposeRateLimits: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test' });
+
+  try {
+    const resp = await httpGetJson(baseUrl, '/metrics');
+    assert.strictEqual(resp.status, 200);
+    const limits = resp.data.tool_gateway && resp.data.tool_gateway.rate_limits;
+    // NO_MCP boots with an empty server map → block present, no per-server entries
+    assert.deepStrictEqual(limits, {}, 'tool_gateway.rate_limits block should be present');
+    console.log('[Test] testMetricsExposeRateLimits: PASS ✓');
+  } finally {
+    await stop();
+  }
+}
+
+async function runAll() {
+  await testQueueModeDelaysBeyondBurst();
+  await testRejectMode();
+  await testQueueFullRejects();
+  testConfigLimitsLoaded();
+  await testMetricsExposeRateLimits();
+}
+
+module.exports = {
+  runAll
+};
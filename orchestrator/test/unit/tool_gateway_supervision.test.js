@@ -0,0 +1,264 @@
+/**
+ * ToolGateway stdio supervision (tool_gateway/McpSupervisor.js)
+ *
+ * Contract:
+ * - A transport close after initialize() drops the client + catalog entry and reconnects with backoff
+ * - A failed initial connect is retried; connect timeouts surface as DEP_TIMEOUT, other failures DEP_INIT_FAILED
+ * - Backoff is exponential with jitter; restarts within restart_window_ms are capped (suspended)
+ * - Each restart is written to the tool audit log and listed in /health mcp_supervision
+ *   (raw error messages only in the audit log; /health carries codes, states and counters)
+ * - shutdown() stops reconnecting
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ToolGateway = require('../../tool_gateway/ToolGateway');
+const { McpSupervisor, SUPERVISOR_STATES, SUPERVISOR_EVENTS } = require('../../tool_gateway/McpSupervisor');
+const { DEP_CODES } = require('../../lib/readiness/ssot');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpGetJson } = require('./helpers/http');
+
+const quietLogger = { info() {}, warn() {}, error() {}, log() {} };
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitFor(predicate, { timeoutMs = 2000, label = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+    await sleep(5);
+  }
+}
+
+async function withAuditPath(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-supervision-'));
+  const prev = process.env.TOOL_AUDIT_PATH;
+  process.env.TOOL_AUDIT_PATH = path.join(dir, 'tool_audit.jsonl');
+  try {
+    await fn(process.env.TOOL_AUDIT_PATH);
+  } finally {
+    if (prev === undefined) delete process.env.TOOL_AUDIT_PATH;
+    else process.env.TOOL_AUDIT_PATH = prev;
+    await sleep(20);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function readAudit(auditPath) {
+  if (!fs.existsSync(auditPath)) return [];
+  return fs.readFileSync(auditPath, 'utf8').trim().split('\n').filter(Boolean).map((l) => JSON.parse(l));
+}
+
+/**
+ * Gateway whose stdio clients are fakes; `behaviours` decides each connect attempt in order
+ * ('ok' | 'fail' | 'hang'), the last entry repeats.
+ */
+function supervisedGateway(behaviours, supervision = {}) {
+  const config = {
+    mcp_servers: {
+      web_search: { command: 'node', tools: ['get-web-search-summaries'], timeout: 1 }
+    },
+    supervision: { backoff_base_ms: 5, backoff_max_ms: 20, jitter: 0, connect_timeout_ms: 30, ...supervision }
+  };
+  const gateway = new ToolGateway(quietLogger, config);
+  gateway.fakeClients = [];
+  gateway.createStdioClient = () => {
+    const behaviour = behaviours[Math.min(gateway.fakeClients.length, behaviours.length - 1)];
+    const client = {
+      closed: false,
+      async connect() {
+        if (behaviour === 'fail') throw new Error('spawn node ENOENT');
+        if (behaviour === 'hang') return new Promise(() => {});
+      },
+      async listTools() {
+        return { tools: [{ name: 'get-web-search-summaries', inputSchema: { type: 'object', properties: { query: { type: 'string' } } } }] };
+      },
+      async close() {
+        if (client.closed) return;
+        client.closed = true;
+        if (client.onclose) client.onclose();
+      }
+    };
+    gateway.fakeClients.push(client);
+    return { client, transport: {} };
+  };
+  return gateway;
+}
+
+async function testReconnectAfterCrash() {
+  console.log('[Test] testReconnectAfterCrash: START');
+  await withAuditPath(async (auditPath) => {
+    const gateway = supervisedGateway(['ok']);
+    try {
+      await gateway.initialize();
+      assert.strictEqual(gateway.getDepStates().web_search.ready, true);
+      assert.ok(gateway.toolCatalog.get('web_search', 'get-web-search-summaries'));
+
+      // child exits: the SDK fires onerror/onclose on the client
+      const crashed = gateway.fakeClients[0];
+      crashed.onerror(new Error('read EPIPE'));
+      crashed.onclose();
+
+      const down = gateway.getDepStates().web_search;
+      assert.strictEqual(down.ready, false, 'dead client is no longer reported ready');
+      assert.strictEqual(down.code, DEP_CODES.INIT_FAILED);
+      assert.deepStrictEqual(down.detail, { provider: 'web_search', phase: 'reconnect', hint: 'client_not_connected' });
+      assert.strictEqual(gateway.toolCatalog.get('web_search', 'get-web-search-summaries'), null);
+      await assert.rejects(
+        () => gateway.executeTool('web_search', 'get-web-search-summaries', { query: 'x' }),
+        (err) => err.code === 'unavailable'
+      );
+
+      await waitFor(() => gateway.getDepStates().web_search.ready, { label: 'reconnect' });
+      assert.strictEqual(gateway.fakeClients.length, 2);
+      assert.ok(gateway.toolCatalog.get('web_search', 'get-web-search-summaries'), 'catalog re-registered');
+
+      const status = gateway.getSupervisionStatus().web_search;
+      assert.strictEqual(status.state, SUPERVISOR_STATES.READY);
+      assert.strictEqual(status.restarts_total, 1);
+      assert.deepStrictEqual(status.recent_events.map((e) => e.event), [SUPERVISOR_EVENTS.DISCONNECTED, SUPERVISOR_EVENTS.RECONNECTED]);
+      assert.strictEqual(status.recent_events[0].error_code, DEP_CODES.INIT_FAILED);
+      assert.ok(!JSON.stringify(status).includes('EPIPE'), 'raw error messages stay out of /health');
+
+      await sleep(20);
+      const audit = readAudit(auditPath).filter((e) => e.event === 'mcp_supervisor');
+      assert.deepStrictEqual(audit.map((e) => [e.server, e.status, e.attempt]), [['web_search', 'DISCONNECTED', 1], ['web_search', 'RECONNECTED', 2]]);
+      assert.strictEqual(audit[0].error_code, DEP_CODES.INIT_FAILED);
+      assert.strictEqual(audit[0].error, 'read EPIPE');
+    } finally {
+      await gateway.shutdown();
+    }
+
+    // shutdown closes the client without triggering a reconnect
+    assert.strictEqual(gateway.fakeClients[1].closed, true);
+    await sleep(30);
+    assert.strictEqual(gateway.fakeClients.length, 2);
+    assert.strictEqual(gateway.getSupervisionStatus().web_search.state, SUPERVISOR_STATES.STOPPED);
+  });
+  console.log('[Test] testReconnectAfterCrash: PASS ✓');
+}
+
+async function testInitialConnectRetried() {
+  console.log('[Test] testInitialConnectRetried: START');
+  await withAuditPath(async () => {
+    const gateway = supervisedGateway(['hang', 'fail', 'ok'], { backoff_base_ms: 40, backoff_max_ms: 200 });
+    try {
+      await gateway.initialize();
+      const timedOut = gateway.getDepStates().web_search;
+      assert.strictEqual(timedOut.ready, false);
+      assert.strictEqual(timedOut.code, DEP_CODES.TIMEOUT);
+      assert.deepStrictEqual(timedOut.detail, { provider: 'web_search', phase: 'init', hint: 'connect_timeout' });
+      assert.strictEqual(gateway.fakeClients[0].closed, true, 'timed-out client is closed');
+
+      await waitFor(() => gateway.fakeClients.length === 2 && gateway.getDepStates().web_search.code === DEP_CODES.INIT_FAILED, { label: 'second attempt' });
+      await waitFor(() => gateway.getDepStates().web_search.ready, { label: 'third attempt' });
+
+      const status = gateway.getSupervisionStatus().web_search;
+      assert.strictEqual(status.restarts_total, 2);
+      assert.deepStrictEqual(
+        status.recent_events.map((e) => [e.event, e.error_code]),
+        [[SUPERVISOR_EVENTS.CONNECT_FAILED, DEP_CODES.TIMEOUT], [SUPERVISOR_EVENTS.CONNECT_FAILED, DEP_CODES.INIT_FAILED], [SUPERVISOR_EVENTS.RECONNECTED, null]]
+      );
+    } finally {
+      await gateway.shutdown();
+    }
+  });
+  console.log('[Test] testInitialConnectRetried: PASS ✓');
+}
+
+async function testBackoffJitterAndRestartCap() {
+  console.log('[Test] testBackoffJitterAndRestartCap: START');
+  let now = 1000000;
+  let random = 0.5;
+  const timers = [];
+  const events = [];
+  const config = {
+    supervision: { backoff_base_ms: 100, backoff_max_ms: 350, jitter: 0.2, max_restarts: 3, restart_window_ms: 10000 }
+  };
+  const supervisor = new McpSupervisor({
+    config,
+    logger: quietLogger,
+    now: () => now,
+    random: () => random,
+    setTimer: (fn, delay) => { const t = { fn, delay }; timers.push(t); return t; },
+    clearTimer: (t) => { t.cleared = true; },
+    onEvent: (e) => events.push(e.event),
+    reconnect: (server) => {
+      supervisor.connectStarted(server);
+      supervisor.connectFailed(server, new Error('boom'));
+    }
+  });
+  const fire = () => {
+    const t = timers[timers.length - 1];
+    now += t.delay;
+    t.fn();
+  };
+
+  // jitter spreads ±20% around the exponential delay
+  assert.strictEqual(supervisor.backoffMs('memory', 1), 100);
+  random = 1;
+  assert.strictEqual(supervisor.backoffMs('memory', 2), 240);
+  random = 0;
+  assert.strictEqual(supervisor.backoffMs('memory', 2), 160);
+  assert.strictEqual(supervisor.backoffMs('memory', 6), 280, 'capped at backoff_max_ms before jitter');
+  random = 0.5;
+
+  supervisor.connectStarted('memory');
+  supervisor.connectFailed('memory', new Error('boom'));
+  fire();
+  fire();
+  assert.deepStrictEqual(timers.map((t) => t.delay), [100, 200, 350]);
+  fire();
+
+  // 3 restarts inside the window → suspended until the oldest one leaves it
+  const status = supervisor.status().memory;
+  assert.strictEqual(status.state, SUPERVISOR_STATES.SUSPENDED);
+  assert.strictEqual(status.restarts_total, 3);
+  const firstRestartAt = 1000000 + 100;
+  assert.strictEqual(timers[3].delay, firstRestartAt + 10000 - now);
+  assert.deepStrictEqual(events.slice(-2), [SUPERVISOR_EVENTS.CONNECT_FAILED, SUPERVISOR_EVENTS.SUSPENDED]);
+  assert.deepStrictEqual(supervisor.depState('memory'), {
+    code: DEP_CODES.INIT_FAILED,
+    detail: { provider: 'memory', phase: 'init', hint: 'restart_limit' }
+  });
+
+  // the window slides: one more attempt is allowed, then suspended again
+  fire();
+  assert.strictEqual(supervisor.status().memory.restarts_total, 4);
+  assert.strictEqual(supervisor.status().memory.state, SUPERVISOR_STATES.SUSPENDED);
+
+  supervisor.stop();
+  assert.strictEqual(timers[timers.length - 1].cleared, true);
+  assert.strictEqual(supervisor.status().memory.state, SUPERVISOR_STATES.STOPPED);
+  assert.strictEqual(supervisor.status().memory.recent_events.length, 7);
+  console.log('[Test] testBackoffJitterAndRestartCap: PASS ✓');
+}
+
+async function testHealthListsSupervision() {
+  console.log('[Test] testHealthListsSupervision: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+  try {
+    const res = await httpGetJson(baseUrl, '/health');
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.data.mcp_supervision, {}, 'NO_MCP: no stdio servers supervised');
+    assert.ok(res.data.required.memory);
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHealthListsSupervision: PASS ✓');
+}
+
+async function runAll() {
+  await testReconnectAfterCrash();
+  await testInitialConnectRetried();
+  await testBackoffJitterAndRestartCap();
+  await testHealthListsSupervision();
+}
+
+module.exports = {
+  runAll
+};
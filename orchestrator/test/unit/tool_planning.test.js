@@ -0,0 +1,194 @@
+/**
+ * TOOL step planning from TRIAGE information_needs (rules/tool_plan.yaml)
+ *
+ * Contract:
+ * - Each information_needs item expands into the strategy's sources (memory search_nodes, web_search summaries
+ *   + optional get-single-web-page-content fan-out over the top results, notebooklm ask_question); topics → one memory.open_nodes
+ * - Strategy is picked by target_prompt_id (or an exact reply_strategy id), falling back to default
+ * - Plans never exceed budget.max_steps (a page fetch costs fetch_pages); the budget and rationale are stored in metadata.tool_input
+ * - No information_needs → legacy single memory.search_nodes on the post content
+ * - Invalid policy files fall back to the built-in default (load_error recorded)
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TicketStore = require('../../store/TicketStore');
+const deriveToolTicketFromTriage = require('../../lib/deriveToolTicketFromTriage');
+const { planToolSteps } = require('../../lib/tool_planning/planToolSteps');
+const { compilePolicy, loadToolPlanPolicy, ToolPlanPolicyError } = require('../../lib/tool_planning/toolPlanPolicy');
+const { validateToolArgs } = require('../../lib/tool_runner/ssot');
+const { normalizeToolSteps } = require('../../lib/tool_runner/b_script_bridge');
+const { createStubGateway } = require('../../lib/tool_runner/ToolGatewayAdapter');
+const { run } = require('../../lib/tool_runner/RunnerCore');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+const POLICY = {
+  ...compilePolicy({
+    default: { max_needs: 2, sources: ['memory', 'web_search'], budget: { max_steps: 6, max_wall_ms: 30000 } },
+    strategies: {
+      'reply.debunk': { sources: ['memory', 'web_search', 'notebooklm'], fetch_pages: 2, budget: { max_steps: 6 } },
+      'reply.empathy': { max_needs: 1, sources: ['memory'] }
+    }
+  }),
+  source: 'test'
+};
+
+const triageTicket = (content = '有人說新政策會讓電價漲三倍，這是真的嗎？') => ({
+  id: 'triage-1',
+  event: { content },
+  metadata: { kind: 'TRIAGE', candidate_id: 'cand-1' }
+});
+
+const NEEDS = [
+  { question: '新電價政策的官方漲幅是多少？', purpose: '核對數據' },
+  { question: '過去三年電價調整紀錄', purpose: '提供脈絡' },
+  { question: '新電價政策的官方漲幅是多少？', purpose: 'duplicate' },
+  { question: '反對方的主要論點', purpose: '預判反駁' }
+];
+
+async function testPlanByStrategy() {
+  console.log('[Test] testPlanByStrategy: START');
+
+  const standard = planToolSteps({ ticket: triageTicket(), outputs: { target_prompt_id: 'reply.standard', information_needs: NEEDS, topics: ['電價', '台電'] }, policy: POLICY });
+  assert.strictEqual(standard.plan.strategy, 'default', 'unknown strategy → default');
+  assert.deepStrictEqual(standard.tool_steps.map((s) => `${s.server}.${s.tool}`), [
+    'memory.open_nodes',
+    'memory.search_nodes', 'web_search.get-web-search-summaries',
+    'memory.search_nodes', 'web_search.get-web-search-summaries'
+  ]);
+  assert.deepStrictEqual(standard.tool_steps[0].args, { names: ['電價', '台電'] });
+  assert.deepStrictEqual(standard.tool_steps[2].args, { query: NEEDS[0].question, limit: 5 });
+  assert.strictEqual(standard.plan.needs_total, 3, 'duplicate questions are merged');
+  assert.strictEqual(standard.plan.needs_planned, 2);
+  assert.deepStrictEqual(standard.plan.rationale[1], {
+    need_index: 0, question: NEEDS[0].question, purpose: '核對數據', sources: ['memory', 'web_search'], steps: [1, 2]
+  });
+  assert.deepStrictEqual(standard.budget, { max_steps: 6, max_wall_ms: 30000 });
+
+  // debunk: notebooklm + page fetch, truncated by budget (later needs dropped first)
+  const debunk = planToolSteps({ ticket: triageTicket(), outputs: { target_prompt_id: 'reply.debunk', information_needs: NEEDS }, policy: POLICY });
+  assert.strictEqual(debunk.plan.strategy, 'reply.debunk');
+  assert.deepStrictEqual(debunk.tool_steps.map((s) => s.tool), [
+    'search_nodes', 'get-web-search-summaries', 'get-single-web-page-content', 'ask_question', 'search_nodes'
+  ]);
+  assert.strictEqual(debunk.tool_steps[1].save_as, 'web_0');
+  assert.deepStrictEqual(debunk.tool_steps[2], {
+    server: 'web_search',
+    tool: 'get-single-web-page-content',
+    args: { url: '${item.url}' },
+    for_each: '${steps.web_0.results}',
+    max_items: 2,
+    when: { step: 'web_0', is: 'ok' }
+  });
+  assert.deepStrictEqual(debunk.tool_steps[3].args, { question: NEEDS[0].question });
+  // need 0 costs 1 + 1 + 2 (fan-out) + 1; need 1 only fits search_nodes, its page fetch goes with its search
+  assert.strictEqual(debunk.plan.dropped_steps, 3);
+  assert.deepStrictEqual(debunk.plan.rationale[1].steps, [4]);
+  assert.strictEqual(debunk.plan.rationale[1].dropped_steps, 3);
+  assert.deepStrictEqual(debunk.budget, { max_steps: 6, max_wall_ms: 30000 }, 'strategy budget overrides only what it sets');
+
+  // exact reply_strategy id also selects a strategy
+  const empathy = planToolSteps({ ticket: triageTicket(), outputs: { reply_strategy: 'reply.empathy', information_needs: NEEDS }, policy: POLICY });
+  assert.strictEqual(empathy.plan.strategy, 'reply.empathy');
+  assert.strictEqual(empathy.tool_steps.length, 1);
+
+  // Every planned step passes the RunnerCore args allowlist
+  for (const step of normalizeToolSteps([...standard.tool_steps, ...debunk.tool_steps])) {
+    assert.deepStrictEqual(validateToolArgs(step.tool_name, step.args), { valid: true }, `${step._original_tool} args allowed`);
+  }
+
+  // The planned page fetch runs against the real search output shape within the plan budget
+  const calls = [];
+  const gateway = createStubGateway({
+    memory: () => ({ ok: true, result: [{ type: 'text', text: '{"entities":[],"relations":[]}' }] }),
+    notebooklm: () => ({ ok: true, result: [{ type: 'text', text: 'answer' }] }),
+    web_search: ({ args }) => {
+      calls.push(args);
+      const text = args.url
+        ? `**Page Content from: ${args.url}**\n\n**Title:** page\n`
+        : `Search summaries for "${args.query}" with 3 results:\n\n`
+          + [1, 2, 3].map((n) => `**${n}. T${n}**\nURL: https://e.example/${n}\nDescription: d${n}\n\n---\n\n`).join('');
+      return { ok: true, result: [{ type: 'text', text }] };
+    }
+  });
+  const deps = { memory: { ready: true }, web_search: { ready: true }, notebooklm: { ready: true } };
+  const report = await run({ id: 'plan-run-1', tool_steps: normalizeToolSteps(debunk.tool_steps) }, deps, { gateway, budget: debunk.budget });
+  assert.strictEqual(report.status, 'ok', JSON.stringify(report.step_reports.map((r) => [r.status, r.code, r.result_summary])));
+  assert.deepStrictEqual(calls.slice(1), [{ url: 'https://e.example/1' }, { url: 'https://e.example/2' }]);
+
+  // No information_needs → legacy content lookup
+  const legacy = planToolSteps({ ticket: triageTicket('x'.repeat(300)), outputs: { decision: 'APPROVE' }, policy: POLICY });
+  assert.deepStrictEqual(legacy.tool_steps, [{ server: 'memory', tool: 'search_nodes', args: { query: 'x'.repeat(120) } }]);
+  console.log('[Test] testPlanByStrategy: PASS ✓');
+}
+
+async function testPolicyLoading() {
+  console.log('[Test] testPolicyLoading: START');
+  for (const bad of [
+    { default: { sources: ['twitter'] } },
+    { default: { budget: { max_bytes: 1 } } },
+    { strategies: { 'reply.x': { max_needs: 0 } } },
+    { strategies: { 'reply.x': { unknown: true } } },
+    { strategies: ['reply.x'] },
+    { strategies: { 'reply.x': { fetch_pages: 11 } } }
+  ]) {
+    assert.throws(() => compilePolicy(bad), (e) => e instanceof ToolPlanPolicyError && e.code === 'invalid_tool_plan_policy');
+  }
+
+  const repoPolicy = loadToolPlanPolicy({ env: {}, logger: quietLogger });
+  assert.strictEqual(repoPolicy.load_error, null, 'rules/tool_plan.yaml is valid');
+  assert.ok(repoPolicy.strategies['reply.debunk'].sources.includes('notebooklm'));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-plan-'));
+  try {
+    const policyPath = path.join(dir, 'tool_plan.yaml');
+    fs.writeFileSync(policyPath, 'default:\n  sources: [carrier_pigeon]\n');
+    const broken = loadToolPlanPolicy({ env: { TOOL_PLAN_POLICY_PATH: policyPath }, logger: quietLogger });
+    assert.strictEqual(broken.source, 'builtin');
+    assert.ok(broken.load_error.includes('carrier_pigeon'));
+    assert.deepStrictEqual(broken.default.sources, ['memory', 'web_search']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('[Test] testPolicyLoading: PASS ✓');
+}
+
+async function testDerivedTicketCarriesPlan() {
+  console.log('[Test] testDerivedTicketCarriesPlan: START');
+  const prev = process.env.ENABLE_TOOL_DERIVATION;
+  process.env.ENABLE_TOOL_DERIVATION = 'true';
+  try {
+    const store = new TicketStore(null, { type: 'memory' });
+    const ticket = { ...triageTicket(), flow_id: 'triage_v1', status: 'done' };
+    await store.create(ticket);
+    const outputs = { decision: 'APPROVE', target_prompt_id: 'reply.debunk', reply_strategy: '以數據反駁', information_needs: NEEDS.slice(0, 1) };
+    const toolId = await deriveToolTicketFromTriage(ticket, outputs, store, { policy: POLICY });
+    const toolInput = (await store.get(toolId)).metadata.tool_input;
+
+    assert.strictEqual(toolInput.tool_steps.length, 4);
+    assert.deepStrictEqual(toolInput.budget, { max_steps: 6, max_wall_ms: 30000 });
+    assert.strictEqual(toolInput.plan.strategy, 'reply.debunk');
+    assert.strictEqual(toolInput.plan.reply_strategy, '以數據反駁');
+    assert.strictEqual(toolInput.plan.policy_source, 'test');
+    assert.deepStrictEqual(toolInput.triage.information_needs, NEEDS.slice(0, 1));
+  } finally {
+    if (prev === undefined) delete process.env.ENABLE_TOOL_DERIVATION;
+    else process.env.ENABLE_TOOL_DERIVATION = prev;
+  }
+  console.log('[Test] testDerivedTicketCarriesPlan: PASS ✓');
+}
+
+async function runAll() {
+  await testPlanByStrategy();
+  await testPolicyLoading();
+  await testDerivedTicketCarriesPlan();
+}
+
+module.exports = {
+  runAll
+};
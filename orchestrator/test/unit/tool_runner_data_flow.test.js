@@ -0,0 +1,308 @@
+/**
+ * RunnerCore step data flow (lib/tool_runner/stepDataFlow.js)
+ *
+ * Contract:
+ * - save_as stores a step's output; later args reference it with ${steps.<name>.path[0].key}
+ * - when: { step, is } runs a step only if the referenced step was empty / not_empty / ok / failed
+ * - for_each fans out over a list output (max_items, default 3); args may use ${item} / ${index}
+ * - Every fan-out item counts against budget.max_steps; max_wall_ms is re-checked before each item
+ * - Unresolved references → blocked INVALID_TOOL_ARGS; resolved args are re-checked against TOOL_ARGS_ALLOWLIST
+ * - StepReport(V1).data_flow is present only on steps that use these fields (schema-valid)
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const { RUN_STATUS, RUN_CODES } = require('../../lib/tool_runner/ssot');
+const { createStubGateway } = require('../../lib/tool_runner/ToolGatewayAdapter');
+const { run, runWithV1 } = require('../../lib/tool_runner/RunnerCore');
+const { normalizeToolSteps } = require('../../lib/tool_runner/b_script_bridge');
+const { parseRef, resolveArgs, stepOutput, StepRefError } = require('../../lib/tool_runner/stepDataFlow');
+
+const DEPS = {
+  memory: { ready: true, code: null },
+  web_search: { ready: true, code: null }
+};
+
+const textResult = (value) => ({ ok: true, result: [{ type: 'text', text: JSON.stringify(value) }] });
+
+const SEARCH_RESULTS = {
+  results: [
+    { title: 'A', url: 'https://a.example/1' },
+    { title: 'B', url: 'https://b.example/2' },
+    { title: 'C', url: 'https://c.example/3' },
+    { title: 'D', url: 'https://d.example/4' }
+  ]
+};
+
+// get-web-search-summaries 的實際回傳格式（markdown text，非 JSON）
+const summariesResult = ({ results }) => ({
+  ok: true,
+  result: [{
+    type: 'text',
+    text: `Search summaries for "q" with ${results.length} results:\n\n` + results
+      .map((r, i) => `**${i + 1}. ${r.title}**\nURL: ${r.url}\nDescription: about ${r.title}\n\n---\n\n`)
+      .join('')
+  }]
+});
+
+// get-single-web-page-content { url }
+const pageResult = (url) => ({ ok: true, result: [{ type: 'text', text: `**Page Content from: ${url}**\n\n**Title:** page\n` }] });
+
+function recordingGateway(handlers) {
+  const calls = [];
+  const fixtures = {};
+  for (const [toolName, handler] of Object.entries(handlers)) {
+    fixtures[toolName] = (req) => {
+      calls.push({ toolName: req.toolName, args: req.args, fan_out_index: req.context.fan_out_index });
+      return handler(req);
+    };
+  }
+  return { gateway: createStubGateway(fixtures), calls };
+}
+
+async function testResolveRefs() {
+  console.log('[Test] testResolveRefs: START');
+  assert.deepStrictEqual(parseRef('steps.search.results[0].url'), { root: 'steps', path: ['search', 'results', 0, 'url'] });
+  for (const bad of ['ticket.id', 'steps', 'steps[0]', 'steps.search.__proto__', 'steps.search..x', 'process.env']) {
+    assert.throws(() => parseRef(bad), (e) => e instanceof StepRefError && e.code === RUN_CODES.INVALID_TOOL_ARGS, bad);
+  }
+
+  const scope = { steps: { search: SEARCH_RESULTS } };
+  const resolved = resolveArgs({ query: 'site ${steps.search.results[1].title}', limit: '${steps.search.results}' }, scope);
+  assert.strictEqual(resolved.args.query, 'site B');
+  assert.strictEqual(resolved.args.limit, SEARCH_RESULTS.results, 'whole-string reference keeps the raw value');
+  assert.deepStrictEqual(resolved.refs.sort(), ['steps.search.results', 'steps.search.results[1].title']);
+  assert.throws(() => resolveArgs({ query: 'x ${steps.search.results}' }, scope), /not a scalar/);
+  assert.throws(() => resolveArgs({ query: '${steps.search.results[9].url}' }, scope), /Unresolved/);
+
+  assert.deepStrictEqual(stepOutput([{ type: 'text', text: '{"a":1}' }]), { a: 1 });
+  assert.deepStrictEqual(stepOutput({ content: [{ type: 'text', text: 'plain' }] }), { text: 'plain' });
+  assert.deepStrictEqual(stepOutput({ structuredContent: { b: 2 }, content: [] }), { b: 2 });
+
+  // web_search markdown → results parsed from the text
+  const summaries = stepOutput(summariesResult(SEARCH_RESULTS).result);
+  assert.ok(summaries.text.startsWith('Search summaries for "q"'));
+  assert.strictEqual(summaries.results.length, 4);
+  assert.deepStrictEqual(summaries.results[0], { title: 'A', url: 'https://a.example/1', description: 'about A' });
+  assert.deepStrictEqual(Object.keys(stepOutput(pageResult('https://a.example/1').result)), ['text'], 'page content has no entries');
+  assert.deepStrictEqual(stepOutput(summariesResult({ results: [] }).result).results, [], 'zero hits still expose an empty list');
+  console.log('[Test] testResolveRefs: PASS ✓');
+}
+
+async function testSearchThenFetchTopUrl() {
+  console.log('[Test] testSearchThenFetchTopUrl: START');
+  const { gateway, calls } = recordingGateway({
+    web_search: ({ args }) => (args.url ? pageResult(args.url) : summariesResult(SEARCH_RESULTS))
+  });
+
+  // Legacy { server, tool } steps keep data-flow fields through the bridge
+  const tool_steps = normalizeToolSteps([
+    { server: 'web_search', tool: 'get-web-search-summaries', args: { query: '電價', limit: 5 }, save_as: 'search' },
+    { server: 'web_search', tool: 'get-single-web-page-content', args: { url: '${steps.search.results[0].url}' } }
+  ]);
+  assert.strictEqual(tool_steps[0].save_as, 'search');
+  assert.strictEqual(tool_steps[1]._original_tool, 'get-single-web-page-content');
+
+  const report = await run({ id: 't-flow-1', tool_steps }, DEPS, { gateway });
+  assert.strictEqual(report.status, RUN_STATUS.OK);
+  assert.deepStrictEqual(calls[1].args, { url: 'https://a.example/1' });
+  assert.deepStrictEqual(report.step_reports[0].data_flow, { save_as: 'search' });
+  assert.deepStrictEqual(report.step_reports[1].data_flow, { refs: ['steps.search.results[0].url'] });
+  console.log('[Test] testSearchThenFetchTopUrl: PASS ✓');
+}
+
+async function testConditionalFallback() {
+  console.log('[Test] testConditionalFallback: START');
+  const { gateway, calls } = recordingGateway({
+    memory: ({ args }) => textResult(args.query === 'known' ? { entities: [{ name: 'x' }], relations: [] } : { entities: [], relations: [] }),
+    web_search: ({ args }) => (args.query === 'boom' ? { ok: false, error: { code: 'TOOL_EXEC_FAILED', message: 'boom' } } : textResult(SEARCH_RESULTS))
+  });
+
+  const steps = (query) => [
+    { tool_name: 'memory', args: { query }, save_as: 'mem' },
+    { tool_name: 'web_search', args: { query: 'fallback' }, when: { step: 'mem', is: 'empty' }, save_as: 'web' },
+    { tool_name: 'memory', args: { query: 'ok-path' }, when: { step: 'mem', is: 'not_empty' } },
+    { tool_name: 'memory', args: { query: 'after-web' }, when: { step: 'web', is: ['ok', 'failed'] } }
+  ];
+
+  // memory empty → web fallback runs; not_empty branch is skipped
+  let report = await run({ id: 't-flow-2', tool_steps: steps('unknown') }, DEPS, { gateway });
+  assert.strictEqual(report.status, RUN_STATUS.OK, 'skipped steps do not fail the run');
+  assert.deepStrictEqual(calls.map((c) => c.args.query), ['unknown', 'fallback', 'after-web']);
+  assert.deepStrictEqual(report.step_reports[1].data_flow.when, { step: 'mem', is: 'empty', met: true });
+  assert.strictEqual(report.step_reports[2].status, RUN_STATUS.OK);
+  assert.ok(report.step_reports[2].result_summary.startsWith('skipped: when mem is not_empty'));
+  assert.strictEqual(report.step_reports[2].data_flow.when.met, false);
+
+  // memory hit → fallback skipped; a step conditioned on a skipped step never runs
+  calls.length = 0;
+  report = await run({ id: 't-flow-3', tool_steps: steps('known') }, DEPS, { gateway });
+  assert.deepStrictEqual(calls.map((c) => c.args.query), ['known', 'ok-path']);
+  assert.strictEqual(report.step_reports[3].data_flow.when.met, false);
+
+  // failed step → `when: failed` recovery runs; the run keeps the failure
+  calls.length = 0;
+  report = await run({ id: 't-flow-4', tool_steps: [
+    { tool_name: 'web_search', args: { query: 'boom' }, save_as: 'web' },
+    { tool_name: 'memory', args: { query: 'recover' }, when: { step: 'web', is: 'failed' } }
+  ] }, DEPS, { gateway });
+  assert.deepStrictEqual(calls.map((c) => c.args.query), ['boom', 'recover']);
+  assert.strictEqual(report.step_reports[0].status, RUN_STATUS.FAILED);
+  assert.strictEqual(report.step_reports[1].status, RUN_STATUS.OK);
+  console.log('[Test] testConditionalFallback: PASS ✓');
+}
+
+async function testFanOut() {
+  console.log('[Test] testFanOut: START');
+  const { gateway, calls } = recordingGateway({
+    web_search: ({ args }) => {
+      if (!args.url) return summariesResult(SEARCH_RESULTS);
+      if (args.url.includes('b.example')) return { ok: false, error: { code: 'TOOL_EXEC_FAILED', message: 'fetch failed' } };
+      return pageResult(args.url);
+    },
+    memory: () => textResult({ entities: [], relations: [] })
+  });
+
+  const report = await run({ id: 't-flow-5', tool_steps: [
+    { tool_name: 'web_search', args: { query: '電價' }, save_as: 'search' },
+    { tool_name: 'web_search', for_each: '${steps.search.results}', max_items: 3, args: { url: '${item.url}' }, save_as: 'pages' },
+    { tool_name: 'memory', args: { query: 'page ${index}' }, for_each: '${steps.pages}' }
+  ] }, DEPS, { gateway });
+
+  const fetches = calls.filter((c) => c.args.url);
+  assert.deepStrictEqual(fetches.map((c) => c.args.url), ['https://a.example/1', 'https://b.example/2', 'https://c.example/3']);
+  assert.deepStrictEqual(fetches.map((c) => c.fan_out_index), [0, 1, 2]);
+  assert.strictEqual(report.step_reports.length, 3, 'one report per step definition');
+  assert.strictEqual(report.step_reports[1].status, RUN_STATUS.FAILED, 'worst iteration status');
+  assert.strictEqual(report.step_reports[1].code, RUN_CODES.TOOL_EXEC_FAILED);
+  assert.deepStrictEqual(report.step_reports[1].data_flow.fan_out, { items: 3, total: 4, ok: 2, failed: 1, blocked: 0 });
+  // saved fan-out output is the per-item list (failed item → null)
+  assert.deepStrictEqual(calls.filter((c) => c.toolName === 'memory').map((c) => c.args.query), ['page 0', 'page 1', 'page 2']);
+  console.log('[Test] testFanOut: PASS ✓');
+}
+
+async function testFanOutBudget() {
+  console.log('[Test] testFanOutBudget: START');
+  const { gateway, calls } = recordingGateway({
+    web_search: ({ args }) => (args.url ? pageResult(args.url) : summariesResult(SEARCH_RESULTS)),
+    memory: () => textResult({ entities: [] })
+  });
+  const steps = [
+    { tool_name: 'web_search', args: { query: '電價' }, save_as: 'search' },
+    { tool_name: 'web_search', for_each: '${steps.search.results}', max_items: 4, args: { url: '${item.url}' } },
+    { tool_name: 'memory', args: { query: 'after' } }
+  ];
+
+  // max_steps 3: search + 2 fetches; the other items and the next step are over budget
+  let report = await run({ id: 't-flow-budget-1', tool_steps: steps }, DEPS, { gateway, budget: { max_steps: 3 } });
+  assert.deepStrictEqual(calls.map((c) => c.args.url || c.args.query), ['電價', 'https://a.example/1', 'https://b.example/2']);
+  assert.strictEqual(report.step_reports[1].status, RUN_STATUS.BLOCKED);
+  assert.strictEqual(report.step_reports[1].code, RUN_CODES.BUDGET_EXCEEDED);
+  assert.deepStrictEqual(report.step_reports[1].data_flow.fan_out, { items: 4, total: 4, ok: 2, failed: 0, blocked: 2 });
+  assert.strictEqual(report.step_reports[2].code, RUN_CODES.BUDGET_EXCEEDED);
+  assert.strictEqual(report.code, RUN_CODES.BUDGET_EXCEEDED);
+
+  // max_wall_ms: a slow first item stops the fan-out and the run
+  calls.length = 0;
+  const slow = recordingGateway({
+    web_search: async ({ args }) => {
+      if (!args.url) return summariesResult(SEARCH_RESULTS);
+      await new Promise((r) => setTimeout(r, 60));
+      return pageResult(args.url);
+    },
+    memory: () => textResult({ entities: [] })
+  });
+  report = await run({ id: 't-flow-budget-2', tool_steps: steps }, DEPS, { gateway: slow.gateway, budget: { max_wall_ms: 40 } });
+  assert.deepStrictEqual(slow.calls.map((c) => c.args.url || c.args.query), ['電價', 'https://a.example/1']);
+  assert.strictEqual(report.step_reports.length, 2, 'no step runs after the timeout');
+  assert.strictEqual(report.step_reports[1].status, RUN_STATUS.FAILED);
+  assert.strictEqual(report.step_reports[1].code, RUN_CODES.RUN_TIMEOUT);
+  assert.strictEqual(report.status, RUN_STATUS.FAILED);
+  console.log('[Test] testFanOutBudget: PASS ✓');
+}
+
+async function testGuardrails() {
+  console.log('[Test] testGuardrails: START');
+  const { gateway, calls } = recordingGateway({
+    web_search: () => textResult({ ...SEARCH_RESULTS, plans: [{ query: 'q1', limit: 2 }, { query: 'q2', path: '/etc/passwd' }] }),
+    memory: () => textResult({ entities: [] })
+  });
+
+  const report = await run({ id: 't-flow-6', tool_steps: [
+    { tool_name: 'web_search', args: { query: 'x' }, save_as: 'search' },
+    // unresolved reference → blocked before the gateway
+    { tool_name: 'web_search', args: { query: '${steps.search.results[7].url}' } },
+    // unknown save_as in when / for_each → INVALID_TOOL_STEP
+    { tool_name: 'memory', args: { query: 'x' }, when: { step: 'later', is: 'empty' } },
+    { tool_name: 'memory', args: { query: 'x' }, save_as: 'search' },
+    // whole-args reference: resolved item keys are checked against TOOL_ARGS_ALLOWLIST
+    { tool_name: 'web_search', for_each: '${steps.search.plans}', args: '${item}' }
+  ] }, DEPS, { gateway });
+
+  assert.strictEqual(report.step_reports[1].status, RUN_STATUS.BLOCKED);
+  assert.strictEqual(report.step_reports[1].code, RUN_CODES.INVALID_TOOL_ARGS);
+  assert.ok(report.step_reports[1].result_summary.includes('Unresolved reference'));
+  assert.strictEqual(report.step_reports[2].code, RUN_CODES.INVALID_TOOL_STEP);
+  assert.ok(report.step_reports[3].result_summary.includes('Duplicate save_as'));
+
+  const fanned = report.step_reports[4];
+  assert.strictEqual(fanned.status, RUN_STATUS.BLOCKED);
+  assert.strictEqual(fanned.code, RUN_CODES.INVALID_TOOL_ARGS);
+  assert.deepStrictEqual(fanned.data_flow.fan_out, { items: 2, total: 2, ok: 1, failed: 0, blocked: 1 });
+  assert.deepStrictEqual(calls.map((c) => c.args), [{ query: 'x' }, { query: 'q1', limit: 2 }], 'disallowed args never reach the gateway');
+  assert.strictEqual(report.status, RUN_STATUS.BLOCKED);
+  console.log('[Test] testGuardrails: PASS ✓');
+}
+
+async function testStepReportV1DataFlowSchema() {
+  console.log('[Test] testStepReportV1DataFlowSchema: START');
+  const ajv = new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+  const schemasDir = path.join(__dirname, '..', '..', 'schemas');
+  for (const file of ['step_report.v1.schema.json', 'run_report.v1.schema.json']) {
+    const schema = JSON.parse(fs.readFileSync(path.join(schemasDir, file), 'utf8'));
+    ajv.addSchema(schema, schema.$id);
+  }
+  const validate = ajv.getSchema('run_report.v1.schema.json');
+
+  const { gateway } = recordingGateway({
+    web_search: () => textResult(SEARCH_RESULTS),
+    memory: () => textResult({ entities: [] })
+  });
+  const { runReportV1 } = await runWithV1({ id: 't-flow-7', tool_steps: [
+    { tool_name: 'memory', args: { query: 'x' }, save_as: 'mem' },
+    { tool_name: 'web_search', args: { query: 'x' }, save_as: 'search', when: { step: 'mem', is: ['empty', 'failed'] } },
+    { tool_name: 'web_search', args: { url: '${item.url}' }, for_each: '${steps.search.results}', max_items: 2 },
+    { tool_name: 'memory', args: { query: 'x' }, when: { step: 'search', is: 'failed' } },
+    { tool_name: 'memory', args: { query: 'plain' } }
+  ] }, DEPS, { gateway });
+
+  assert.ok(validate(runReportV1), JSON.stringify(validate.errors));
+  const steps = runReportV1.step_reports;
+  assert.deepStrictEqual(steps[1].data_flow, { save_as: 'search', when: { step: 'mem', is: ['empty', 'failed'], met: true } });
+  assert.deepStrictEqual(steps[2].data_flow.fan_out, { items: 2, total: 4, ok: 2, failed: 0, blocked: 0 });
+  assert.deepStrictEqual(steps[2].data_flow.refs.sort(), ['item.url', 'steps.search.results']);
+  assert.strictEqual(steps[3].data_flow.when.met, false);
+  assert.strictEqual(steps[4].data_flow, undefined, 'plain steps keep the pre-data-flow report shape');
+  console.log('[Test] testStepReportV1DataFlowSchema: PASS ✓');
+}
+
+async function runAll() {
+  await testResolveRefs();
+  await testSearchThenFetchTopUrl();
+  await testConditionalFallback();
+  await testFanOut();
+  await testFanOutBudget();
+  await testGuardrails();
+  await testStepReportV1DataFlowSchema();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,155 @@
+/**
+ * POST /v1/triage/batch mode=async | sync (wait_ms)
+ *
+ * Contract:
+ * - mode/wait_ms come from the query string (body as fallback); unknown mode → 400 invalid_mode
+ * - async (default) returns immediately with `queued` results carrying candidate_id
+ * - sync waits up to wait_ms for fills and returns per-candidate decisions (decision, reply_strategy,
+ *   derived_ticket_ids); candidates still unfilled at the deadline come back as status=pending
+ */
+
+'use strict';
+
+const assert = require('assert');
+const TicketStore = require('../../store/TicketStore');
+const { resolveBatchOptions, waitForTriageDecisions, INVALID_BATCH_MODE } = require('../../lib/triage_batch/syncTriageBatch');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson } = require('./helpers/http');
+
+function candidate(id) {
+  return {
+    candidate_id: id,
+    snippet: `Sync batch candidate ${id} with enough content for the filter`,
+    features: { engagement: { likes: 150, comments: 50 } }
+  };
+}
+
+async function testResolveOptions() {
+  console.log('[Test] testResolveOptions: START');
+  assert.deepStrictEqual(resolveBatchOptions({}, {}, {}), { ok: true, mode: 'async', waitMs: 0 });
+  assert.deepStrictEqual(resolveBatchOptions({ mode: 'sync', wait_ms: '1200' }, { mode: 'async' }, {}), { ok: true, mode: 'sync', waitMs: 1200 });
+  assert.deepStrictEqual(resolveBatchOptions({}, { mode: 'sync', wait_ms: 500 }, {}), { ok: true, mode: 'sync', waitMs: 500 });
+  assert.strictEqual(resolveBatchOptions({ mode: 'sync', wait_ms: '999999' }, {}, { TRIAGE_SYNC_MAX_WAIT_MS: '2000' }).waitMs, 2000);
+  assert.strictEqual(resolveBatchOptions({ mode: 'sync', wait_ms: '-5' }, {}, {}).waitMs, 0);
+  assert.strictEqual(resolveBatchOptions({ mode: 'later' }, {}, {}).code, INVALID_BATCH_MODE);
+  console.log('[Test] testResolveOptions: PASS ✓');
+}
+
+async function testWaitForDecisions() {
+  console.log('[Test] testWaitForDecisions: START');
+  const store = new TicketStore(null, { type: 'memory' });
+  for (const id of ['t_ok', 't_slow', 't_fail']) {
+    await store.create({ id, flow_id: 'triage_v1', metadata: { kind: 'TRIAGE' } });
+  }
+  const results = [
+    { candidate_id: 'c1', status: 'queued', ticket_id: 't_ok' },
+    { candidate_id: 'c2', status: 'queued', ticket_id: 't_slow' },
+    { candidate_id: 'c3', status: 'skipped', reason: 'low_engagement' },
+    { candidate_id: 'c4', status: 'queued', ticket_id: 't_fail' }
+  ];
+
+  setTimeout(async () => {
+    await store.complete('t_ok', { decision: 'APPROVE', reply_strategy: 'standard', short_reason: 'ok' }, 'http_fill');
+    await store.create({ id: 'r_ok', flow_id: 'reply_zh_hant_v1', metadata: { kind: 'REPLY', triage_reference_id: 't_ok' } });
+    const { ticket: leased } = await store.leaseById('t_fail', 60, 'w');
+    await store.fail('t_fail', 'boom', 'w', { lease_owner: 'w', lease_token: leased.metadata.lease_token });
+  }, 20);
+
+  const started = Date.now();
+  const settled = await waitForTriageDecisions(store, results, 400);
+  assert.ok(Date.now() - started >= 350, 'waits until the deadline while a ticket is unfilled');
+  assert.strictEqual(settled.timed_out, true);
+
+  const byCandidate = Object.fromEntries(settled.results.map((r) => [r.candidate_id, r]));
+  assert.strictEqual(byCandidate.c1.status, 'decided');
+  assert.strictEqual(byCandidate.c1.decision, 'APPROVE');
+  assert.strictEqual(byCandidate.c1.reply_strategy, 'standard');
+  assert.deepStrictEqual(byCandidate.c1.derived_ticket_ids, ['r_ok']);
+  assert.strictEqual(byCandidate.c3.status, 'skipped', 'non-queued results pass through');
+  assert.strictEqual(byCandidate.c2.status, 'pending');
+  assert.strictEqual(byCandidate.c2.pending, true);
+  assert.strictEqual(byCandidate.c4.status, 'failed');
+  assert.strictEqual(byCandidate.c4.error, 'boom');
+  assert.strictEqual(settled.summary.decided, 1);
+  assert.strictEqual(settled.summary.skipped, 1);
+  assert.strictEqual(settled.summary.pending, 1, 'one unfilled ticket is marked pending');
+  assert.strictEqual(settled.summary.failed, 1);
+  assert.strictEqual(store.events.getMetrics().subscribers, 0, 'waiter unsubscribes');
+  console.log('[Test] testWaitForDecisions: PASS ✓');
+}
+
+async function testHttpSyncBatch() {
+  console.log('[Test] testHttpSyncBatch: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false' });
+
+  try {
+    const stamp = Date.now();
+    const asyncResp = await httpPostJson(baseUrl, '/v1/triage/batch', { candidates: [candidate(`async_${stamp}`)] });
+    assert.strictEqual(asyncResp.status, 200);
+    assert.strictEqual(asyncResp.data.mode, 'async');
+    assert.strictEqual(asyncResp.data.results[0].status, 'queued');
+    assert.strictEqual(asyncResp.data.results[0].candidate_id, `async_${stamp}`);
+
+    const bad = await httpPostJson(baseUrl, '/v1/triage/batch?mode=eventually', { candidates: [] });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.data.error, INVALID_BATCH_MODE);
+
+    // Drain the async ticket so the simulated worker below only sees the sync batch
+    await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', limit: 10, lease_sec: 300 });
+
+    // Simulated worker: fills exactly one TRIAGE ticket while the sync request is waiting
+    const worker = (async () => {
+      for (let i = 0; i < 40; i++) {
+        const lease = await httpPostJson(baseUrl, '/v1/tickets/lease', { kind: 'TRIAGE', limit: 1, lease_sec: 60 });
+        const [ticket] = lease.data.tickets || [];
+        if (ticket) {
+          const fill = await httpPostJson(baseUrl, `/v1/tickets/${ticket.id}/fill`, {
+            outputs: { decision: 'REJECT', short_reason: 'off topic', reply_strategy: null },
+            by: 'sync-test-worker',
+            lease_owner: ticket.metadata.lease_owner,
+            lease_token: ticket.metadata.lease_token
+          });
+          assert.strictEqual(fill.status, 200, JSON.stringify(fill.data));
+          return ticket.id;
+        }
+        await new Promise((r) => setTimeout(r, 50));
+      }
+      return null;
+    })();
+
+    const syncResp = await httpPostJson(baseUrl, '/v1/triage/batch?mode=sync&wait_ms=1500', {
+      candidates: [candidate(`sync_a_${stamp}`), candidate(`sync_b_${stamp}`)]
+    });
+    const filledId = await worker;
+    assert.ok(filledId, 'worker filled one ticket');
+
+    assert.strictEqual(syncResp.status, 200, JSON.stringify(syncResp.data));
+    assert.strictEqual(syncResp.data.mode, 'sync');
+    assert.strictEqual(syncResp.data.wait_ms, 1500);
+    assert.strictEqual(syncResp.data.timed_out, true);
+
+    const decided = syncResp.data.results.find((r) => r.ticket_id === filledId);
+    assert.strictEqual(decided.status, 'decided');
+    assert.strictEqual(decided.decision, 'REJECT');
+    assert.deepStrictEqual(decided.derived_ticket_ids, []);
+
+    const pending = syncResp.data.results.find((r) => r.ticket_id !== filledId);
+    assert.strictEqual(pending.status, 'pending');
+    assert.strictEqual(pending.pending, true);
+    assert.strictEqual(pending.ticket_status, 'pending');
+    assert.deepStrictEqual(syncResp.data.summary, { decided: 1, pending: 1 });
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpSyncBatch: PASS ✓');
+}
+
+async function runAll() {
+  await testResolveOptions();
+  await testWaitForDecisions();
+  await testHttpSyncBatch();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,183 @@
+/**
+ * Triage rule engine (rules/triage.yaml)
+ *
+ * Contract:
+ * - gate0 / gate0b are compiled into rules (gate0.max_recency_minutes and gate0.engagement_min are enforced)
+ * - `rules:` support require / reject with recency, language, platform, author, keyword / regex,
+ *   engagement minimums / ratios and all / any / not composition; invalid specs → TriageRuleError
+ * - The rules file hot-reloads; an invalid file keeps the previous rules and reports load_error
+ * - POST /v1/triage/rules/dry-run explains the rejecting rule; skips are counted per rule in /metrics
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compileRules, evaluateRules, TriageRuleError } = require('../../lib/triage_rules/ruleEngine');
+const { TriageFilter } = require('../../lib/triage_rules/TriageFilter');
+const { startServerWithEnv } = require('./helpers/server');
+const { httpPostJson, httpGetJson } = require('./helpers/http');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+function post(overrides = {}) {
+  return {
+    content: '這個召回新聞大家有看到嗎？官方說明很清楚',
+    platform: 'threads',
+    features: {
+      lang: 'zh-Hant',
+      author: '@Someone',
+      posted_at_iso: '2026-01-01T11:00:00Z',
+      engagement: { likes: 200, comments: 40 }
+    },
+    ...overrides
+  };
+}
+
+const RULES_DOC = {
+  gate0: { enabled: true, min_len: 10, max_recency_minutes: 120, engagement_min: { likes: 0, comments: 0 } },
+  gate0b: { enabled: true, min_likes: 100, min_comments: 30 },
+  rules: [
+    { id: 'deny_authors', reject: { author_in: ['spam_bot', 'Promo_Account'] } },
+    { id: 'zh_or_en', require: { language_in: ['zh-Hant', 'en'] } },
+    { id: 'threads_only', require: { platform_in: ['threads'] } },
+    {
+      id: 'no_promo',
+      reject: { any: [{ keywords_any: ['優惠碼', 'promo code'] }, { regex: 'https?://bit\\.ly/' }] }
+    },
+    { id: 'discussion', require: { engagement_ratio: { of: 'comments', per: 'likes', min: 0.1 } } },
+    { id: 'disabled_rule', enabled: false, require: { max_len: 1 } },
+    { id: 'topic', require: { not: { keywords_all: ['抽獎', '分享'] } } }
+  ]
+};
+
+async function testRuleConditions() {
+  console.log('[Test] testRuleConditions: START');
+  const rules = compileRules(RULES_DOC);
+  assert.ok(!rules.some((r) => r.id === 'disabled_rule'), 'disabled rules are not compiled');
+  const check = (event) => evaluateRules(rules, event, { now: NOW });
+
+  assert.deepStrictEqual(check(post()), { pass: true });
+  assert.deepStrictEqual(check(post({ content: '太短了' })), { pass: false, rule_id: 'gate0.min_len', reason: 'Too short (3 < 10)' });
+  assert.strictEqual(check(post({ features: { ...post().features, posted_at_iso: '2026-01-01T08:00:00Z' } })).rule_id, 'gate0.max_recency_minutes');
+  assert.strictEqual(check(post({ features: { ...post().features, posted_at_iso: undefined } })).pass, true, 'no timestamp → recency not checked');
+  assert.deepStrictEqual(check(post({ features: { ...post().features, engagement: { likes: 50, comments: 40 } } })),
+    { pass: false, rule_id: 'gate0b.min_likes', reason: 'Low likes (50 < 100)' });
+
+  const denied = check(post({ account: { handle: '@promo_account' } }));
+  assert.strictEqual(denied.rule_id, 'deny_authors');
+  assert.ok(denied.reason.startsWith('Rejected by deny_authors'));
+  assert.strictEqual(check(post({ features: { ...post().features, lang: 'ja' } })).rule_id, 'zh_or_en');
+  assert.strictEqual(check(post({ platform: 'facebook' })).rule_id, 'threads_only');
+  assert.strictEqual(check(post({ content: '限時優惠碼快來拿，官方說明很清楚喔' })).rule_id, 'no_promo');
+  assert.strictEqual(check(post({ content: 'check this out https://bit.ly/xyz now please', features: { ...post().features, lang: 'en' } })).rule_id, 'no_promo');
+  assert.strictEqual(check(post({ features: { ...post().features, engagement: { likes: 1000, comments: 40 } } })).rule_id, 'discussion');
+  assert.strictEqual(check(post({ content: '抽獎活動：按讚分享就能參加，官方說明很清楚' })).rule_id, 'topic');
+  assert.strictEqual(check(post({ content: '抽獎活動：按讚就能參加，官方說明很清楚' })).pass, true, 'keywords_all needs every keyword');
+
+  const explained = evaluateRules(rules, post({ platform: 'facebook' }), { now: NOW, explain: true });
+  assert.strictEqual(explained.rule_id, 'threads_only');
+  assert.strictEqual(explained.trace.length, rules.length, 'dry-run evaluates every rule');
+  assert.deepStrictEqual(explained.trace.filter((t) => !t.passed).map((t) => t.rule_id), ['threads_only']);
+
+  for (const bad of [
+    { rules: [{ id: 'x', require: { sentiment: 'positive' } }] },
+    { rules: [{ id: 'x', require: { min_len: 1 } }, { id: 'x', require: { min_len: 2 } }] },
+    { rules: [{ id: 'x', require: { regex: '(' } }] },
+    { rules: [{ id: 'x', require: { min_len: 1 }, reject: { min_len: 2 } }] },
+    { rules: [{ id: 'x', require: { any: [] } }] },
+    { rules: 'nope' }
+  ]) {
+    assert.throws(() => compileRules(bad), (e) => e instanceof TriageRuleError && e.code === 'invalid_triage_rules');
+  }
+  console.log('[Test] testRuleConditions: PASS ✓');
+}
+
+async function testHotReload() {
+  console.log('[Test] testHotReload: START');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'triage-rules-'));
+  const rulesPath = path.join(dir, 'triage.yaml');
+  fs.writeFileSync(rulesPath, 'gate0:\n  enabled: true\n  min_len: 5\n');
+  const filter = new TriageFilter({ rulesPath, logger: quietLogger });
+  assert.ok(filter.watch());
+
+  try {
+    assert.strictEqual(filter.check({ content: 'hello world' }).pass, true);
+
+    fs.writeFileSync(rulesPath, 'gate0:\n  enabled: true\n  min_len: 5\nrules:\n  - id: no_hello\n    reject: { keywords_any: [hello] }\n');
+    const deadline = Date.now() + 3000;
+    while (filter.rules.length < 2 && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 50));
+    }
+    assert.strictEqual(filter.check({ content: 'hello world' }).rule_id, 'no_hello', 'rule file is hot-reloaded');
+
+    // Invalid file: previous rules stay active
+    fs.writeFileSync(rulesPath, 'rules:\n  - id: broken\n    require: { unknown_leaf: 1 }\n');
+    const result = filter.reload();
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(filter.rules.length, 2);
+    assert.ok(filter.getMetrics().load_error.message.includes('unknown condition'));
+
+    const metrics = filter.getMetrics();
+    assert.strictEqual(metrics.skipped_total, 1);
+    assert.deepStrictEqual(metrics.skipped_by_rule, { no_hello: 1 });
+  } finally {
+    filter.stopWatching();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('[Test] testHotReload: PASS ✓');
+}
+
+async function testHttpDryRunAndMetrics() {
+  console.log('[Test] testHttpDryRunAndMetrics: START');
+  const { baseUrl, stop } = await startServerWithEnv({ NO_MCP: 'true', NODE_ENV: 'test', FLOWS_WATCH: 'false', TRIAGE_RULES_WATCH: 'false' });
+
+  try {
+    const lowLikes = {
+      type: 'thread_post',
+      event_id: `rules_${Date.now()}`,
+      content: 'Rule engine test content with enough length',
+      features: { engagement: { likes: 5, comments: 50 } }
+    };
+    const dry = await httpPostJson(baseUrl, '/v1/triage/rules/dry-run', { event: lowLikes });
+    assert.strictEqual(dry.status, 200);
+    assert.strictEqual(dry.data.pass, false);
+    assert.strictEqual(dry.data.rule_id, 'gate0b.min_likes');
+    assert.ok(Array.isArray(dry.data.trace));
+
+    const dryCandidate = await httpPostJson(baseUrl, '/v1/triage/rules/dry-run', {
+      candidate: { candidate_id: 'c1', context_digest: { target_snippet: 'Candidate snippet long enough to pass' }, features: { engagement: { likes: 150, comments: 50 } } }
+    });
+    assert.strictEqual(dryCandidate.data.pass, true);
+    assert.strictEqual((await httpPostJson(baseUrl, '/v1/triage/rules/dry-run', {})).status, 400);
+
+    const skipped = await httpPostJson(baseUrl, '/events', lowLikes);
+    assert.strictEqual(skipped.data.status, 'skipped');
+    assert.strictEqual(skipped.data.rule_id, 'gate0b.min_likes');
+
+    const rules = (await httpGetJson(baseUrl, '/v1/triage/rules')).data;
+    assert.ok(rules.rules.some((r) => r.id === 'gate0.max_recency_minutes'));
+    assert.strictEqual(rules.load_error, null);
+
+    const metrics = (await httpGetJson(baseUrl, '/metrics')).data;
+    assert.strictEqual(metrics.ingest.filter.skipped_by_rule['gate0b.min_likes'], 1, 'dry-run is not counted');
+    const prom = await httpGetJson(baseUrl, '/metrics/prom');
+    assert.ok(String(prom.data).includes('orchestrator_triage_skipped_total{rule="gate0b.min_likes"} 1'));
+  } finally {
+    await stop();
+  }
+  console.log('[Test] testHttpDryRunAndMetrics: PASS ✓');
+}
+
+async function runAll() {
+  await testRuleConditions();
+  await testHotReload();
+  await testHttpDryRunAndMetrics();
+}
+
+module.exports = {
+  runAll
+};
@@ -0,0 +1,299 @@
+/**
+ * McpSupervisor - stdio MCP server 的連線監控與自動重連（由 ToolGateway 驅動）
+ *
+ * 生命週期（每個 server 一份狀態）：
+ *   connecting → ready → (transport close) → backoff → connecting → ready …
+ *   初次連線失敗也進 backoff（不再需要重啟 orchestrator）
+ *   視窗內重連次數達 max_restarts → suspended（等最舊的一次滑出視窗才再試）
+ *
+ * Readiness（getDepStates 用）：
+ *   - 連線逾時（connect_timeout_ms）→ DEP_TIMEOUT
+ *   - 其他失敗 / transport 關閉 → DEP_INIT_FAILED
+ *
+ * Config（global `supervision`，server 層 `mcp_servers.<name>.supervision` 可覆寫）：
+ *   - enabled            (default true；false = 失敗後不重連，舊行為)
+ *   - backoff_base_ms    (default 1000)：第 n 次連續失敗後等 base * 2^(n-1)
+ *   - backoff_max_ms     (default 60000)
+ *   - jitter             (default 0.2)：延遲 ±20% 隨機，避免多個 server 同步重啟
+ *   - max_restarts       (default 5)：restart_window_ms 內最多重連次數
+ *   - restart_window_ms  (default 600000)
+ *   - connect_timeout_ms (default server timeout 秒數 * 1000，或 30000)
+ *
+ * 每個事件（DISCONNECTED / RECONNECTED / CONNECT_FAILED / SUSPENDED）交給 onEvent
+ * （ToolGateway 寫入 tool audit log，含原始 error 訊息），最近 MAX_HISTORY 筆留在 status() 給 /health。
+ * /health 是未授權端點：status() 只給 state / code / 計數，不帶原始 error 訊息（可能含路徑、指令列）。
+ */
+
+const { DEP_CODES } = require('../lib/readiness/ssot');
+
+const DEFAULT_SUPERVISION = Object.freeze({
+  enabled: true,
+  backoff_base_ms: 1000,
+  backoff_max_ms: 60000,
+  jitter: 0.2,
+  max_restarts: 5,
+  restart_window_ms: 10 * 60 * 1000
+});
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 30000;
+const MAX_HISTORY = 10;
+
+const SUPERVISOR_STATES = Object.freeze({
+  CONNECTING: 'connecting',
+  READY: 'ready',
+  BACKOFF: 'backoff',
+  SUSPENDED: 'suspended',
+  STOPPED: 'stopped'
+});
+
+const SUPERVISOR_EVENTS = Object.freeze({
+  DISCONNECTED: 'DISCONNECTED',
+  RECONNECTED: 'RECONNECTED',
+  CONNECT_FAILED: 'CONNECT_FAILED',
+  SUSPENDED: 'SUSPENDED'
+});
+
+function nonNegative(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function resolveSupervisionPolicy(config, serverName) {
+  const serverConfig = config?.mcp_servers?.[serverName] || {};
+  const merged = { ...DEFAULT_SUPERVISION, ...(config?.supervision || {}), ...(serverConfig.supervision || {}) };
+  const serverTimeoutMs = serverConfig.timeout ? serverConfig.timeout * 1000 : DEFAULT_CONNECT_TIMEOUT_MS;
+  return {
+    enabled: merged.enabled !== false,
+    backoffBaseMs: nonNegative(merged.backoff_base_ms, DEFAULT_SUPERVISION.backoff_base_ms),
+    backoffMaxMs: nonNegative(merged.backoff_max_ms, DEFAULT_SUPERVISION.backoff_max_ms),
+    jitter: Math.min(1, nonNegative(merged.jitter, DEFAULT_SUPERVISION.jitter)),
+    maxRestarts: Math.floor(nonNegative(merged.max_restarts, DEFAULT_SUPERVISION.max_restarts)),
+    restartWindowMs: nonNegative(merged.restart_window_ms, DEFAULT_SUPERVISION.restart_window_ms),
+    connectTimeoutMs: nonNegative(merged.connect_timeout_ms, serverTimeoutMs)
+  };
+}
+
+class McpSupervisor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - mcp_config
+   * @param {Function} options.reconnect - (serverName) => Promise；重新連線（ToolGateway.connectStdioServer）
+   * @param {Function} [options.onEvent] - (event) => void；每次 DISCONNECTED / RECONNECTED / CONNECT_FAILED / SUSPENDED
+   */
+  constructor({
+    config,
+    reconnect,
+    onEvent = () => {},
+    logger = console,
+    now = () => Date.now(),
+    random = Math.random,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout
+  }) {
+    this.config = config || {};
+    this.reconnect = reconnect;
+    this.onEvent = onEvent;
+    this.logger = logger;
+    this.now = now;
+    this.random = random;
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+    this.stopped = false;
+    this.servers = new Map(); // server → state
+  }
+
+  policy(server) {
+    return resolveSupervisionPolicy(this.config, server);
+  }
+
+  entry(server) {
+    if (!this.servers.has(server)) {
+      this.servers.set(server, {
+        state: SUPERVISOR_STATES.CONNECTING,
+        connected_once: false,
+        attempt: 0,
+        consecutive_failures: 0,
+        restarts_total: 0,
+        restart_times: [],
+        last_error: null,
+        last_error_code: null,
+        last_connected_at: null,
+        last_disconnected_at: null,
+        next_attempt_at: null,
+        history: [],
+        timer: null
+      });
+    }
+    return this.servers.get(server);
+  }
+
+  /**
+   * 連線開始（初次或重連）。初次以外的每次嘗試都算一次 restart（storm cap 依此計數）
+   */
+  connectStarted(server) {
+    const entry = this.entry(server);
+    if (entry.attempt > 0) {
+      entry.restarts_total++;
+      entry.restart_times.push(this.now());
+    }
+    entry.attempt++;
+    entry.state = SUPERVISOR_STATES.CONNECTING;
+    entry.next_attempt_at = null;
+  }
+
+  connected(server) {
+    const entry = this.entry(server);
+    const isRestart = entry.attempt > 1;
+    entry.state = SUPERVISOR_STATES.READY;
+    entry.connected_once = true;
+    entry.consecutive_failures = 0;
+    entry.last_error_code = null;
+    entry.last_connected_at = new Date(this.now()).toISOString();
+    if (isRestart) this.emit(server, SUPERVISOR_EVENTS.RECONNECTED);
+  }
+
+  /**
+   * @param {Error} error
+   * @param {Object} [options]
+   * @param {boolean} [options.timeout] - 連線逾時（→ DEP_TIMEOUT）
+   */
+  connectFailed(server, error, { timeout = false } = {}) {
+    const entry = this.entry(server);
+    entry.consecutive_failures++;
+    entry.last_error = error?.message || String(error);
+    entry.last_error_code = timeout ? DEP_CODES.TIMEOUT : DEP_CODES.INIT_FAILED;
+    this.emit(server, SUPERVISOR_EVENTS.CONNECT_FAILED);
+    this.scheduleReconnect(server);
+  }
+
+  /**
+   * transport close / child process 結束（非 shutdown）
+   */
+  disconnected(server, error) {
+    const entry = this.entry(server);
+    entry.last_disconnected_at = new Date(this.now()).toISOString();
+    entry.last_error = error?.message || 'transport closed';
+    entry.last_error_code = DEP_CODES.INIT_FAILED;
+    this.emit(server, SUPERVISOR_EVENTS.DISCONNECTED);
+    this.scheduleReconnect(server);
+  }
+
+  backoffMs(server, failures) {
+    const policy = this.policy(server);
+    const delay = Math.min(policy.backoffBaseMs * 2 ** Math.max(0, failures - 1), policy.backoffMaxMs);
+    const spread = delay * policy.jitter * (2 * this.random() - 1);
+    return Math.max(0, Math.round(delay + spread));
+  }
+
+  scheduleReconnect(server) {
+    const entry = this.entry(server);
+    const policy = this.policy(server);
+    if (this.stopped || entry.timer) return;
+    if (!policy.enabled) {
+      entry.state = SUPERVISOR_STATES.STOPPED;
+      return;
+    }
+
+    const now = this.now();
+    entry.restart_times = entry.restart_times.filter((t) => now - t < policy.restartWindowMs);
+
+    let delay;
+    if (entry.restart_times.length >= policy.maxRestarts) {
+      entry.state = SUPERVISOR_STATES.SUSPENDED;
+      delay = entry.restart_times.length > 0 ? entry.restart_times[0] + policy.restartWindowMs - now : policy.restartWindowMs;
+      entry.next_attempt_at = new Date(now + delay).toISOString();
+      this.emit(server, SUPERVISOR_EVENTS.SUSPENDED);
+      this.logger.error(`[McpSupervisor] ${server}: ${entry.restart_times.length} restarts within ${policy.restartWindowMs}ms, suspended until ${entry.next_attempt_at}`);
+    } else {
+      entry.state = SUPERVISOR_STATES.BACKOFF;
+      delay = this.backoffMs(server, Math.max(1, entry.consecutive_failures));
+      entry.next_attempt_at = new Date(now + delay).toISOString();
+      this.logger.warn(`[McpSupervisor] ${server}: reconnecting in ${delay}ms`);
+    }
+
+    entry.timer = this.setTimer(() => {
+      entry.timer = null;
+      if (this.stopped) return;
+      Promise.resolve(this.reconnect(server)).catch((e) => {
+        this.logger.error(`[McpSupervisor] ${server}: reconnect threw`, { error: e?.message });
+      });
+    }, delay);
+    // 背景重連不應讓 process 無法結束（CLI scripts / tests）
+    if (entry.timer && typeof entry.timer.unref === 'function') entry.timer.unref();
+  }
+
+  emit(server, type) {
+    const entry = this.entry(server);
+    const event = {
+      at: new Date(this.now()).toISOString(),
+      server,
+      event: type,
+      attempt: entry.attempt,
+      restarts_total: entry.restarts_total,
+      error: type === SUPERVISOR_EVENTS.RECONNECTED ? null : entry.last_error,
+      error_code: type === SUPERVISOR_EVENTS.RECONNECTED ? null : entry.last_error_code
+    };
+    const { error, ...publicEvent } = event;
+    entry.history.push(publicEvent);
+    if (entry.history.length > MAX_HISTORY) entry.history.shift();
+    try {
+      this.onEvent(event);
+    } catch (e) {
+      this.logger.warn(`[McpSupervisor] onEvent failed for ${server}`, { error: e?.message });
+    }
+  }
+
+  /**
+   * 沒有 client 時的 dep state（low-cardinality detail）
+   * @returns {{ code: string, detail: Object }}
+   */
+  depState(server) {
+    const entry = this.servers.get(server);
+    const code = entry?.last_error_code || DEP_CODES.INIT_FAILED;
+    let hint = 'client_not_connected';
+    if (entry?.state === SUPERVISOR_STATES.SUSPENDED) hint = 'restart_limit';
+    else if (code === DEP_CODES.TIMEOUT) hint = 'connect_timeout';
+    return {
+      code,
+      detail: { provider: server, phase: entry?.connected_once ? 'reconnect' : 'init', hint }
+    };
+  }
+
+  /**
+   * /health 的 mcp_supervision 區塊（只有 code，原始 error 訊息只進 audit log）
+   */
+  status() {
+    const out = {};
+    for (const [server, entry] of [...this.servers.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      out[server] = {
+        state: entry.state,
+        restarts_total: entry.restarts_total,
+        consecutive_failures: entry.consecutive_failures,
+        last_connected_at: entry.last_connected_at,
+        last_disconnected_at: entry.last_disconnected_at,
+        last_error_code: entry.last_error_code,
+        next_attempt_at: entry.next_attempt_at,
+        recent_events: entry.history.slice()
+      };
+    }
+    return out;
+  }
+
+  stop() {
+    this.stopped = true;
+    for (const entry of this.servers.values()) {
+      if (entry.timer) this.clearTimer(entry.timer);
+      entry.timer = null;
+      entry.state = SUPERVISOR_STATES.STOPPED;
+      entry.next_attempt_at = null;
+    }
+  }
+}
+
+module.exports = {
+  McpSupervisor,
+  SUPERVISOR_STATES,
+  SUPERVISOR_EVENTS,
+  DEFAULT_SUPERVISION,
+  resolveSupervisionPolicy
+};
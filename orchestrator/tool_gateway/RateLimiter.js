@@ -0,0 +1,184 @@
+/**
+ * RateLimiter - per-server token buckets for ToolGateway
+ *
+ * 來源：mcp_config.json
+ *   mcp_servers.<name>.rate_limits.requests_per_minute  → refill 速率
+ *   mcp_servers.<name>.rate_limits.burst                → bucket 容量（預設 1）
+ *   mcp_servers.<name>.rate_limits.max_queue            → 排隊上限（預設 100）
+ *   fallback_behavior.on_rate_limit（server 層可覆寫）：
+ *     - queue_request（預設）：排隊等 token（FIFO），排隊滿了才拒絕
+ *     - 其他值（e.g. reject_request）：沒有 token 立即拒絕
+ *
+ * 沒有 rate_limits 的 server 不限流。
+ * 拒絕時 throw RateLimitError（code = 'rate_limited'），由呼叫端映射成 stable code。
+ */
+
+const DEFAULT_MAX_QUEUE = 100;
+const RATE_LIMITED = 'rate_limited';
+
+class RateLimitError extends Error {
+  constructor(server, { reason, retryAfterMs }) {
+    super(`Rate limit exceeded for server '${server}' (${reason})`);
+    this.name = 'RateLimitError';
+    this.code = RATE_LIMITED;
+    this.server = server;
+    this.reason = reason;
+    this.retry_after_ms = retryAfterMs;
+  }
+}
+
+class TokenBucket {
+  constructor({ requestsPerMinute, burst, now }) {
+    this.capacity = burst;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.tokens = burst;
+    this.updatedAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  tryTake(now) {
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+    return false;
+  }
+
+  msUntilToken(now) {
+    this.refill(now);
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} config - mcp_config.json content
+   * @param {Object} [options]
+   * @param {Function} [options.now] - Clock (tests)
+   */
+  constructor(config = {}, { now = Date.now } = {}) {
+    this.now = now;
+    this.limits = new Map(); // serverName -> state
+
+    const servers = config.mcp_servers || {};
+    const globalOnRateLimit = config.fallback_behavior?.on_rate_limit || 'queue_request';
+
+    for (const [serverName, serverConfig] of Object.entries(servers)) {
+      const rl = serverConfig.rate_limits;
+      const rpm = Number(rl?.requests_per_minute);
+      if (!Number.isFinite(rpm) || rpm <= 0) continue;
+
+      const burst = Number(rl.burst) >= 1 ? Math.floor(Number(rl.burst)) : 1;
+      const onRateLimit = serverConfig.fallback_behavior?.on_rate_limit || globalOnRateLimit;
+      this.limits.set(serverName, {
+        bucket: new TokenBucket({ requestsPerMinute: rpm, burst, now: this.now() }),
+        requestsPerMinute: rpm,
+        burst,
+        mode: onRateLimit === 'queue_request' ? 'queue' : 'reject',
+        maxQueue: Number.isInteger(rl.max_queue) && rl.max_queue >= 0 ? rl.max_queue : DEFAULT_MAX_QUEUE,
+        queue: [],
+        timer: null,
+        counters: { allowed_total: 0, queued_total: 0, rejected_total: 0 }
+      });
+    }
+  }
+
+  /**
+   * Wait for a token for `serverName`.
+   * @returns {Promise<{queued: boolean, wait_ms: number}>}
+   * @throws {RateLimitError} when rejected (reject mode, or queue full)
+   */
+  async acquire(serverName) {
+    const state = this.limits.get(serverName);
+    if (!state) return { queued: false, wait_ms: 0 };
+
+    const now = this.now();
+    // FIFO: never let a new request overtake queued ones
+    if (state.queue.length === 0 && state.bucket.tryTake(now)) {
+      state.counters.allowed_total++;
+      return { queued: false, wait_ms: 0 };
+    }
+
+    if (state.mode !== 'queue' || state.queue.length >= state.maxQueue) {
+      state.counters.rejected_total++;
+      throw new RateLimitError(serverName, {
+        reason: state.mode === 'queue' ? 'queue_full' : 'no_tokens',
+        retryAfterMs: state.bucket.msUntilToken(now)
+      });
+    }
+
+    state.counters.queued_total++;
+    return new Promise((resolve, reject) => {
+      state.queue.push({ resolve, reject, enqueuedAt: now });
+      this._schedule(serverName, state);
+    });
+  }
+
+  _schedule(serverName, state) {
+    if (state.timer || state.queue.length === 0) return;
+    const delay = state.bucket.msUntilToken(this.now());
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this._drain(serverName, state);
+    }, delay);
+  }
+
+  _drain(serverName, state) {
+    const now = this.now();
+    while (state.queue.length > 0 && state.bucket.tryTake(now)) {
+      const waiter = state.queue.shift();
+      state.counters.allowed_total++;
+      waiter.resolve({ queued: true, wait_ms: now - waiter.enqueuedAt });
+    }
+    this._schedule(serverName, state);
+  }
+
+  /**
+   * Drop pending timers and reject queued waiters (gateway shutdown)
+   */
+  close() {
+    for (const [serverName, state] of this.limits.entries()) {
+      if (state.timer) clearTimeout(state.timer);
+      state.timer = null;
+      const waiters = state.queue.splice(0);
+      for (const waiter of waiters) {
+        waiter.reject(new RateLimitError(serverName, { reason: 'shutdown', retryAfterMs: null }));
+      }
+    }
+  }
+
+  /**
+   * /metrics snapshot: { [serverName]: {...} }
+   */
+  getMetrics() {
+    const out = {};
+    const now = this.now();
+    for (const [serverName, state] of this.limits.entries()) {
+      state.bucket.refill(now);
+      out[serverName] = {
+        requests_per_minute: state.requestsPerMinute,
+        burst: state.burst,
+        on_rate_limit: state.mode === 'queue' ? 'queue_request' : 'reject_request',
+        tokens_available: Math.floor(state.bucket.tokens),
+        queue_depth: state.queue.length,
+        max_queue: state.maxQueue,
+        ...state.counters
+      };
+    }
+    return out;
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  RateLimitError,
+  RATE_LIMITED,
+  DEFAULT_MAX_QUEUE
+};
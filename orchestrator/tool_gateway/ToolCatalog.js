@@ -0,0 +1,142 @@
+/**
+ * ToolCatalog - 每個 MCP tool 的 inputSchema（connect 時由 client.listTools() 取得）
+ *
+ * - register(server, tools)：記下 name / description / inputSchema，並以 Ajv 編譯 validator
+ * - validateArgs(server, tool, args)：依 server.tool 的 schema 驗證 args
+ *     → { valid: true, checked } | { valid: false, violations: [{ path, keyword, message }], message }
+ *     server 已註冊但 listTools 沒有該 tool → invalid（violation keyword=unknown_tool）
+ *     catalog 沒有該 server（HTTP server / 尚未連線）或 schema 編譯失敗 / 沒有 schema → valid, checked=false（仍由 TOOL_ARGS_ALLOWLIST 把關）
+ * - list(config)：GET /v1/tools 的內容（config 宣告但沒有 schema 的 tool 也列出，source=config）
+ *
+ * Schema 規則:
+ * - 頂層有 properties 但沒寫 additionalProperties → 視為 false（與 allowlist 相同：不認得的 key 一律拒絕）
+ * - $schema / $id 不參與編譯（各 server 的 draft 宣告不一）
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const MAX_VIOLATIONS = 10;
+
+function toCompilableSchema(inputSchema) {
+  const schema = { ...inputSchema };
+  delete schema.$schema;
+  delete schema.$id;
+  if (schema.properties && schema.additionalProperties === undefined) {
+    schema.additionalProperties = false;
+  }
+  return schema;
+}
+
+/**
+ * Ajv error → { path, keyword, message }（path 指到出錯的欄位，例如 /entities、/query）
+ */
+function toViolation(error) {
+  let path = error.instancePath || '';
+  if (error.keyword === 'additionalProperties') path += `/${error.params.additionalProperty}`;
+  if (error.keyword === 'required') path += `/${error.params.missingProperty}`;
+  const message = error.keyword === 'additionalProperties' ? 'is not allowed' : error.message;
+  return { path: path || '/', keyword: error.keyword, message };
+}
+
+class ToolCatalog {
+  constructor({ logger = console, now = () => Date.now() } = {}) {
+    this.logger = logger;
+    this.now = now;
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+    this.servers = new Map(); // server → { registered_at, tools: Map(name → entry) }
+  }
+
+  /**
+   * @param {string} server
+   * @param {Array<{name, description?, inputSchema?}>} tools - client.listTools().tools
+   */
+  register(server, tools) {
+    const entries = new Map();
+    for (const tool of tools || []) {
+      if (!tool || typeof tool.name !== 'string') continue;
+      const entry = {
+        name: tool.name,
+        description: typeof tool.description === 'string' ? tool.description : null,
+        input_schema: tool.inputSchema && typeof tool.inputSchema === 'object' ? tool.inputSchema : null,
+        schema_error: null,
+        validate: null
+      };
+      if (entry.input_schema) {
+        try {
+          entry.validate = this.ajv.compile(toCompilableSchema(entry.input_schema));
+        } catch (e) {
+          entry.schema_error = e.message;
+          this.logger.warn?.(`[ToolCatalog] ${server}.${tool.name} inputSchema not compilable, args unchecked: ${e.message}`);
+        }
+      }
+      entries.set(tool.name, entry);
+    }
+    this.servers.set(server, { registered_at: new Date(this.now()).toISOString(), tools: entries });
+  }
+
+  unregister(server) {
+    this.servers.delete(server);
+  }
+
+  get(server, tool) {
+    return this.servers.get(server)?.tools.get(tool) || null;
+  }
+
+  validateArgs(server, tool, args) {
+    const registered = this.servers.get(server);
+    if (!registered) return { valid: true, checked: false };
+
+    const entry = registered.tools.get(tool);
+    if (!entry) {
+      return {
+        valid: false,
+        checked: true,
+        violations: [{ path: '/', keyword: 'unknown_tool', message: `tool ${tool} is not offered by ${server}` }],
+        message: `Invalid args for ${server}.${tool}: tool ${tool} is not offered by ${server}`
+      };
+    }
+    if (!entry.validate) return { valid: true, checked: false };
+
+    if (!entry.validate(args || {})) {
+      const violations = entry.validate.errors.slice(0, MAX_VIOLATIONS).map(toViolation);
+      return {
+        valid: false,
+        checked: true,
+        violations,
+        message: `Invalid args for ${server}.${tool}: ${violations.map((v) => `${v.path} ${v.message}`).join('; ')}`
+      };
+    }
+    return { valid: true, checked: true };
+  }
+
+  /**
+   * @param {Object} [config] - mcp_config（mcp_servers.<name>.tools 補上沒有 schema 的 tool）
+   */
+  list(config = {}) {
+    const names = new Set([...Object.keys(config.mcp_servers || {}), ...this.servers.keys()]);
+    return [...names].sort().map((server) => {
+      const registered = this.servers.get(server);
+      const tools = registered
+        ? [...registered.tools.values()].map((entry) => ({
+          name: entry.name,
+          description: entry.description,
+          input_schema: entry.input_schema,
+          source: 'mcp',
+          ...(entry.schema_error ? { schema_error: entry.schema_error } : {})
+        }))
+        : [];
+      for (const name of config.mcp_servers?.[server]?.tools || []) {
+        if (!tools.some((t) => t.name === name)) {
+          tools.push({ name, description: null, input_schema: null, source: 'config' });
+        }
+      }
+      return { server, registered_at: registered ? registered.registered_at : null, tools };
+    });
+  }
+}
+
+module.exports = {
+  ToolCatalog
+};
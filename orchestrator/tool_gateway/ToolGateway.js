@@ -3,6 +3,25 @@ const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { RateLimiter, RATE_LIMITED } = require('./RateLimiter');
+const { ToolCatalog } = require('./ToolCatalog');
+const { McpSupervisor, resolveSupervisionPolicy } = require('./McpSupervisor');
+const {
+  ATTEMPT_OUTCOMES,
+  FALLBACK_ACTIONS,
+  ToolUnavailableError,
+  resolveFallbackBehavior,
+  classifyToolError,
+  withTimeout
+} = require('./fallbackPolicy');
+const { metricsRegistry } = require('../lib/metrics/MetricsRegistry');
+
+// 每次嘗試（含 retry）的耗時，outcome = ok | timeout | unavailable | error …
+const toolCallDurationSeconds = metricsRegistry.histogram({
+  name: 'orchestrator_tool_call_duration_seconds',
+  help: 'ToolGateway call duration per attempt by server / tool / outcome',
+  labelNames: ['server', 'tool', 'outcome']
+});
 
 class ToolGateway {
   constructor(logger, config) {
@@ -18,6 +37,27 @@ class ToolGateway {
     this.config = config || this.loadMCPConfig();
     this.clients = new Map(); // 用於儲存 Stdio 連線 (serverName -> Client)
     this.toolMap = this.buildToolMap();
+    // Per-server token buckets (mcp_servers.<name>.rate_limits)
+    this.rateLimiter = new RateLimiter(this.config);
+    // Per-tool inputSchema from client.listTools() (args validation + GET /v1/tools)
+    this.toolCatalog = new ToolCatalog({ logger: this.logger });
+    // Stdio server 斷線 / 初次連線失敗 → backoff 重連（mcp_config `supervision`）
+    this.supervisor = new McpSupervisor({
+      config: this.config,
+      logger: this.logger,
+      reconnect: (name) => this.connectStdioServer(name, this.config.mcp_servers[name]),
+      onEvent: (event) => this.writeAuditLog({
+        timestamp: event.at,
+        server: event.server,
+        tool: null,
+        event: 'mcp_supervisor',
+        status: event.event,
+        attempt: event.attempt,
+        restarts_total: event.restarts_total,
+        error: event.error,
+        ...(event.error_code ? { error_code: event.error_code } : {})
+      })
+    });
   }
 
   /**
@@ -27,6 +67,8 @@ class ToolGateway {
    * and make gated "real MCP" tests hang.
    */
   async shutdown() {
+    this.rateLimiter.close();
+    this.supervisor.stop();
     const entries = Array.from(this.clients.entries());
     this.clients.clear();
 
@@ -91,45 +133,107 @@ class ToolGateway {
     }
   }
 
-  async connectStdioServer(name, cfg) {
-    try {
-      this.logger.info(`[ToolGateway] Connecting to Stdio server: ${name}...`);
+  /**
+   * 建立 stdio transport + client（尚未 connect）
+   */
+  createStdioClient(name, cfg) {
+    // 路徑處理：如果是相對路徑的 js 檔，轉為絕對路徑
+    let args = [...(cfg.args || [])];
+    if (args.length > 0 && args[0].endsWith('.js') && !path.isAbsolute(args[0])) {
+      // 假設相對路徑是相對於 orchestrator 根目錄
+      args[0] = path.resolve(process.cwd(), args[0]);
+    }
 
-      // 路徑處理：如果是相對路徑的 js 檔，轉為絕對路徑
-      let args = [...(cfg.args || [])];
-      if (args.length > 0 && args[0].endsWith('.js') && !path.isAbsolute(args[0])) {
-        // 假設相對路徑是相對於 orchestrator 根目錄
-        args[0] = path.resolve(process.cwd(), args[0]);
-      }
+    const transport = new StdioClientTransport({
+      command: cfg.command,
+      args: args,
+      env: { ...process.env, ...(cfg.env || {}) }
+    });
 
-      const transport = new StdioClientTransport({
-        command: cfg.command,
-        args: args,
-        env: { ...process.env, ...(cfg.env || {}) }
-      });
+    const client = new Client(
+      { name: "orchestrator", version: "1.0.0" },
+      { capabilities: {} }
+    );
 
-      const client = new Client(
-        { name: "orchestrator", version: "1.0.0" },
-        { capabilities: {} }
-      );
+    return { client, transport };
+  }
 
-      await client.connect(transport);
+  /**
+   * 連線（初次與 supervisor 重連共用）。失敗不 throw：交給 supervisor 排下一次重連
+   * @returns {Promise<boolean>} connected
+   */
+  async connectStdioServer(name, cfg) {
+    const { connectTimeoutMs } = resolveSupervisionPolicy(this.config, name);
+    this.supervisor.connectStarted(name);
+    let client = null;
+    try {
+      this.logger.info(`[ToolGateway] Connecting to Stdio server: ${name}...`);
+      const created = this.createStdioClient(name, cfg);
+      client = created.client;
+
+      // 列出工具以確認連線，並記下每個 tool 的 inputSchema
+      const tools = await withTimeout(
+        client.connect(created.transport).then(() => client.listTools()),
+        connectTimeoutMs,
+        { serverName: name, toolName: 'connect' }
+      );
+      if (this.supervisor.stopped) {
+        // shutdown() 期間才連上：不再登記
+        await client.close().catch(() => {});
+        return false;
+      }
       this.clients.set(name, client);
-
-      // 列出工具以確認連線
-      const tools = await client.listTools();
+      this.toolCatalog.register(name, tools.tools);
+      this.watchClient(name, client);
+      this.supervisor.connected(name);
       const toolNames = tools.tools.map(t => t.name).join(', ');
       this.logger.info(`[ToolGateway] Connected to [${name}]. Available tools: ${toolNames}`);
+      return true;
 
     } catch (e) {
       this.logger.error(`[ToolGateway] Failed to connect to ${name}`, { error: e.message });
+      if (client) client.close().catch(() => {});
+      this.supervisor.connectFailed(name, e, { timeout: classifyToolError(e) === ATTEMPT_OUTCOMES.TIMEOUT });
+      return false;
     }
   }
 
+  /**
+   * transport 關閉（child crash / exit）→ 移除 client 與 catalog，交給 supervisor 重連
+   * shutdown() 先清空 this.clients，因此主動關閉不會觸發重連
+   */
+  watchClient(name, client) {
+    let lastError = null;
+    client.onerror = (error) => {
+      lastError = error;
+      this.logger.warn(`[ToolGateway] Transport error on ${name}`, { error: error?.message });
+    };
+    client.onclose = () => {
+      if (this.clients.get(name) !== client) return;
+      this.clients.delete(name);
+      this.toolCatalog.unregister(name);
+      this.logger.error(`[ToolGateway] Connection to ${name} closed`, { error: lastError?.message || null });
+      this.supervisor.disconnected(name, lastError);
+    };
+  }
+
   /**
    * 統一執行入口
+   *
+   * fallback_behavior（見 fallbackPolicy.js）：
+   * - on_server_timeout=retry_once：timeout 後重試一次（重試會重新取 rate-limit token）
+   * - on_tool_unavailable=skip_node：回傳 { skipped: true, reason, error } 而不是 throw
+   * - stdio 與 HTTP 呼叫都套用 server 的 `timeout`（秒）
+   *
+   * @param {string} serverName
+   * @param {string} toolName
+   * @param {Object} args
+   * @param {Object} [options]
+   * @param {Array} [options.attemptEvents] - 收集每次嘗試的 attempt event（呼叫端帶入陣列）
    */
-  async executeTool(serverName, toolName, args) {
+  async executeTool(serverName, toolName, args, options = {}) {
+    const { attemptEvents = null } = options;
+
     // 1. 查找工具配置
     // 有時候呼叫者可能只給了 toolName，我們嘗試反查 serverName
     if (!serverName) {
@@ -152,23 +256,94 @@ class ToolGateway {
        // 嚴格模式：throw new Error(`Tool not whitelisted: ${toolName}`);
     }
 
+    // 4. 執行（含 fallback_behavior）
+    const policy = resolveFallbackBehavior(this.config, serverName);
+    const recordAttempt = (event) => {
+      toolCallDurationSeconds.observe({ server: serverName, tool: toolName, outcome: event.outcome }, event.duration_ms / 1000);
+      if (Array.isArray(attemptEvents)) attemptEvents.push({ at: new Date().toISOString(), server: serverName, tool: toolName, ...event });
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptStart = Date.now();
+      try {
+        const result = await this.invokeOnce(serverName, serverConfig, toolName, args, attempt);
+        recordAttempt({ attempt, outcome: ATTEMPT_OUTCOMES.OK, action: null, code: null, duration_ms: Date.now() - attemptStart });
+        return result;
+      } catch (e) {
+        const outcome = classifyToolError(e);
+        const duration_ms = Date.now() - attemptStart;
+
+        if (outcome === ATTEMPT_OUTCOMES.TIMEOUT && attempt <= policy.maxRetriesOnTimeout) {
+          recordAttempt({ attempt, outcome, action: FALLBACK_ACTIONS.RETRY, code: outcome, duration_ms });
+          this.logger.warn(`[ToolGateway] ${serverName}.${toolName} timed out, retrying (attempt ${attempt + 1})`);
+          continue;
+        }
+
+        if (outcome === ATTEMPT_OUTCOMES.UNAVAILABLE && policy.skipOnUnavailable) {
+          recordAttempt({ attempt, outcome, action: FALLBACK_ACTIONS.SKIP, code: outcome, duration_ms });
+          this.logger.warn(`[ToolGateway] ${serverName}.${toolName} unavailable, skipping (on_tool_unavailable=skip_node)`);
+          return {
+            skipped: true,
+            reason: 'tool_unavailable',
+            error: { code: outcome, message: e.message }
+          };
+        }
+
+        recordAttempt({ attempt, outcome, action: null, code: outcome, duration_ms });
+        if (!e.gateway_code) e.gateway_code = outcome;
+        throw e;
+      }
+    }
+  }
+
+  /**
+   * 單次嘗試：取 rate-limit token → 呼叫 stdio/HTTP → 寫 audit（每次嘗試一筆）
+   */
+  async invokeOnce(serverName, serverConfig, toolName, args, attempt) {
+    // Rate limit (token bucket per server; queue or reject per fallback_behavior.on_rate_limit)
+    let rateLimit;
+    try {
+      rateLimit = await this.rateLimiter.acquire(serverName);
+    } catch (e) {
+      if (e.code !== RATE_LIMITED) throw e;
+      this.logger.warn(`[ToolGateway] Rate limited ${serverName}.${toolName}`, { reason: e.reason, retry_after_ms: e.retry_after_ms });
+      this.writeAuditLog({
+        timestamp: new Date().toISOString(),
+        duration_ms: 0,
+        server: serverName,
+        tool: toolName,
+        args: args,
+        attempt,
+        status: 'RATE_LIMITED',
+        error: e.message,
+        error_code: RATE_LIMITED,
+        rate_limit: { reason: e.reason, retry_after_ms: e.retry_after_ms },
+        result_preview: null
+      });
+      throw e;
+    }
+
     this.logger.info(`[ToolGateway] Executing ${serverName}.${toolName}`, { args });
     const startTime = Date.now();
+    const timeoutMs = (serverConfig.timeout || 30) * 1000;
     let result = null;
     let status = 'SUCCESS';
     let errorMsg = null;
+    let errorCode = null;
 
     try {
       // 分流處理：Stdio vs HTTP
       if (serverConfig.command) {
         // --- Stdio 模式 (本地 MCP) ---
         const client = this.clients.get(serverName);
-        if (!client) throw new Error(`MCP Client for ${serverName} is not connected.`);
+        if (!client) throw new ToolUnavailableError(`MCP Client for ${serverName} is not connected.`);
         
-        result = await client.callTool({
-          name: toolName,
-          arguments: args
-        });
+        // SDK timeout cancels the JSON-RPC request; the race guarantees the bound for any client
+        result = await withTimeout(
+          client.callTool({ name: toolName, arguments: args }, undefined, { timeout: timeoutMs }),
+          timeoutMs,
+          { serverName, toolName }
+        );
 
       } else {
         // --- HTTP 模式 (舊有設計) ---
@@ -177,7 +352,7 @@ class ToolGateway {
         const response = await axios.post(
           `${serverConfig.endpoint}/invoke`, // 假設這是對方的 API 格式
           { tool: toolName, inputs: args }, // 注意：舊版用 inputs，新版用 arguments，這裡需適配
-          { timeout: (serverConfig.timeout || 30) * 1000 }
+          { timeout: timeoutMs }
         );
         result = response.data;
       }
@@ -187,6 +362,7 @@ class ToolGateway {
     } catch (e) {
       status = 'ERROR';
       errorMsg = e.message;
+      errorCode = classifyToolError(e);
       this.logger.error(`[ToolGateway] Execution failed`, { error: e.message });
       throw e;
     } finally {
@@ -197,13 +373,39 @@ class ToolGateway {
         server: serverName,
         tool: toolName,
         args: args,
+        attempt,
         status: status,
         error: errorMsg,
+        ...(errorCode ? { error_code: errorCode } : {}),
+        ...(rateLimit.queued ? { rate_limit: { queued: true, wait_ms: rateLimit.wait_ms } } : {}),
         result_preview: result ? JSON.stringify(result).substring(0, 100) + '...' : null
       });
     }
   }
 
+  /**
+   * 依 MCP inputSchema 驗證 server.tool 的 args（見 ToolCatalog.validateArgs）
+   */
+  validateToolArgs(serverName, toolName, args) {
+    return this.toolCatalog.validateArgs(serverName, toolName, args);
+  }
+
+  /**
+   * Stdio server 連線監控狀態（/health 的 mcp_supervision）
+   * @returns {Object} { [serverName]: { state, restarts_total, next_attempt_at, recent_events, ... } }
+   */
+  getSupervisionStatus() {
+    return this.supervisor.status();
+  }
+
+  /**
+   * Per-server rate limit counters for /metrics
+   * @returns {Object} { [serverName]: { requests_per_minute, burst, queue_depth, rejected_total, ... } }
+   */
+  getRateLimitMetrics() {
+    return this.rateLimiter.getMetrics();
+  }
+
   writeAuditLog(entry) {
     const configuredPath = process.env.TOOL_AUDIT_PATH || process.env.TOOL_AUDIT_LOG_PATH;
     const logPath = configuredPath
@@ -225,7 +427,8 @@ class ToolGateway {
    * 不可變規則：
    * - 只回報 SSOT 中定義的 providers (memory, web_search, notebooklm)
    * - NO_MCP=true 時所有 providers ready=false, code=DEP_UNAVAILABLE
-   * - Stdio servers: 以 this.clients 是否有連線決定
+   * - Stdio servers: 以 this.clients 是否有連線決定；未連線時 code 由 McpSupervisor 給
+   *   （連線逾時 DEP_TIMEOUT，其他 DEP_INIT_FAILED；detail.phase = init | reconnect）
    * - HTTP servers: 不在此版本處理（未來可擴充 health check）
    */
   getDepStates() {
@@ -268,17 +471,14 @@ class ToolGateway {
       }
 
       if (serverConfig.command) {
-        // Stdio server: check if client is connected
+        // Stdio server: check if client is connected (supervisor 決定 DEP_INIT_FAILED / DEP_TIMEOUT)
         const client = this.clients.get(providerId);
         if (client) {
           states[providerId] = { ready: true, code: null };
         } else {
-          states[providerId] = {
-            ready: false,
-            code: DEP_CODES.INIT_FAILED,
-            // Low-cardinality detail only (raw error strings should go to audit logs, not snapshot)
-            detail: { provider: providerId, phase: 'init', hint: 'client_not_connected' }
-          };
+          // Low-cardinality detail only (raw error strings should go to audit logs, not snapshot)
+          const { code, detail } = this.supervisor.depState(providerId);
+          states[providerId] = { ready: false, code, detail };
         }
       } else {
         // HTTP server: 暫不支援 health check（未來可擴充）
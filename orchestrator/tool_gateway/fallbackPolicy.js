@@ -0,0 +1,93 @@
+/**
+ * fallbackPolicy - interprets mcp_config.json `fallback_behavior` for ToolGateway
+ *
+ * Policies（global `fallback_behavior`，server 層 `mcp_servers.<name>.fallback_behavior` 可覆寫）：
+ *   - on_server_timeout: retry_once（重試 1 次）| 其他值（不重試，直接失敗）
+ *   - on_tool_unavailable: skip_node（回傳 skipped 結果，不 throw）| 其他值（直接失敗）
+ *   - on_rate_limit: 由 RateLimiter 處理（queue_request | reject_request）
+ *
+ * Attempt outcome（低基數，寫入 attempt events / audit）：
+ *   ok | timeout | unavailable | rate_limited | error
+ */
+
+const { RATE_LIMITED } = require('./RateLimiter');
+
+const ATTEMPT_OUTCOMES = Object.freeze({
+  OK: 'ok',
+  TIMEOUT: 'timeout',
+  UNAVAILABLE: 'unavailable',
+  RATE_LIMITED: RATE_LIMITED,
+  ERROR: 'error'
+});
+
+const FALLBACK_ACTIONS = Object.freeze({
+  RETRY: 'retry',
+  SKIP: 'skip'
+});
+
+// MCP SDK ErrorCode values (types.js): RequestTimeout / ConnectionClosed
+const MCP_REQUEST_TIMEOUT = -32001;
+const MCP_CONNECTION_CLOSED = -32000;
+
+const UNAVAILABLE_ERRNO = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EPIPE', 'ECONNRESET', 'EHOSTUNREACH']);
+
+class ToolTimeoutError extends Error {
+  constructor(serverName, toolName, timeoutMs) {
+    super(`Tool ${serverName}.${toolName} timed out after ${timeoutMs}ms`);
+    this.name = 'ToolTimeoutError';
+    this.code = ATTEMPT_OUTCOMES.TIMEOUT;
+  }
+}
+
+class ToolUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolUnavailableError';
+    this.code = ATTEMPT_OUTCOMES.UNAVAILABLE;
+  }
+}
+
+function resolveFallbackBehavior(config, serverName) {
+  const globalBehavior = config?.fallback_behavior || {};
+  const serverBehavior = config?.mcp_servers?.[serverName]?.fallback_behavior || {};
+  const merged = { ...globalBehavior, ...serverBehavior };
+  return {
+    maxRetriesOnTimeout: merged.on_server_timeout === 'retry_once' ? 1 : 0,
+    skipOnUnavailable: merged.on_tool_unavailable === 'skip_node'
+  };
+}
+
+/**
+ * Map a thrown error to a low-cardinality attempt outcome.
+ * Never relies on free-form message text except the axios/MCP timeout markers.
+ */
+function classifyToolError(err) {
+  if (!err) return ATTEMPT_OUTCOMES.ERROR;
+  if (err.code === RATE_LIMITED) return ATTEMPT_OUTCOMES.RATE_LIMITED;
+  if (err.code === ATTEMPT_OUTCOMES.TIMEOUT || err.code === MCP_REQUEST_TIMEOUT) return ATTEMPT_OUTCOMES.TIMEOUT;
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return ATTEMPT_OUTCOMES.TIMEOUT;
+  if (err.code === ATTEMPT_OUTCOMES.UNAVAILABLE || err.code === MCP_CONNECTION_CLOSED) return ATTEMPT_OUTCOMES.UNAVAILABLE;
+  if (UNAVAILABLE_ERRNO.has(err.code)) return ATTEMPT_OUTCOMES.UNAVAILABLE;
+  return ATTEMPT_OUTCOMES.ERROR;
+}
+
+/**
+ * Race a tool call against the server timeout (stdio calls have no transport-level timeout of ours).
+ */
+function withTimeout(promise, timeoutMs, { serverName, toolName }) {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ToolTimeoutError(serverName, toolName, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  ATTEMPT_OUTCOMES,
+  FALLBACK_ACTIONS,
+  ToolTimeoutError,
+  ToolUnavailableError,
+  resolveFallbackBehavior,
+  classifyToolError,
+  withTimeout
+};
@@ -2,7 +2,7 @@
 import fetch from 'node-fetch';
 import { Config } from './config';
 import { Logger } from './logger';
-import { Ticket, LeaseRequest, FillRequest, ApproveRequest, ApiResponse, ProcessingError } from './types';
+import { Ticket, LeaseRequest, FillRequest, ApproveRequest, ApiResponse, ProcessingError, LeaseProof } from './types';
 import { LeaseKind } from './types';
 
 export class ApiClient {
@@ -450,23 +450,25 @@ export class ApiClient {
         }
     }
 
-    /** v1: 心跳 */
-    async heartbeatV1(ticketId: string, lease_id: string): Promise<ApiResponse> {
+    /** v1: 心跳（延長租約，長時間的 LLM review 才不會被過期回收） */
+    async heartbeatV1(ticketId: string, proof: LeaseProof, leaseSec: number = 300): Promise<ApiResponse> {
         this.logger.debug(`Sending v1 heartbeat for ticket ${ticketId}`);
         try {
-            return await this.makeRequest<ApiResponse>('POST', `/v1/tickets/${ticketId}/heartbeat`, { lease_id });
+            return await this.makeRequest<ApiResponse>('POST', `/v1/tickets/${ticketId}/heartbeat`, {
+                ...proof,
+                lease_sec: leaseSec
+            });
         } catch (error) {
             this.logger.debug(`Heartbeat (v1) failed for ticket ${ticketId}`, error);
             throw error;
         }
     }
 
-    /** v1: 放棄票據 (修復版：退回 Legacy 路徑，解決 404 問題) */
-    async nackTicketV1(ticketId: string, lease_id: string): Promise<ApiResponse> {
+    /** v1: 放棄票據（running → pending，需帶 lease proof） */
+    async nackTicketV1(ticketId: string, proof: LeaseProof, reason?: string): Promise<ApiResponse> {
         this.logger.debug(`Nacking ticket (v1) ${ticketId}`);
         try {
-            // [FIX] 改用 /tickets/... (移除 /v1)，以配合目前的 Server 路由
-            const res = await this.makeRequest<ApiResponse>('POST', `/tickets/${ticketId}/nack`, { lease_id });
+            const res = await this.makeRequest<ApiResponse>('POST', `/v1/tickets/${ticketId}/nack`, { ...proof, reason });
             this.logger.info(`Successfully nacked ticket (v1) ${ticketId}`);
             return res;
         } catch (error) {
@@ -475,12 +477,11 @@ export class ApiClient {
         }
     }
 
-    /** 放棄票據 (修復版：退回 Legacy 路徑) */
-    async nackTicket(ticketId: string): Promise<ApiResponse> {
+    /** 放棄票據（Legacy 路徑） */
+    async nackTicket(ticketId: string, proof: LeaseProof = {}, reason?: string): Promise<ApiResponse> {
         this.logger.debug(`Nacking ticket ${ticketId}`);
         try {
-            // [FIX] 改用 /tickets/... (移除 /v1)
-            const res = await this.makeRequest<ApiResponse>('POST', `/tickets/${ticketId}/nack`);
+            const res = await this.makeRequest<ApiResponse>('POST', `/tickets/${ticketId}/nack`, { ...proof, reason });
             this.logger.info(`Successfully nacked ticket ${ticketId}`);
             return res;
         } catch (error) {
@@ -489,6 +490,23 @@ export class ApiClient {
         }
     }
 
+    /** v1: 標記永久失敗（running → failed，不再靠 lease 過期退回佇列） */
+    async failTicket(ticketId: string, reason: string, proof: LeaseProof): Promise<ApiResponse> {
+        this.logger.debug(`Failing ticket ${ticketId}`, { reason });
+        try {
+            const res = await this.makeRequest<ApiResponse>('POST', `/v1/tickets/${ticketId}/fail`, {
+                ...proof,
+                reason,
+                by: proof.lease_owner
+            });
+            this.logger.info(`Marked ticket ${ticketId} as failed`);
+            return res;
+        } catch (error) {
+            this.logger.error(`Failed to mark ticket ${ticketId} as failed`, error);
+            throw error;
+        }
+    }
+
     /** 健康檢查 */
     async healthCheck(): Promise<{ status: string; uptime: number; queue_depth: number }> {
         try {
@@ -4,6 +4,7 @@ export interface ExtensionConfig {
     orchestrator: {
         baseUrl: string;
         authToken?: string;
+        useEventStream: boolean;
     };
     worker: {
         pollIntervalMs: number;
@@ -37,7 +38,8 @@ export class Config {
         return {
             orchestrator: {
                 baseUrl: config.get<string>('orchestrator.baseUrl', 'http://127.0.0.1:3000'),
-                authToken: config.get<string | undefined>('orchestrator.authToken')
+                authToken: config.get<string | undefined>('orchestrator.authToken'),
+                useEventStream: config.get<boolean>('orchestrator.useEventStream', true)
             },
             worker: {
                 pollIntervalMs: config.get<number>('worker.pollIntervalMs', 5000),
@@ -3,6 +3,7 @@ import fetch from 'node-fetch';
 import { Logger } from './logger';
 import { TicketWorker } from './ticketWorker';
 import { TicketPanel } from './panel';
+import { TicketEventStream } from './ticketEvents';
 
 let ticketWorker: TicketWorker | undefined;
 let ticketPanel: TicketPanel | undefined;
@@ -35,11 +36,14 @@ export function activate(context: vscode.ExtensionContext) {
     
     logger.info('Extension host info', hostInfo);
 
+    // 票據事件串流（SSE）：面板與工作器共用一條連線，不可用時各自退回輪詢
+    const ticketEvents = new TicketEventStream(logger);
+
     // 初始化票據面板
-    ticketPanel = new TicketPanel(context, logger);
+    ticketPanel = new TicketPanel(context, logger, ticketEvents);
     
     // 初始化票據工作器
-    ticketWorker = new TicketWorker(logger, ticketPanel);
+    ticketWorker = new TicketWorker(logger, ticketPanel, ticketEvents);
     
     // 註冊命令
     const refreshCommand = vscode.commands.registerCommand('agent-po-bot.refresh', () => {
@@ -52,6 +56,11 @@ export function activate(context: vscode.ExtensionContext) {
         await ticketPanel?.approveTicket(ticket);
     });
 
+    const editApproveCommand = vscode.commands.registerCommand('agent-po-bot.editApproveTicket', async (ticket: any) => {
+        logger?.info(`Editing and approving ticket: ${ticket.id}`);
+        await ticketPanel?.editAndApproveTicket(ticket);
+    });
+
     const rejectCommand = vscode.commands.registerCommand('agent-po-bot.rejectTicket', async (ticket: any) => {
         logger?.info(`Rejecting ticket: ${ticket.id}`);
         await ticketPanel?.rejectTicket(ticket);
@@ -74,16 +83,19 @@ export function activate(context: vscode.ExtensionContext) {
     // [DEBUG] 確保這裡有被執行
     console.log('🔄 [EXTENSION] Starting TicketWorker...');
     ticketWorker.start();
+    ticketEvents.start();
 
     // 清理註冊
     context.subscriptions.push(
         refreshCommand,
         approveCommand,
+        editApproveCommand,
         rejectCommand,
         viewCommand,
         selfTestCommand,
         ticketWorker,
-        ticketPanel
+        ticketPanel,
+        ticketEvents
     );
     
     logger.info('Agent-alike PO Bot extension fully initialized');
@@ -2,7 +2,8 @@ import * as vscode from 'vscode';
 import { Logger } from './logger';
 import { ApiClient } from './apiClient';
 import { Config } from './config';
-import { Ticket } from './types';
+import { TicketEventStream } from './ticketEvents';
+import { Ticket, TicketEvent } from './types';
 
 // 面板項目基類
 abstract class PanelItem extends vscode.TreeItem {}
@@ -16,10 +17,15 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
     private apiClient: ApiClient;
     private refreshTimer: NodeJS.Timeout | undefined;
     private configDisposable: vscode.Disposable;
+    private streamDisposables: vscode.Disposable[] = [];
+    // 串流事件只帶 ticket_id：累積後一次抓回單張票據
+    private changedTicketIds: Set<string> = new Set();
+    private upsertTimer: NodeJS.Timeout | undefined;
 
     constructor(
         private context: vscode.ExtensionContext,
-        logger: Logger
+        logger: Logger,
+        private events?: TicketEventStream
     ) {
         this.logger = logger;
         this.apiClient = new ApiClient(logger);
@@ -29,19 +35,90 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
             this.refresh();
         });
 
-        // 定期刷新票據列表
-        this.startAutoRefresh();
+        if (this.events) {
+            this.streamDisposables.push(
+                this.events.onEvent(e => this.onTicketEvent(e)),
+                this.events.onDidChangeState(connected => {
+                    if (connected) {
+                        // 串流接上：停止輪詢，全量同步一次後改為增量更新
+                        this.stopAutoRefresh();
+                        this.refresh();
+                    } else {
+                        this.startAutoRefresh();
+                    }
+                })
+            );
+        }
+
+        // 定期刷新票據列表（串流連上後停止）
+        if (!this.events?.isConnected) {
+            this.startAutoRefresh();
+        }
     }
 
     /**
      * 開始自動刷新
      */
     private startAutoRefresh(): void {
+        if (this.refreshTimer) return;
         this.refreshTimer = setInterval(() => {
             this.refresh();
         }, 10000); // 每 10 秒刷新一次
     }
 
+    private stopAutoRefresh(): void {
+        if (this.refreshTimer) clearInterval(this.refreshTimer);
+        this.refreshTimer = undefined;
+    }
+
+    /**
+     * 串流連線中由事件驅動更新，不需要全量重抓；未連線時等同 refresh()
+     */
+    async softRefresh(): Promise<void> {
+        if (this.events?.isConnected) return;
+        await this.refresh();
+    }
+
+    private onTicketEvent(event: TicketEvent): void {
+        if (event.type === 'reset') {
+            this.refresh();
+            return;
+        }
+        if (!event.ticket_id) return;
+        this.changedTicketIds.add(event.ticket_id);
+        if (this.upsertTimer) return;
+        this.upsertTimer = setTimeout(() => {
+            this.upsertTimer = undefined;
+            void this.applyChangedTickets();
+        }, 300);
+    }
+
+    /**
+     * 抓回有變動的票據並就地更新列表
+     */
+    private async applyChangedTickets(): Promise<void> {
+        const ids = Array.from(this.changedTicketIds);
+        this.changedTicketIds.clear();
+
+        const results = await Promise.allSettled(ids.map(id => this.apiClient.getTicket(id)));
+        for (const result of results) {
+            if (result.status !== 'fulfilled' || !result.value) continue;
+            const ticket = result.value;
+            const idx = this.tickets.findIndex(t => t.id === ticket.id);
+            if (idx >= 0) {
+                this.tickets[idx] = ticket;
+            } else {
+                this.tickets.push(ticket);
+            }
+        }
+
+        this.tickets.sort((a, b) =>
+            new Date(b.metadata.updated_at).getTime() - new Date(a.metadata.updated_at).getTime()
+        );
+        this._onDidChangeTreeData.fire(undefined);
+        this.logger.debug(`Applied ${ids.length} ticket events`);
+    }
+
     /**
      * 刷新票據列表
      */
@@ -56,6 +133,7 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
                 this.fetchTicketsByStatus('running'),
                 this.fetchTicketsByStatus('done'),
                 this.fetchTicketsByStatus('blocked'),
+                this.fetchTicketsByStatus('awaiting_approval'),
                 this.fetchTicketsByStatus('drafted'),
                 this.fetchTicketsByStatus('completed'),
                 this.fetchTicketsByStatus('approved'),
@@ -175,6 +253,48 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
         }
     }
 
+    /**
+     * 編輯後核准票據
+     */
+    async editAndApproveTicket(ticketItem: TicketItem): Promise<void> {
+        if (!ticketItem.ticket) {
+            return;
+        }
+
+        const ticket = ticketItem.ticket;
+        const draft = (ticket.metadata as any)?.final_outputs?.reply ?? '';
+
+        const reply = await vscode.window.showInputBox({
+            title: `編輯回覆 ${ticket.id.substring(0, 8)}`,
+            value: draft,
+            validateInput: (v) => v.trim() ? undefined : '回覆不可為空'
+        });
+        if (reply === undefined) {
+            return; // 使用者取消
+        }
+
+        try {
+            this.logger.info(`Approving ticket ${ticket.id} with edits`);
+
+            const config = Config.get();
+            await this.apiClient.approveTicket(ticket.id, {
+                approved: true,
+                reply,
+                dry_run: config.send.dryRun
+            });
+
+            vscode.window.showInformationMessage(
+                `票據 ${ticket.id.substring(0, 8)} 已編輯並核准${config.send.dryRun ? ' (乾跑模式)' : ''}`
+            );
+
+            await this.refresh();
+
+        } catch (error) {
+            this.logger.error(`Failed to approve ticket ${ticket.id}`, error);
+            vscode.window.showErrorMessage(`核准票據失敗：${error instanceof Error ? error.message : '未知錯誤'}`);
+        }
+    }
+
     /**
      * 拒絕票據
      */
@@ -185,11 +305,21 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
 
         const ticket = ticketItem.ticket;
 
+        const reason = await vscode.window.showInputBox({
+            title: `拒絕原因 ${ticket.id.substring(0, 8)}`,
+            placeHolder: '例如：語氣不符品牌、資訊錯誤',
+            validateInput: (v) => v.trim() ? undefined : '請輸入拒絕原因'
+        });
+        if (reason === undefined) {
+            return; // 使用者取消
+        }
+
         try {
             this.logger.info(`Rejecting ticket ${ticket.id}`);
 
             await this.apiClient.approveTicket(ticket.id, {
                 approved: false,
+                reason,
                 dry_run: true // 拒絕總是乾跑
             });
 
@@ -253,6 +383,7 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
                 'completed': '#17a2b8',
                 'done': '#28a745',
                 'approved': '#6f42c1',
+                'awaiting_approval': '#e83e8c',
                 'blocked': '#ffa500',
                 'failed': '#dc3545'
             };
@@ -354,9 +485,11 @@ export class TicketPanel implements vscode.TreeDataProvider<PanelItem>, vscode.D
      * 清理資源
      */
     dispose(): void {
-        if (this.refreshTimer) {
-            clearInterval(this.refreshTimer);
+        this.stopAutoRefresh();
+        if (this.upsertTimer) {
+            clearTimeout(this.upsertTimer);
         }
+        this.streamDisposables.forEach(d => d.dispose());
         this.configDisposable.dispose();
         this._onDidChangeTreeData.dispose();
     }
@@ -384,6 +517,7 @@ class StatusGroupItem extends PanelItem {
             'completed': 'check',
             'done': 'check',
             'approved': 'verified',
+            'awaiting_approval': 'comment-discussion',
             'blocked': 'warning',
             'failed': 'error'
         };
@@ -446,6 +580,7 @@ ${t.draft ? `\n草稿: ${t.draft.content}\n信心: ${(t.draft.confidence * 100).
             'completed': 'check',
             'done': 'check',
             'approved': 'verified',
+            'awaiting_approval': 'comment-discussion',
             'blocked': 'warning',
             'failed': 'error'
         };
@@ -140,6 +140,7 @@ ${JSON.stringify(spec.outputs?.schema || {}, null, 2)}
     const systemPrompt = [spec.sections?.system, spec.sections?.assistant_style].filter(Boolean).join('\n\n');
     
     const dynamicStrategy = ri.strategy || "Standard engagement strategy.";
+    const variation = ri.variation_note ? `\n### VARIATION:\n${ri.variation_note}\n` : "";
 
     // [Step 3: Structural Assembly]
     return `
@@ -150,7 +151,7 @@ ${dynamicStrategy}
 
 ### KNOWLEDGE BASE / CONTEXT:
 ${contextData}
-
+${variation}
 ### TARGET CONTENT (Reply to this):
 """
 ${content}
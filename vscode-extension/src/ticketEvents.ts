@@ -0,0 +1,218 @@
+// vscode-extension/src/ticketEvents.ts
+import * as vscode from 'vscode';
+import fetch from 'node-fetch';
+import { Config } from './config';
+import { Logger } from './logger';
+import { TicketEvent } from './types';
+
+/**
+ * 訂閱 orchestrator 的票據事件串流（SSE GET /v1/ticket-events）
+ *
+ * - 斷線後以指數退避重連，帶 Last-Event-ID 續傳
+ * - 收到 `reset`（伺服器重啟或 buffer 已擠出）時，訂閱端需全量重抓
+ * - onDidChangeState(false) 時，面板與 worker 退回輪詢
+ */
+export class TicketEventStream implements vscode.Disposable {
+    private _onEvent = new vscode.EventEmitter<TicketEvent>();
+    readonly onEvent: vscode.Event<TicketEvent> = this._onEvent.event;
+    private _onDidChangeState = new vscode.EventEmitter<boolean>();
+    readonly onDidChangeState: vscode.Event<boolean> = this._onDidChangeState.event;
+
+    private logger: Logger;
+    private connected = false;
+    private disposed = false;
+    private lastEventId: string | undefined;
+    private body: NodeJS.ReadableStream | undefined;
+    private reconnectTimer: NodeJS.Timeout | undefined;
+    private idleTimer: NodeJS.Timeout | undefined;
+    private lastActivity = 0;
+    private idleTimeoutMs = TicketEventStream.DEFAULT_IDLE_TIMEOUT_MS;
+    private attempt = 0;
+    private generation = 0; // restart / dispose 後，進行中的 connect() 結果作廢
+    private configDisposable: vscode.Disposable;
+    private connectionKey: string;
+
+    // 伺服器第一個 frame 帶 `: heartbeat_ms=<n>`（TICKET_EVENTS_HEARTBEAT_MS），之後每 n 毫秒送 `: ping`；
+    // 連續漏掉 IDLE_HEARTBEATS 次視為斷線。舊版伺服器不帶此行 → 沿用預設（15 秒 heartbeat）
+    private static readonly DEFAULT_IDLE_TIMEOUT_MS = 45000;
+    private static readonly IDLE_HEARTBEATS = 3;
+    private static readonly MIN_IDLE_TIMEOUT_MS = 3000;
+    private static readonly MAX_BACKOFF_MS = 30000;
+
+    constructor(logger: Logger) {
+        this.logger = logger;
+        this.connectionKey = TicketEventStream.keyOf();
+        // baseUrl / token / 開關變更：重新連線（其他設定變更不影響串流）
+        this.configDisposable = Config.onDidChange(() => {
+            const key = TicketEventStream.keyOf();
+            if (key === this.connectionKey) return;
+            this.connectionKey = key;
+            this.restart();
+        });
+    }
+
+    private static keyOf(): string {
+        const { baseUrl, authToken, useEventStream } = Config.get().orchestrator;
+        return JSON.stringify([baseUrl, authToken || '', useEventStream]);
+    }
+
+    get isConnected(): boolean {
+        return this.connected;
+    }
+
+    start(): void {
+        if (this.disposed || !Config.get().orchestrator.useEventStream) return;
+        void this.connect();
+    }
+
+    private restart(): void {
+        this.generation++;
+        this.lastEventId = undefined; // 換了 orchestrator：從頭同步
+        this.closeBody();
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = undefined;
+        this.attempt = 0;
+        this.setConnected(false);
+        this.start();
+    }
+
+    private async connect(): Promise<void> {
+        const generation = this.generation;
+        const cfg = Config.get();
+        const headers: Record<string, string> = {
+            'Accept': 'text/event-stream',
+            'User-Agent': 'Agent-PO-Bot-VSCode/0.1.0'
+        };
+        if (cfg.orchestrator.authToken) headers['Authorization'] = `Bearer ${cfg.orchestrator.authToken}`;
+        if (this.lastEventId) headers['Last-Event-ID'] = this.lastEventId;
+
+        try {
+            const response = await fetch(`${cfg.orchestrator.baseUrl}/v1/ticket-events`, { headers });
+            if (!response.ok) {
+                (response.body as any)?.destroy?.();
+                throw new Error(`HTTP ${response.status}`);
+            }
+            if (this.disposed || generation !== this.generation) {
+                (response.body as any).destroy?.();
+                return;
+            }
+
+            this.body = response.body;
+            this.attempt = 0;
+            this.idleTimeoutMs = TicketEventStream.DEFAULT_IDLE_TIMEOUT_MS;
+            this.touch();
+            this.setConnected(true);
+            this.logger.info('Ticket event stream connected', { resumeFrom: this.lastEventId || null });
+
+            let buffer = '';
+            response.body.on('data', (chunk: Buffer) => {
+                this.touch();
+                buffer += chunk.toString('utf8');
+                let idx: number;
+                while ((idx = buffer.indexOf('\n\n')) >= 0) {
+                    this.handleFrame(buffer.slice(0, idx));
+                    buffer = buffer.slice(idx + 2);
+                }
+            });
+            response.body.on('error', () => this.onDisconnect(response.body));
+            response.body.on('end', () => this.onDisconnect(response.body));
+            response.body.on('close', () => this.onDisconnect(response.body));
+        } catch (error) {
+            if (generation !== this.generation) return;
+            this.logger.debug('Ticket event stream unavailable, falling back to polling', error);
+            this.onDisconnect(undefined);
+        }
+    }
+
+    private handleFrame(raw: string): void {
+        let id: string | undefined;
+        let type: string | undefined;
+        const data: string[] = [];
+        for (const line of raw.split('\n')) {
+            if (line.startsWith(':')) {
+                const heartbeat = /^:\s*heartbeat_ms=(\d+)\s*$/.exec(line);
+                if (heartbeat) this.setHeartbeatInterval(Number(heartbeat[1]));
+                continue; // heartbeat / comment
+            }
+            if (!line) continue;
+            const sep = line.indexOf(':');
+            const field = sep >= 0 ? line.slice(0, sep) : line;
+            const value = sep >= 0 ? line.slice(sep + 1).replace(/^ /, '') : '';
+            if (field === 'id') id = value;
+            else if (field === 'event') type = value;
+            else if (field === 'data') data.push(value);
+        }
+        if (!type) return;
+        if (id) this.lastEventId = id;
+
+        try {
+            const payload = data.length ? JSON.parse(data.join('\n')) : {};
+            this._onEvent.fire({ ...payload, id: id || payload.id, type } as TicketEvent);
+        } catch (error) {
+            this.logger.warn('Ignoring malformed ticket event', { id, type });
+        }
+    }
+
+    private onDisconnect(body: NodeJS.ReadableStream | undefined): void {
+        // 同一條連線的 error / end / close 只處理一次
+        if (body && this.body !== body) return;
+        this.closeBody();
+        this.setConnected(false);
+        if (this.disposed || this.reconnectTimer) return;
+
+        const delay = Math.min(1000 * Math.pow(2, this.attempt), TicketEventStream.MAX_BACKOFF_MS);
+        this.attempt++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = undefined;
+            this.start();
+        }, delay);
+    }
+
+    private setHeartbeatInterval(heartbeatMs: number): void {
+        if (!(heartbeatMs > 0)) return;
+        const timeout = Math.max(heartbeatMs * TicketEventStream.IDLE_HEARTBEATS, TicketEventStream.MIN_IDLE_TIMEOUT_MS);
+        if (timeout === this.idleTimeoutMs) return;
+        this.idleTimeoutMs = timeout;
+        this.logger.debug('Ticket event stream heartbeat', { heartbeatMs, idleTimeoutMs: timeout });
+        // 以新的間隔重建檢查計時器
+        if (this.idleTimer) clearInterval(this.idleTimer);
+        this.idleTimer = undefined;
+        this.touch();
+    }
+
+    private touch(): void {
+        this.lastActivity = Date.now();
+        if (this.idleTimer) return;
+        this.idleTimer = setInterval(() => {
+            if (this.body && Date.now() - this.lastActivity > this.idleTimeoutMs) {
+                this.logger.warn('Ticket event stream idle, reconnecting');
+                this.onDisconnect(this.body);
+            }
+        }, this.idleTimeoutMs / 3);
+    }
+
+    private closeBody(): void {
+        const body = this.body;
+        this.body = undefined;
+        if (this.idleTimer) clearInterval(this.idleTimer);
+        this.idleTimer = undefined;
+        (body as any)?.destroy?.();
+    }
+
+    private setConnected(connected: boolean): void {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        if (!connected) this.logger.info('Ticket event stream disconnected');
+        this._onDidChangeState.fire(connected);
+    }
+
+    dispose(): void {
+        this.disposed = true;
+        this.generation++;
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+        this.closeBody();
+        this.configDisposable.dispose();
+        this._onEvent.dispose();
+        this._onDidChangeState.dispose();
+    }
+}
@@ -5,7 +5,8 @@ import { ApiClient } from './apiClient';
 import { ChatInvoker } from './chatInvoker';
 // [FIX] 導入 LoadedSpec
 import { PromptBuilder, LoadedSpec } from './promptBuilder';
-import { Ticket, ProcessingError, WorkerStatus } from './types';
+import { TicketEventStream } from './ticketEvents';
+import { Ticket, ProcessingError, WorkerStatus, LeaseProof, TicketEvent } from './types';
 
 type Kind = 'TRIAGE' | 'REPLY';
 
@@ -17,6 +18,7 @@ export class TicketWorker implements vscode.Disposable {
 
   private isRunning = false;
   private watchdogTimer: NodeJS.Timeout | undefined;
+  private notBeforeTimers: Set<NodeJS.Timeout> = new Set();
   private isRefilling = false;
 
   // Config
@@ -28,6 +30,7 @@ export class TicketWorker implements vscode.Disposable {
   private kindStrategy: 'triage_first' | 'reply_first' | 'round_robin' | 'weighted' = 'triage_first';
   private kindWeights: Record<Kind, number> = { TRIAGE: 7, REPLY: 3 };
   private replyMaxChars = 320;
+  private leaseSec = 300;
 
   // State
   private activeTickets: Set<string> = new Set();
@@ -36,14 +39,53 @@ export class TicketWorker implements vscode.Disposable {
   private rrIndex = 0; // for round_robin
 
   private configDisposable: vscode.Disposable;
+  private streamDisposables: vscode.Disposable[] = [];
 
-  constructor(logger: Logger, panelProvider?: any) {
+  // 串流連線中由事件觸發領票；watchdog 只作為漏事件時的保險
+  private static readonly STREAM_WATCHDOG_INTERVAL = 60000;
+
+  constructor(logger: Logger, panelProvider?: any, private events?: TicketEventStream) {
     this.logger = logger;
     this.panelProvider = panelProvider;
     this.apiClient = new ApiClient(logger);
     this.chatInvoker = new ChatInvoker(logger);
     this.updateConfig();
     this.configDisposable = Config.onDidChange(() => this.updateConfig());
+
+    if (this.events) {
+      this.streamDisposables.push(
+        this.events.onEvent(e => this.onTicketEvent(e)),
+        this.events.onDidChangeState(connected => {
+          if (!this.isRunning) return;
+          this.logger.info(connected ? 'Ticket stream connected, lease on events' : 'Ticket stream lost, lease by polling');
+          this.startWatchdog();
+          if (connected) void this.tryRefillImmediately('stream');
+        })
+      );
+    }
+  }
+
+  /** 有可領的票（新建、被釋放回 pending）才嘗試領票 */
+  private onTicketEvent(event: TicketEvent): void {
+    if (!this.isRunning) return;
+    const leasable = event.type === 'created' || event.type === 'released' || event.type === 'reset';
+    if (!leasable) return;
+    if (event.type !== 'reset' && !this.kinds.includes(event.kind as Kind)) return;
+    // retry 退避：not_before 之前領不到，到點再領，不等 watchdog
+    const notBefore = event.not_before ? Date.parse(event.not_before) : NaN;
+    if (event.type === 'released' && notBefore > Date.now()) {
+      this.scheduleRefillAt(notBefore);
+      return;
+    }
+    void this.tryRefillImmediately('stream');
+  }
+
+  private scheduleRefillAt(at: number): void {
+    const timer = setTimeout(() => {
+      this.notBeforeTimers.delete(timer);
+      void this.tryRefillImmediately('not_before');
+    }, at - Date.now());
+    this.notBeforeTimers.add(timer);
   }
 
   /* ────────────────────────────── Lifecycle ───────────────────────────── */
@@ -81,11 +123,15 @@ export class TicketWorker implements vscode.Disposable {
     if (!this.isRunning) return;
     this.isRunning = false;
     if (this.watchdogTimer) clearInterval(this.watchdogTimer);
+    this.notBeforeTimers.forEach(t => clearTimeout(t));
+    this.notBeforeTimers.clear();
     this.logger.info('TicketWorker stopped');
   }
 
   private startWatchdog(): void {
-    const interval = Math.max(2000, Math.min(15000, this.baseWatchdogInterval || 5000));
+    const interval = this.events?.isConnected
+      ? TicketWorker.STREAM_WATCHDOG_INTERVAL
+      : Math.max(2000, Math.min(15000, this.baseWatchdogInterval || 5000));
     if (this.watchdogTimer) clearInterval(this.watchdogTimer);
     this.watchdogTimer = setInterval(() => {
       if (!this.isRunning) return;
@@ -143,7 +189,7 @@ export class TicketWorker implements vscode.Disposable {
   private async leaseOne(kind: Kind): Promise<Ticket | undefined> {
     try {
       const caps = ['llm.generate'];
-      const leaseSec = 300; 
+      const leaseSec = this.leaseSec;
 
       const acquired = this.useV1Lease
         ? await this.apiClient.leaseTicketsV1(kind, 1, leaseSec, caps)
@@ -170,6 +216,9 @@ export class TicketWorker implements vscode.Disposable {
     const flowType = (ticket.metadata as any)?.kind || ticket.flow_id;
     this.logger.info(`🚀 [START] Processing Ticket: ${ticketId} (${flowType})`);
 
+    const proof = this.leaseProofOf(ticket);
+    const stopHeartbeat = this.startHeartbeat(ticketId, proof);
+
     try {
       const proc = new TicketProcessor({
         ticket,
@@ -183,10 +232,10 @@ export class TicketWorker implements vscode.Disposable {
 
       if (result.status === 'failed') {
         if (result.retryable) {
-          await this.apiClient.nackTicket(ticketId);
+          await this.apiClient.nackTicket(ticketId, proof, result.reason);
           this.logger.info(`⚠️ [NACK] Ticket ${ticketId} returned to queue`, { reason: result.reason });
         } else {
-          await this.markFailed(ticketId, result.reason || 'UNKNOWN_ERROR');
+          await this.markFailed(ticketId, result.reason || 'UNKNOWN_ERROR', proof);
           this.logger.error(`❌ [FAIL] Ticket ${ticketId} failed permanently`, { reason: result.reason });
         }
       } else {
@@ -201,25 +250,51 @@ export class TicketWorker implements vscode.Disposable {
       
       this.logger.error(`🔥 [CRASH] Ticket ${ticketId}`, { message: msg, stack });
       
-      await this.apiClient.nackTicket(ticketId); 
+      await this.apiClient.nackTicket(ticketId, proof, `CRASH: ${msg}`).catch(() => undefined);
       this.recordError({ type: 'unknown', message: msg, retryable: true, ticketId });
     } finally {
+      stopHeartbeat();
       this.activeTickets.delete(ticketId);
       this.updatePanel();
       void this.tryRefillImmediately('onFinish');
     }
   }
 
-  private async markFailed(ticketId: string, reason: string): Promise<void> {
+  private async markFailed(ticketId: string, reason: string, proof: LeaseProof): Promise<void> {
     try {
-        await (this.apiClient as any).post(`/tickets/${ticketId}/fail`, { reason });
+        await this.apiClient.failTicket(ticketId, reason, proof);
     } catch (e) {
         this.logger.warn(`Failed to mark ticket ${ticketId} as failed`, e);
     }
   }
 
+  private leaseProofOf(ticket: Ticket): LeaseProof {
+    return {
+      lease_owner: (ticket.metadata as any)?.lease_owner,
+      lease_token: (ticket.metadata as any)?.lease_token
+    };
+  }
+
+  /** 處理期間定期 heartbeat（lease 的 1/3），回傳停止函式 */
+  private startHeartbeat(ticketId: string, proof: LeaseProof): () => void {
+    if (!proof.lease_token) return () => undefined;
+
+    const intervalMs = Math.max(5000, Math.floor((this.leaseSec * 1000) / 3));
+    const timer = setInterval(() => {
+      this.apiClient.heartbeatV1(ticketId, proof, this.leaseSec).catch((e) => {
+        // 409 = lease 已失效（過期被回收或被他人持有）：停止心跳，fill 時會再被擋下
+        this.logger.warn(`Heartbeat rejected for ticket ${ticketId}, stopping heartbeat`, e);
+        clearInterval(timer);
+      });
+    }, intervalMs);
+
+    return () => clearInterval(timer);
+  }
+
   private updatePanel(): void {
-    if (this.panelProvider?.refresh) this.panelProvider.refresh();
+    // 串流連線中面板自己依事件更新；softRefresh 只在輪詢模式重抓
+    if (this.panelProvider?.softRefresh) this.panelProvider.softRefresh();
+    else if (this.panelProvider?.refresh) this.panelProvider.refresh();
   }
 
   private recordError(err: ProcessingError): void {
@@ -243,6 +318,7 @@ export class TicketWorker implements vscode.Disposable {
 
   dispose(): void {
     this.stop();
+    this.streamDisposables.forEach(d => d.dispose());
     this.configDisposable.dispose();
   }
 }
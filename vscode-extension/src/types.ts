@@ -18,6 +18,7 @@ export interface ReplyInput {
     context_notes?: string;     // 來自 Orchestrator (MCP) 查好的資料
     candidate_snippet?: string; // 原始貼文內容 (備份)
     brand_voice?: string;       // 品牌語氣設定
+    variation_note?: string;    // 近似重複貼文 cluster 成員：要求換句話說
     [key: string]: any;
 }
 
@@ -32,6 +33,7 @@ export interface TriageOutput {
     target_prompt_id?: string;      // 指定戰術模組 ID
     reply_strategy?: string;        // 戰略指導
     information_needs?: InformationNeed[]; // 資料需求
+    topics?: string[];              // 涉及的實體名稱（TOOL 規劃 memory.open_nodes）
     signals?: {
         urgency?: number;
         risk_level?: string;
@@ -54,6 +56,9 @@ export interface Ticket {
         | 'done'
         | 'failed'
         | 'blocked'
+        | 'awaiting_approval'
+        | 'dead_letter'
+        | 'discarded'
         | 'leased'
         | 'completed'
         | 'drafted'
@@ -144,9 +149,19 @@ export interface FillRequest {
     ticket_version?: number;
 }
 
+/** Stage 2 lease proof（lease 時由 Orchestrator 簽發，heartbeat/nack/fail/fill 必須帶回） */
+export interface LeaseProof {
+    lease_owner?: string;
+    lease_token?: string;
+}
+
 export interface ApproveRequest {
     approved: boolean;
     dry_run?: boolean;
+    /** 編輯後的回覆（省略則發送原草稿） */
+    reply?: string;
+    /** 拒絕原因（approved=false 時必填） */
+    reason?: string;
 }
 
 export interface ApiResponse<T = any> {
@@ -200,4 +215,20 @@ export interface WorkerStatus {
     activeTickets: number;
     lastPollTime?: Date;
     errors: ProcessingError[];
-}
\ No newline at end of file
+}
+// 票據生命週期事件（GET /v1/ticket-events，SSE）
+export type TicketEventType = 'created' | 'derived' | 'leased' | 'filled' | 'approved' | 'blocked' | 'failed' | 'released' | 'dead_lettered' | 'discarded' | 'reset';
+
+export interface TicketEvent {
+    id: string;
+    type: TicketEventType;
+    at?: string;
+    ticket_id?: string;
+    kind?: string | null;
+    status?: string;
+    flow_id?: string | null;
+    reason?: string;
+    not_before?: string | null;
+    parent_ticket_id?: string;
+    last_event_id?: string;
+}